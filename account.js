@@ -0,0 +1,170 @@
+import { getBackend } from './auth-backend.js';
+import { clearMaintenanceBypassCache } from './maintenance-bypass.js';
+import { guardTwoFactorSession } from './two-factor.js';
+import { guardSession, listSessions, revokeSession, signOutOtherSessions, signOutEverywhere } from './sessions.js';
+import { guardBans } from './bans.js';
+import { escapeHTML } from './html.js';
+
+// ========================================================================
+//  ACCOUNT SECURITY PAGE
+// ========================================================================
+
+/**
+ * Lists the player's login sessions and lets them sign devices out, and change
+ * their password or email address after entering the current password.
+ */
+
+// Errors from reauthenticate() that mean the current password was wrong.
+const WRONG_PASSWORD_CODES = ['auth/invalid-credential', 'auth/wrong-password', 'auth/invalid-login-credentials'];
+
+/**
+ * Turns an error from a password or email change into a message for the player.
+ * @param {{code?: string, message: string}} error The error.
+ * @returns {string} The message.
+ */
+function describeAccountError(error) {
+    if (WRONG_PASSWORD_CODES.includes(error.code)) return 'Your current password is not correct.';
+    switch (error.code) {
+        case 'auth/weak-password': return 'The new password should be at least 6 characters.';
+        case 'auth/invalid-email': return 'Please enter a valid email address.';
+        case 'auth/email-already-in-use': return 'That email address is already used by another account.';
+        case 'auth/too-many-requests': return 'Too many attempts. Please wait a while before trying again.';
+        default: return escapeHTML(error.message);
+    }
+}
+
+/**
+ * Builds the table row for one session.
+ * @param {import('./sessions.js').SessionRecord & {current: boolean, expiresAt: number|null}} session The session.
+ * @returns {string} The row's HTML.
+ */
+function renderSessionRow(session) {
+    const action = session.current
+        ? '<span class="text-green-400 font-bold">This device</span>'
+        : `<button data-id="${escapeHTML(session.id)}" data-device="${escapeHTML(session.device)}" class="action-btn-sm btn-red revoke-session-btn">Sign Out</button>`;
+    return `
+        <tr>
+            <td class="font-semibold text-white" title="${escapeHTML(session.userAgent)}">${escapeHTML(session.device)}</td>
+            <td>${new Date(session.createdAt).toLocaleString()}</td>
+            <td>${new Date(session.lastSeenAt).toLocaleString()}</td>
+            <td>${session.expiresAt ? new Date(session.expiresAt).toLocaleDateString() : 'When the browser closes'}</td>
+            <td>${action}</td>
+        </tr>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const backend = await getBackend();
+    const tbody = document.querySelector('#sessionTable tbody');
+    let isInitialized = false;
+
+    const refreshSessions = async () => {
+        const sessions = await listSessions();
+        tbody.innerHTML = sessions.map(renderSessionRow).join('');
+    };
+
+    const initializeAccountPage = async (user) => {
+        if (isInitialized) return;
+        if (await guardTwoFactorSession(user)) return;
+        if (await guardSession(user)) return;
+        if (await guardBans(user)) return;
+        isInitialized = true;
+
+        document.getElementById('account-email').textContent = user.email;
+        document.getElementById('page-content').style.opacity = 1;
+        await refreshSessions().catch(error => {
+            console.error('[Account] Failed to load sessions:', error);
+            tbody.innerHTML = `<tr><td colspan="5" class="text-center p-4 text-red-400">Failed to load your sessions.</td></tr>`;
+        });
+    };
+
+    // --- Sessions ---
+    tbody.addEventListener('click', (event) => {
+        const button = event.target.closest('.revoke-session-btn');
+        if (!button) return;
+        showConfirmModal({
+            title: 'Sign Out Device',
+            message: `Sign out <span class="font-bold text-white">${escapeHTML(button.dataset.device)}</span>? It will have to log in again.`,
+            confirmText: 'Sign Out',
+            onConfirm: async () => {
+                try {
+                    await revokeSession(button.dataset.id);
+                    await refreshSessions();
+                } catch (error) {
+                    console.error('[Account] Failed to end session:', error);
+                    showInfoModal('Error', `Could not sign out that device: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    document.getElementById('sign-out-everywhere-btn').addEventListener('click', () => {
+        showConfirmModal({
+            title: 'Sign Out Everywhere',
+            message: 'End every session, including this one? All devices will have to log in again.',
+            confirmText: 'Sign Out',
+            onConfirm: async () => {
+                try {
+                    clearMaintenanceBypassCache();
+                    await signOutEverywhere();
+                    window.location.href = '/login';
+                } catch (error) {
+                    console.error('[Account] Failed to sign out everywhere:', error);
+                    showInfoModal('Error', `Could not end your sessions: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    // --- Change Password ---
+    document.getElementById('change-password-form').addEventListener('submit', async function(event) {
+        event.preventDefault();
+        const { current_password, new_password, confirm_password } = this.elements;
+        if (new_password.value !== confirm_password.value) {
+            showInfoModal('Error', 'The new passwords do not match.', { type: 'error' });
+            return;
+        }
+        try {
+            await backend.reauthenticate(current_password.value);
+            await backend.changePassword(new_password.value);
+            // Anyone else who knew the old password loses their login too.
+            const ended = await signOutOtherSessions();
+            console.log('[Account] Password changed.');
+            this.reset();
+            await refreshSessions();
+            showInfoModal('Password Changed', `Your password has been changed.${ended > 0 ? ` ${ended} other device${ended === 1 ? ' was' : 's were'} signed out.` : ''}`);
+        } catch (error) {
+            console.error(`[Account] Password Change Error: ${error.code}`, error.message);
+            showInfoModal('Error', describeAccountError(error), { type: 'error' });
+        }
+    });
+
+    // --- Change Email ---
+    document.getElementById('change-email-form').addEventListener('submit', async function(event) {
+        event.preventDefault();
+        const { current_password, new_email } = this.elements;
+        const newEmail = new_email.value.trim();
+        if (newEmail.toLowerCase() === (backend.getCurrentUser().email || '').toLowerCase()) {
+            showInfoModal('Error', 'That is already your email address.', { type: 'error' });
+            return;
+        }
+        try {
+            await backend.reauthenticate(current_password.value);
+            await backend.requestEmailChange(newEmail);
+            console.log(`[Account] Email change requested to: ${newEmail}`);
+            this.reset();
+            showInfoModal('Check Your Inbox', `We've sent a link to <span class="font-bold text-white">${escapeHTML(newEmail)}</span>. Your address changes once you follow it.`);
+        } catch (error) {
+            console.error(`[Account] Email Change Error: ${error.code}`, error.message);
+            showInfoModal('Error', describeAccountError(error), { type: 'error' });
+        }
+    });
+
+    backend.onAuthStateChanged((user) => {
+        if (user) {
+            initializeAccountPage(user);
+        } else {
+            window.location.href = '/login';
+        }
+    });
+});
@@ -0,0 +1,274 @@
+// ========================================================================
+//  ADMIN ACCOUNTS TAB
+// ========================================================================
+
+/**
+ * Lists the accounts in the user store a page at a time, with their
+ * characters, and lets staff ban them and admins change their role. Sorting,
+ * paging and search are done by the backend's listUsers().
+ *
+ * The Ban buttons fire a bubbling "ban-request" event with `{scope, target}`
+ * in its detail; the admin page answers it by opening the bans tab's form.
+ * Character names fire an "inspect-request" event with `{name}`, which opens
+ * the character in the characters tab.
+ */
+import { getBackend } from './auth-backend.js';
+import { ROLES, PERMISSIONS, hasPermission, setUserRole } from './roles.js';
+import { BAN_SCOPES, liftAccountBans } from './bans.js';
+import { escapeHTML } from './html.js';
+
+const ACCOUNTS_PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Formats a date for the table.
+ * @param {Date|string|undefined} value The date.
+ * @returns {string} The formatted date, or "Never".
+ */
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : 'Never';
+}
+
+/**
+ * Builds the table row for one account.
+ * @param {object} account The profile, with its `uid`.
+ * @param {object[]} characters The account's characters.
+ * @param {{role: string, uid: string}} viewer The signed-in staff member.
+ * @returns {string} The row's HTML.
+ */
+function renderAccountRow(account, characters, viewer) {
+    const isSelf = account.uid === viewer.uid;
+    const canInspect = hasPermission(viewer.role, PERMISSIONS.EDIT_CHARACTERS);
+    const role = Object.values(ROLES).includes(account.role) ? account.role : ROLES.PLAYER;
+    const roleCell = hasPermission(viewer.role, PERMISSIONS.MANAGE_ROLES) && !isSelf
+        ? `<select data-uid="${escapeHTML(account.uid)}" data-email="${escapeHTML(account.email)}" class="role-select bg-gray-900/50 border border-gray-600 rounded-md p-1 text-white">
+               ${Object.values(ROLES).map(option => `<option value="${option}" ${option === role ? 'selected' : ''}>${option}</option>`).join('')}
+           </select>`
+        : escapeHTML(role);
+    const characterList = characters.length > 0
+        ? characters.map(character => `
+            <span class="block">${canInspect
+                ? `<button data-name="${escapeHTML(character.charname)}" class="inspect-request-btn hover:underline">${escapeHTML(character.charname)}</button>`
+                : escapeHTML(character.charname)} <span class="text-gray-400 text-sm">(${escapeHTML(character.class)})</span>
+                <button data-scope="${BAN_SCOPES.CHARACTER}" data-target="${escapeHTML(character.charname)}" class="ban-request-btn text-xs text-red-400 hover:underline">ban</button>
+            </span>`).join('')
+        : '<span class="text-gray-500">None</span>';
+    let banButton = '';
+    if (!isSelf) {
+        banButton = account.banned
+            ? `<button data-uid="${escapeHTML(account.uid)}" data-email="${escapeHTML(account.email)}" class="action-btn-sm btn-green unban-btn">Unban</button>`
+            : `<button data-scope="${BAN_SCOPES.ACCOUNT}" data-target="${escapeHTML(account.email)}" class="action-btn-sm btn-red ban-request-btn">Ban</button>`;
+    }
+
+    return `
+        <tr>
+            <td>
+                <span class="font-semibold text-white block">${escapeHTML(account.email)}</span>
+                ${account.gameLogin ? `<span class="text-gray-400 text-sm">Game: ${escapeHTML(account.gameLogin)}</span>` : ''}
+            </td>
+            <td>${roleCell}</td>
+            <td>${characterList}</td>
+            <td>${formatDate(account.createdAt)}</td>
+            <td>${formatDate(account.lastLoginAt)}</td>
+            <td class="${account.banned ? 'banned-yes' : ''}">${account.banned ? 'Yes' : 'No'}</td>
+            <td class="p-3">${banButton}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the accounts tab inside the given container and loads the first page.
+ * @param {HTMLElement} container The tab's element.
+ * @param {{role: string, uid: string}} viewer The signed-in staff member.
+ * @returns {Promise<void>}
+ */
+export async function initAccountsTab(container, viewer) {
+    const backend = await getBackend();
+    container.innerHTML = `
+        <div class="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
+            <div class="flex w-full md:w-1/2 gap-2">
+                <select id="account-search-field" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    <option value="email">Email</option>
+                    <option value="account">Game account</option>
+                    <option value="character">Character</option>
+                </select>
+                <div class="relative flex-grow">
+                    <input type="text" id="account-search" placeholder="Search (starts with)..." class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 pl-10 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500">
+                    <svg class="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 3.5a5.5 5.5 0 100 11 5.5 5.5 0 000-11zM2 9a7 7 0 1112.452 4.391l3.328 3.329a.75.75 0 11-1.06 1.06l-3.329-3.328A7 7 0 012 9z" clip-rule="evenodd" /></svg>
+                </div>
+            </div>
+            <div class="flex items-center gap-6">
+                <label class="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" id="filter-banned" class="h-4 w-4 rounded border-gray-500 bg-gray-700 text-yellow-500 focus:ring-yellow-600">
+                    <span class="text-gray-300">Show Banned Only</span>
+                </label>
+                <button id="refresh-accounts-btn" class="action-btn-sm btn-yellow">Refresh</button>
+            </div>
+        </div>
+        <table id="accountTable" class="admin-table">
+            <thead>
+                <tr>
+                    <th><button data-sort="emailLowercase" class="sort-btn">Account</button></th>
+                    <th>Role</th>
+                    <th>Characters</th>
+                    <th><button data-sort="createdAt" class="sort-btn">Created</button></th>
+                    <th><button data-sort="lastLoginAt" class="sort-btn">Last Login</button></th>
+                    <th>Banned</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <div class="flex justify-between items-center mt-4">
+            <p id="accounts-summary" class="text-gray-400 text-sm"></p>
+            <div class="flex gap-2">
+                <button id="accounts-prev-btn" class="action-btn-sm">Previous</button>
+                <button id="accounts-next-btn" class="action-btn-sm">Next</button>
+            </div>
+        </div>
+    `;
+    const tbody = container.querySelector('tbody');
+    const searchInput = container.querySelector('#account-search');
+    const searchFieldSelect = container.querySelector('#account-search-field');
+    const filterBannedCheckbox = container.querySelector('#filter-banned');
+    const prevBtn = container.querySelector('#accounts-prev-btn');
+    const nextBtn = container.querySelector('#accounts-next-btn');
+
+    const state = {
+        sortBy: 'createdAt',
+        sortDirection: 'desc',
+        cursors: [null], // The cursor of each page visited so far; cursors[page] loads that page.
+        page: 0
+    };
+
+    /**
+     * Marks the column the list is sorted by. While searching, the backend orders by the searched field.
+     */
+    const renderSortIndicators = () => {
+        const isSearching = searchInput.value.trim() !== '';
+        container.querySelectorAll('.sort-btn').forEach(button => {
+            const label = button.textContent.replace(/ [▲▼]$/, '');
+            const isActive = !isSearching && button.dataset.sort === state.sortBy;
+            button.textContent = isActive ? `${label} ${state.sortDirection === 'asc' ? '▲' : '▼'}` : label;
+        });
+    };
+
+    const loadPage = async () => {
+        tbody.innerHTML = `<tr><td colspan="7" class="text-center p-4 text-gray-400">Loading accounts...</td></tr>`;
+        const { users, nextCursor, total } = await backend.listUsers({
+            sortBy: state.sortBy,
+            sortDirection: state.sortDirection,
+            search: searchInput.value,
+            searchField: searchFieldSelect.value,
+            bannedOnly: filterBannedCheckbox.checked,
+            pageSize: ACCOUNTS_PAGE_SIZE,
+            cursor: state.cursors[state.page]
+        });
+        state.cursors[state.page + 1] = nextCursor;
+        const characters = await Promise.all(users.map(account => backend.listCharacters(account.uid)));
+
+        tbody.innerHTML = users.length > 0
+            ? users.map((account, i) => renderAccountRow(account, characters[i], viewer)).join('')
+            : `<tr><td colspan="7" class="text-center p-4 text-gray-400">No accounts match the current filters.</td></tr>`;
+        const first = state.page * ACCOUNTS_PAGE_SIZE + 1;
+        container.querySelector('#accounts-summary').textContent = users.length > 0
+            ? `Showing ${first}–${first + users.length - 1} of ${total} account${total === 1 ? '' : 's'}`
+            : '';
+        prevBtn.disabled = state.page === 0;
+        nextBtn.disabled = !nextCursor;
+        renderSortIndicators();
+    };
+
+    /**
+     * Loads a page and reports failures.
+     * @param {number} page The page to show; 0 starts over with the current filters.
+     */
+    const showPage = (page) => {
+        if (page === 0) state.cursors = [null];
+        state.page = page;
+        loadPage().catch(error => {
+            console.error('[Admin] Failed to load accounts:', error);
+            tbody.innerHTML = `<tr><td colspan="7" class="text-center p-4 text-red-400">Failed to load accounts: ${escapeHTML(error.message)}</td></tr>`;
+        });
+    };
+
+    container.querySelector('thead').addEventListener('click', (event) => {
+        const button = event.target.closest('.sort-btn');
+        if (!button) return;
+        if (state.sortBy === button.dataset.sort) {
+            state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            state.sortBy = button.dataset.sort;
+            state.sortDirection = state.sortBy === 'emailLowercase' ? 'asc' : 'desc';
+        }
+        showPage(0);
+    });
+
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => showPage(0), SEARCH_DELAY_MS);
+    });
+    searchFieldSelect.addEventListener('change', () => showPage(0));
+    filterBannedCheckbox.addEventListener('change', () => showPage(0));
+    container.querySelector('#refresh-accounts-btn').addEventListener('click', () => showPage(state.page));
+    prevBtn.addEventListener('click', () => showPage(state.page - 1));
+    nextBtn.addEventListener('click', () => showPage(state.page + 1));
+
+    tbody.addEventListener('click', (event) => {
+        const banButton = event.target.closest('.ban-request-btn');
+        if (banButton) {
+            container.dispatchEvent(new CustomEvent('ban-request', {
+                bubbles: true,
+                detail: { scope: banButton.dataset.scope, target: banButton.dataset.target }
+            }));
+            return;
+        }
+
+        const inspectButton = event.target.closest('.inspect-request-btn');
+        if (inspectButton) {
+            container.dispatchEvent(new CustomEvent('inspect-request', { bubbles: true, detail: { name: inspectButton.dataset.name } }));
+            return;
+        }
+
+        const button = event.target.closest('.unban-btn');
+        if (!button) return;
+        showConfirmModal({
+            title: 'Confirm Unban',
+            message: `Lift every ban on the account <span class="font-bold text-white">${escapeHTML(button.dataset.email)}</span>?`,
+            onConfirm: async () => {
+                try {
+                    await liftAccountBans(button.dataset.uid);
+                    await loadPage();
+                } catch (error) {
+                    console.error('[Admin] Failed to unban account:', error);
+                    showInfoModal('Error', `Failed to unban the account: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    tbody.addEventListener('change', (event) => {
+        const select = event.target.closest('.role-select');
+        if (!select) return;
+        const role = select.value;
+        showConfirmModal({
+            title: 'Change Role',
+            message: `Make <span class="font-bold text-white">${escapeHTML(select.dataset.email)}</span> a <span class="font-bold text-white">${escapeHTML(role)}</span>?`,
+            confirmText: 'Change',
+            onConfirm: async () => {
+                try {
+                    await setUserRole(select.dataset.uid, role);
+                } catch (error) {
+                    console.error('[Admin] Failed to change role:', error);
+                    showInfoModal('Error', `Failed to change the role: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+                showPage(state.page);
+            },
+            // Puts the old role back in the list.
+            onCancel: () => showPage(state.page)
+        });
+    });
+
+    await loadPage();
+}
@@ -0,0 +1,166 @@
+// ========================================================================
+//  ADMIN AUDIT TAB
+// ========================================================================
+
+/**
+ * Shows the audit log of admin actions for a date range, filtered by action,
+ * staff member and target, and exports what is shown as a CSV file.
+ */
+import { AUDIT_ACTION_LABELS, listAuditEntries, describeAuditChanges, auditEntriesToCsv } from './audit-log.js';
+import { escapeHTML } from './html.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Formats a date for a date input.
+ * @param {Date} date The date.
+ * @returns {string} "YYYY-MM-DD" in local time.
+ */
+function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a changed value for the table.
+ * @param {*} value The value.
+ * @returns {string} The value's HTML.
+ */
+function formatValue(value) {
+    if (value === null) return '<span class="text-gray-500">(none)</span>';
+    return escapeHTML(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Builds the table row for one entry.
+ * @param {import('./audit-log.js').AuditEntry} entry The entry.
+ * @returns {string} The row's HTML.
+ */
+function renderAuditRow(entry) {
+    const changes = describeAuditChanges(entry);
+    const changeList = changes.length > 0
+        ? changes.map(change => `
+            <span class="block text-sm"><span class="font-mono text-gray-400">${escapeHTML(change.field)}</span>:
+                <span class="text-red-400">${formatValue(change.before)}</span> → <span class="text-green-400">${formatValue(change.after)}</span>
+            </span>`).join('')
+        : '<span class="text-gray-500">—</span>';
+    return `
+        <tr>
+            <td>${new Date(entry.at).toLocaleString()}</td>
+            <td><span class="block">${escapeHTML(entry.actorEmail)}</span><span class="text-gray-400 text-sm">${escapeHTML(entry.actorRole)}</span></td>
+            <td>${escapeHTML(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</td>
+            <td><span class="font-semibold text-white block">${escapeHTML(entry.targetLabel)}</span><span class="text-gray-400 text-sm">${escapeHTML(entry.targetType)}</span></td>
+            <td>
+                <span class="block">${escapeHTML(entry.summary)}</span>
+                ${entry.reason ? `<span class="text-gray-400 text-sm">Reason: ${escapeHTML(entry.reason)}</span>` : ''}
+            </td>
+            <td>${changeList}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the audit tab inside the given container and loads the last DEFAULT_RANGE_DAYS days.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<void>}
+ */
+export async function initAuditTab(container) {
+    container.innerHTML = `
+        <form id="audit-filters" class="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-6">
+            <label class="text-sm text-gray-400">From
+                <input type="date" name="from" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <label class="text-sm text-gray-400">To
+                <input type="date" name="to" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <label class="text-sm text-gray-400">Action
+                <select name="action" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    <option value="">All actions</option>
+                    ${Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="text-sm text-gray-400">Staff
+                <input name="actor" placeholder="Email contains..." class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <label class="text-sm text-gray-400">Target
+                <input name="target" placeholder="Name or ID contains..." class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <div class="flex gap-2">
+                <button type="submit" class="action-btn-sm btn-yellow">Load</button>
+                <button type="button" id="export-audit-btn" class="action-btn-sm">Export CSV</button>
+            </div>
+        </form>
+        <p id="audit-summary" class="text-gray-400 text-sm mb-2"></p>
+        <table id="auditTable" class="admin-table">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Staff</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Summary</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const form = container.querySelector('#audit-filters');
+    const tbody = container.querySelector('tbody');
+    const exportBtn = container.querySelector('#export-audit-btn');
+    let entries = [];
+    let shown = [];
+
+    const today = new Date();
+    form.elements.to.value = toDateInputValue(today);
+    form.elements.from.value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - DEFAULT_RANGE_DAYS));
+
+    /** Applies the action, staff and target filters to the loaded entries. */
+    const render = () => {
+        const action = form.elements.action.value;
+        const actor = form.elements.actor.value.trim().toLowerCase();
+        const target = form.elements.target.value.trim().toLowerCase();
+        shown = entries.filter(entry => (!action || entry.action === action)
+            && (!actor || entry.actorEmail.toLowerCase().includes(actor))
+            && (!target || entry.targetLabel.toLowerCase().includes(target) || entry.targetId.toLowerCase().includes(target)));
+
+        tbody.innerHTML = shown.length > 0
+            ? shown.map(renderAuditRow).join('')
+            : `<tr><td colspan="6" class="text-center p-4 text-gray-400">No entries match the filters.</td></tr>`;
+        container.querySelector('#audit-summary').textContent = `Showing ${shown.length} of ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} in the range.`;
+        exportBtn.disabled = shown.length === 0;
+    };
+
+    /** Loads the entries of the chosen date range. */
+    const load = async () => {
+        tbody.innerHTML = `<tr><td colspan="6" class="text-center p-4 text-gray-400">Loading the audit log...</td></tr>`;
+        const since = new Date(`${form.elements.from.value}T00:00:00`).getTime();
+        const until = new Date(`${form.elements.to.value}T23:59:59.999`).getTime();
+        entries = await listAuditEntries(since, until);
+        render();
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        load().catch(error => {
+            console.error('[Admin] Failed to load the audit log:', error);
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center p-4 text-red-400">Failed to load the audit log: ${escapeHTML(error.message)}</td></tr>`;
+        });
+    });
+    form.elements.action.addEventListener('change', render);
+    form.elements.actor.addEventListener('input', render);
+    form.elements.target.addEventListener('input', render);
+
+    exportBtn.addEventListener('click', () => {
+        const blob = new Blob([auditEntriesToCsv(shown)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit-log-${form.elements.from.value}-to-${form.elements.to.value}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        console.log(`[Admin] Exported ${shown.length} audit log entries.`);
+    });
+
+    await load();
+}
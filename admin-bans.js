@@ -0,0 +1,280 @@
+// ========================================================================
+//  ADMIN BANS TAB
+// ========================================================================
+
+/**
+ * Issues account, character and IP bans, lists them with their state, lifts
+ * them early and lets admins review appeals.
+ */
+import { getBackend } from './auth-backend.js';
+import { PERMISSIONS, hasPermission } from './roles.js';
+import { BAN_SCOPES, issueBan, liftBan, listAllBans, reviewAppeal, isBanActive, describeBanExpiry } from './bans.js';
+import { escapeHTML } from './html.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BAN_DURATIONS = [
+    { value: String(24 * HOUR_MS), label: '1 day' },
+    { value: String(3 * 24 * HOUR_MS), label: '3 days' },
+    { value: String(7 * 24 * HOUR_MS), label: '7 days' },
+    { value: String(30 * 24 * HOUR_MS), label: '30 days' },
+    { value: 'permanent', label: 'Permanent' },
+    { value: 'custom', label: 'Until...' }
+];
+const TARGET_PLACEHOLDERS = {
+    [BAN_SCOPES.ACCOUNT]: 'Email address',
+    [BAN_SCOPES.CHARACTER]: 'Character name',
+    [BAN_SCOPES.IP]: 'IP address'
+};
+const IP_PATTERN = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f:]+)$/i;
+
+/**
+ * Finds what a ban is aimed at from what the staff member typed.
+ * @param {'account'|'character'|'ip'} scope What is being banned.
+ * @param {string} input The email address, character name or IP address.
+ * @returns {Promise<{target: string, targetLabel: string, ownerUid: string|null}>}
+ */
+async function resolveBanTarget(scope, input) {
+    const backend = await getBackend();
+    const value = input.trim();
+    if (scope === BAN_SCOPES.ACCOUNT) {
+        const { users } = await backend.listUsers({ search: value, searchField: 'email', pageSize: 5 });
+        const account = users.find(user => user.emailLowercase === value.toLowerCase());
+        if (!account) throw new Error(`No account with the email address ${value}.`);
+        return { target: account.uid, targetLabel: account.email, ownerUid: account.uid };
+    }
+    if (scope === BAN_SCOPES.CHARACTER) {
+        const character = await backend.findCharacterByName(value.toLowerCase());
+        if (!character) throw new Error(`No character named ${value}.`);
+        return { target: character.id, targetLabel: character.charname, ownerUid: character.owner };
+    }
+    if (!IP_PATTERN.test(value)) throw new Error(`${value} is not an IP address.`);
+    return { target: value, targetLabel: value, ownerUid: null };
+}
+
+/**
+ * Describes where a ban stands.
+ * @param {import('./bans.js').BanRecord} ban The ban.
+ * @returns {string} The status cell's HTML.
+ */
+function renderBanStatus(ban) {
+    if (isBanActive(ban)) return '<span class="banned-yes">Active</span>';
+    if (ban.liftedAt && ban.liftedBy) return `<span class="text-gray-400">Lifted by ${escapeHTML(ban.liftedBy)}</span>`;
+    return '<span class="text-gray-400">Expired</span>';
+}
+
+/**
+ * Builds the table rows for one ban: the ban itself and, if it was appealed, a hidden review row.
+ * @param {import('./bans.js').BanRecord} ban The ban.
+ * @param {boolean} canReview Whether the viewer may review appeals.
+ * @returns {string} The rows' HTML.
+ */
+function renderBanRows(ban, canReview) {
+    const appealCell = ban.appeal
+        ? `<button data-ban-id="${escapeHTML(ban.id)}" class="action-btn-sm ${ban.appeal.status === 'pending' ? 'btn-yellow' : ''} show-appeal-btn">${ban.appeal.status === 'pending' ? 'Pending' : ban.appeal.status === 'accepted' ? 'Accepted' : 'Rejected'}</button>`
+        : '<span class="text-gray-500">None</span>';
+    const liftButton = isBanActive(ban) ? `<button data-ban-id="${escapeHTML(ban.id)}" class="action-btn-sm btn-green lift-ban-btn">Lift</button>` : '';
+
+    let reviewRow = '';
+    if (ban.appeal) {
+        const canDecide = canReview && ban.appeal.status === 'pending';
+        reviewRow = `
+            <tr id="appeal-${escapeHTML(ban.id)}" class="hidden">
+                <td colspan="8">
+                    <p class="text-sm text-gray-400">Appeal by ${escapeHTML(ban.appeal.email)} on ${new Date(ban.appeal.submittedAt).toLocaleString()}:</p>
+                    <p class="text-white whitespace-pre-wrap my-2">${escapeHTML(ban.appeal.message)}</p>
+                    ${ban.appeal.reviewedBy ? `<p class="text-sm text-gray-400">Reviewed by ${escapeHTML(ban.appeal.reviewedBy)}: ${escapeHTML(ban.appeal.response || '')}</p>` : ''}
+                    ${canDecide ? `
+                        <textarea data-ban-id="${escapeHTML(ban.id)}" rows="2" placeholder="Answer shown to the player (optional)" class="appeal-response w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white mt-2"></textarea>
+                        <div class="flex gap-2 mt-2">
+                            <button data-ban-id="${escapeHTML(ban.id)}" data-accept="true" class="action-btn-sm btn-green review-appeal-btn">Accept &amp; Lift</button>
+                            <button data-ban-id="${escapeHTML(ban.id)}" data-accept="false" class="action-btn-sm btn-red review-appeal-btn">Reject</button>
+                        </div>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    return `
+        <tr>
+            <td>${escapeHTML(ban.scope)}</td>
+            <td class="font-semibold text-white">${escapeHTML(ban.targetLabel)}</td>
+            <td>${escapeHTML(ban.reason)}</td>
+            <td><span class="block">${new Date(ban.startsAt).toLocaleString()}</span><span class="text-gray-400 text-sm">${escapeHTML(ban.issuedByEmail)}</span></td>
+            <td>${ban.expiresAt ? new Date(ban.expiresAt).toLocaleString() : 'Never'}</td>
+            <td>${renderBanStatus(ban)}</td>
+            <td>${appealCell}</td>
+            <td class="p-3">${liftButton}</td>
+        </tr>
+        ${reviewRow}
+    `;
+}
+
+/**
+ * Builds the bans tab inside the given container and loads the list.
+ * @param {HTMLElement} container The tab's element.
+ * @param {{role: string, uid: string}} viewer The signed-in staff member.
+ * @returns {Promise<{prefill: function({scope: string, target: string}): void}>}
+ *   Lets other tabs open the ban form for an account or character.
+ */
+export async function initBansTab(container, viewer) {
+    const canReview = hasPermission(viewer.role, PERMISSIONS.REVIEW_APPEALS);
+    container.innerHTML = `
+        <form id="ban-form" class="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-8">
+            <select name="scope" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                <option value="${BAN_SCOPES.ACCOUNT}">Account</option>
+                <option value="${BAN_SCOPES.CHARACTER}">Character</option>
+                <option value="${BAN_SCOPES.IP}">IP address</option>
+            </select>
+            <input name="target" required placeholder="${TARGET_PLACEHOLDERS[BAN_SCOPES.ACCOUNT]}" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            <input name="reason" required maxlength="500" placeholder="Reason (shown to the player)" class="md:col-span-2 bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            <div class="flex gap-2">
+                <select name="duration" class="flex-grow bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    ${BAN_DURATIONS.map(({ value, label }) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <input type="datetime-local" name="until" class="hidden bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </div>
+            <button type="submit" class="action-btn-sm btn-red">Ban</button>
+        </form>
+        <div class="flex justify-between items-center mb-4 gap-4">
+            <select id="ban-filter" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                <option value="active">Active bans</option>
+                <option value="appeals">Pending appeals</option>
+                <option value="all">All bans</option>
+            </select>
+            <button id="refresh-bans-btn" class="action-btn-sm btn-yellow">Refresh</button>
+        </div>
+        <table id="banTable" class="admin-table">
+            <thead>
+                <tr>
+                    <th>Scope</th>
+                    <th>Target</th>
+                    <th>Reason</th>
+                    <th>Issued</th>
+                    <th>Expires</th>
+                    <th>Status</th>
+                    <th>Appeal</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const form = container.querySelector('#ban-form');
+    const filterSelect = container.querySelector('#ban-filter');
+    const tbody = container.querySelector('tbody');
+    let bans = [];
+
+    const refresh = async () => {
+        bans = await listAllBans();
+        const now = Date.now();
+        const shown = bans.filter(ban => {
+            if (filterSelect.value === 'active') return isBanActive(ban, now);
+            if (filterSelect.value === 'appeals') return ban.appeal && ban.appeal.status === 'pending';
+            return true;
+        });
+        tbody.innerHTML = shown.length > 0
+            ? shown.map(ban => renderBanRows(ban, canReview)).join('')
+            : `<tr><td colspan="8" class="text-center p-4 text-gray-400">No bans match the filter.</td></tr>`;
+    };
+
+    const refreshAndReport = () => {
+        refresh().catch(error => {
+            console.error('[Admin] Failed to load bans:', error);
+            showInfoModal('Error', `Failed to load bans: ${escapeHTML(error.message)}`, { type: 'error' });
+        });
+    };
+
+    form.elements.scope.addEventListener('change', () => {
+        form.elements.target.placeholder = TARGET_PLACEHOLDERS[form.elements.scope.value];
+    });
+    form.elements.duration.addEventListener('change', () => {
+        const isCustom = form.elements.duration.value === 'custom';
+        form.elements.until.classList.toggle('hidden', !isCustom);
+        form.elements.until.required = isCustom;
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const { scope, target, reason, duration, until } = form.elements;
+        let expiresAt = null;
+        if (duration.value === 'custom') expiresAt = new Date(until.value).getTime();
+        else if (duration.value !== 'permanent') expiresAt = Date.now() + Number(duration.value);
+
+        try {
+            const resolved = await resolveBanTarget(scope.value, target.value);
+            const ban = await issueBan({ scope: scope.value, ...resolved, reason: reason.value, expiresAt });
+            form.reset();
+            form.elements.until.classList.add('hidden');
+            await refresh();
+            showSuccessModal('Banned', `${escapeHTML(ban.targetLabel)} is banned ${describeBanExpiry(ban)}.`, { autoClose: 2000 });
+        } catch (error) {
+            console.error('[Admin] Failed to ban:', error);
+            showInfoModal('Error', `Failed to ban: ${escapeHTML(error.message)}`, { type: 'error' });
+        }
+    });
+
+    filterSelect.addEventListener('change', refreshAndReport);
+    container.querySelector('#refresh-bans-btn').addEventListener('click', refreshAndReport);
+
+    tbody.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        const ban = bans.find(entry => entry.id === button.dataset.banId);
+        if (!ban) return;
+
+        if (button.classList.contains('show-appeal-btn')) {
+            container.querySelector(`#appeal-${CSS.escape(ban.id)}`).classList.toggle('hidden');
+            return;
+        }
+
+        if (button.classList.contains('lift-ban-btn')) {
+            showConfirmModal({
+                title: 'Lift Ban',
+                message: `Lift the ban on <span class="font-bold text-white">${escapeHTML(ban.targetLabel)}</span>?`,
+                confirmText: 'Lift',
+                onConfirm: async () => {
+                    try {
+                        await liftBan(ban);
+                        await refresh();
+                    } catch (error) {
+                        console.error('[Admin] Failed to lift ban:', error);
+                        showInfoModal('Error', `Failed to lift the ban: ${escapeHTML(error.message)}`, { type: 'error' });
+                    }
+                }
+            });
+            return;
+        }
+
+        if (button.classList.contains('review-appeal-btn')) {
+            const accepted = button.dataset.accept === 'true';
+            const response = container.querySelector(`.appeal-response[data-ban-id="${CSS.escape(ban.id)}"]`).value;
+            showConfirmModal({
+                title: accepted ? 'Accept Appeal' : 'Reject Appeal',
+                message: accepted
+                    ? `Accept the appeal and lift the ban on <span class="font-bold text-white">${escapeHTML(ban.targetLabel)}</span>?`
+                    : `Reject the appeal of <span class="font-bold text-white">${escapeHTML(ban.targetLabel)}</span>? The ban stays and can't be appealed again.`,
+                confirmText: accepted ? 'Accept' : 'Reject',
+                onConfirm: async () => {
+                    try {
+                        await reviewAppeal(ban, accepted, response);
+                        await refresh();
+                    } catch (error) {
+                        console.error('[Admin] Failed to review appeal:', error);
+                        showInfoModal('Error', `Failed to review the appeal: ${escapeHTML(error.message)}`, { type: 'error' });
+                    }
+                }
+            });
+        }
+    });
+
+    await refresh();
+
+    return {
+        prefill({ scope, target }) {
+            form.elements.scope.value = scope;
+            form.elements.target.value = target;
+            form.elements.target.placeholder = TARGET_PLACEHOLDERS[scope];
+            form.elements.reason.focus();
+        }
+    };
+}
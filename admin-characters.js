@@ -0,0 +1,233 @@
+// ========================================================================
+//  ADMIN CHARACTERS TAB
+// ========================================================================
+
+/**
+ * Opens any character by name and shows its status and storage the way the
+ * dashboard does. Staff can add items from the item catalog, remove items and
+ * change quantities and enchant levels; each change needs a reason and goes to
+ * the audit log (see character-editor.js).
+ */
+import { renderCharacterStatus, formatItemName, sortInventory } from './character-view.js';
+import { loadItemCatalog, searchItemCatalog } from './item-catalog.js';
+import {
+    inspectCharacter,
+    grantItem,
+    updateInventoryItem,
+    removeInventoryItem,
+    MAX_STACK_QUANTITY,
+    MAX_UNIQUE_ITEM_GRANT,
+    MAX_ENCHANT_LEVEL
+} from './character-editor.js';
+import { escapeHTML } from './html.js';
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Builds the table row for one inventory entry.
+ * @param {object} item The inventory entry.
+ * @returns {string} The row's HTML.
+ */
+function renderInventoryRow(item) {
+    const maxQuantity = item.stackable ? MAX_STACK_QUANTITY : Math.max(1, item.quantity);
+    const enchantCell = item.enchantment !== undefined
+        ? `<input type="number" name="enchantment" min="0" max="${MAX_ENCHANT_LEVEL}" value="${item.enchantment}" class="w-20 bg-gray-900/50 border border-gray-600 rounded-md p-1 text-white">`
+        : '<span class="text-gray-500">—</span>';
+    return `
+        <tr data-item-id="${escapeHTML(item.id)}" data-item-name="${escapeHTML(formatItemName(item))}">
+            <td class="font-semibold text-white">${escapeHTML(item.name)}</td>
+            <td>${item.itemId ?? '<span class="text-gray-500">—</span>'}</td>
+            <td>${enchantCell}</td>
+            <td><input type="number" name="quantity" min="1" max="${maxQuantity}" value="${item.quantity}" class="w-32 bg-gray-900/50 border border-gray-600 rounded-md p-1 text-white" ${maxQuantity === 1 ? 'disabled' : ''}></td>
+            <td class="p-3 flex gap-2">
+                <button class="action-btn-sm btn-green save-item-btn">Save</button>
+                <button class="action-btn-sm btn-red remove-item-btn">Remove</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the characters tab inside the given container.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<{open: function(string): Promise<void>}>} Lets other tabs open a character by name.
+ */
+export async function initCharactersTab(container) {
+    container.innerHTML = `
+        <form id="inspect-form" class="flex gap-2 mb-6">
+            <input name="charname" required placeholder="Character name" class="flex-grow bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            <button type="submit" class="action-btn-sm btn-yellow">Open</button>
+        </form>
+        <div id="inspector" class="hidden">
+            <div class="flex justify-between items-center mb-4 gap-4">
+                <p id="inspector-owner" class="text-gray-400"></p>
+                <button id="reload-character-btn" class="action-btn-sm">Reload</button>
+            </div>
+            <div id="inspector-status" class="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8"></div>
+            <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Character Storage</h2>
+            <label class="block text-sm text-gray-400 mb-4">Reason for changes (required, saved in the audit log)
+                <input id="inventory-reason" maxlength="500" placeholder="e.g. Restored the sword lost in ticket #123" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <table id="inventoryTable" class="admin-table mb-6">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Item ID</th>
+                        <th>Enchant</th>
+                        <th>Quantity</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <form id="grant-item-form" class="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+                <label class="md:col-span-2 text-sm text-gray-400">Add item
+                    <input name="search" autocomplete="off" placeholder="Search by name or item ID..." class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                </label>
+                <label class="md:col-span-2 text-sm text-gray-400">Match
+                    <select name="item" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></select>
+                </label>
+                <label class="text-sm text-gray-400">Quantity / Enchant
+                    <span class="flex gap-2">
+                        <input type="number" name="quantity" min="1" value="1" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                        <input type="number" name="enchantment" min="0" max="${MAX_ENCHANT_LEVEL}" value="0" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    </span>
+                </label>
+                <button type="submit" class="action-btn-sm btn-green">Add</button>
+            </form>
+        </div>
+    `;
+    const inspectForm = container.querySelector('#inspect-form');
+    const inspector = container.querySelector('#inspector');
+    const tbody = container.querySelector('#inventoryTable tbody');
+    const reasonInput = container.querySelector('#inventory-reason');
+    const grantForm = container.querySelector('#grant-item-form');
+    let character = null;
+    let ownerLabel = '';
+    let matches = [];
+    let catalog = null; // The item catalog, for the equipment's bonuses, once loaded.
+
+    /**
+     * Shows a character.
+     * @param {object} shown The character document.
+     */
+    const render = (shown) => {
+        character = shown;
+        container.querySelector('#inspector-owner').innerHTML = `<span class="font-bold text-white">${escapeHTML(character.charname)}</span>, owned by ${escapeHTML(ownerLabel)}`;
+        container.querySelector('#inspector-status').innerHTML = renderCharacterStatus(character, catalog, { properties: window.serverProperties });
+        const inventory = sortInventory([...(character.inventory || [])]);
+        tbody.innerHTML = inventory.length > 0
+            ? inventory.map(renderInventoryRow).join('')
+            : `<tr><td colspan="5" class="text-center p-4 text-gray-400">The storage is empty.</td></tr>`;
+        inspector.classList.remove('hidden');
+    };
+
+    /**
+     * Opens a character by name.
+     * @param {string} name The character's name.
+     * @returns {Promise<void>}
+     */
+    const open = async (name) => {
+        inspectForm.elements.charname.value = name;
+        try {
+            const { character: found, ownerEmail } = await inspectCharacter(name);
+            ownerLabel = ownerEmail || found.owner;
+            render(found);
+        } catch (error) {
+            console.error('[Admin] Failed to open character:', error);
+            showInfoModal('Error', `Could not open the character: ${escapeHTML(error.message)}`, { type: 'error' });
+        }
+    };
+
+    /**
+     * Runs an inventory edit and shows the result.
+     * @param {function(string): Promise<object>} edit Makes the change with the given reason.
+     * @param {string} successMessage Shown when it worked.
+     */
+    const runEdit = async (edit, successMessage) => {
+        const reason = reasonInput.value.trim();
+        if (!reason) {
+            showInfoModal('Reason Required', 'Please enter a reason for the change first. It is saved in the audit log.', { type: 'error' });
+            reasonInput.focus();
+            return;
+        }
+        try {
+            render(await edit(reason));
+            showSuccessModal('Saved', successMessage, { autoClose: 2000 });
+        } catch (error) {
+            console.error('[Admin] Failed to change the inventory:', error);
+            showInfoModal('Error', `The change was not saved: ${escapeHTML(error.message)}`, { type: 'error' });
+        }
+    };
+
+    inspectForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        open(inspectForm.elements.charname.value);
+    });
+    container.querySelector('#reload-character-btn').addEventListener('click', () => open(character.charname));
+
+    tbody.addEventListener('click', (event) => {
+        const row = event.target.closest('tr[data-item-id]');
+        if (!row) return;
+        const itemId = row.dataset.itemId;
+
+        if (event.target.closest('.save-item-btn')) {
+            const quantity = Number(row.querySelector('[name="quantity"]').value);
+            const enchantInput = row.querySelector('[name="enchantment"]');
+            const changes = { quantity, enchantment: enchantInput ? Number(enchantInput.value) : undefined };
+            runEdit(reason => updateInventoryItem(character.id, itemId, changes, reason), `${escapeHTML(row.dataset.itemName)} has been updated.`);
+            return;
+        }
+
+        if (event.target.closest('.remove-item-btn')) {
+            showConfirmModal({
+                title: 'Remove Item',
+                message: `Remove <span class="font-bold text-white">${escapeHTML(row.dataset.itemName)}</span> from ${escapeHTML(character.charname)}?`,
+                confirmText: 'Remove',
+                onConfirm: () => runEdit(reason => removeInventoryItem(character.id, itemId, reason), `${escapeHTML(row.dataset.itemName)} has been removed.`)
+            });
+        }
+    });
+
+    // --- Add Item ---
+    /** Fits the quantity and enchant inputs to the chosen item. */
+    const updateGrantInputs = () => {
+        const item = matches[grantForm.elements.item.selectedIndex];
+        grantForm.elements.quantity.max = item && item.stackable ? MAX_STACK_QUANTITY : MAX_UNIQUE_ITEM_GRANT;
+        grantForm.elements.enchantment.disabled = !item || !item.enchantable;
+    };
+
+    let searchTimer = null;
+    grantForm.elements.search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(async () => {
+            try {
+                matches = searchItemCatalog(await loadItemCatalog(), grantForm.elements.search.value);
+            } catch (error) {
+                console.error('[Admin] Failed to load the item catalog:', error);
+                matches = [];
+            }
+            grantForm.elements.item.innerHTML = matches
+                .map(item => `<option>${escapeHTML(item.name)} (#${item.itemId}, ${escapeHTML(item.category)}${item.stackable ? ', stackable' : ''})</option>`)
+                .join('');
+            updateGrantInputs();
+        }, SEARCH_DELAY_MS);
+    });
+    grantForm.elements.item.addEventListener('change', updateGrantInputs);
+
+    grantForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const item = matches[grantForm.elements.item.selectedIndex];
+        if (!item) return;
+        const options = { quantity: Number(grantForm.elements.quantity.value), enchantment: Number(grantForm.elements.enchantment.value) };
+        runEdit(reason => grantItem(character.id, item, options, reason), `${escapeHTML(item.name)} has been added.`);
+    });
+    updateGrantInputs();
+
+    // Start reading the item files while the first character is looked up.
+    loadItemCatalog().then(loaded => {
+        catalog = loaded;
+        if (character) render(character);
+    }).catch(error => console.error('[Admin] Failed to load the item catalog:', error));
+    return { open };
+}
@@ -0,0 +1,223 @@
+// ========================================================================
+//  ADMIN GIFTS TAB
+// ========================================================================
+
+/**
+ * Sends items from the item catalog with a message to a character, to every
+ * character of an account or to every character on the server (see
+ * gifts.js), and lists what has been sent with who has claimed it.
+ */
+import { loadItemCatalog, searchItemCatalog } from './item-catalog.js';
+import { MAX_STACK_QUANTITY, MAX_UNIQUE_ITEM_GRANT, MAX_ENCHANT_LEVEL } from './character-editor.js';
+import {
+    GIFT_RECIPIENTS,
+    MAX_GIFT_MESSAGE_LENGTH,
+    toGiftItems,
+    describeGiftItems,
+    sendGift,
+    listGiftBatches
+} from './gifts.js';
+import { escapeHTML } from './html.js';
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Builds the table row for one sending.
+ * @param {{batchId: string, gifts: import('./gifts.js').GiftRecord[]}} batch The sending.
+ * @returns {string} The row's HTML.
+ */
+function renderBatchRow({ gifts }) {
+    const first = gifts[0];
+    const claimed = gifts.filter(gift => gift.claimedAt);
+    return `
+        <tr>
+            <td>${new Date(first.sentAt).toLocaleString()}<span class="block text-gray-400 text-sm">${escapeHTML(first.sentByEmail)}</span></td>
+            <td><span class="font-semibold text-white">${escapeHTML(first.recipientsLabel)}</span><span class="block text-gray-400 text-sm">${gifts.length} character${gifts.length === 1 ? '' : 's'}</span></td>
+            <td>${escapeHTML(describeGiftItems(first.items))}<span class="block text-gray-400 text-sm whitespace-pre-line">${escapeHTML(first.message)}</span></td>
+            <td>
+                <details>
+                    <summary class="cursor-pointer">${claimed.length} of ${gifts.length} claimed</summary>
+                    <ul class="text-sm mt-2 space-y-1">
+                        ${gifts.map(gift => `<li>${escapeHTML(gift.characterName)}: ${gift.claimedAt
+                            ? `<span class="text-green-400">${new Date(gift.claimedAt).toLocaleString()}</span>`
+                            : '<span class="text-gray-500">not yet</span>'}</li>`).join('')}
+                    </ul>
+                </details>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the gifts tab inside the given container.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<void>}
+ */
+export async function initGiftsTab(container) {
+    container.innerHTML = `
+        <form id="gift-form" class="space-y-4 mb-8">
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <label class="text-sm text-gray-400">Send to
+                    <select name="recipients" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                        <option value="${GIFT_RECIPIENTS.CHARACTER}">One character</option>
+                        <option value="${GIFT_RECIPIENTS.ACCOUNT}">Every character of an account</option>
+                        <option value="${GIFT_RECIPIENTS.SERVER}">Every character on the server</option>
+                    </select>
+                </label>
+                <label class="md:col-span-2 text-sm text-gray-400">Recipient
+                    <input name="target" placeholder="Character name" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                </label>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+                <label class="md:col-span-2 text-sm text-gray-400">Add item
+                    <input name="search" autocomplete="off" placeholder="Search by name or item ID..." class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                </label>
+                <label class="md:col-span-2 text-sm text-gray-400">Match
+                    <select name="item" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></select>
+                </label>
+                <label class="text-sm text-gray-400">Quantity / Enchant
+                    <span class="flex gap-2">
+                        <input type="number" name="quantity" min="1" value="1" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                        <input type="number" name="enchantment" min="0" max="${MAX_ENCHANT_LEVEL}" value="0" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    </span>
+                </label>
+                <button type="button" id="add-gift-item-btn" class="action-btn-sm">Add</button>
+            </div>
+            <ul id="gift-items" class="space-y-1"></ul>
+            <label class="block text-sm text-gray-400">Message to the players (required)
+                <textarea name="message" rows="3" required maxlength="${MAX_GIFT_MESSAGE_LENGTH}" placeholder="e.g. Thank you for your patience during today's maintenance!" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></textarea>
+            </label>
+            <button type="submit" class="action-btn-sm btn-green">Send Gift</button>
+        </form>
+        <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Sent Gifts</h2>
+        <table id="giftsTable" class="admin-table">
+            <thead>
+                <tr>
+                    <th>Sent</th>
+                    <th>To</th>
+                    <th>Items &amp; Message</th>
+                    <th>Claims</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const form = container.querySelector('#gift-form');
+    const itemList = container.querySelector('#gift-items');
+    const tbody = container.querySelector('#giftsTable tbody');
+    let matches = [];
+    let picks = [];
+
+    /** Loads the sent gifts. */
+    const loadBatches = async () => {
+        const batches = await listGiftBatches();
+        tbody.innerHTML = batches.length > 0
+            ? batches.map(renderBatchRow).join('')
+            : `<tr><td colspan="4" class="text-center p-4 text-gray-400">No gifts have been sent yet.</td></tr>`;
+    };
+
+    /** Shows the items picked so far. */
+    const renderPicks = () => {
+        itemList.innerHTML = picks.map((pick, index) => `
+            <li class="flex justify-between items-center bg-gray-800/60 rounded-md px-3 py-1">
+                <span class="text-white">${pick.quantity.toLocaleString()} x ${pick.catalogItem.enchantable ? `+${pick.enchantment} ` : ''}${escapeHTML(pick.catalogItem.name)} <span class="text-gray-400">(#${pick.catalogItem.itemId})</span></span>
+                <button type="button" data-index="${index}" class="remove-gift-item-btn action-btn-sm btn-red">Remove</button>
+            </li>
+        `).join('');
+    };
+
+    /** Fits the recipient input to the chosen kind of recipient. */
+    const updateTargetInput = () => {
+        const recipients = form.elements.recipients.value;
+        form.elements.target.disabled = recipients === GIFT_RECIPIENTS.SERVER;
+        form.elements.target.placeholder = recipients === GIFT_RECIPIENTS.ACCOUNT ? 'Account email' : (recipients === GIFT_RECIPIENTS.SERVER ? 'Everyone' : 'Character name');
+    };
+
+    /** Fits the quantity and enchant inputs to the chosen item. */
+    const updateItemInputs = () => {
+        const item = matches[form.elements.item.selectedIndex];
+        form.elements.quantity.max = item && item.stackable ? MAX_STACK_QUANTITY : MAX_UNIQUE_ITEM_GRANT;
+        form.elements.enchantment.disabled = !item || !item.enchantable;
+    };
+
+    form.elements.recipients.addEventListener('change', updateTargetInput);
+
+    let searchTimer = null;
+    form.elements.search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(async () => {
+            try {
+                matches = searchItemCatalog(await loadItemCatalog(), form.elements.search.value);
+            } catch (error) {
+                console.error('[Admin] Failed to load the item catalog:', error);
+                matches = [];
+            }
+            form.elements.item.innerHTML = matches
+                .map(item => `<option>${escapeHTML(item.name)} (#${item.itemId}, ${escapeHTML(item.category)}${item.stackable ? ', stackable' : ''})</option>`)
+                .join('');
+            updateItemInputs();
+        }, SEARCH_DELAY_MS);
+    });
+    form.elements.item.addEventListener('change', updateItemInputs);
+
+    container.querySelector('#add-gift-item-btn').addEventListener('click', () => {
+        const catalogItem = matches[form.elements.item.selectedIndex];
+        if (!catalogItem) return;
+        const pick = { catalogItem, quantity: Number(form.elements.quantity.value), enchantment: Number(form.elements.enchantment.value) };
+        try {
+            toGiftItems([pick]); // Checks the quantity and enchant level.
+        } catch (error) {
+            showInfoModal('Invalid Item', escapeHTML(error.message), { type: 'error' });
+            return;
+        }
+        picks.push(pick);
+        renderPicks();
+    });
+
+    itemList.addEventListener('click', (event) => {
+        const button = event.target.closest('.remove-gift-item-btn');
+        if (!button) return;
+        picks.splice(Number(button.dataset.index), 1);
+        renderPicks();
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const recipients = form.elements.recipients.value;
+        const target = form.elements.target.value.trim();
+        let items;
+        try {
+            items = toGiftItems(picks);
+        } catch (error) {
+            showInfoModal('Nothing to Send', escapeHTML(error.message), { type: 'error' });
+            return;
+        }
+        const recipientLabel = recipients === GIFT_RECIPIENTS.SERVER
+            ? 'every character on the server'
+            : (recipients === GIFT_RECIPIENTS.ACCOUNT ? `every character of ${escapeHTML(target)}` : escapeHTML(target));
+
+        showConfirmModal({
+            title: 'Send Gift',
+            message: `Send <span class="font-bold text-white">${escapeHTML(describeGiftItems(items))}</span> to ${recipientLabel}?`,
+            confirmText: 'Send',
+            onConfirm: async () => {
+                try {
+                    const gifts = await sendGift({ recipients, target, items, message: form.elements.message.value });
+                    showSuccessModal('Gift Sent', `The gift has been sent to ${gifts.length} character${gifts.length === 1 ? '' : 's'}.`);
+                    picks = [];
+                    renderPicks();
+                    form.elements.message.value = '';
+                    await loadBatches();
+                } catch (error) {
+                    console.error('[Admin] Failed to send the gift:', error);
+                    showInfoModal('Error', `The gift was not sent: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    updateTargetInput();
+    updateItemInputs();
+    loadItemCatalog().catch(error => console.error('[Admin] Failed to load the item catalog:', error));
+    await loadBatches();
+}
@@ -0,0 +1,97 @@
+// ========================================================================
+//  ADMIN LOCKOUTS TAB
+// ========================================================================
+
+/**
+ * Lists the accounts and clients that are locked out after failed logins, or
+ * are on their way to it, and lets an admin lift the lock.
+ */
+import { listLoginLocks, unlockLogin } from './login-throttle.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Builds the table row for one account or client.
+ * @param {import('./login-throttle.js').LoginAttemptsRecord} record The failed-login record.
+ * @returns {string} The row's HTML.
+ */
+function renderLockoutRow(record) {
+    const status = record.lockedUntil
+        ? `<span class="banned-yes">Locked until ${new Date(record.lockedUntil).toLocaleString()}</span>`
+        : '<span class="text-yellow-400">Failing</span>';
+    return `
+        <tr>
+            <td class="font-semibold text-white">${escapeHTML(record.label)}</td>
+            <td>${record.kind === 'account' ? 'Account' : 'Client'}</td>
+            <td>${record.failures}</td>
+            <td>${new Date(record.lastFailureAt).toLocaleString()}</td>
+            <td>${status}</td>
+            <td class="p-3">
+                <button data-key="${escapeHTML(record.key)}" data-label="${escapeHTML(record.label)}" class="action-btn-sm btn-green unlock-login-btn">${record.lockedUntil ? 'Unlock' : 'Reset'}</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the lockouts tab inside the given container and loads the list.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<void>}
+ */
+export async function initLockoutsTab(container) {
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-6 gap-4">
+            <p class="text-gray-400 text-sm">Accounts and clients with recent failed logins. Locks end by themselves after LOGIN_LOCKOUT_MINUTES.</p>
+            <button id="refresh-lockouts-btn" class="action-btn-sm btn-yellow">Refresh</button>
+        </div>
+        <table id="lockoutTable" class="admin-table">
+            <thead>
+                <tr>
+                    <th>Account / Client</th>
+                    <th>Type</th>
+                    <th>Failures</th>
+                    <th>Last Failure</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const tbody = container.querySelector('tbody');
+
+    const refresh = async () => {
+        const records = await listLoginLocks();
+        tbody.innerHTML = records.length > 0
+            ? records.map(renderLockoutRow).join('')
+            : `<tr><td colspan="6" class="text-center p-4 text-gray-400">No accounts or clients have recent failed logins.</td></tr>`;
+    };
+
+    container.querySelector('#refresh-lockouts-btn').addEventListener('click', () => {
+        refresh().catch(error => {
+            console.error('[Admin] Failed to load lockouts:', error);
+            showInfoModal('Error', 'Failed to load lockouts. Please try again later.', { type: 'error' });
+        });
+    });
+
+    tbody.addEventListener('click', (event) => {
+        const button = event.target.closest('.unlock-login-btn');
+        if (!button) return;
+        showConfirmModal({
+            title: 'Unlock Login',
+            message: `Clear the failed logins of <span class="font-bold text-white">${escapeHTML(button.dataset.label)}</span>? They can try to log in again immediately.`,
+            confirmText: 'Unlock',
+            onConfirm: async () => {
+                try {
+                    await unlockLogin(button.dataset.key);
+                    await refresh();
+                    showSuccessModal('Unlocked', `${escapeHTML(button.dataset.label)} can log in again.`, { autoClose: 2000 });
+                } catch (error) {
+                    console.error('[Admin] Failed to unlock login:', error);
+                    showInfoModal('Error', `Failed to unlock: ${escapeHTML(error.message)}`, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    await refresh();
+}
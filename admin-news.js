@@ -0,0 +1,408 @@
+// ========================================================================
+//  ADMIN NEWS TAB
+// ========================================================================
+
+/**
+ * Edits the homepage news file (NEWS_FILE_PATH): write posts with a live
+ * preview, keep them as drafts, schedule them for later, pin them and file them
+ * under a category. Changes are made to a working copy and written together
+ * with Save, to a download or to NEWS_SAVE_URL, the same way the settings tab
+ * saves server.properties.
+ */
+import {
+    NEWS_CATEGORIES,
+    NEWS_CATEGORY_LABELS,
+    NEWS_STATUSES,
+    formatNewsDate,
+    isNewsPostVisible,
+    renderNewsArticle
+} from './news.js';
+import { loadServerProperties } from './server-properties.js';
+import { getBackend } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+import { escapeHTML } from './html.js';
+
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * Formats a time for a datetime-local input.
+ * @param {string|number} time The time.
+ * @returns {string} "YYYY-MM-DDTHH:MM" in local time.
+ */
+function toDateTimeInputValue(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Describes where a post stands.
+ * @param {import('./news.js').NewsPost} post The post.
+ * @returns {string} The status cell's HTML.
+ */
+function renderStatus(post) {
+    if (post.status === NEWS_STATUSES.DRAFT) return '<span class="text-gray-400">Draft</span>';
+    if (!isNewsPostVisible(post)) return `<span class="text-yellow-400">Scheduled for ${escapeHTML(new Date(post.publishAt).toLocaleString())}</span>`;
+    return '<span class="text-green-400">Published</span>';
+}
+
+/**
+ * Checks a post before the file is saved.
+ * @param {import('./news.js').NewsPost} post The post.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function validatePost(post) {
+    if (!post.title) return 'The title is required.';
+    if (post.title.length > MAX_TITLE_LENGTH) return `The title must be at most ${MAX_TITLE_LENGTH} characters.`;
+    if (!post.summary) return 'The summary is required.';
+    if (post.publishAt && Number.isNaN(Date.parse(post.publishAt))) return 'The publish time is not a valid date.';
+    return null;
+}
+
+/**
+ * Sets up the news tab inside the given container.
+ * @param {HTMLElement} container The element the editor is rendered into.
+ * @returns {Promise<void>}
+ */
+export async function initNewsTab(container) {
+    const properties = await loadServerProperties();
+    const newsPath = properties.NEWS_FILE_PATH || 'news.json';
+
+    /** @type {Map<string, {label: string, confirm?: boolean, save: function(string): Promise<void>}>} */
+    const storageBackends = new Map();
+    storageBackends.set('download', {
+        label: 'Download file',
+        save: async (text) => {
+            const blob = new Blob([text], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = newsPath.split('/').pop();
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        }
+    });
+    if (properties.NEWS_SAVE_URL) {
+        storageBackends.set('endpoint', {
+            label: `Server (${properties.NEWS_SAVE_URL})`,
+            confirm: true,
+            save: async (text) => {
+                // The ID token lets the endpoint check for itself that the caller is an admin.
+                const authBackend = await getBackend();
+                const response = await fetch(properties.NEWS_SAVE_URL, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${await authBackend.getIdToken()}` },
+                    body: text
+                });
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        });
+    }
+
+    container.innerHTML = `
+        <div class="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
+            <p class="text-gray-400">Editing <span class="font-mono">${escapeHTML(newsPath)}</span>. Drafts and scheduled posts are kept in the same file but hidden on the homepage.</p>
+            <div class="flex items-center gap-3">
+                <label for="news-storage" class="text-gray-300">Save to</label>
+                <select id="news-storage" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    ${[...storageBackends.entries()].map(([id, backend]) => `<option value="${id}">${escapeHTML(backend.label)}</option>`).join('')}
+                </select>
+                <button id="news-save-btn" class="action-btn-sm btn-green" disabled>Save</button>
+                <button id="news-reset-btn" class="action-btn-sm btn-yellow" disabled>Discard</button>
+            </div>
+        </div>
+        <div class="flex justify-between items-center mb-2">
+            <p id="news-issues" class="text-sm text-red-400"></p>
+            <button id="new-post-btn" class="action-btn-sm">New Post</button>
+        </div>
+        <table id="newsTable" class="admin-table mb-8">
+            <thead>
+                <tr>
+                    <th>Title</th>
+                    <th>Category</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <div id="news-editor" class="grid grid-cols-1 lg:grid-cols-2 gap-6 hidden">
+            <form id="news-form" class="space-y-4">
+                <label class="block text-sm text-gray-400">Title
+                    <input name="title" required maxlength="${MAX_TITLE_LENGTH}" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                </label>
+                <div class="grid grid-cols-2 gap-4">
+                    <label class="block text-sm text-gray-400">Category
+                        <select name="category" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                            <option value="">None</option>
+                            ${Object.values(NEWS_CATEGORIES).map(category => `<option value="${category}">${NEWS_CATEGORY_LABELS[category]}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="block text-sm text-gray-400">Status
+                        <select name="status" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                            <option value="${NEWS_STATUSES.DRAFT}">Draft</option>
+                            <option value="${NEWS_STATUSES.PUBLISHED}">Published</option>
+                        </select>
+                    </label>
+                    <label class="block text-sm text-gray-400">Publish at (leave blank for straight away)
+                        <input type="datetime-local" name="publishAt" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    </label>
+                    <label class="flex items-center gap-2 cursor-pointer mt-6">
+                        <input type="checkbox" name="pinned" class="h-5 w-5 rounded border-gray-500 bg-gray-700 text-yellow-500 focus:ring-yellow-600">
+                        <span class="text-gray-300">Pinned to the top</span>
+                    </label>
+                </div>
+                <label class="block text-sm text-gray-400">Summary (HTML, always shown)
+                    <textarea name="summary" rows="4" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white font-mono text-sm"></textarea>
+                </label>
+                <label class="block text-sm text-gray-400">Full text (plain text, shown by "Read More")
+                    <textarea name="fullText" rows="6" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></textarea>
+                </label>
+            </form>
+            <div>
+                <h2 class="text-xl font-bold text-yellow-400 mb-2 text-shadow">Preview</h2>
+                <article id="news-preview" class="news-item" style="--item-index: 0"></article>
+            </div>
+        </div>
+    `;
+
+    const tbody = container.querySelector('#newsTable tbody');
+    const editor = container.querySelector('#news-editor');
+    const form = container.querySelector('#news-form');
+    const preview = container.querySelector('#news-preview');
+    const issuesEl = container.querySelector('#news-issues');
+    const storageSelect = container.querySelector('#news-storage');
+    const saveBtn = container.querySelector('#news-save-btn');
+    const resetBtn = container.querySelector('#news-reset-btn');
+
+    /** @type {import('./news.js').NewsPost[]} */
+    let posts = [];
+    let originalPosts = new Map(); // By ID, as they are in the file.
+    let selectedId = null;
+
+    /**
+     * Lists the posts that differ from the file, by ID.
+     * @returns {{before: object, after: object}} The changed posts as they were (null if new) and as they are now (null if deleted).
+     */
+    const collectChanges = () => {
+        const before = {};
+        const after = {};
+        const current = new Map(posts.map(post => [post.id, post]));
+        new Set([...originalPosts.keys(), ...current.keys()]).forEach(id => {
+            const oldPost = originalPosts.get(id) || null;
+            const newPost = current.get(id) || null;
+            if (JSON.stringify(oldPost) === JSON.stringify(newPost)) return;
+            before[id] = oldPost;
+            after[id] = newPost;
+        });
+        return { before, after };
+    };
+
+    /** Redraws the post list and the preview, and works out whether the file can be saved. */
+    const refresh = () => {
+        tbody.innerHTML = posts.length > 0
+            ? posts.map(post => `
+                <tr data-post-id="${escapeHTML(post.id)}" class="${post.id === selectedId ? 'bg-yellow-900/30' : ''}">
+                    <td class="font-semibold text-white">${post.pinned ? '<span title="Pinned">📌</span> ' : ''}${escapeHTML(post.title || '(untitled)')}</td>
+                    <td>${escapeHTML(NEWS_CATEGORY_LABELS[post.category] || '—')}</td>
+                    <td>${escapeHTML(post.date)}</td>
+                    <td>${renderStatus(post)}</td>
+                    <td class="p-3 flex gap-2">
+                        <button class="action-btn-sm btn-yellow edit-post-btn">Edit</button>
+                        <button class="action-btn-sm btn-red delete-post-btn">Delete</button>
+                    </td>
+                </tr>`).join('')
+            : `<tr><td colspan="5" class="text-center p-4 text-gray-400">There are no posts yet.</td></tr>`;
+
+        const selected = posts.find(post => post.id === selectedId);
+        editor.classList.toggle('hidden', !selected);
+        if (selected) preview.innerHTML = renderNewsArticle(selected);
+
+        const issues = posts
+            .map(post => ({ post, error: validatePost(post) }))
+            .filter(({ error }) => error)
+            .map(({ post, error }) => `"${post.title || '(untitled)'}": ${error}`);
+        issuesEl.textContent = issues.join(' ');
+
+        const changed = Object.keys(collectChanges().after).length > 0;
+        saveBtn.disabled = !changed || issues.length > 0;
+        resetBtn.disabled = !changed;
+    };
+
+    /**
+     * Opens a post in the editor.
+     * @param {string} id The post's ID.
+     */
+    const selectPost = (id) => {
+        selectedId = id;
+        const post = posts.find(entry => entry.id === id);
+        form.elements.title.value = post.title;
+        form.elements.category.value = post.category || '';
+        form.elements.status.value = post.status;
+        form.elements.publishAt.value = post.publishAt ? toDateTimeInputValue(post.publishAt) : '';
+        form.elements.pinned.checked = Boolean(post.pinned);
+        form.elements.summary.value = post.summary;
+        form.elements.fullText.value = post.fullText;
+        refresh();
+    };
+
+    /** Copies the form into the selected post. */
+    const applyForm = () => {
+        const post = posts.find(entry => entry.id === selectedId);
+        if (!post) return;
+        const publishAt = form.elements.publishAt.value ? new Date(form.elements.publishAt.value).toISOString() : null;
+        Object.assign(post, {
+            title: form.elements.title.value.trim(),
+            category: form.elements.category.value || null,
+            status: form.elements.status.value,
+            pinned: form.elements.pinned.checked,
+            summary: form.elements.summary.value.trim(),
+            fullText: form.elements.fullText.value.trim()
+        });
+        // The shown date follows the publish time; posts published straight away keep theirs.
+        if (publishAt !== post.publishAt && publishAt) post.date = formatNewsDate(publishAt);
+        post.publishAt = publishAt;
+        refresh();
+    };
+
+    /** Loads the news file and starts over from it. */
+    const loadFile = async () => {
+        const response = await fetch(`${newsPath}?v=${Date.now()}`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const filePosts = await response.json();
+        if (!Array.isArray(filePosts)) throw new Error(`${newsPath} does not contain a list of posts.`);
+
+        // Posts written by hand have none of the editor's fields yet.
+        posts = filePosts.map(post => ({
+            id: post.id || crypto.randomUUID(),
+            title: post.title || '',
+            date: post.date || '',
+            summary: post.summary || '',
+            fullText: post.fullText || '',
+            status: post.status === NEWS_STATUSES.DRAFT ? NEWS_STATUSES.DRAFT : NEWS_STATUSES.PUBLISHED,
+            publishAt: post.publishAt || null,
+            pinned: Boolean(post.pinned),
+            category: post.category || null
+        }));
+        originalPosts = new Map(posts.map(post => [post.id, { ...post }]));
+        selectedId = null;
+        refresh();
+    };
+
+    form.addEventListener('input', applyForm);
+    form.addEventListener('change', (event) => {
+        // Publishing a post with no time set dates it today.
+        if (event.target.name === 'status' && form.elements.status.value === NEWS_STATUSES.PUBLISHED && !form.elements.publishAt.value) {
+            form.elements.publishAt.value = toDateTimeInputValue(Date.now());
+        }
+        applyForm();
+    });
+    form.addEventListener('submit', event => event.preventDefault());
+
+    // The preview's "Read More" link works like the homepage's.
+    preview.addEventListener('click', (event) => {
+        const link = event.target.closest('.news-toggle-link');
+        if (!link) return;
+        event.preventDefault();
+        const content = link.closest('.news-content');
+        content.classList.toggle('expanded');
+        link.textContent = content.classList.contains('expanded') ? 'Read Less...' : 'Read More...';
+    });
+
+    container.querySelector('#new-post-btn').addEventListener('click', () => {
+        const post = {
+            id: crypto.randomUUID(),
+            title: '',
+            date: formatNewsDate(Date.now()),
+            summary: '',
+            fullText: '',
+            status: NEWS_STATUSES.DRAFT,
+            publishAt: null,
+            pinned: false,
+            category: null
+        };
+        posts.unshift(post);
+        selectPost(post.id);
+        form.elements.title.focus();
+    });
+
+    tbody.addEventListener('click', (event) => {
+        const row = event.target.closest('tr[data-post-id]');
+        if (!row) return;
+        const post = posts.find(entry => entry.id === row.dataset.postId);
+
+        if (event.target.closest('.edit-post-btn')) {
+            selectPost(post.id);
+            return;
+        }
+
+        if (event.target.closest('.delete-post-btn')) {
+            showConfirmModal({
+                title: 'Delete Post',
+                message: `Delete <span class="font-bold text-white">${escapeHTML(post.title || '(untitled)')}</span>? It is removed from the file when you save.`,
+                confirmText: 'Delete',
+                onConfirm: () => {
+                    posts = posts.filter(entry => entry !== post);
+                    if (selectedId === post.id) selectedId = null;
+                    refresh();
+                }
+            });
+        }
+    });
+
+    resetBtn.addEventListener('click', () => {
+        loadFile().catch(error => {
+            console.error('[Admin] Failed to reload the news file:', error);
+            showInfoModal('Error', `The news file could not be loaded: ${escapeHTML(error.message)}`, { type: 'error' });
+        });
+    });
+
+    saveBtn.addEventListener('click', () => {
+        refresh();
+        if (saveBtn.disabled) return;
+        const backendId = storageSelect.value;
+        const backend = storageBackends.get(backendId);
+        const { before, after } = collectChanges();
+        const text = `${JSON.stringify(posts, null, 2)}\n`;
+
+        const save = async () => {
+            try {
+                await requirePermission(PERMISSIONS.EDIT_NEWS);
+                await backend.save(text);
+                console.log(`[Admin] ${newsPath} saved via "${backendId}".`);
+                if (backendId === 'download') return; // The file on the server is unchanged.
+                const titles = Object.keys(after).map(id => (after[id] || before[id]).title);
+                await recordAuditEntry({
+                    action: AUDIT_ACTIONS.NEWS_EDITED,
+                    targetType: 'news',
+                    targetId: newsPath,
+                    targetLabel: `${newsPath} (${backend.label})`,
+                    before,
+                    after,
+                    summary: `Changed ${titles.length} news post${titles.length === 1 ? '' : 's'}: ${titles.join(', ')}.`
+                });
+                showSuccessModal('News Saved', 'The news has been saved. The homepage shows it on the next page load.');
+                await loadFile();
+            } catch (error) {
+                console.error('[Admin] Failed to save the news file:', error);
+                showInfoModal('Save Failed', `The news could not be saved: ${escapeHTML(error.message)}`, { type: 'error' });
+            }
+        };
+
+        if (backend.confirm) {
+            showConfirmModal({
+                title: 'Save News',
+                message: `Overwrite ${escapeHTML(newsPath)} using <span class="font-bold text-white">${escapeHTML(backend.label)}</span>?`,
+                confirmText: 'Save',
+                onConfirm: save
+            });
+        } else {
+            save();
+        }
+    });
+
+    await loadFile();
+}
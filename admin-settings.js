@@ -0,0 +1,364 @@
+// ========================================================================
+//  ADMIN SETTINGS TAB (SERVER.PROPERTIES EDITOR)
+// ========================================================================
+
+/**
+ * Renders every key in PROPERTY_SCHEMA as a typed form control, validates the
+ * input with the same rules the site uses when it loads the file, shows a line
+ * diff against the current `server.properties` and hands the new file to a
+ * storage backend (a download by default).
+ *
+ * Only the base `server.properties` is edited; profile overlays are left alone.
+ */
+import {
+    PROPERTY_SCHEMA,
+    coercePropertyValue,
+    formatPropertyValue,
+    parseServerProperties,
+    updatePropertiesText,
+    loadServerProperties
+} from './server-properties.js';
+import { getBackend } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * @typedef {object} SettingsStorageBackend
+ * @property {string} label The name shown in the "Save to" list.
+ * @property {function(string): Promise<void>} save Stores the new file contents. Throws on failure.
+ * @property {boolean} [confirm] If true, the admin is asked to confirm before saving.
+ */
+
+/** @type {Map<string, SettingsStorageBackend>} */
+const storageBackends = new Map();
+
+/**
+ * Adds a place the edited `server.properties` can be saved to.
+ * Registering an id that already exists replaces that backend.
+ * @param {string} id A unique identifier for the backend.
+ * @param {SettingsStorageBackend} backend The backend.
+ */
+export function registerSettingsStorage(id, backend) {
+    storageBackends.set(id, backend);
+}
+
+// The download backend is always available.
+registerSettingsStorage('download', {
+    label: 'Download file',
+    save: async (text) => {
+        const blob = new Blob([text], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'server.properties';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+});
+
+// ========================================================================
+//  LINE DIFF
+// ========================================================================
+
+/**
+ * @typedef {object} DiffLine
+ * @property {' ' | '+' | '-'} type Unchanged, added or removed.
+ * @property {string} text The line text.
+ * @property {number|null} oldLine The line number in the old file.
+ * @property {number|null} newLine The line number in the new file.
+ */
+
+/**
+ * Computes a line-by-line diff using the longest common subsequence.
+ * @param {string} oldText The current file.
+ * @param {string} newText The edited file.
+ * @returns {DiffLine[]} Every line of both files, in order.
+ */
+function diffLines(oldText, newText) {
+    const a = oldText.split(/\r?\n/);
+    const b = newText.split(/\r?\n/);
+
+    // lcs[i][j] is the length of the common subsequence of a[i..] and b[j..].
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            result.push({ type: ' ', text: a[i], oldLine: i + 1, newLine: j + 1 });
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            // Removals come before additions, so a changed line reads "- old" then "+ new".
+            result.push({ type: '-', text: a[i], oldLine: i + 1, newLine: null });
+            i++;
+        } else {
+            result.push({ type: '+', text: b[j], oldLine: null, newLine: j + 1 });
+            j++;
+        }
+    }
+    return result;
+}
+
+// ========================================================================
+//  SETTINGS TAB
+// ========================================================================
+
+const DIFF_CONTEXT_LINES = 2;
+const DATETIME_LOCAL_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Builds the HTML for one key's form control.
+ * @param {string} key The property key.
+ * @param {object} definition The schema entry.
+ * @param {*} value The current value from the file.
+ * @returns {string} The control's HTML.
+ */
+function renderControl(key, definition, value) {
+    const id = `setting-${key}`;
+    const inputClass = 'w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500';
+
+    switch (definition.type) {
+        case 'boolean':
+            return `
+                <label class="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" id="${id}" data-key="${key}" class="setting-input h-5 w-5 rounded border-gray-500 bg-gray-700 text-yellow-500 focus:ring-yellow-600" ${value ? 'checked' : ''}>
+                    <span class="text-gray-300">Enabled</span>
+                </label>`;
+        case 'number':
+            return `<input type="number" id="${id}" data-key="${key}" class="setting-input ${inputClass}" value="${value}"
+                ${definition.min !== undefined ? `min="${definition.min}"` : ''} ${definition.max !== undefined ? `max="${definition.max}"` : ''}>`;
+        case 'date':
+            // Dates with a time zone can't be shown in a datetime-local picker, so they stay plain text.
+            if (value === '' || DATETIME_LOCAL_PATTERN.test(value)) {
+                return `<input type="datetime-local" step="1" id="${id}" data-key="${key}" class="setting-input ${inputClass}" value="${escapeHTML(value)}">`;
+            }
+            return `<input type="text" id="${id}" data-key="${key}" class="setting-input ${inputClass}" value="${escapeHTML(value)}">`;
+        case 'string':
+            if (definition.allowed) {
+                const options = definition.allowed.map(option => `<option value="${escapeHTML(option)}" ${option === value ? 'selected' : ''}>${escapeHTML(option)}</option>`);
+                return `<select id="${id}" data-key="${key}" class="setting-input ${inputClass}">${options.join('')}</select>`;
+            }
+            return `<input type="text" id="${id}" data-key="${key}" class="setting-input ${inputClass}" value="${escapeHTML(value)}">`;
+        case 'json':
+            return `<textarea id="${id}" data-key="${key}" rows="8" spellcheck="false" class="setting-input ${inputClass} font-mono text-sm">${escapeHTML(JSON.stringify(value, null, 2))}</textarea>`;
+        default:
+            return `<input type="text" id="${id}" data-key="${key}" class="setting-input ${inputClass}" value="${escapeHTML(formatPropertyValue(value, definition))}">`;
+    }
+}
+
+/**
+ * Reads a control back into the raw text that would be written to the file.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} input The form control.
+ * @param {object} definition The schema entry.
+ * @returns {string} The raw value.
+ */
+function readControl(input, definition) {
+    if (definition.type === 'boolean') return input.checked ? 'true' : 'false';
+    if (input.type === 'datetime-local' && /T\d{2}:\d{2}$/.test(input.value)) {
+        // The picker drops ":00" seconds; the file always stores them.
+        return `${input.value}:00`;
+    }
+    return input.value.trim();
+}
+
+/**
+ * Sets up the settings tab inside the given container.
+ * @param {HTMLElement} container The element the editor is rendered into.
+ */
+export async function initSettingsTab(container) {
+    const properties = await loadServerProperties();
+    if (properties.CONFIG_SAVE_URL) {
+        registerSettingsStorage('endpoint', {
+            label: `Server (${properties.CONFIG_SAVE_URL})`,
+            confirm: true,
+            save: async (text) => {
+                // The ID token lets the endpoint check for itself that the caller is an admin.
+                const authBackend = await getBackend();
+                const response = await fetch(properties.CONFIG_SAVE_URL, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'text/plain', 'Authorization': `Bearer ${await authBackend.getIdToken()}` },
+                    body: text
+                });
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        });
+    }
+
+    let originalText = '';
+    let fileValues = {};
+
+    container.innerHTML = `
+        <div class="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
+            <p class="text-gray-400">Changes are validated with the same rules the site uses to load <span class="font-mono">server.properties</span>.</p>
+            <div class="flex items-center gap-3">
+                <label for="settings-storage" class="text-gray-300">Save to</label>
+                <select id="settings-storage" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></select>
+                <button id="settings-save-btn" class="action-btn-sm btn-green" disabled>Save</button>
+                <button id="settings-reset-btn" class="action-btn-sm btn-yellow" disabled>Discard</button>
+            </div>
+        </div>
+        <ul id="settings-file-issues" class="mb-4 space-y-1 text-sm"></ul>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div id="settings-fields" class="space-y-4"></div>
+            <div>
+                <h2 class="text-xl font-bold text-yellow-400 mb-2 text-shadow">Changes</h2>
+                <ul id="settings-issues" class="mb-2 space-y-1 text-sm"></ul>
+                <pre id="settings-diff" class="bg-gray-900/70 border border-gray-700 rounded-md p-3 text-sm overflow-x-auto lg:sticky lg:top-4"></pre>
+            </div>
+        </div>
+    `;
+
+    const fieldsEl = container.querySelector('#settings-fields');
+    const diffEl = container.querySelector('#settings-diff');
+    const issuesEl = container.querySelector('#settings-issues');
+    const fileIssuesEl = container.querySelector('#settings-file-issues');
+    const storageSelect = container.querySelector('#settings-storage');
+    const saveBtn = container.querySelector('#settings-save-btn');
+    const resetBtn = container.querySelector('#settings-reset-btn');
+
+    storageSelect.innerHTML = [...storageBackends.entries()]
+        .map(([id, backend]) => `<option value="${id}">${escapeHTML(backend.label)}</option>`)
+        .join('');
+
+    /**
+     * Collects the form, validates every field and works out the new file.
+     * @returns {{text: string, changedKeys: string[], hasErrors: boolean}} The edited file.
+     */
+    const buildEditedFile = () => {
+        const changedValues = {};
+        let hasErrors = false;
+
+        fieldsEl.querySelectorAll('.setting-input').forEach(input => {
+            const key = input.dataset.key;
+            const definition = PROPERTY_SCHEMA[key];
+            const errorEl = fieldsEl.querySelector(`[data-error-for="${key}"]`);
+            const { value, error } = coercePropertyValue(readControl(input, definition), definition);
+
+            errorEl.textContent = error || '';
+            errorEl.classList.toggle('hidden', !error);
+            if (error) {
+                hasErrors = true;
+                return;
+            }
+            if (formatPropertyValue(value, definition) !== formatPropertyValue(fileValues[key], definition)) {
+                changedValues[key] = value;
+            }
+        });
+
+        return { text: updatePropertiesText(originalText, changedValues), changedKeys: Object.keys(changedValues), hasErrors };
+    };
+
+    /** Redraws the diff and the validation messages for the current form. */
+    const refresh = () => {
+        const { text, changedKeys, hasErrors } = buildEditedFile();
+
+        // Cross-key rules (like MIN <= MAX) only show up when the whole file is parsed.
+        const fileErrors = changedKeys.length > 0
+            ? parseServerProperties(text).issues.filter(issue => issue.severity === 'error')
+            : [];
+        issuesEl.innerHTML = fileErrors
+            .map(issue => `<li class="text-red-400">${issue.line ? `Line ${issue.line}: ` : ''}${escapeHTML(issue.message)}</li>`)
+            .join('');
+
+        const diff = diffLines(originalText, text);
+        const visible = diff.map((line, index) => diff
+            .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+            .some(nearby => nearby.type !== ' '));
+
+        let diffHTML = '';
+        diff.forEach((line, index) => {
+            if (!visible[index]) {
+                if (visible[index - 1]) diffHTML += '<span class="text-gray-500">...</span>\n';
+                return;
+            }
+            const colorClass = line.type === '+' ? 'text-green-400' : (line.type === '-' ? 'text-red-400' : 'text-gray-400');
+            const lineNumber = String(line.newLine ?? line.oldLine).padStart(4, ' ');
+            diffHTML += `<span class="${colorClass}">${lineNumber} ${line.type} ${escapeHTML(line.text)}</span>\n`;
+        });
+        diffEl.innerHTML = diffHTML || '<span class="text-gray-500">No changes.</span>';
+
+        saveBtn.disabled = hasErrors || fileErrors.length > 0 || changedKeys.length === 0;
+        resetBtn.disabled = changedKeys.length === 0 && !hasErrors;
+        return { text, changedKeys };
+    };
+
+    /** Loads the file from the server and rebuilds the form from it. */
+    const loadFile = async () => {
+        const response = await fetch(`server.properties?v=${Date.now()}`);
+        originalText = response.ok ? await response.text() : '';
+
+        const { properties: parsed, issues } = parseServerProperties(originalText);
+        fileValues = parsed;
+        fileIssuesEl.innerHTML = issues.map(issue => {
+            const colorClass = issue.severity === 'error' ? 'text-red-400' : 'text-yellow-400';
+            return `<li class="${colorClass}">Current file${issue.line ? `, line ${issue.line}` : ''}: ${escapeHTML(issue.message)}</li>`;
+        }).join('');
+
+        fieldsEl.innerHTML = Object.entries(PROPERTY_SCHEMA).map(([key, definition]) => `
+            <div class="bg-gray-800/60 p-4 rounded-lg">
+                <label for="setting-${key}" class="font-semibold text-white font-mono">${key}</label>
+                <p class="text-sm text-gray-400 mb-2">${escapeHTML(definition.description)}</p>
+                ${renderControl(key, definition, fileValues[key])}
+                <p data-error-for="${key}" class="text-sm text-red-400 mt-1 hidden"></p>
+            </div>
+        `).join('');
+        refresh();
+    };
+
+    fieldsEl.addEventListener('input', refresh);
+    fieldsEl.addEventListener('change', refresh);
+    resetBtn.addEventListener('click', () => loadFile());
+
+    saveBtn.addEventListener('click', () => {
+        const { text, changedKeys } = refresh();
+        if (saveBtn.disabled) return;
+        const backendId = storageSelect.value;
+        const backend = storageBackends.get(backendId);
+
+        const save = async () => {
+            try {
+                await requirePermission(PERMISSIONS.EDIT_CONFIG);
+                await backend.save(text);
+                console.log(`[Config] server.properties saved via "${backendId}".`);
+                if (backendId === 'download') return; // The file on the server is unchanged.
+                const savedValues = parseServerProperties(text).properties;
+                await recordAuditEntry({
+                    action: AUDIT_ACTIONS.CONFIG_EDITED,
+                    targetType: 'config',
+                    targetId: 'server.properties',
+                    targetLabel: `server.properties (${backend.label})`,
+                    before: Object.fromEntries(changedKeys.map(key => [key, fileValues[key] ?? null])),
+                    after: Object.fromEntries(changedKeys.map(key => [key, savedValues[key] ?? null])),
+                    summary: `Changed ${changedKeys.join(', ')} in server.properties.`
+                });
+                showSuccessModal('Settings Saved', 'The new server.properties has been saved. Open pages will pick up the changes automatically.');
+                await loadFile();
+            } catch (error) {
+                console.error('[Config] Failed to save server.properties:', error);
+                showInfoModal('Save Failed', `The settings could not be saved: ${escapeHTML(error.message)}`, { type: 'error' });
+            }
+        };
+
+        if (backend.confirm) {
+            showConfirmModal({
+                title: 'Save Settings',
+                message: `Overwrite server.properties using <span class="font-bold text-white">${escapeHTML(backend.label)}</span>?`,
+                confirmText: 'Save',
+                onConfirm: save
+            });
+        } else {
+            save();
+        }
+    });
+
+    await loadFile();
+}
@@ -0,0 +1,253 @@
+// ========================================================================
+//  ADMIN SNAPSHOTS TAB
+// ========================================================================
+
+/**
+ * Takes and deletes snapshots of the accounts and characters, compares two of
+ * them (or one with the current data), and restores a character, an account
+ * or everything from one (see snapshots.js).
+ */
+import {
+    SNAPSHOT_TRIGGERS,
+    CURRENT_DATA,
+    takeSnapshot,
+    listSnapshots,
+    deleteSnapshot,
+    compareSnapshots,
+    restoreCharacter,
+    restoreAccount,
+    restoreEverything
+} from './snapshots.js';
+import { escapeHTML } from './html.js';
+
+const CHANGE_CLASSES = Object.freeze({
+    added: 'text-green-400',
+    removed: 'text-red-400',
+    changed: 'text-yellow-300'
+});
+
+/**
+ * Names a snapshot for the selects and dialogs.
+ * @param {import('./snapshots.js').SnapshotRecord} snapshot The snapshot.
+ * @returns {string} E.g. "10/19/2026, 3:00:00 AM (scheduled)".
+ */
+function describeSnapshot(snapshot) {
+    return `${new Date(snapshot.takenAt).toLocaleString()} (${snapshot.note || snapshot.trigger})`;
+}
+
+/**
+ * Builds the table row for one snapshot.
+ * @param {import('./snapshots.js').SnapshotRecord} snapshot The snapshot.
+ * @returns {string} The row's HTML.
+ */
+function renderSnapshotRow(snapshot) {
+    return `
+        <tr>
+            <td>${new Date(snapshot.takenAt).toLocaleString()}<span class="block text-gray-400 text-sm">${escapeHTML(snapshot.takenByEmail)}</span></td>
+            <td>${snapshot.trigger === SNAPSHOT_TRIGGERS.SCHEDULED ? 'Scheduled' : 'By hand'}</td>
+            <td>${escapeHTML(snapshot.note)}</td>
+            <td>${snapshot.userCount.toLocaleString()} accounts, ${snapshot.characterCount.toLocaleString()} characters</td>
+            <td class="whitespace-nowrap">
+                <button data-id="${escapeHTML(snapshot.id)}" data-action="character" class="restore-btn action-btn-sm">Character</button>
+                <button data-id="${escapeHTML(snapshot.id)}" data-action="account" class="restore-btn action-btn-sm">Account</button>
+                <button data-id="${escapeHTML(snapshot.id)}" data-action="everything" class="restore-btn action-btn-sm btn-red">Everything</button>
+            </td>
+            <td><button data-id="${escapeHTML(snapshot.id)}" class="delete-snapshot-btn action-btn-sm btn-red">Delete</button></td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the table row for one difference.
+ * @param {import('./snapshots.js').SnapshotDifference} difference The difference.
+ * @returns {string} The row's HTML.
+ */
+function renderDifferenceRow(difference) {
+    return `
+        <tr>
+            <td>${difference.type === 'account' ? 'Account' : 'Character'}</td>
+            <td class="font-semibold text-white">${escapeHTML(difference.label)}</td>
+            <td class="${CHANGE_CLASSES[difference.change]}">${difference.change}</td>
+            <td class="text-sm">${difference.details.map(line => escapeHTML(line)).join('<br>')}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Builds the snapshots tab inside the given container.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<void>}
+ */
+export async function initSnapshotsTab(container) {
+    container.innerHTML = `
+        <form id="snapshot-form" class="flex flex-col md:flex-row gap-3 mb-6">
+            <input name="note" maxlength="200" placeholder="Note, e.g. Before patch 1.2" class="flex-grow bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            <button type="submit" class="action-btn-sm btn-green">Take Snapshot</button>
+        </form>
+        <table id="snapshotsTable" class="admin-table mb-8">
+            <thead>
+                <tr>
+                    <th>Taken</th>
+                    <th>How</th>
+                    <th>Note</th>
+                    <th>Contents</th>
+                    <th>Restore</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Compare</h2>
+        <form id="compare-form" class="grid grid-cols-1 md:grid-cols-5 gap-3 items-end mb-4">
+            <label class="md:col-span-2 text-sm text-gray-400">From
+                <select name="older" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></select>
+            </label>
+            <label class="md:col-span-2 text-sm text-gray-400">To
+                <select name="newer" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white"></select>
+            </label>
+            <button type="submit" class="action-btn-sm">Compare</button>
+        </form>
+        <table id="differencesTable" class="admin-table hidden">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Name</th>
+                    <th>Change</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const snapshotForm = container.querySelector('#snapshot-form');
+    const compareForm = container.querySelector('#compare-form');
+    const tbody = container.querySelector('#snapshotsTable tbody');
+    const differencesTable = container.querySelector('#differencesTable');
+    let snapshots = [];
+
+    /** Loads the snapshots into the table and the compare selects. */
+    const loadSnapshots = async () => {
+        snapshots = await listSnapshots();
+        tbody.innerHTML = snapshots.length > 0
+            ? snapshots.map(renderSnapshotRow).join('')
+            : `<tr><td colspan="6" class="text-center p-4 text-gray-400">No snapshots have been taken yet.</td></tr>`;
+        const options = snapshots.map(snapshot => `<option value="${escapeHTML(snapshot.id)}">${escapeHTML(describeSnapshot(snapshot))}</option>`).join('');
+        compareForm.elements.older.innerHTML = options;
+        compareForm.elements.newer.innerHTML = `<option value="${CURRENT_DATA}">Current data</option>${options}`;
+    };
+
+    snapshotForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const button = snapshotForm.querySelector('button');
+        button.disabled = true;
+        try {
+            const snapshot = await takeSnapshot({ note: snapshotForm.elements.note.value });
+            showSuccessModal('Snapshot Taken', `The snapshot holds ${snapshot.userCount.toLocaleString()} accounts and ${snapshot.characterCount.toLocaleString()} characters.`);
+            snapshotForm.elements.note.value = '';
+            await loadSnapshots();
+        } catch (error) {
+            console.error('[Admin] Failed to take a snapshot:', error);
+            showInfoModal('Error', `The snapshot was not taken: ${escapeHTML(error.message)}`, { type: 'error' });
+        }
+        button.disabled = false;
+    });
+
+    compareForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const { older, newer } = compareForm.elements;
+        if (!older.value) return;
+        const body = differencesTable.querySelector('tbody');
+        differencesTable.classList.remove('hidden');
+        body.innerHTML = `<tr><td colspan="4" class="text-center p-4 text-gray-400">Comparing...</td></tr>`;
+        try {
+            const differences = await compareSnapshots(older.value, newer.value);
+            body.innerHTML = differences.length > 0
+                ? differences.map(renderDifferenceRow).join('')
+                : `<tr><td colspan="4" class="text-center p-4 text-gray-400">No differences.</td></tr>`;
+        } catch (error) {
+            console.error('[Admin] Failed to compare snapshots:', error);
+            body.innerHTML = `<tr><td colspan="4" class="text-center p-4 text-red-400">Failed to compare: ${escapeHTML(error.message)}</td></tr>`;
+        }
+    });
+
+    tbody.addEventListener('click', (event) => {
+        const deleteButton = event.target.closest('.delete-snapshot-btn');
+        const restoreButton = event.target.closest('.restore-btn');
+        const snapshot = snapshots.find(entry => entry.id === (deleteButton || restoreButton)?.dataset.id);
+        if (!snapshot) return;
+        const when = escapeHTML(describeSnapshot(snapshot));
+
+        if (deleteButton) {
+            showConfirmModal({
+                title: 'Delete Snapshot',
+                message: `Delete the snapshot of <span class="font-bold text-white">${when}</span>? It can't be restored from afterwards.`,
+                confirmText: 'Delete',
+                onConfirm: async () => {
+                    try {
+                        await deleteSnapshot(snapshot);
+                        await loadSnapshots();
+                    } catch (error) {
+                        console.error('[Admin] Failed to delete the snapshot:', error);
+                        showInfoModal('Error', `The snapshot was not deleted: ${escapeHTML(error.message)}`, { type: 'error' });
+                    }
+                }
+            });
+            return;
+        }
+
+        /**
+         * Runs a restore after the admin confirms it.
+         * @param {string} title The dialog title.
+         * @param {string} message The dialog text.
+         * @param {function(): Promise<string>} restore Restores and returns the success message.
+         * @param {object} [confirmOptions] More showConfirmModal() options.
+         */
+        const confirmRestore = (title, message, restore, confirmOptions = {}) => {
+            showConfirmModal({
+                title,
+                message,
+                confirmText: 'Restore',
+                ...confirmOptions,
+                onConfirm: async () => {
+                    try {
+                        showSuccessModal('Restored', await restore());
+                    } catch (error) {
+                        console.error('[Admin] Failed to restore from the snapshot:', error);
+                        showInfoModal('Error', `Nothing was restored: ${escapeHTML(error.message)}`, { type: 'error' });
+                    }
+                }
+            });
+        };
+
+        const action = restoreButton.dataset.action;
+        if (action === 'everything') {
+            confirmRestore(
+                'Restore Everything',
+                `Put every account and character back as they were at <span class="font-bold text-white">${when}</span>? Characters made since will be deleted, and every change since will be lost.`,
+                async () => {
+                    const result = await restoreEverything(snapshot);
+                    return `Restored ${result.accounts} accounts and ${result.characters} characters, and deleted ${result.deleted} newer characters.`;
+                },
+                { typeToConfirm: 'RESTORE' }
+            );
+            return;
+        }
+
+        const isCharacter = action === 'character';
+        const target = prompt(isCharacter ? 'The name of the character to restore:' : 'The email address of the account to restore:');
+        if (!target || !target.trim()) return;
+        confirmRestore(
+            isCharacter ? 'Restore Character' : 'Restore Account',
+            isCharacter
+                ? `Put <span class="font-bold text-white">${escapeHTML(target.trim())}</span> back as it was at <span class="font-bold text-white">${when}</span>?`
+                : `Put <span class="font-bold text-white">${escapeHTML(target.trim())}</span> and its characters back as they were at <span class="font-bold text-white">${when}</span>? Characters it has made since will be deleted.`,
+            async () => {
+                if (isCharacter) await restoreCharacter(snapshot, target);
+                else await restoreAccount(snapshot, target);
+                return `${escapeHTML(target.trim())} has been restored.`;
+            }
+        );
+    });
+
+    await loadSnapshots();
+}
@@ -0,0 +1,172 @@
+// ========================================================================
+//  ADMIN STATS TAB
+// ========================================================================
+
+/**
+ * Shows the community statistics (see community-stats.js) for the accounts
+ * registered in a date range, with charts drawn in the page.
+ */
+import { loadCommunityStats, ACTIVE_ACCOUNT_DAYS } from './community-stats.js';
+import { escapeHTML } from './html.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_ITEM_COUNT = 10;
+const CHART_HEIGHT = 160;
+
+/**
+ * Formats a date for a date input.
+ * @param {Date} date The date.
+ * @returns {string} "YYYY-MM-DD" in local time.
+ */
+function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Draws a column chart of values over days.
+ * @param {Array<{day: string, count: number}>} days The columns, oldest first.
+ * @returns {string} The chart's SVG.
+ */
+function renderColumnChart(days) {
+    const peak = Math.max(0, ...days.map(entry => entry.count));
+    const max = Math.max(1, peak);
+    const width = Math.max(days.length, 1) * 10;
+    const columns = days.map((entry, index) => {
+        const height = (entry.count / max) * CHART_HEIGHT;
+        return `<rect x="${index * 10 + 1}" y="${CHART_HEIGHT - height}" width="8" height="${height}" class="fill-yellow-500"><title>${entry.day}: ${entry.count}</title></rect>`;
+    }).join('');
+    return `
+        <svg viewBox="0 0 ${width} ${CHART_HEIGHT}" preserveAspectRatio="none" class="w-full h-40 bg-gray-900/50 rounded-md" role="img" aria-label="Registrations per day">
+            ${columns}
+        </svg>
+        <div class="flex justify-between text-xs text-gray-400 mt-1">
+            <span>${days.length > 0 ? days[0].day : ''}</span>
+            <span>Busiest day: ${peak}</span>
+            <span>${days.length > 0 ? days[days.length - 1].day : ''}</span>
+        </div>
+    `;
+}
+
+/**
+ * Draws a horizontal bar chart. Each bar can be split into coloured parts.
+ * @param {Array<{label: string, parts: Array<{value: number, colorClass: string, title: string}>}>} bars The bars, top first.
+ * @returns {string} The chart's HTML.
+ */
+function renderBarChart(bars) {
+    if (bars.length === 0) return '<p class="text-gray-400">Nothing to show.</p>';
+    const max = Math.max(1, ...bars.map(bar => bar.parts.reduce((sum, part) => sum + part.value, 0)));
+    return bars.map(bar => {
+        const total = bar.parts.reduce((sum, part) => sum + part.value, 0);
+        return `
+            <div class="grid grid-cols-3 gap-2 items-center text-sm mb-1">
+                <span class="text-gray-300 truncate" title="${escapeHTML(bar.label)}">${escapeHTML(bar.label)}</span>
+                <span class="col-span-2 flex items-center gap-2">
+                    <span class="flex h-4 rounded overflow-hidden" style="width: ${(total / max) * 85}%">
+                        ${bar.parts.map(part => `<span class="${part.colorClass}" style="width: ${total > 0 ? (part.value / total) * 100 : 0}%" title="${escapeHTML(part.title)}"></span>`).join('')}
+                    </span>
+                    <span class="text-gray-400">${total.toLocaleString()}</span>
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Builds a figure with a title.
+ * @param {string} title The heading.
+ * @param {string} body The content's HTML.
+ * @returns {string} The card's HTML.
+ */
+function renderCard(title, body) {
+    return `
+        <div class="bg-gray-800/60 p-4 rounded-lg">
+            <h2 class="text-lg font-bold text-yellow-400 mb-3 text-shadow">${escapeHTML(title)}</h2>
+            ${body}
+        </div>
+    `;
+}
+
+/**
+ * Builds the stats tab inside the given container and loads the last DEFAULT_RANGE_DAYS days.
+ * @param {HTMLElement} container The tab's element.
+ * @returns {Promise<void>}
+ */
+export async function initStatsTab(container) {
+    container.innerHTML = `
+        <form id="stats-filters" class="flex flex-wrap gap-3 items-end mb-2">
+            <label class="text-sm text-gray-400">Registered from
+                <input type="date" name="from" class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <label class="text-sm text-gray-400">To
+                <input type="date" name="to" required class="w-full bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+            </label>
+            <button type="submit" class="action-btn-sm btn-yellow">Load</button>
+            <button type="button" id="stats-all-time-btn" class="action-btn-sm">All Time</button>
+        </form>
+        <p class="text-gray-400 text-sm mb-6">Every figure is about the accounts registered in the range and their characters as they are now. Leave "from" blank for all accounts.</p>
+        <div id="stats-content" class="grid grid-cols-1 lg:grid-cols-2 gap-6"></div>
+    `;
+    const form = container.querySelector('#stats-filters');
+    const content = container.querySelector('#stats-content');
+
+    const today = new Date();
+    form.elements.to.value = toDateInputValue(today);
+    form.elements.from.value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - DEFAULT_RANGE_DAYS));
+
+    /** Loads and shows the statistics for the chosen range. */
+    const load = async () => {
+        content.innerHTML = `<p class="text-center text-gray-400 lg:col-span-2">Loading statistics...</p>`;
+        const since = form.elements.from.value ? new Date(`${form.elements.from.value}T00:00:00`).getTime() : null;
+        const until = new Date(`${form.elements.to.value}T23:59:59.999`).getTime();
+        const stats = await loadCommunityStats(since, until);
+        const { active, dormant, neverLoggedIn } = stats.activity;
+
+        content.innerHTML = [
+            renderCard(`Registrations per Day (${stats.accounts.toLocaleString()} in all)`, renderColumnChart(stats.registrationsPerDay)),
+            renderCard('Account Activity', `
+                ${renderBarChart([
+                    { label: 'Active', parts: [{ value: active, colorClass: 'bg-green-500', title: `Logged in within the last ${ACTIVE_ACCOUNT_DAYS} days` }] },
+                    { label: 'Dormant', parts: [{ value: dormant, colorClass: 'bg-gray-500', title: `No login for more than ${ACTIVE_ACCOUNT_DAYS} days` }] },
+                    { label: 'Never logged in', parts: [{ value: neverLoggedIn, colorClass: 'bg-red-500', title: 'No login since registering' }] }
+                ])}
+                <p class="text-xs text-gray-400 mt-2">Active accounts logged in within the last ${ACTIVE_ACCOUNT_DAYS} days.</p>
+            `),
+            renderCard(`Characters by Class (${stats.characters.toLocaleString()} in all)`, `
+                ${renderBarChart(stats.charactersByClass.map(entry => ({
+                    label: entry.className,
+                    parts: [
+                        { value: entry.male, colorClass: 'bg-blue-500', title: `Male: ${entry.male}` },
+                        { value: entry.female, colorClass: 'bg-pink-500', title: `Female: ${entry.female}` }
+                    ]
+                })))}
+                <p class="text-xs text-gray-400 mt-2"><span class="text-blue-400">■</span> Male <span class="text-pink-400 ml-2">■</span> Female</p>
+            `),
+            renderCard('Adena in Circulation', `
+                <p class="text-4xl font-bold text-white">${stats.adena.toLocaleString()}</p>
+                <p class="text-sm text-gray-400 mt-2">${stats.characters > 0 ? `${Math.round(stats.adena / stats.characters).toLocaleString()} per character on average.` : 'No characters yet.'}</p>
+            `),
+            `<div class="lg:col-span-2">${renderCard(`Most-Held Items (top ${TOP_ITEM_COUNT})`, renderBarChart(stats.topItems.slice(0, TOP_ITEM_COUNT).map(item => ({
+                label: item.itemId !== null ? `${item.name} (#${item.itemId})` : item.name,
+                parts: [{ value: item.holders, colorClass: 'bg-purple-500', title: `${item.holders} characters hold ${item.quantity.toLocaleString()} in all` }]
+            }))))}</div>`
+        ].join('');
+    };
+
+    /** Runs load() and shows failures in the tab. */
+    const reload = () => load().catch(error => {
+        console.error('[Admin] Failed to load the statistics:', error);
+        content.innerHTML = `<p class="text-center text-red-400 lg:col-span-2">Failed to load the statistics: ${escapeHTML(error.message)}</p>`;
+    });
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        reload();
+    });
+    container.querySelector('#stats-all-time-btn').addEventListener('click', () => {
+        form.elements.from.value = '';
+        form.elements.to.value = toDateInputValue(new Date());
+        reload();
+    });
+
+    await load();
+}
@@ -1,199 +1,191 @@
-document.addEventListener('DOMContentLoaded', () => {
+import { waitForAuthUser } from './auth-backend.js';
+import { initAccountsTab } from './admin-accounts.js';
+import { initBansTab } from './admin-bans.js';
+import { initCharactersTab } from './admin-characters.js';
+import { initGiftsTab } from './admin-gifts.js';
+import { initSettingsTab } from './admin-settings.js';
+import { initNewsTab } from './admin-news.js';
+import { initLockoutsTab } from './admin-lockouts.js';
+import { initAuditTab } from './admin-audit.js';
+import { initStatsTab } from './admin-stats.js';
+import { initSnapshotsTab } from './admin-snapshots.js';
+import { runScheduledSnapshot } from './snapshots.js';
+import { PERMISSIONS, hasPermission, getCurrentUserRole, guardStaffPage } from './roles.js';
+import { guardTwoFactorSession } from './two-factor.js';
+import { guardSession } from './sessions.js';
+import { guardBans } from './bans.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
 
     // ========================================================================
     //  SECURITY GATEKEEPER
     // ========================================================================
-    // This is a front-end simulation of an authorization check.
-    // In a real application, this would be handled by the server.
-
-    const checkAdminAccess = () => {
-        const session = JSON.parse(localStorage.getItem('session'));
-        const registeredUsers = JSON.parse(localStorage.getItem('registeredUsers')) || [];
-        
-        if (!session || Date.now() > session.expiry) {
-            return false; // Not logged in
-        }
-
-        const currentUser = registeredUsers.find(u => u.username.toLowerCase() === session.username.toLowerCase());
-
-        return currentUser && currentUser.isAdmin === true;
-    };
-
-    if (!checkAdminAccess()) {
-        // If not an admin, hide the main content and show an access denied message.
-        const mainContent = document.getElementById('main-content');
-        if (mainContent) {
-            mainContent.innerHTML = `
-                <div class="text-center py-20">
-                    <h1 class="text-4xl font-bold text-red-500">Access Denied</h1>
-                    <p class="text-gray-400 mt-4">You do not have permission to view this page.</p>
-                    <a href="index.html" class="mt-8 inline-block action-btn btn-blue">Return to Main Page</a>
-                </div>
-            `;
-        }
-        return; // Stop the rest of the script from executing
+    // The role comes from the signed-in account's profile. Every action below
+    // checks its own permission again, so hiding a control is not what protects it.
+
+    if (await guardTwoFactorSession()) return;
+    if (await guardSession()) return;
+    if (await guardBans()) return;
+    if (await guardStaffPage(document.getElementById('main-content'))) return;
+    const user = await waitForAuthUser();
+    const role = await getCurrentUserRole();
+
+    // GMs moderate players; only admins edit the server configuration.
+    if (!hasPermission(role, PERMISSIONS.EDIT_CONFIG)) {
+        document.querySelector('.admin-tab-btn[data-tab="settings"]').remove();
+        document.getElementById('settings-tab').remove();
+    }
+    if (!hasPermission(role, PERMISSIONS.SEND_GIFTS)) {
+        document.querySelector('.admin-tab-btn[data-tab="gifts"]').remove();
+        document.getElementById('gifts-tab').remove();
+    }
+    if (!hasPermission(role, PERMISSIONS.EDIT_NEWS)) {
+        document.querySelector('.admin-tab-btn[data-tab="news"]').remove();
+        document.getElementById('news-tab').remove();
+    }
+    if (!hasPermission(role, PERMISSIONS.VIEW_AUDIT_LOG)) {
+        document.querySelector('.admin-tab-btn[data-tab="audit"]').remove();
+        document.getElementById('audit-tab').remove();
+    }
+    if (!hasPermission(role, PERMISSIONS.VIEW_STATS)) {
+        document.querySelector('.admin-tab-btn[data-tab="stats"]').remove();
+        document.getElementById('stats-tab').remove();
+    }
+    if (!hasPermission(role, PERMISSIONS.MANAGE_SNAPSHOTS)) {
+        document.querySelector('.admin-tab-btn[data-tab="snapshots"]').remove();
+        document.getElementById('snapshots-tab').remove();
     }
 
-    // Note on storage: For a real, large-scale application, IndexedDB would be a better choice
-    // than localStorage for handling larger datasets and more complex queries efficiently.
-    // This implementation uses localStorage for simplicity and demonstration purposes.
+    // ========================================================================
+    //  TABS
+    // ========================================================================
 
-    // We will now use the main 'registeredUsers' key to work with real data.
-    const ACCOUNTS_STORAGE_KEY = 'registeredUsers';
+    let accountsTabInitialized = false;
+    let bansTab = null; // Resolves to the bans tab's API once it has been opened.
+    let charactersTab = null; // Likewise for the characters tab.
+    let giftsTabInitialized = false;
+    let settingsTabInitialized = false;
+    let newsTabInitialized = false;
+    let lockoutsTabInitialized = false;
+    let auditTabInitialized = false;
+    let statsTabInitialized = false;
+    let snapshotsTabInitialized = false;
 
     /**
-     * Loads accounts from localStorage or initializes with default data.
-     * @returns {Array} The list of accounts.
+     * Shows one admin tab and hides the others. Each tab is only built the
+     * first time it is opened.
+     * @param {string} tabName The data-tab value of the tab to show.
      */
-    const loadAccounts = () => {
-        const registeredUsers = JSON.parse(localStorage.getItem(ACCOUNTS_STORAGE_KEY)) || [];
-
-        // Map the registeredUsers to the format our admin panel expects.
-        // This adds the necessary fields if they don't exist.
-        return registeredUsers.map(user => ({
-            account: user.username,
-            email: user.email, // Keep email for potential future use
-            // Add default values for monitoring fields if they are missing
-            status: user.status || 'Offline',
-            banned: user.banned || false,
-            lastLogin: user.lastLogin || 'Never',
-            device: user.device || 'Unknown'
-        }));
-    };
-
-    /**
-     * Saves the current list of accounts to localStorage.
-     * @param {Array} accountList The list of accounts to save.
-     */
-    const saveAccounts = (accountList) => {
-        // When saving, we need to update the original 'registeredUsers' data.
-        const registeredUsers = JSON.parse(localStorage.getItem(ACCOUNTS_STORAGE_KEY)) || [];
-
-        accountList.forEach(adminAcc => {
-            const userToUpdate = registeredUsers.find(u => u.username === adminAcc.account);
-            if (userToUpdate) {
-                userToUpdate.banned = adminAcc.banned;
-                // We don't overwrite status, lastLogin, or device here, as the login script handles it.
-            }
+    function showTab(tabName) {
+        document.querySelectorAll('.admin-tab-btn').forEach(btn => {
+            const isActive = btn.dataset.tab === tabName;
+            btn.classList.toggle('btn-yellow', isActive);
+            if (isActive) document.getElementById('admin-subtitle').textContent = btn.dataset.subtitle;
+        });
+        document.querySelectorAll('.admin-tab').forEach(tab => {
+            tab.classList.toggle('hidden', tab.id !== `${tabName}-tab`);
         });
 
-        localStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(registeredUsers));
-    };
-
-    // Load accounts when the script starts
-    let accounts = loadAccounts();
-
-    const tbody = document.querySelector("#accountTable tbody");
-
-    // UI Elements for filtering and searching
-    const searchInput = document.getElementById('account-search');
-    const filterBannedCheckbox = document.getElementById('filter-banned');
+        if (tabName === 'accounts' && !accountsTabInitialized) {
+            accountsTabInitialized = true;
+            initAccountsTab(document.getElementById('accounts-tab'), { role, uid: user.uid }).catch(error => {
+                console.error('[Admin] Failed to load the accounts tab:', error);
+                document.getElementById('accounts-tab').innerHTML = `<p class="text-center text-red-400">Failed to load accounts. Please try again later.</p>`;
+            });
+        }
 
-    /**
-     * Renders the account data into the table.
-     * @param {Array} accountList The list of accounts to render.
-     */
-    function renderTable(accountList) {
-        tbody.innerHTML = ''; // Clear existing rows before rendering
+        if (tabName === 'bans' && !bansTab) {
+            bansTab = initBansTab(document.getElementById('bans-tab'), { role, uid: user.uid });
+            bansTab.catch(error => {
+                console.error('[Admin] Failed to load the bans tab:', error);
+                document.getElementById('bans-tab').innerHTML = `<p class="text-center text-red-400">Failed to load bans. Please try again later.</p>`;
+            });
+        }
 
-        if (accountList.length === 0) {
-            tbody.innerHTML = `<tr><td colspan="6" class="text-center p-4 text-gray-400">No accounts match the current filters.</td></tr>`;
-            return;
+        if (tabName === 'characters' && !charactersTab) {
+            charactersTab = initCharactersTab(document.getElementById('characters-tab'));
+            charactersTab.catch(error => {
+                console.error('[Admin] Failed to load the characters tab:', error);
+                document.getElementById('characters-tab').innerHTML = `<p class="text-center text-red-400">Failed to load the character inspector. Please try again later.</p>`;
+            });
         }
 
-        accountList.forEach(acc => {
-            const tr = document.createElement("tr");
-            const banButtonText = acc.banned ? 'Unban' : 'Ban';
-            // Use small action buttons defined in style.css
-            const banButtonClass = acc.banned ? 'btn-green' : 'btn-red';
-
-            tr.innerHTML = `
-                <td class="font-semibold text-white">${acc.account}</td>
-                <td class="${acc.status === 'Online' ? 'status-online' : 'status-offline'}">${acc.status}</td>
-                <td class="${acc.banned ? 'banned-yes' : ''}">${acc.banned ? "Yes" : "No"}</td>
-                <td>${acc.lastLogin === 'Never' ? 'Never' : new Date(acc.lastLogin).toLocaleString()}</td>
-                <td class="text-sm text-gray-400" title="${acc.device}">
-                    ${acc.device.substring(0, 30)}${acc.device.length > 30 ? '...' : ''}
-                </td>
-                <td class="p-3">
-                    <button data-account="${acc.account}" class="action-btn-sm ${banButtonClass} ban-toggle-btn">${banButtonText}</button>
-                </td>
-            `;
-            tbody.appendChild(tr);
-        });
-    }
+        if (tabName === 'gifts' && !giftsTabInitialized) {
+            giftsTabInitialized = true;
+            initGiftsTab(document.getElementById('gifts-tab')).catch(error => {
+                console.error('[Admin] Failed to load the gifts tab:', error);
+                document.getElementById('gifts-tab').innerHTML = `<p class="text-center text-red-400">Failed to load gifts. Please try again later.</p>`;
+            });
+        }
 
-    /**
-     * Toggles the ban status of an account, saves the change, and re-renders the table.
-     * @param {string} accountName The name of the account to toggle.
-     */
-    function toggleBan(accountName) {
-        const user = accounts.find(acc => acc.account === accountName);
-        if (user) {
-            const action = user.banned ? 'unban' : 'ban';
-            showConfirmModal({
-                title: `Confirm ${action.charAt(0).toUpperCase() + action.slice(1)}`,
-                message: `Are you sure you want to ${action} the account <span class="font-bold text-white">${accountName}</span>?`,
-                onConfirm: () => {
-                    user.banned = !user.banned;
-                    // The status will be updated automatically on the next login/logout event.
-                    // For now, we just update the 'banned' flag.
-                    saveAccounts(accounts); // Save the updated array to localStorage
-                    accounts = loadAccounts(); // Reload from the source of truth
-                    applyFiltersAndRender(); // Re-render the table
-                }
+        if (tabName === 'settings' && !settingsTabInitialized) {
+            settingsTabInitialized = true;
+            initSettingsTab(document.getElementById('settings-tab')).catch(error => {
+                console.error('[Admin] Failed to load the settings tab:', error);
+                document.getElementById('settings-tab').innerHTML = `<p class="text-center text-red-400">Failed to load settings. Please try again later.</p>`;
             });
         }
-    }
 
-    /**
-     * Applies current filters (search and banned status) and re-renders the table.
-     */
-    function applyFiltersAndRender() {
-        const searchTerm = searchInput.value.toLowerCase();
-        const showBannedOnly = filterBannedCheckbox.checked;
+        if (tabName === 'news' && !newsTabInitialized) {
+            newsTabInitialized = true;
+            initNewsTab(document.getElementById('news-tab')).catch(error => {
+                console.error('[Admin] Failed to load the news tab:', error);
+                document.getElementById('news-tab').innerHTML = `<p class="text-center text-red-400">Failed to load the news editor. Please try again later.</p>`;
+            });
+        }
 
-        let filteredAccounts = accounts;
+        if (tabName === 'lockouts' && !lockoutsTabInitialized) {
+            lockoutsTabInitialized = true;
+            initLockoutsTab(document.getElementById('lockouts-tab')).catch(error => {
+                console.error('[Admin] Failed to load the lockouts tab:', error);
+                document.getElementById('lockouts-tab').innerHTML = `<p class="text-center text-red-400">Failed to load lockouts. Please try again later.</p>`;
+            });
+        }
 
-        if (showBannedOnly) {
-            filteredAccounts = filteredAccounts.filter(acc => acc.banned);
+        if (tabName === 'audit' && !auditTabInitialized) {
+            auditTabInitialized = true;
+            initAuditTab(document.getElementById('audit-tab')).catch(error => {
+                console.error('[Admin] Failed to load the audit tab:', error);
+                document.getElementById('audit-tab').innerHTML = `<p class="text-center text-red-400">Failed to load the audit log. Please try again later.</p>`;
+            });
         }
 
-        if (searchTerm) {
-            filteredAccounts = filteredAccounts.filter(acc => acc.account.toLowerCase().includes(searchTerm));
+        if (tabName === 'stats' && !statsTabInitialized) {
+            statsTabInitialized = true;
+            initStatsTab(document.getElementById('stats-tab')).catch(error => {
+                console.error('[Admin] Failed to load the stats tab:', error);
+                document.getElementById('stats-tab').innerHTML = `<p class="text-center text-red-400">Failed to load the statistics. Please try again later.</p>`;
+            });
         }
 
-        renderTable(filteredAccounts);
+        if (tabName === 'snapshots' && !snapshotsTabInitialized) {
+            snapshotsTabInitialized = true;
+            initSnapshotsTab(document.getElementById('snapshots-tab')).catch(error => {
+                console.error('[Admin] Failed to load the snapshots tab:', error);
+                document.getElementById('snapshots-tab').innerHTML = `<p class="text-center text-red-400">Failed to load snapshots. Please try again later.</p>`;
+            });
+        }
     }
 
-    // Initial render of the table
-    applyFiltersAndRender();
+    document.getElementById('admin-tabs').addEventListener('click', (event) => {
+        const tabButton = event.target.closest('.admin-tab-btn');
+        if (tabButton) showTab(tabButton.dataset.tab);
+    });
 
-    // Use event delegation to handle clicks on the ban/unban buttons
-    tbody.addEventListener('click', (event) => {
-        if (event.target.classList.contains('ban-toggle-btn')) {
-            const accountName = event.target.dataset.account;
-            toggleBan(accountName);
-        }
+    // The accounts tab's Ban buttons open the ban form.
+    document.getElementById('accounts-tab').addEventListener('ban-request', async (event) => {
+        showTab('bans');
+        (await bansTab).prefill(event.detail);
     });
 
-    // Event listeners for search and filter controls
-    searchInput.addEventListener('input', () => applyFiltersAndRender());
-    filterBannedCheckbox.addEventListener('change', () => applyFiltersAndRender());
-
-    // Event listener for the reset data button
-    document.getElementById('reset-data-btn').addEventListener('click', () => {
-        showConfirmModal({
-            title: 'Reset Account Data',
-            message: 'Are you sure you want to reset all account data to the default state? This will clear any changes you have made.',
-            onConfirm: () => {
-                // This function is now more dangerous as it modifies real user data.
-                // For a real app, this might be disabled or require higher privileges.
-                // For now, we'll just log a warning.
-                console.warn("Reset Data was clicked. In a real app, this would be a protected action.");
-                accounts = loadAccounts(); // Reload the initial data
-                applyFiltersAndRender();
-            }
-        });
+    // Its character names open the character in the inspector.
+    document.getElementById('accounts-tab').addEventListener('inspect-request', async (event) => {
+        showTab('characters');
+        await (await charactersTab).open(event.detail.name);
     });
+
+    showTab('accounts');
+
+    // A static site has no scheduler, so an admin's visit takes the scheduled snapshot when one is due.
+    runScheduledSnapshot().catch(error => console.error('[Admin] Failed to take the scheduled snapshot:', error));
 });
\ No newline at end of file
@@ -0,0 +1,179 @@
+// ========================================================================
+//  ADMIN AUDIT LOG
+// ========================================================================
+
+/**
+ * Every admin action appends an entry to the `auditLog` collection: who did
+ * it, to whom, when, and the values before and after. Entries are never
+ * changed or deleted; the backend (and the Firestore rules) only allow adding
+ * them. Admins read the log in the Audit tab of the admin page and can export
+ * it as CSV.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission, getCurrentUserRole } from './roles.js';
+
+export const AUDIT_ACTIONS = Object.freeze({
+    BAN_ISSUED: 'ban.issue',
+    BAN_LIFTED: 'ban.lift',
+    APPEAL_REVIEWED: 'appeal.review',
+    ROLE_CHANGED: 'role.change',
+    CONFIG_EDITED: 'config.edit',
+    LOGIN_UNLOCKED: 'login.unlock',
+    ITEM_GRANTED: 'item.grant',
+    ITEM_EDITED: 'item.edit',
+    ITEM_REMOVED: 'item.remove',
+    NEWS_EDITED: 'news.edit',
+    GIFT_SENT: 'gift.send',
+    SNAPSHOT_TAKEN: 'snapshot.take',
+    SNAPSHOT_RESTORED: 'snapshot.restore'
+});
+
+/** Readable names for the actions, for the viewer and the CSV file. */
+export const AUDIT_ACTION_LABELS = Object.freeze({
+    [AUDIT_ACTIONS.BAN_ISSUED]: 'Ban issued',
+    [AUDIT_ACTIONS.BAN_LIFTED]: 'Ban lifted',
+    [AUDIT_ACTIONS.APPEAL_REVIEWED]: 'Appeal reviewed',
+    [AUDIT_ACTIONS.ROLE_CHANGED]: 'Role changed',
+    [AUDIT_ACTIONS.CONFIG_EDITED]: 'Settings edited',
+    [AUDIT_ACTIONS.LOGIN_UNLOCKED]: 'Login unlocked',
+    [AUDIT_ACTIONS.ITEM_GRANTED]: 'Item given',
+    [AUDIT_ACTIONS.ITEM_EDITED]: 'Item changed',
+    [AUDIT_ACTIONS.ITEM_REMOVED]: 'Item removed',
+    [AUDIT_ACTIONS.NEWS_EDITED]: 'News edited',
+    [AUDIT_ACTIONS.GIFT_SENT]: 'Gift sent',
+    [AUDIT_ACTIONS.SNAPSHOT_TAKEN]: 'Snapshot taken',
+    [AUDIT_ACTIONS.SNAPSHOT_RESTORED]: 'Snapshot restored'
+});
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} id A random ID.
+ * @property {number} at When the action happened (ms timestamp).
+ * @property {string} actorUid The user ID of the staff member.
+ * @property {string} actorEmail Their email address.
+ * @property {string} actorRole Their role at the time.
+ * @property {string} action One of AUDIT_ACTIONS.
+ * @property {'account'|'character'|'ip'|'config'|'login'|'news'|'server'} targetType What was acted on.
+ * @property {string} targetId The user ID, character ID, IP address, file name or lock key ("server" for everyone).
+ * @property {string} targetLabel A readable name for the target.
+ * @property {object|null} before The values the action changed, as they were; null if it created something.
+ * @property {object|null} after The same values afterwards; null if it removed something.
+ * @property {string|null} reason Why, if the staff member had to say.
+ * @property {string} summary One line describing the action.
+ */
+
+/**
+ * Makes a value safe to store: drops undefined fields and anything that isn't plain data.
+ * @param {*} value The value.
+ * @returns {*} A plain copy, or null.
+ */
+function toStoredValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Appends an entry for an admin action the signed-in staff member just took.
+ * The action has already happened, so a failure to write the entry is
+ * logged rather than thrown.
+ * @param {object} entry
+ * @param {string} entry.action One of AUDIT_ACTIONS.
+ * @param {string} entry.targetType What was acted on (see AuditEntry).
+ * @param {string} entry.targetId Its ID.
+ * @param {string} entry.targetLabel A readable name for it.
+ * @param {object|null} entry.before The changed values beforehand.
+ * @param {object|null} entry.after The changed values afterwards.
+ * @param {string|null} [entry.reason] Why, if the staff member gave a reason.
+ * @param {string} entry.summary One line describing the action.
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEntry({ action, targetType, targetId, targetLabel, before, after, reason = null, summary }) {
+    try {
+        const [backend, role] = await Promise.all([getBackend(), getCurrentUserRole()]);
+        const actor = backend.getCurrentUser();
+        /** @type {AuditEntry} */
+        const entry = {
+            id: crypto.randomUUID(),
+            at: Date.now(),
+            actorUid: actor.uid,
+            actorEmail: actor.email,
+            actorRole: role,
+            action,
+            targetType,
+            targetId: String(targetId),
+            targetLabel: String(targetLabel),
+            before: toStoredValue(before),
+            after: toStoredValue(after),
+            reason,
+            summary
+        };
+        await backend.appendAuditEntry(entry);
+    } catch (error) {
+        console.error(`[Admin] Could not write the audit log entry for "${summary}":`, error);
+    }
+}
+
+/**
+ * Lists the entries of a time range, newest first. Admins only.
+ * @param {number} since The start of the range (ms timestamp).
+ * @param {number} until The end of the range (ms timestamp).
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function listAuditEntries(since, until) {
+    await requirePermission(PERMISSIONS.VIEW_AUDIT_LOG);
+    if (since > until) throw new BackendError('invalid-argument', 'The start of the range must be before its end.');
+    const backend = await getBackend();
+    const entries = await backend.listAuditEntries({ since, until });
+    return entries.sort((a, b) => b.at - a.at);
+}
+
+/**
+ * Lists the values an entry changed.
+ * @param {AuditEntry} entry The entry.
+ * @returns {Array<{field: string, before: *, after: *}>} One item per changed field.
+ */
+export function describeAuditChanges(entry) {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+// ========================================================================
+//  CSV EXPORT
+// ========================================================================
+
+const CSV_COLUMNS = ['Time (UTC)', 'Staff', 'Staff Role', 'Action', 'Target Type', 'Target', 'Target ID', 'Summary', 'Reason', 'Before', 'After'];
+
+/**
+ * Quotes a CSV cell. Cells that a spreadsheet would run as a formula get a leading quote mark.
+ * @param {*} value The cell's value.
+ * @returns {string} The quoted cell.
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Builds a CSV file from audit entries.
+ * @param {AuditEntry[]} entries The entries, in the order to write them.
+ * @returns {string} The file's contents.
+ */
+export function auditEntriesToCsv(entries) {
+    const rows = entries.map(entry => [
+        new Date(entry.at).toISOString(),
+        entry.actorEmail,
+        entry.actorRole,
+        AUDIT_ACTION_LABELS[entry.action] || entry.action,
+        entry.targetType,
+        entry.targetLabel,
+        entry.targetId,
+        entry.summary,
+        entry.reason,
+        entry.before === null ? '' : JSON.stringify(entry.before),
+        entry.after === null ? '' : JSON.stringify(entry.after)
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
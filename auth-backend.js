@@ -0,0 +1,190 @@
+// ========================================================================
+//  AUTH & DATA BACKEND
+// ========================================================================
+
+/**
+ * Accounts and characters are read and written through a backend chosen by
+ * AUTH_BACKEND, so pages never talk to Firebase directly:
+ *   - "firebase" (backend-firebase.js) uses Firebase Auth and Firestore.
+ *   - "local" (backend-local.js) keeps everything in the browser's IndexedDB,
+ *     for development and offline testing.
+ * The chosen implementation is imported on first use, so the local backend
+ * never loads the Firebase SDK.
+ */
+import { loadServerProperties } from './server-properties.js';
+
+/**
+ * @typedef {object} BackendUser
+ * @property {string} uid The account's ID.
+ * @property {string} email The account's email address.
+ * @property {boolean} emailVerified Whether the email address has been confirmed.
+ */
+
+/**
+ * @typedef {object} UserListQuery
+ * @property {'emailLowercase'|'createdAt'|'lastLoginAt'} [sortBy] Defaults to createdAt. Accounts without the field are left out.
+ * @property {'asc'|'desc'} [sortDirection] Defaults to desc.
+ * @property {string} [search] Finds accounts whose field starts with this text, ignoring case.
+ *   While searching by email or account, the list is ordered by that field instead of sortBy.
+ * @property {'email'|'account'|'character'} [searchField] What to search: the email, the game login or a character name.
+ *   A character search returns a single page.
+ * @property {boolean} [bannedOnly] Only list banned accounts.
+ * @property {number} [pageSize] Defaults to 25.
+ * @property {string|null} [cursor] The nextCursor of the previous page.
+ */
+
+/**
+ * @typedef {object} UserListPage
+ * @property {object[]} users The profiles, each with its `uid`.
+ * @property {string|null} nextCursor Pass this to get the next page; null on the last page.
+ * @property {number} total How many accounts match in all.
+ */
+
+/**
+ * @typedef {object} AuthBackend
+ * @property {string} name The backend's AUTH_BACKEND value.
+ * @property {function(function(BackendUser|null): void): Function} onAuthStateChanged
+ *   Calls the listener with the current user once the session is restored, and again on every
+ *   sign-in or sign-out. Returns a function that removes the listener.
+ * @property {function(): BackendUser|null} getCurrentUser The signed-in user, if any.
+ * @property {function(): Promise<BackendUser|null>} reloadUser
+ *   Re-reads the signed-in user, e.g. to pick up an email address confirmed in another tab.
+ * @property {function(): Promise<string>} getIdToken
+ *   A token that identifies the signed-in user to the site's own services, sent as
+ *   `Authorization: Bearer <token>`.
+ * @property {function(string, string, {remember: boolean}): Promise<BackendUser>} signIn
+ *   Signs in. With `remember` the session survives closing the browser.
+ * @property {function(string, string): Promise<BackendUser>} register
+ *   Creates an unverified account and its `users` profile, and signs it in.
+ * @property {function(): Promise<void>} sendEmailVerification Emails the signed-in user a link that confirms their address.
+ * @property {function(string): Promise<void>} applyEmailVerification Confirms an address using the code from the verification link.
+ * @property {function(): Promise<void>} signOut Ends the session.
+ * @property {function(string): Promise<void>} sendPasswordReset Emails a password reset link.
+ * @property {function(string, string): Promise<void>} confirmPasswordReset Sets a new password using the code from the reset link.
+ * @property {function(): Promise<void>} deleteAccount Deletes the signed-in account, its profile, characters, 2FA settings, sessions and gifts.
+ * @property {function(string): Promise<void>} reauthenticate
+ *   Checks the signed-in user's password again before a sensitive change. Throws "auth/invalid-credential" if it is wrong.
+ * @property {function(string): Promise<void>} changePassword Sets a new password for the signed-in user.
+ * @property {function(string): Promise<void>} requestEmailChange
+ *   Emails a link to a new address; the signed-in user's address changes once it is followed.
+ * @property {function(string): Promise<void>} applyEmailChange Changes the address using the code from that link.
+ * @property {function(string): Promise<object|null>} getUserProfile Reads a `users` profile.
+ * @property {function(string, object): Promise<void>} updateUserProfile Merges fields into a `users` profile. `role` can't be set this way.
+ * @property {function(string, string): Promise<void>} setUserRole
+ *   Sets a user's role (see roles.js). Only admins may; others get "permission-denied".
+ * @property {function(string, boolean): Promise<void>} setUserBanned Bans or unbans an account. Only staff may.
+ * @property {function(UserListQuery): Promise<UserListPage>} listUsers Lists accounts for the admin page. Only staff may.
+ * @property {function(): Promise<object[]>} listAllUsers
+ *   Lists every account profile, each with its `uid`, for the statistics tab. Admins only.
+ * @property {function(string): Promise<object[]>} listCharacters Lists the characters owned by a user, each with its `id`.
+ * @property {function(): Promise<object[]>} listAllCharacters Lists every character, each with its `id`. Admins only.
+ * @property {function(string): Promise<object|null>} getCharacter Reads a character, with its `id`.
+ * @property {function(object): Promise<string>} createCharacter
+ *   Stores a new character and reserves its name in `charnames`, returning its ID. Throws "already-exists" if the name is taken.
+ * @property {function(string, object): Promise<void>} updateCharacter Merges fields into a character.
+ * @property {function(string): Promise<void>} deleteCharacter Deletes a character and frees its name.
+ * @property {function(string): Promise<object|null>} findCharacterByName Reads the character with a lower-cased name.
+ * @property {function(string): Promise<boolean>} isCharacterNameTaken Checks whether a lower-cased character name is reserved.
+ * @property {function(string): Promise<object|null>} getLoginAttempts Reads the failed-login record for a key (see login-throttle.js).
+ * @property {function(object): Promise<void>} saveLoginAttempts Stores a failed-login record under its `key`.
+ * @property {function(string): Promise<void>} deleteLoginAttempts
+ *   Deletes a failed-login record. Only staff may, except for the signed-in account's own record.
+ * @property {function(): Promise<object[]>} listLoginAttempts Lists every failed-login record. Only staff may.
+ * @property {function(object): Promise<void>} createSession Stores a login session record under its `id` (see sessions.js).
+ * @property {function(string): Promise<object|null>} getSession Reads a session record.
+ * @property {function(string, object): Promise<void>} updateSession Merges fields into a session record.
+ * @property {function(string): Promise<void>} deleteSession Deletes a session record.
+ * @property {function(string): Promise<object[]>} listSessions Lists a user's session records.
+ * @property {function(string): Promise<object|null>} getTwoFactorSettings
+ *   Reads an account's 2FA settings (see two-factor.js). Only the account itself may.
+ * @property {function(string, object): Promise<void>} saveTwoFactorSettings Stores an account's 2FA settings. Only the account itself may.
+ * @property {function(string): Promise<void>} deleteTwoFactorSettings Deletes an account's 2FA settings. Only the account itself may.
+ * @property {function(object): Promise<void>} saveBan Stores a ban record under its `id` (see bans.js). Staff only.
+ * @property {function(string): Promise<object|null>} getBan Reads a ban record.
+ * @property {function(string, object): Promise<void>} updateBan
+ *   Merges fields into a ban record. Players may only add an `appeal` to their own ban, once.
+ * @property {function({ownerUid?: string}): Promise<object[]>} listBans
+ *   Lists the bans of one account (players may list their own), or every ban (staff only).
+ * @property {function(object): Promise<void>} appendAuditEntry
+ *   Adds an audit log entry (see audit-log.js) written by the signed-in staff member. Entries can't be changed.
+ * @property {function({since: number, until: number}): Promise<object[]>} listAuditEntries
+ *   Lists the audit log entries between two ms timestamps. Admins only.
+ * @property {function(object, {users: object[], characters: object[]}): Promise<void>} saveSnapshot
+ *   Stores a snapshot (see snapshots.js) with copies of the account profiles and characters. Admins only.
+ * @property {function(): Promise<object[]>} listSnapshots Lists the snapshots, without their data. Admins only.
+ * @property {function(string): Promise<{users: object[], characters: object[]}>} getSnapshotData
+ *   Reads the profiles (each with its `uid`) and characters (each with its `id`) of a snapshot. Admins only.
+ * @property {function(string): Promise<void>} deleteSnapshot Deletes a snapshot and its data. Admins only.
+ * @property {function(string, object): Promise<void>} restoreUserProfile Replaces a `users` profile. Admins only.
+ * @property {function(object): Promise<void>} restoreCharacter
+ *   Writes a character under its `id`, creating it again if it was deleted, and reserves its name if it is free. Admins only.
+ * @property {function(object[]): Promise<void>} saveGifts Stores new gift records (see gifts.js). Admins only.
+ * @property {function({ownerUid?: string}): Promise<object[]>} listGifts
+ *   Lists the gifts to one account's characters (players may list their own), or every gift (staff only).
+ * @property {function(string, function(object[], object): object[]): Promise<object>} claimGift
+ *   Claims one of the signed-in player's gifts: in one transaction, checks it is unclaimed, stores the
+ *   inventory the callback returns on its character and marks the gift claimed. Returns the claimed gift.
+ */
+
+/**
+ * An error from a backend. Codes follow Firebase's (e.g. "auth/email-already-in-use"),
+ * so pages can handle both backends the same way.
+ */
+export class BackendError extends Error {
+    /**
+     * @param {string} code The error code.
+     * @param {string} message A readable description.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'BackendError';
+        this.code = code;
+    }
+}
+
+/**
+ * Links in emails from either backend point back to the site as
+ * `<page>?mode=<action>&oobCode=<code>`, the format Firebase uses for its own links.
+ */
+export const ACTION_MODES = Object.freeze({
+    RESET_PASSWORD: 'resetPassword',
+    VERIFY_EMAIL: 'verifyEmail',
+    VERIFY_AND_CHANGE_EMAIL: 'verifyAndChangeEmail'
+});
+
+const BACKEND_MODULES = {
+    firebase: () => import('./backend-firebase.js'),
+    local: () => import('./backend-local.js')
+};
+
+let backendPromise = null;
+
+/**
+ * Returns the backend selected by AUTH_BACKEND. Every caller on a page gets the same instance.
+ * @returns {Promise<AuthBackend>} The backend.
+ */
+export function getBackend() {
+    if (!backendPromise) {
+        backendPromise = loadServerProperties().then(async (properties) => {
+            const name = properties.AUTH_BACKEND;
+            const { default: backend } = await BACKEND_MODULES[name]();
+            console.log(`[Auth] Using the ${name} backend.`);
+            return backend;
+        });
+    }
+    return backendPromise;
+}
+
+/**
+ * Resolves with the signed-in user once the backend has restored the session.
+ * @returns {Promise<BackendUser|null>} The user, or null if nobody is signed in.
+ */
+export async function waitForAuthUser() {
+    const backend = await getBackend();
+    return new Promise(resolve => {
+        const unsubscribe = backend.onAuthStateChanged(user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
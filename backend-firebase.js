@@ -0,0 +1,465 @@
+// ========================================================================
+//  FIREBASE BACKEND
+// ========================================================================
+
+/**
+ * The AuthBackend (see auth-backend.js) backed by Firebase Auth and Firestore.
+ * Profiles live in `users/{uid}` and characters in the `characters` collection.
+ */
+import { auth, db } from './firebase-config.js';
+import { BackendError } from './auth-backend.js';
+import {
+    onAuthStateChanged,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    setPersistence,
+    browserSessionPersistence,
+    browserLocalPersistence,
+    sendPasswordResetEmail,
+    confirmPasswordReset,
+    sendEmailVerification,
+    applyActionCode,
+    reload,
+    deleteUser,
+    reauthenticateWithCredential,
+    EmailAuthProvider,
+    updatePassword,
+    verifyBeforeUpdateEmail
+} from "https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js";
+import {
+    collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where,
+    orderBy, limit, startAfter, getCountFromServer, runTransaction, writeBatch
+} from "https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js";
+
+/**
+ * Reduces a Firebase user to the fields pages rely on.
+ * @param {import("https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js").User|null} user
+ * @returns {import('./auth-backend.js').BackendUser|null}
+ */
+function toBackendUser(user) {
+    return user ? { uid: user.uid, email: user.email, emailVerified: user.emailVerified } : null;
+}
+
+const STAFF_PROFILE_FIELDS = ['role', 'banned']; // Only staff can write these; the Firestore rules enforce it.
+const CHARACTER_SEARCH_LIMIT = 50;
+const MAX_BATCH_WRITES = 500; // Firestore's limit per batch.
+
+/**
+ * The `charnames` document that reserves a character name. Players can't query
+ * each other's characters, so names are checked and reserved here instead.
+ * @param {string} nameLowercase The lower-cased character name.
+ */
+const charnameDoc = (nameLowercase) => doc(db, 'charnames', encodeURIComponent(nameLowercase));
+
+/**
+ * Deletes the `charnames` reservation held by a character. Characters created
+ * before names were reserved may hold none, or share their name with one that
+ * does, so it is only deleted if it belongs to this character.
+ * @param {import("https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js").DocumentSnapshot} charDoc The character.
+ * @returns {Promise<void>}
+ */
+async function releaseCharname(charDoc) {
+    const nameRef = charnameDoc(charDoc.data().charname_lowercase);
+    const nameDoc = await getDoc(nameRef);
+    if (nameDoc.exists() && nameDoc.data().characterId === charDoc.id) await deleteDoc(nameRef);
+}
+
+/** Last documents of the account list pages handed out, by cursor. */
+const userPageCursors = new Map();
+
+/**
+ * Reads a `users` document as a row of the admin account list, with Firestore timestamps as dates.
+ * @param {import("https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js").DocumentSnapshot} userDoc
+ * @returns {object} The profile with its `uid`.
+ */
+function toUserListRow(userDoc) {
+    const data = userDoc.data();
+    const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+    return { ...data, uid: userDoc.id, createdAt: toDate(data.createdAt), lastLoginAt: toDate(data.lastLoginAt) };
+}
+
+/** @type {import('./auth-backend.js').AuthBackend} */
+const firebaseBackend = {
+    name: 'firebase',
+
+    onAuthStateChanged(listener) {
+        return onAuthStateChanged(auth, user => listener(toBackendUser(user)));
+    },
+
+    getCurrentUser() {
+        return toBackendUser(auth.currentUser);
+    },
+
+    async reloadUser() {
+        if (auth.currentUser) await reload(auth.currentUser);
+        return toBackendUser(auth.currentUser);
+    },
+
+    getIdToken() {
+        return auth.currentUser.getIdToken();
+    },
+
+    async signIn(email, password, { remember = false } = {}) {
+        await setPersistence(auth, remember ? browserLocalPersistence : browserSessionPersistence);
+        const credential = await signInWithEmailAndPassword(auth, email, password);
+        const { user } = credential;
+        // Also brings the profile's address up to date after a change made through the email link.
+        await setDoc(doc(db, 'users', user.uid), { email: user.email, emailLowercase: user.email.toLowerCase(), lastLoginAt: new Date() }, { merge: true });
+        return toBackendUser(user);
+    },
+
+    async register(email, password) {
+        const { user } = await createUserWithEmailAndPassword(auth, email, password);
+        await setDoc(doc(db, 'users', user.uid), { email: user.email, emailLowercase: user.email.toLowerCase(), createdAt: new Date() });
+        return toBackendUser(user);
+    },
+
+    sendEmailVerification() {
+        return sendEmailVerification(auth.currentUser);
+    },
+
+    async applyEmailVerification(code) {
+        await applyActionCode(auth, code);
+        if (auth.currentUser) await reload(auth.currentUser);
+    },
+
+    signOut() {
+        return auth.signOut();
+    },
+
+    sendPasswordReset(email) {
+        return sendPasswordResetEmail(auth, email);
+    },
+
+    confirmPasswordReset(code, newPassword) {
+        return confirmPasswordReset(auth, code, newPassword);
+    },
+
+    async deleteAccount() {
+        const user = auth.currentUser;
+        const characters = await getDocs(query(collection(db, 'characters'), where('owner', '==', user.uid)));
+        await Promise.all(characters.docs.map(async (charDoc) => {
+            await releaseCharname(charDoc);
+            await deleteDoc(charDoc.ref);
+        }));
+        // Its logins and gifts go with it.
+        const [sessions, gifts] = await Promise.all([
+            getDocs(query(collection(db, 'sessions'), where('uid', '==', user.uid))),
+            getDocs(query(collection(db, 'gifts'), where('ownerUid', '==', user.uid)))
+        ]);
+        await Promise.all([...sessions.docs, ...gifts.docs].map(entryDoc => deleteDoc(entryDoc.ref)));
+        await deleteDoc(doc(db, 'twoFactor', user.uid));
+        await deleteDoc(doc(db, 'users', user.uid));
+        await deleteUser(user);
+        console.log(`[Firebase] Deleted account ${user.uid} and ${characters.size} characters.`);
+    },
+
+    async reauthenticate(password) {
+        const user = auth.currentUser;
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    },
+
+    changePassword(newPassword) {
+        return updatePassword(auth.currentUser, newPassword);
+    },
+
+    requestEmailChange(newEmail) {
+        return verifyBeforeUpdateEmail(auth.currentUser, newEmail);
+    },
+
+    async applyEmailChange(code) {
+        await applyActionCode(auth, code);
+        if (auth.currentUser) await reload(auth.currentUser);
+    },
+
+    async getUserProfile(uid) {
+        const userDoc = await getDoc(doc(db, 'users', uid));
+        return userDoc.exists() ? userDoc.data() : null;
+    },
+
+    updateUserProfile(uid, fields) {
+        const staffField = STAFF_PROFILE_FIELDS.find(field => field in fields);
+        if (staffField) return Promise.reject(new BackendError('permission-denied', `"${staffField}" can only be changed by staff.`));
+        return setDoc(doc(db, 'users', uid), fields, { merge: true });
+    },
+
+    setUserRole(uid, role) {
+        // Firestore rules only let admins write `role` (see README).
+        return setDoc(doc(db, 'users', uid), { role }, { merge: true });
+    },
+
+    setUserBanned(uid, banned) {
+        return setDoc(doc(db, 'users', uid), { banned }, { merge: true });
+    },
+
+    async listUsers({ sortBy = 'createdAt', sortDirection = 'desc', search = '', searchField = 'email', bannedOnly = false, pageSize = 25, cursor = null } = {}) {
+        const term = search.trim().toLowerCase();
+
+        // Characters are searched separately; their owners are returned as one page.
+        if (term && searchField === 'character') {
+            const characters = await getDocs(query(collection(db, 'characters'),
+                where('charname_lowercase', '>=', term), where('charname_lowercase', '<=', `${term}\uf8ff`), limit(CHARACTER_SEARCH_LIMIT)));
+            const owners = [...new Set(characters.docs.map(charDoc => charDoc.data().owner))];
+            const userDocs = await Promise.all(owners.map(uid => getDoc(doc(db, 'users', uid))));
+            const users = userDocs.filter(userDoc => userDoc.exists()).map(toUserListRow).filter(row => !bannedOnly || row.banned);
+            return { users, nextCursor: null, total: users.length };
+        }
+
+        const filters = bannedOnly ? [where('banned', '==', true)] : [];
+        if (term) {
+            // A range query has to be ordered by the field it searches.
+            sortBy = searchField === 'account' ? 'gameLogin' : 'emailLowercase';
+            sortDirection = 'asc';
+            filters.push(where(sortBy, '>=', term), where(sortBy, '<=', `${term}\uf8ff`));
+        }
+        const users = collection(db, 'users');
+        const countSnapshot = await getCountFromServer(query(users, ...filters));
+
+        const constraints = [...filters, orderBy(sortBy, sortDirection)];
+        if (cursor && userPageCursors.has(cursor)) constraints.push(startAfter(userPageCursors.get(cursor)));
+        // One extra document tells whether there is a next page.
+        const snapshot = await getDocs(query(users, ...constraints, limit(pageSize + 1)));
+        const pageDocs = snapshot.docs.slice(0, pageSize);
+        let nextCursor = null;
+        if (snapshot.docs.length > pageSize) {
+            nextCursor = crypto.randomUUID();
+            userPageCursors.set(nextCursor, pageDocs[pageDocs.length - 1]);
+        }
+        return { users: pageDocs.map(toUserListRow), nextCursor, total: countSnapshot.data().count };
+    },
+
+    async listAllUsers() {
+        const snapshot = await getDocs(collection(db, 'users'));
+        return snapshot.docs.map(toUserListRow);
+    },
+
+    async listCharacters(owner) {
+        const snapshot = await getDocs(query(collection(db, 'characters'), where('owner', '==', owner)));
+        return snapshot.docs.map(charDoc => ({ id: charDoc.id, ...charDoc.data() }));
+    },
+
+    async listAllCharacters() {
+        const snapshot = await getDocs(collection(db, 'characters'));
+        return snapshot.docs.map(charDoc => ({ id: charDoc.id, ...charDoc.data() }));
+    },
+
+    async getCharacter(id) {
+        const charDoc = await getDoc(doc(db, 'characters', id));
+        return charDoc.exists() ? { id: charDoc.id, ...charDoc.data() } : null;
+    },
+
+    async createCharacter(character) {
+        // The name is reserved in the same batch, so two players can't both take it.
+        const charRef = doc(collection(db, 'characters'));
+        const batch = writeBatch(db);
+        batch.set(charnameDoc(character.charname_lowercase), { owner: character.owner, characterId: charRef.id });
+        batch.set(charRef, character);
+        try {
+            await batch.commit();
+        } catch (error) {
+            // The rules refuse to overwrite a name another character holds.
+            if (error.code === 'permission-denied' && await this.isCharacterNameTaken(character.charname_lowercase)) {
+                throw new BackendError('already-exists', 'This character name is already taken.');
+            }
+            throw error;
+        }
+        return charRef.id;
+    },
+
+    updateCharacter(id, fields) {
+        return updateDoc(doc(db, 'characters', id), fields);
+    },
+
+    async deleteCharacter(id) {
+        const charDoc = await getDoc(doc(db, 'characters', id));
+        if (!charDoc.exists()) return;
+        // Frees the name for other players.
+        await releaseCharname(charDoc);
+        await deleteDoc(charDoc.ref);
+    },
+
+    async findCharacterByName(nameLowercase) {
+        const snapshot = await getDocs(query(collection(db, 'characters'), where('charname_lowercase', '==', nameLowercase), limit(1)));
+        return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    },
+
+    async isCharacterNameTaken(nameLowercase) {
+        const nameDoc = await getDoc(charnameDoc(nameLowercase));
+        return nameDoc.exists();
+    },
+
+    // Keys may hold any email address, so they are encoded to make valid document IDs.
+    async getLoginAttempts(key) {
+        const attemptsDoc = await getDoc(doc(db, 'loginAttempts', encodeURIComponent(key)));
+        return attemptsDoc.exists() ? attemptsDoc.data() : null;
+    },
+
+    saveLoginAttempts(record) {
+        return setDoc(doc(db, 'loginAttempts', encodeURIComponent(record.key)), record);
+    },
+
+    deleteLoginAttempts(key) {
+        return deleteDoc(doc(db, 'loginAttempts', encodeURIComponent(key)));
+    },
+
+    async listLoginAttempts() {
+        const snapshot = await getDocs(collection(db, 'loginAttempts'));
+        return snapshot.docs.map(attemptsDoc => attemptsDoc.data());
+    },
+
+    createSession(session) {
+        return setDoc(doc(db, 'sessions', session.id), session);
+    },
+
+    async getSession(id) {
+        const sessionDoc = await getDoc(doc(db, 'sessions', id));
+        return sessionDoc.exists() ? sessionDoc.data() : null;
+    },
+
+    updateSession(id, fields) {
+        return updateDoc(doc(db, 'sessions', id), fields);
+    },
+
+    deleteSession(id) {
+        return deleteDoc(doc(db, 'sessions', id));
+    },
+
+    async listSessions(uid) {
+        const snapshot = await getDocs(query(collection(db, 'sessions'), where('uid', '==', uid)));
+        return snapshot.docs.map(sessionDoc => sessionDoc.data());
+    },
+
+    saveBan(ban) {
+        return setDoc(doc(db, 'bans', ban.id), ban);
+    },
+
+    async getBan(id) {
+        const banDoc = await getDoc(doc(db, 'bans', id));
+        return banDoc.exists() ? banDoc.data() : null;
+    },
+
+    updateBan(id, fields) {
+        return updateDoc(doc(db, 'bans', id), fields);
+    },
+
+    async listBans({ ownerUid = null } = {}) {
+        const bans = collection(db, 'bans');
+        const snapshot = await getDocs(ownerUid ? query(bans, where('ownerUid', '==', ownerUid)) : bans);
+        return snapshot.docs.map(banDoc => banDoc.data());
+    },
+
+    appendAuditEntry(entry) {
+        // The Firestore rules allow creating entries but not changing them (see README).
+        return setDoc(doc(db, 'auditLog', entry.id), entry);
+    },
+
+    async listAuditEntries({ since, until }) {
+        const snapshot = await getDocs(query(collection(db, 'auditLog'),
+            where('at', '>=', since), where('at', '<=', until), orderBy('at', 'desc')));
+        return snapshot.docs.map(entryDoc => entryDoc.data());
+    },
+
+    async saveGifts(gifts) {
+        for (let start = 0; start < gifts.length; start += MAX_BATCH_WRITES) {
+            const batch = writeBatch(db);
+            gifts.slice(start, start + MAX_BATCH_WRITES).forEach(gift => batch.set(doc(db, 'gifts', gift.id), gift));
+            await batch.commit();
+        }
+    },
+
+    async listGifts({ ownerUid = null } = {}) {
+        const gifts = collection(db, 'gifts');
+        const snapshot = await getDocs(ownerUid ? query(gifts, where('ownerUid', '==', ownerUid)) : gifts);
+        return snapshot.docs.map(giftDoc => giftDoc.data());
+    },
+
+    // A snapshot is a `snapshots/{id}` document with `users` and `characters`
+    // subcollections, since a whole server would not fit in one document.
+    async saveSnapshot(snapshot, { users, characters }) {
+        const writes = [
+            ...users.map(({ uid, ...profile }) => [doc(db, 'snapshots', snapshot.id, 'users', uid), profile]),
+            ...characters.map(({ id, ...character }) => [doc(db, 'snapshots', snapshot.id, 'characters', id), character])
+        ];
+        for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+            const batch = writeBatch(db);
+            writes.slice(start, start + MAX_BATCH_WRITES).forEach(([ref, data]) => batch.set(ref, data));
+            await batch.commit();
+        }
+        // The snapshot is only listed once all of its data is written.
+        await setDoc(doc(db, 'snapshots', snapshot.id), snapshot);
+    },
+
+    async listSnapshots() {
+        const snapshot = await getDocs(collection(db, 'snapshots'));
+        return snapshot.docs.map(snapshotDoc => snapshotDoc.data());
+    },
+
+    async getSnapshotData(id) {
+        const [users, characters] = await Promise.all([
+            getDocs(collection(db, 'snapshots', id, 'users')),
+            getDocs(collection(db, 'snapshots', id, 'characters'))
+        ]);
+        return {
+            users: users.docs.map(toUserListRow),
+            characters: characters.docs.map(charDoc => ({ id: charDoc.id, ...charDoc.data() }))
+        };
+    },
+
+    async deleteSnapshot(id) {
+        await deleteDoc(doc(db, 'snapshots', id));
+        for (const name of ['users', 'characters']) {
+            const entries = await getDocs(collection(db, 'snapshots', id, name));
+            for (let start = 0; start < entries.docs.length; start += MAX_BATCH_WRITES) {
+                const batch = writeBatch(db);
+                entries.docs.slice(start, start + MAX_BATCH_WRITES).forEach(entryDoc => batch.delete(entryDoc.ref));
+                await batch.commit();
+            }
+        }
+    },
+
+    restoreUserProfile(uid, profile) {
+        return setDoc(doc(db, 'users', uid), profile);
+    },
+
+    async restoreCharacter({ id, ...character }) {
+        await setDoc(doc(db, 'characters', id), character);
+        // Reserves the name again unless another character holds it.
+        const nameRef = charnameDoc(character.charname_lowercase);
+        if (!(await getDoc(nameRef)).exists()) await setDoc(nameRef, { owner: character.owner, characterId: id });
+    },
+
+    claimGift(id, addItems) {
+        // The rules only let the owner set claimedAt while it is still null, so a gift can't be claimed twice.
+        return runTransaction(db, async (transaction) => {
+            const giftRef = doc(db, 'gifts', id);
+            const giftDoc = await transaction.get(giftRef);
+            if (!giftDoc.exists()) throw new BackendError('not-found', 'That gift does not exist.');
+            const gift = giftDoc.data();
+            if (gift.claimedAt) throw new BackendError('failed-precondition', 'That gift has already been claimed.');
+            const characterRef = doc(db, 'characters', gift.characterId);
+            const characterDoc = await transaction.get(characterRef);
+            if (!characterDoc.exists()) throw new BackendError('not-found', `${gift.characterName} no longer exists.`);
+
+            const inventory = addItems(characterDoc.data().inventory || [], gift);
+            const claim = { claimedAt: Date.now(), claimedBy: auth.currentUser.uid };
+            transaction.update(characterRef, { inventory });
+            transaction.update(giftRef, claim);
+            return { ...gift, ...claim };
+        });
+    },
+
+    async getTwoFactorSettings(uid) {
+        const settingsDoc = await getDoc(doc(db, 'twoFactor', uid));
+        return settingsDoc.exists() ? settingsDoc.data() : null;
+    },
+
+    saveTwoFactorSettings(uid, settings) {
+        return setDoc(doc(db, 'twoFactor', uid), settings);
+    },
+
+    deleteTwoFactorSettings(uid) {
+        return deleteDoc(doc(db, 'twoFactor', uid));
+    }
+};
+
+export default firebaseBackend;
@@ -0,0 +1,799 @@
+// ========================================================================
+//  LOCAL BACKEND
+// ========================================================================
+
+/**
+ * The AuthBackend (see auth-backend.js) that keeps accounts and characters in
+ * the browser's IndexedDB, so the site can be developed and tested without a
+ * Firebase project or network access. Data only exists in the browser that
+ * created it.
+ *
+ * Passwords are stored as salted PBKDF2 hashes. Mail (password reset and
+ * verification links) is not sent; it is written to the `mail` store, which
+ * local-mailbox.html shows, and to the console.
+ */
+import { BackendError, ACTION_MODES } from './auth-backend.js';
+import { base64UrlEncode, base64UrlDecode } from './bypass-token.js';
+
+const DB_NAME = 'lineage-local-backend';
+const DB_VERSION = 9;
+const SESSION_KEY = 'localBackendSession';
+const MIN_PASSWORD_LENGTH = 6;
+const PBKDF2_ITERATIONS = 100000;
+const RESET_CODE_LIFETIME_MS = 60 * 60 * 1000;
+const VERIFICATION_CODE_LIFETIME_MS = 3 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const STAFF_PROFILE_FIELDS = ['role', 'banned']; // Only staff can write these; see setUserRole() and setUserBanned().
+
+// ========================================================================
+//  INDEXEDDB HELPERS
+// ========================================================================
+
+let databasePromise = null;
+
+/**
+ * Opens (and on first use creates) the database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const database = request.result;
+                if (event.oldVersion < 1) {
+                    const users = database.createObjectStore('users', { keyPath: 'uid' });
+                    users.createIndex('emailLowercase', 'emailLowercase', { unique: true });
+                    const characters = database.createObjectStore('characters', { keyPath: 'id' });
+                    characters.createIndex('owner', 'owner');
+                    characters.createIndex('charname_lowercase', 'charname_lowercase');
+                    database.createObjectStore('passwordResets', { keyPath: 'code' });
+                    database.createObjectStore('mail', { keyPath: 'id', autoIncrement: true });
+                }
+                if (event.oldVersion < 2) {
+                    database.createObjectStore('emailVerifications', { keyPath: 'code' });
+                }
+                if (event.oldVersion < 3) {
+                    database.createObjectStore('loginAttempts', { keyPath: 'key' });
+                }
+                if (event.oldVersion < 4) {
+                    database.createObjectStore('twoFactor', { keyPath: 'uid' });
+                }
+                if (event.oldVersion < 5) {
+                    database.createObjectStore('emailChanges', { keyPath: 'code' });
+                    database.createObjectStore('sessions', { keyPath: 'id' }).createIndex('uid', 'uid');
+                }
+                if (event.oldVersion < 6) {
+                    database.createObjectStore('bans', { keyPath: 'id' }).createIndex('ownerUid', 'ownerUid');
+                }
+                if (event.oldVersion < 7) {
+                    database.createObjectStore('auditLog', { keyPath: 'id' }).createIndex('at', 'at');
+                }
+                if (event.oldVersion < 8) {
+                    database.createObjectStore('gifts', { keyPath: 'id' }).createIndex('ownerUid', 'ownerUid');
+                }
+                if (event.oldVersion < 9) {
+                    database.createObjectStore('snapshots', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<*>} The request's result.
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs work inside a transaction and resolves once the transaction has committed.
+ * The work may only wait on requests of this transaction, or it will be committed early.
+ * @param {string|string[]} storeNames The stores the transaction covers.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {function(IDBTransaction): Promise<*>} work Issues the requests.
+ * @returns {Promise<*>} What the work returned.
+ */
+async function runTransaction(storeNames, mode, work) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+        work(transaction).then(value => { result = value; }, error => {
+            reject(error);
+            try { transaction.abort(); } catch { /* already finished */ }
+        });
+    });
+}
+
+// ========================================================================
+//  PASSWORDS & MAIL
+// ========================================================================
+
+/**
+ * Hashes a password with PBKDF2-SHA-256.
+ * @param {string} password The password.
+ * @param {Uint8Array} salt A random salt.
+ * @returns {Promise<string>} The base64url-encoded hash.
+ */
+async function hashPassword(password, salt) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, key, 256);
+    return base64UrlEncode(bits);
+}
+
+/**
+ * Creates the stored form of a new password.
+ * @param {string} password The password.
+ * @returns {Promise<{passwordHash: string, passwordSalt: string}>}
+ */
+async function createPasswordFields(password) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new BackendError('auth/weak-password', `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return { passwordHash: await hashPassword(password, salt), passwordSalt: base64UrlEncode(salt) };
+}
+
+/**
+ * "Sends" an email by storing it in the `mail` store and logging it.
+ * @param {string} to The recipient.
+ * @param {string} subject The subject line.
+ * @param {string} body The plain-text body.
+ */
+async function deliverMail(to, subject, body) {
+    await runTransaction('mail', 'readwrite', async (transaction) => {
+        transaction.objectStore('mail').add({ to, subject, body, sentAt: new Date() });
+    });
+    console.info(`[LocalBackend] Mail to ${to}: ${subject}\n${body}`);
+}
+
+/**
+ * Builds the link a mail points to, in the same form as Firebase's.
+ * @param {string} page The page that handles the action, e.g. "/login".
+ * @param {string} mode One of ACTION_MODES.
+ * @param {string} code The one-time code.
+ * @returns {string} The absolute URL.
+ */
+function buildActionLink(page, mode, code) {
+    return `${window.location.origin}${page}?mode=${mode}&oobCode=${code}`;
+}
+
+function createActionCode() {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+/**
+ * Lists the mail the local backend has "sent", newest first.
+ * @returns {Promise<Array<{id: number, to: string, subject: string, body: string, sentAt: Date}>>}
+ */
+export async function listLocalMail() {
+    const mail = await runTransaction('mail', 'readonly', tx => requestResult(tx.objectStore('mail').getAll()));
+    return mail.reverse();
+}
+
+// ========================================================================
+//  SESSION
+// ========================================================================
+
+const listeners = new Set();
+let currentUser = null;
+
+/**
+ * Reduces a stored user record to the fields pages rely on.
+ * @param {object|undefined} record The `users` record.
+ * @returns {import('./auth-backend.js').BackendUser|null}
+ */
+function toBackendUser(record) {
+    return record ? { uid: record.uid, email: record.profile.email, emailVerified: Boolean(record.emailVerified) } : null;
+}
+
+function readSessionUid() {
+    return sessionStorage.getItem(SESSION_KEY) || localStorage.getItem(SESSION_KEY);
+}
+
+function writeSessionUid(uid, remember) {
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(SESSION_KEY);
+    if (uid) (remember ? localStorage : sessionStorage).setItem(SESSION_KEY, uid);
+}
+
+/**
+ * Loads the user of the stored session, dropping the session if the account is gone.
+ * @returns {Promise<import('./auth-backend.js').BackendUser|null>}
+ */
+async function restoreSession() {
+    const uid = readSessionUid();
+    const record = uid ? await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').get(uid))) : null;
+    if (uid && !record) writeSessionUid(null);
+    currentUser = toBackendUser(record);
+    return currentUser;
+}
+
+let sessionRestored = restoreSession();
+
+function notifyListeners() {
+    listeners.forEach(listener => listener(currentUser));
+}
+
+// Signing in or out in another tab (with "remember me") changes localStorage here too.
+window.addEventListener('storage', (event) => {
+    if (event.key !== SESSION_KEY) return;
+    sessionRestored = restoreSession();
+    sessionRestored.then(notifyListeners);
+});
+
+/**
+ * Reads a user record by email address.
+ * @param {string} email The email address.
+ * @returns {Promise<object|undefined>} The record.
+ */
+function findUserByEmail(email) {
+    return runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').index('emailLowercase').get(email.trim().toLowerCase())));
+}
+
+/**
+ * Throws unless somebody is signed in.
+ * @returns {import('./auth-backend.js').BackendUser} The signed-in user.
+ */
+function requireCurrentUser() {
+    if (!currentUser) throw new BackendError('auth/null-user', 'Nobody is signed in.');
+    return currentUser;
+}
+
+/**
+ * Throws unless the given account is the one signed in.
+ * @param {string} uid The account's ID.
+ * @param {string} message The error message if it isn't.
+ */
+function requireAccountOwner(uid, message) {
+    if (requireCurrentUser().uid !== uid) throw new BackendError('permission-denied', message);
+}
+
+// ========================================================================
+//  PROFILES
+// ========================================================================
+
+/**
+ * Merges fields into a user's profile.
+ * @param {string} uid The user's ID.
+ * @param {object} fields The fields to merge.
+ * @returns {Promise<void>}
+ */
+async function mergeProfile(uid, fields) {
+    await runTransaction('users', 'readwrite', async (tx) => {
+        const users = tx.objectStore('users');
+        const record = await requestResult(users.get(uid));
+        if (!record) throw new BackendError('not-found', `No user ${uid}.`);
+        users.put({ ...record, profile: { ...record.profile, ...fields } });
+    });
+}
+
+/**
+ * Refuses the call unless the signed-in user has one of the roles, like the Firestore rules do.
+ * @param {string[]} roles The roles allowed.
+ * @param {string} message The error message otherwise.
+ * @returns {Promise<void>}
+ */
+async function requireCallerRole(roles, message) {
+    const caller = currentUser && await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').get(currentUser.uid)));
+    if (!caller || !roles.includes(caller.profile.role)) throw new BackendError('permission-denied', message);
+}
+
+/**
+ * Reduces a stored user record to a row of the admin account list.
+ * @param {object} record The `users` record.
+ * @returns {object} The profile with its `uid` and `emailLowercase`.
+ */
+function toUserListRow(record) {
+    return { ...record.profile, uid: record.uid, emailLowercase: record.emailLowercase };
+}
+
+// ========================================================================
+//  BACKEND
+// ========================================================================
+
+/** @type {import('./auth-backend.js').AuthBackend} */
+const localBackend = {
+    name: 'local',
+
+    onAuthStateChanged(listener) {
+        listeners.add(listener);
+        sessionRestored.then(() => {
+            if (listeners.has(listener)) listener(currentUser);
+        });
+        return () => listeners.delete(listener);
+    },
+
+    getCurrentUser() {
+        return currentUser;
+    },
+
+    reloadUser() {
+        sessionRestored = restoreSession();
+        return sessionRestored;
+    },
+
+    async getIdToken() {
+        // Only accepted by services started with `--auth local`; see game-account-sync.mjs.
+        return `local:${requireCurrentUser().uid}`;
+    },
+
+    async signIn(email, password, { remember = false } = {}) {
+        const record = await findUserByEmail(email);
+        const isValid = record && await hashPassword(password, base64UrlDecode(record.passwordSalt)) === record.passwordHash;
+        if (!isValid) throw new BackendError('auth/invalid-credential', 'Invalid email or password.');
+
+        await mergeProfile(record.uid, { lastLoginAt: new Date() });
+        writeSessionUid(record.uid, remember);
+        currentUser = toBackendUser(record);
+        notifyListeners();
+        return currentUser;
+    },
+
+    async register(email, password) {
+        const trimmedEmail = email.trim();
+        if (!EMAIL_PATTERN.test(trimmedEmail)) throw new BackendError('auth/invalid-email', 'The email address is badly formatted.');
+        const passwordFields = await createPasswordFields(password);
+
+        const record = {
+            uid: crypto.randomUUID(),
+            emailLowercase: trimmedEmail.toLowerCase(),
+            emailVerified: false,
+            ...passwordFields,
+            profile: { email: trimmedEmail, createdAt: new Date() }
+        };
+        try {
+            await runTransaction('users', 'readwrite', async (tx) => {
+                const users = tx.objectStore('users');
+                // There is no console to hand out roles here, so the first account becomes the admin.
+                if (await requestResult(users.count()) === 0) record.profile.role = 'admin';
+                await requestResult(users.add(record));
+            });
+        } catch (error) {
+            if (error.name === 'ConstraintError') throw new BackendError('auth/email-already-in-use', 'The email address is already in use by another account.');
+            throw error;
+        }
+
+        // Like Firebase, registering signs the new account in.
+        writeSessionUid(record.uid, false);
+        currentUser = toBackendUser(record);
+        notifyListeners();
+        return currentUser;
+    },
+
+    async sendEmailVerification() {
+        const { uid, email, emailVerified } = requireCurrentUser();
+        if (emailVerified) return;
+
+        const code = createActionCode();
+        await runTransaction('emailVerifications', 'readwrite', async (tx) => {
+            tx.objectStore('emailVerifications').put({ code, uid, expiresAt: Date.now() + VERIFICATION_CODE_LIFETIME_MS });
+        });
+        const link = buildActionLink('/login', ACTION_MODES.VERIFY_EMAIL, code);
+        await deliverMail(email, 'Verify your email address', `Follow this link to verify your email address:\n${link}`);
+    },
+
+    async applyEmailVerification(code) {
+        const verification = await runTransaction('emailVerifications', 'readonly', tx => requestResult(tx.objectStore('emailVerifications').get(code)));
+        if (!verification) throw new BackendError('auth/invalid-action-code', 'The verification link is invalid or has already been used.');
+        if (verification.expiresAt < Date.now()) throw new BackendError('auth/expired-action-code', 'The verification link has expired.');
+
+        await runTransaction(['users', 'emailVerifications'], 'readwrite', async (tx) => {
+            const users = tx.objectStore('users');
+            const record = await requestResult(users.get(verification.uid));
+            if (record) users.put({ ...record, emailVerified: true });
+            tx.objectStore('emailVerifications').delete(code);
+        });
+        if (currentUser && currentUser.uid === verification.uid) currentUser = { ...currentUser, emailVerified: true };
+    },
+
+    async signOut() {
+        writeSessionUid(null);
+        currentUser = null;
+        notifyListeners();
+    },
+
+    async sendPasswordReset(email) {
+        const record = await findUserByEmail(email);
+        if (!record) throw new BackendError('auth/user-not-found', 'There is no account with this email address.');
+
+        const code = createActionCode();
+        await runTransaction('passwordResets', 'readwrite', async (tx) => {
+            tx.objectStore('passwordResets').put({ code, uid: record.uid, expiresAt: Date.now() + RESET_CODE_LIFETIME_MS });
+        });
+        const link = buildActionLink('/login', ACTION_MODES.RESET_PASSWORD, code);
+        await deliverMail(record.profile.email, 'Reset your password', `Follow this link to choose a new password:\n${link}\n\nYour reset code is: ${code}`);
+    },
+
+    async confirmPasswordReset(code, newPassword) {
+        const reset = await runTransaction('passwordResets', 'readonly', tx => requestResult(tx.objectStore('passwordResets').get(code)));
+        if (!reset) throw new BackendError('auth/invalid-action-code', 'The reset code is invalid or has already been used.');
+        if (reset.expiresAt < Date.now()) throw new BackendError('auth/expired-action-code', 'The reset code has expired.');
+
+        const passwordFields = await createPasswordFields(newPassword);
+        await runTransaction(['users', 'passwordResets'], 'readwrite', async (tx) => {
+            const users = tx.objectStore('users');
+            const record = await requestResult(users.get(reset.uid));
+            if (record) users.put({ ...record, ...passwordFields });
+            tx.objectStore('passwordResets').delete(code);
+        });
+    },
+
+    async deleteAccount() {
+        const { uid } = requireCurrentUser();
+        const deletedCount = await runTransaction(['users', 'characters', 'sessions', 'twoFactor', 'gifts'], 'readwrite', async (tx) => {
+            const characters = tx.objectStore('characters');
+            const ids = await requestResult(characters.index('owner').getAllKeys(uid));
+            ids.forEach(id => characters.delete(id));
+            // Its logins and gifts go with it.
+            for (const [name, index] of [['sessions', 'uid'], ['gifts', 'ownerUid']]) {
+                const store = tx.objectStore(name);
+                const keys = await requestResult(store.index(index).getAllKeys(uid));
+                keys.forEach(key => store.delete(key));
+            }
+            tx.objectStore('twoFactor').delete(uid);
+            tx.objectStore('users').delete(uid);
+            return ids.length;
+        });
+        console.log(`[LocalBackend] Deleted account ${uid} and ${deletedCount} characters.`);
+        await this.signOut();
+    },
+
+    async reauthenticate(password) {
+        const { uid } = requireCurrentUser();
+        const record = await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').get(uid)));
+        const isValid = record && await hashPassword(password, base64UrlDecode(record.passwordSalt)) === record.passwordHash;
+        if (!isValid) throw new BackendError('auth/invalid-credential', 'The password is not correct.');
+    },
+
+    async changePassword(newPassword) {
+        const { uid } = requireCurrentUser();
+        const passwordFields = await createPasswordFields(newPassword);
+        await runTransaction('users', 'readwrite', async (tx) => {
+            const users = tx.objectStore('users');
+            const record = await requestResult(users.get(uid));
+            users.put({ ...record, ...passwordFields });
+        });
+    },
+
+    async requestEmailChange(newEmail) {
+        const { uid } = requireCurrentUser();
+        const trimmedEmail = newEmail.trim();
+        if (!EMAIL_PATTERN.test(trimmedEmail)) throw new BackendError('auth/invalid-email', 'The email address is badly formatted.');
+        if (await findUserByEmail(trimmedEmail)) throw new BackendError('auth/email-already-in-use', 'The email address is already in use by another account.');
+
+        const code = createActionCode();
+        await runTransaction('emailChanges', 'readwrite', async (tx) => {
+            tx.objectStore('emailChanges').put({ code, uid, newEmail: trimmedEmail, expiresAt: Date.now() + VERIFICATION_CODE_LIFETIME_MS });
+        });
+        const link = buildActionLink('/login', ACTION_MODES.VERIFY_AND_CHANGE_EMAIL, code);
+        await deliverMail(trimmedEmail, 'Confirm your new email address', `Follow this link to use this address for your account:\n${link}`);
+    },
+
+    async applyEmailChange(code) {
+        const change = await runTransaction('emailChanges', 'readonly', tx => requestResult(tx.objectStore('emailChanges').get(code)));
+        if (!change) throw new BackendError('auth/invalid-action-code', 'The link is invalid or has already been used.');
+        if (change.expiresAt < Date.now()) throw new BackendError('auth/expired-action-code', 'The link has expired.');
+
+        try {
+            await runTransaction(['users', 'emailChanges'], 'readwrite', async (tx) => {
+                const users = tx.objectStore('users');
+                const record = await requestResult(users.get(change.uid));
+                if (record) {
+                    await requestResult(users.put({
+                        ...record,
+                        emailLowercase: change.newEmail.toLowerCase(),
+                        emailVerified: true,
+                        profile: { ...record.profile, email: change.newEmail }
+                    }));
+                }
+                tx.objectStore('emailChanges').delete(code);
+            });
+        } catch (error) {
+            if (error.name === 'ConstraintError') throw new BackendError('auth/email-already-in-use', 'The email address is already in use by another account.');
+            throw error;
+        }
+        if (currentUser && currentUser.uid === change.uid) currentUser = { ...currentUser, email: change.newEmail, emailVerified: true };
+    },
+
+    async getUserProfile(uid) {
+        const record = await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').get(uid)));
+        return record ? { ...record.profile } : null;
+    },
+
+    async updateUserProfile(uid, fields) {
+        const staffField = STAFF_PROFILE_FIELDS.find(field => field in fields);
+        if (staffField) throw new BackendError('permission-denied', `"${staffField}" can only be changed by staff.`);
+        await mergeProfile(uid, fields);
+    },
+
+    async setUserRole(uid, role) {
+        await requireCallerRole(['admin'], 'Only admins can change roles.');
+        await mergeProfile(uid, { role });
+    },
+
+    async setUserBanned(uid, banned) {
+        await requireCallerRole(['gm', 'admin'], 'Only staff can ban accounts.');
+        await mergeProfile(uid, { banned });
+    },
+
+    async listUsers({ sortBy = 'createdAt', sortDirection = 'desc', search = '', searchField = 'email', bannedOnly = false, pageSize = 25, cursor = null } = {}) {
+        await requireCallerRole(['gm', 'admin'], 'Only staff can list accounts.');
+        const [records, characters] = await runTransaction(['users', 'characters'], 'readonly', tx => Promise.all([
+            requestResult(tx.objectStore('users').getAll()),
+            search && searchField === 'character' ? requestResult(tx.objectStore('characters').getAll()) : []
+        ]));
+        let rows = records.map(toUserListRow);
+        if (bannedOnly) rows = rows.filter(row => row.banned);
+
+        const term = search.trim().toLowerCase();
+        if (term && searchField === 'character') {
+            const owners = new Set(characters.filter(character => character.charname_lowercase.startsWith(term)).map(character => character.owner));
+            rows = rows.filter(row => owners.has(row.uid));
+        } else if (term) {
+            // Like Firestore's range queries, a search orders by the field searched.
+            sortBy = searchField === 'account' ? 'gameLogin' : 'emailLowercase';
+            sortDirection = 'asc';
+            rows = rows.filter(row => (row[sortBy] || '').startsWith(term));
+        }
+
+        // Accounts without the sort field are left out, as Firestore's orderBy() does.
+        if (!(term && searchField === 'character')) rows = rows.filter(row => row[sortBy] !== undefined && row[sortBy] !== null);
+        const direction = sortDirection === 'asc' ? 1 : -1;
+        rows.sort((a, b) => (a[sortBy] < b[sortBy] ? -1 : a[sortBy] > b[sortBy] ? 1 : 0) * direction);
+
+        const offset = cursor ? Number(cursor) : 0;
+        const nextOffset = offset + pageSize;
+        return { users: rows.slice(offset, nextOffset), nextCursor: nextOffset < rows.length ? String(nextOffset) : null, total: rows.length };
+    },
+
+    async listAllUsers() {
+        await requireCallerRole(['admin'], 'Only admins can list every account.');
+        const records = await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').getAll()));
+        return records.map(toUserListRow);
+    },
+
+    listCharacters(owner) {
+        return runTransaction('characters', 'readonly', tx => requestResult(tx.objectStore('characters').index('owner').getAll(owner)));
+    },
+
+    async listAllCharacters() {
+        await requireCallerRole(['admin'], 'Only admins can list every character.');
+        return runTransaction('characters', 'readonly', tx => requestResult(tx.objectStore('characters').getAll()));
+    },
+
+    async getCharacter(id) {
+        const character = await runTransaction('characters', 'readonly', tx => requestResult(tx.objectStore('characters').get(id)));
+        return character || null;
+    },
+
+    async createCharacter(character) {
+        const id = crypto.randomUUID();
+        await runTransaction('characters', 'readwrite', async (tx) => {
+            const characters = tx.objectStore('characters');
+            const taken = await requestResult(characters.index('charname_lowercase').count(character.charname_lowercase));
+            if (taken > 0) throw new BackendError('already-exists', 'This character name is already taken.');
+            characters.add({ ...character, id });
+        });
+        return id;
+    },
+
+    async updateCharacter(id, fields) {
+        await runTransaction('characters', 'readwrite', async (tx) => {
+            const characters = tx.objectStore('characters');
+            const character = await requestResult(characters.get(id));
+            if (!character) throw new BackendError('not-found', `No character ${id}.`);
+            characters.put({ ...character, ...fields, id });
+        });
+    },
+
+    async deleteCharacter(id) {
+        await runTransaction('characters', 'readwrite', tx => requestResult(tx.objectStore('characters').delete(id)));
+    },
+
+    async findCharacterByName(nameLowercase) {
+        const character = await runTransaction('characters', 'readonly', tx => requestResult(tx.objectStore('characters').index('charname_lowercase').get(nameLowercase)));
+        return character || null;
+    },
+
+    async isCharacterNameTaken(nameLowercase) {
+        const count = await runTransaction('characters', 'readonly', tx => requestResult(tx.objectStore('characters').index('charname_lowercase').count(nameLowercase)));
+        return count > 0;
+    },
+
+    async getLoginAttempts(key) {
+        const record = await runTransaction('loginAttempts', 'readonly', tx => requestResult(tx.objectStore('loginAttempts').get(key)));
+        return record || null;
+    },
+
+    async saveLoginAttempts(record) {
+        await runTransaction('loginAttempts', 'readwrite', tx => requestResult(tx.objectStore('loginAttempts').put(record)));
+    },
+
+    async deleteLoginAttempts(key) {
+        const ownKey = currentUser && `account:${currentUser.email.trim().toLowerCase()}`;
+        if (key !== ownKey) await requireCallerRole(['gm', 'admin'], 'Only staff can clear other login lockouts.');
+        await runTransaction('loginAttempts', 'readwrite', tx => requestResult(tx.objectStore('loginAttempts').delete(key)));
+    },
+
+    async listLoginAttempts() {
+        await requireCallerRole(['gm', 'admin'], 'Only staff can list login lockouts.');
+        return runTransaction('loginAttempts', 'readonly', tx => requestResult(tx.objectStore('loginAttempts').getAll()));
+    },
+
+    async createSession(session) {
+        await runTransaction('sessions', 'readwrite', tx => requestResult(tx.objectStore('sessions').add(session)));
+    },
+
+    async getSession(id) {
+        const session = await runTransaction('sessions', 'readonly', tx => requestResult(tx.objectStore('sessions').get(id)));
+        return session || null;
+    },
+
+    async updateSession(id, fields) {
+        await runTransaction('sessions', 'readwrite', async (tx) => {
+            const sessions = tx.objectStore('sessions');
+            const session = await requestResult(sessions.get(id));
+            if (!session) throw new BackendError('not-found', `No session ${id}.`);
+            sessions.put({ ...session, ...fields, id });
+        });
+    },
+
+    async deleteSession(id) {
+        await runTransaction('sessions', 'readwrite', tx => requestResult(tx.objectStore('sessions').delete(id)));
+    },
+
+    listSessions(uid) {
+        return runTransaction('sessions', 'readonly', tx => requestResult(tx.objectStore('sessions').index('uid').getAll(uid)));
+    },
+
+    async saveBan(ban) {
+        await requireCallerRole(['gm', 'admin'], 'Only staff can ban.');
+        await runTransaction('bans', 'readwrite', tx => requestResult(tx.objectStore('bans').put(ban)));
+    },
+
+    async getBan(id) {
+        const ban = await runTransaction('bans', 'readonly', tx => requestResult(tx.objectStore('bans').get(id)));
+        return ban || null;
+    },
+
+    async updateBan(id, fields) {
+        const caller = currentUser && await runTransaction('users', 'readonly', tx => requestResult(tx.objectStore('users').get(currentUser.uid)));
+        const isStaff = Boolean(caller) && ['gm', 'admin'].includes(caller.profile.role);
+        // Players may only add an appeal to their own ban, once.
+        const isAppeal = Object.keys(fields).length === 1 && 'appeal' in fields;
+        if (!isStaff && !(caller && isAppeal)) throw new BackendError('permission-denied', 'Only staff can change bans.');
+        await runTransaction('bans', 'readwrite', async (tx) => {
+            const bans = tx.objectStore('bans');
+            const ban = await requestResult(bans.get(id));
+            if (!ban) throw new BackendError('not-found', `No ban ${id}.`);
+            if (!isStaff && (ban.appeal || (ban.scope !== 'ip' && ban.ownerUid !== caller.uid))) {
+                throw new BackendError('permission-denied', 'This ban can not be appealed.');
+            }
+            bans.put({ ...ban, ...fields, id });
+        });
+    },
+
+    async listBans({ ownerUid = null } = {}) {
+        if (!ownerUid || !currentUser || ownerUid !== currentUser.uid) await requireCallerRole(['gm', 'admin'], 'Only staff can list bans.');
+        return runTransaction('bans', 'readonly', tx => {
+            const bans = tx.objectStore('bans');
+            return requestResult(ownerUid ? bans.index('ownerUid').getAll(ownerUid) : bans.getAll());
+        });
+    },
+
+    async appendAuditEntry(entry) {
+        await requireCallerRole(['gm', 'admin'], 'Only staff can write to the audit log.');
+        if (entry.actorUid !== currentUser.uid) throw new BackendError('permission-denied', 'Audit log entries must name their author.');
+        // add() fails on an existing ID, so entries can't be overwritten.
+        await runTransaction('auditLog', 'readwrite', tx => requestResult(tx.objectStore('auditLog').add(entry)));
+    },
+
+    async listAuditEntries({ since, until }) {
+        await requireCallerRole(['admin'], 'Only admins can read the audit log.');
+        return runTransaction('auditLog', 'readonly', tx => requestResult(tx.objectStore('auditLog').index('at').getAll(IDBKeyRange.bound(since, until))));
+    },
+
+    async saveGifts(gifts) {
+        await requireCallerRole(['admin'], 'Only admins can send gifts.');
+        await runTransaction('gifts', 'readwrite', tx => Promise.all(gifts.map(gift => requestResult(tx.objectStore('gifts').add(gift)))));
+    },
+
+    async listGifts({ ownerUid = null } = {}) {
+        if (!ownerUid || !currentUser || ownerUid !== currentUser.uid) await requireCallerRole(['gm', 'admin'], 'Only staff can list every gift.');
+        return runTransaction('gifts', 'readonly', tx => {
+            const gifts = tx.objectStore('gifts');
+            return requestResult(ownerUid ? gifts.index('ownerUid').getAll(ownerUid) : gifts.getAll());
+        });
+    },
+
+    async saveSnapshot(snapshot, { users, characters }) {
+        await requireCallerRole(['admin'], 'Only admins can take snapshots.');
+        await runTransaction('snapshots', 'readwrite', tx => requestResult(tx.objectStore('snapshots').add({ ...snapshot, users, characters })));
+    },
+
+    async listSnapshots() {
+        await requireCallerRole(['admin'], 'Only admins can list snapshots.');
+        const records = await runTransaction('snapshots', 'readonly', tx => requestResult(tx.objectStore('snapshots').getAll()));
+        return records.map(({ users, characters, ...snapshot }) => snapshot);
+    },
+
+    async getSnapshotData(id) {
+        await requireCallerRole(['admin'], 'Only admins can read snapshots.');
+        const record = await runTransaction('snapshots', 'readonly', tx => requestResult(tx.objectStore('snapshots').get(id)));
+        if (!record) throw new BackendError('not-found', `No snapshot ${id}.`);
+        return { users: record.users, characters: record.characters };
+    },
+
+    async deleteSnapshot(id) {
+        await requireCallerRole(['admin'], 'Only admins can delete snapshots.');
+        await runTransaction('snapshots', 'readwrite', tx => requestResult(tx.objectStore('snapshots').delete(id)));
+    },
+
+    async restoreUserProfile(uid, profile) {
+        await requireCallerRole(['admin'], 'Only admins can restore accounts.');
+        await runTransaction('users', 'readwrite', async (tx) => {
+            const users = tx.objectStore('users');
+            const record = await requestResult(users.get(uid));
+            if (!record) throw new BackendError('not-found', `No user ${uid}.`);
+            users.put({ ...record, profile });
+        });
+    },
+
+    async restoreCharacter(character) {
+        await requireCallerRole(['admin'], 'Only admins can restore characters.');
+        await runTransaction('characters', 'readwrite', tx => requestResult(tx.objectStore('characters').put(character)));
+    },
+
+    async claimGift(id, addItems) {
+        // The gift and the character are written in one transaction, so a gift can't be claimed twice.
+        return runTransaction(['gifts', 'characters'], 'readwrite', async (tx) => {
+            const gifts = tx.objectStore('gifts');
+            const characters = tx.objectStore('characters');
+            const gift = await requestResult(gifts.get(id));
+            if (!gift || !currentUser || gift.ownerUid !== currentUser.uid) throw new BackendError('not-found', 'That gift does not exist.');
+            if (gift.claimedAt) throw new BackendError('failed-precondition', 'That gift has already been claimed.');
+            const character = await requestResult(characters.get(gift.characterId));
+            if (!character) throw new BackendError('not-found', `${gift.characterName} no longer exists.`);
+
+            const inventory = addItems(character.inventory || [], gift);
+            const claim = { claimedAt: Date.now(), claimedBy: currentUser.uid };
+            characters.put({ ...character, inventory });
+            gifts.put({ ...gift, ...claim });
+            return { ...gift, ...claim };
+        });
+    },
+
+    async getTwoFactorSettings(uid) {
+        requireAccountOwner(uid, 'Only the account itself can read its two-factor settings.');
+        const record = await runTransaction('twoFactor', 'readonly', tx => requestResult(tx.objectStore('twoFactor').get(uid)));
+        if (!record) return null;
+        delete record.uid;
+        return record;
+    },
+
+    async saveTwoFactorSettings(uid, settings) {
+        requireAccountOwner(uid, 'Only the account itself can change its two-factor settings.');
+        await runTransaction('twoFactor', 'readwrite', tx => requestResult(tx.objectStore('twoFactor').put({ ...settings, uid })));
+    },
+
+    async deleteTwoFactorSettings(uid) {
+        requireAccountOwner(uid, 'Only the account itself can change its two-factor settings.');
+        await runTransaction('twoFactor', 'readwrite', tx => requestResult(tx.objectStore('twoFactor').delete(uid)));
+    }
+};
+
+export default localBackend;
@@ -0,0 +1,328 @@
+// ========================================================================
+//  BANS
+// ========================================================================
+
+/**
+ * Staff can ban an account, a single character or an IP address, like the
+ * game's `accounts.banned`, `characters.Banned` and `ban_ip`. Each ban is a
+ * record in the `bans` collection with a reason, the staff member who issued
+ * it, a start time and an optional expiry. A ban ends by itself once it
+ * expires, or when staff lift it.
+ *
+ * Account bans are also flagged as `banned` on the `users/{uid}` profile so
+ * the admin account list can filter on them. The login page shows banned
+ * players the reason and expiry and lets them appeal once; admins accept
+ * (which lifts the ban) or reject the appeal.
+ */
+import { getBackend, waitForAuthUser, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { loadServerProperties } from './server-properties.js';
+import { fetchClientIp } from './client-ip.js';
+import { endSession } from './sessions.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+
+export const BAN_SCOPES = Object.freeze({
+    ACCOUNT: 'account',
+    CHARACTER: 'character',
+    IP: 'ip'
+});
+
+const MAX_APPEAL_LENGTH = 2000;
+
+/**
+ * @typedef {object} BanAppeal
+ * @property {string} uid The account that appealed.
+ * @property {string} email Its email address.
+ * @property {string} message What the player wrote.
+ * @property {number} submittedAt When (ms timestamp).
+ * @property {'pending'|'accepted'|'rejected'} status
+ * @property {string|null} [reviewedBy] The email of the admin who decided.
+ * @property {number|null} [reviewedAt] When (ms timestamp).
+ * @property {string} [response] The admin's answer, shown to the player.
+ */
+
+/**
+ * @typedef {object} BanRecord
+ * @property {string} id The record's ID; "ip:<address>" for an address's latest IP ban, so the login page can look it up.
+ * @property {'account'|'character'|'ip'} scope What is banned.
+ * @property {string} target The user ID, character ID or IP address.
+ * @property {string} targetLabel A readable name: the email, character name or IP address.
+ * @property {string|null} ownerUid The account the ban applies to (account and character bans).
+ * @property {string} reason Why, shown to the player.
+ * @property {string} issuedBy The user ID of the staff member.
+ * @property {string} issuedByEmail Their email address.
+ * @property {number} startsAt When the ban started (ms timestamp).
+ * @property {number|null} expiresAt When it ends by itself (ms timestamp), or null for a permanent ban.
+ * @property {number|null} liftedAt When staff ended it early (ms timestamp).
+ * @property {string|null} liftedBy The email of the staff member who did, or null if it expired.
+ * @property {BanAppeal|null} appeal The player's appeal, if any.
+ */
+
+/**
+ * Checks whether a ban is in force.
+ * @param {BanRecord} ban The ban.
+ * @param {number} [now] The current time.
+ * @returns {boolean} True if it is.
+ */
+export function isBanActive(ban, now = Date.now()) {
+    return !ban.liftedAt && ban.startsAt <= now && (!ban.expiresAt || ban.expiresAt > now);
+}
+
+/**
+ * Describes how long a ban lasts.
+ * @param {BanRecord} ban The ban.
+ * @returns {string} "permanently" or "until <date>".
+ */
+export function describeBanExpiry(ban) {
+    return ban.expiresAt ? `until ${new Date(ban.expiresAt).toLocaleString()}` : 'permanently';
+}
+
+/**
+ * Sets the account's `banned` flag to whether it has an account ban in force.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<void>}
+ */
+async function syncAccountBanFlag(uid) {
+    const backend = await getBackend();
+    const bans = await backend.listBans({ ownerUid: uid });
+    const banned = bans.some(ban => ban.scope === BAN_SCOPES.ACCOUNT && isBanActive(ban));
+    await backend.setUserBanned(uid, banned);
+}
+
+// ========================================================================
+//  STAFF
+// ========================================================================
+
+/**
+ * Bans an account, character or IP address. Staff only.
+ * @param {object} options
+ * @param {'account'|'character'|'ip'} options.scope What to ban.
+ * @param {string} options.target The user ID, character ID or IP address.
+ * @param {string} options.targetLabel A readable name for the target.
+ * @param {string|null} [options.ownerUid] The account the target belongs to.
+ * @param {string} options.reason Why; shown to the player.
+ * @param {number|null} options.expiresAt When the ban ends (ms timestamp), or null for never.
+ * @returns {Promise<BanRecord>} The new ban.
+ */
+export async function issueBan({ scope, target, targetLabel, ownerUid = null, reason, expiresAt }) {
+    await requirePermission(PERMISSIONS.BAN_ACCOUNTS);
+    if (!Object.values(BAN_SCOPES).includes(scope)) throw new BackendError('invalid-argument', `Unknown ban scope "${scope}".`);
+    if (!reason.trim()) throw new BackendError('invalid-argument', 'Please give a reason for the ban.');
+    const now = Date.now();
+    if (expiresAt !== null && expiresAt <= now) throw new BackendError('invalid-argument', 'The ban must end in the future.');
+
+    const backend = await getBackend();
+    const staff = backend.getCurrentUser();
+    if (scope === BAN_SCOPES.IP) {
+        // The address's latest ban is kept under "ip:<address>"; an earlier one is moved aside to keep the history.
+        const previous = await backend.getBan(`ip:${target}`);
+        if (previous && isBanActive(previous, now)) throw new BackendError('already-exists', `${targetLabel} is already banned ${describeBanExpiry(previous)}.`);
+        if (previous) await backend.saveBan({ ...previous, id: crypto.randomUUID() });
+    }
+    /** @type {BanRecord} */
+    const ban = {
+        id: scope === BAN_SCOPES.IP ? `ip:${target}` : crypto.randomUUID(),
+        scope,
+        target,
+        targetLabel,
+        ownerUid: scope === BAN_SCOPES.IP ? null : ownerUid,
+        reason: reason.trim(),
+        issuedBy: staff.uid,
+        issuedByEmail: staff.email,
+        startsAt: now,
+        expiresAt,
+        liftedAt: null,
+        liftedBy: null,
+        appeal: null
+    };
+    await backend.saveBan(ban);
+    if (scope === BAN_SCOPES.ACCOUNT) await backend.setUserBanned(ownerUid, true);
+    console.log(`[Admin] Banned ${scope} ${targetLabel} ${describeBanExpiry(ban)}: ${ban.reason}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.BAN_ISSUED,
+        targetType: scope,
+        targetId: target,
+        targetLabel,
+        before: null,
+        after: { banId: ban.id, reason: ban.reason, startsAt: ban.startsAt, expiresAt: ban.expiresAt },
+        reason: ban.reason,
+        summary: `Banned ${scope} ${targetLabel} ${describeBanExpiry(ban)}: ${ban.reason}`
+    });
+    return ban;
+}
+
+/**
+ * Ends a ban early. Staff only.
+ * @param {BanRecord} ban The ban.
+ * @returns {Promise<void>}
+ */
+export async function liftBan(ban) {
+    await requirePermission(PERMISSIONS.BAN_ACCOUNTS);
+    const backend = await getBackend();
+    const fields = { liftedAt: Date.now(), liftedBy: backend.getCurrentUser().email };
+    await backend.updateBan(ban.id, fields);
+    if (ban.scope === BAN_SCOPES.ACCOUNT) await syncAccountBanFlag(ban.ownerUid);
+    console.log(`[Admin] Lifted the ban on ${ban.scope} ${ban.targetLabel}.`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.BAN_LIFTED,
+        targetType: ban.scope,
+        targetId: ban.target,
+        targetLabel: ban.targetLabel,
+        before: { banId: ban.id, liftedAt: ban.liftedAt, liftedBy: ban.liftedBy },
+        after: { banId: ban.id, ...fields },
+        summary: `Lifted the ban on ${ban.scope} ${ban.targetLabel} (${ban.reason}).`
+    });
+}
+
+/**
+ * Ends every account ban in force on an account. Staff only.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<void>}
+ */
+export async function liftAccountBans(uid) {
+    await requirePermission(PERMISSIONS.BAN_ACCOUNTS);
+    const backend = await getBackend();
+    const bans = await backend.listBans({ ownerUid: uid });
+    for (const ban of bans.filter(ban => ban.scope === BAN_SCOPES.ACCOUNT && isBanActive(ban))) {
+        await liftBan(ban);
+    }
+    await backend.setUserBanned(uid, false);
+}
+
+/**
+ * Lists every ban, newest first. Staff only. Account bans that have expired
+ * have their account's `banned` flag cleared on the way.
+ * @returns {Promise<BanRecord[]>}
+ */
+export async function listAllBans() {
+    await requirePermission(PERMISSIONS.BAN_ACCOUNTS);
+    const backend = await getBackend();
+    const now = Date.now();
+    const bans = await backend.listBans();
+
+    const expired = bans.filter(ban => ban.scope === BAN_SCOPES.ACCOUNT && !ban.liftedAt && ban.expiresAt && ban.expiresAt <= now);
+    for (const ban of expired) {
+        await backend.updateBan(ban.id, { liftedAt: ban.expiresAt, liftedBy: null });
+        ban.liftedAt = ban.expiresAt;
+        await syncAccountBanFlag(ban.ownerUid);
+    }
+    return bans.sort((a, b) => b.startsAt - a.startsAt);
+}
+
+/**
+ * Accepts or rejects an appeal. Accepting it lifts the ban. Admins only.
+ * @param {BanRecord} ban The appealed ban.
+ * @param {boolean} accepted Whether the appeal is accepted.
+ * @param {string} response The answer shown to the player.
+ * @returns {Promise<void>}
+ */
+export async function reviewAppeal(ban, accepted, response) {
+    await requirePermission(PERMISSIONS.REVIEW_APPEALS);
+    if (!ban.appeal || ban.appeal.status !== 'pending') throw new BackendError('failed-precondition', 'This appeal has already been reviewed.');
+    const backend = await getBackend();
+    const reviewer = backend.getCurrentUser().email;
+    const now = Date.now();
+    const fields = {
+        appeal: { ...ban.appeal, status: accepted ? 'accepted' : 'rejected', reviewedBy: reviewer, reviewedAt: now, response: response.trim() }
+    };
+    if (accepted && isBanActive(ban, now)) Object.assign(fields, { liftedAt: now, liftedBy: reviewer });
+    await backend.updateBan(ban.id, fields);
+    if (accepted && ban.scope === BAN_SCOPES.ACCOUNT) await syncAccountBanFlag(ban.ownerUid);
+    console.log(`[Admin] ${accepted ? 'Accepted' : 'Rejected'} the appeal against the ban on ${ban.scope} ${ban.targetLabel}.`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.APPEAL_REVIEWED,
+        targetType: ban.scope,
+        targetId: ban.target,
+        targetLabel: ban.targetLabel,
+        before: { banId: ban.id, appeal: ban.appeal, liftedAt: ban.liftedAt },
+        after: { banId: ban.id, appeal: fields.appeal, liftedAt: fields.liftedAt ?? ban.liftedAt },
+        summary: `${accepted ? 'Accepted' : 'Rejected'} the appeal against the ban on ${ban.scope} ${ban.targetLabel}.`
+    });
+}
+
+// ========================================================================
+//  PLAYERS
+// ========================================================================
+
+/**
+ * Looks up the ban in force on this browser's IP address, if any.
+ * @returns {Promise<BanRecord|null>}
+ */
+export async function getActiveIpBan() {
+    const [backend, properties] = await Promise.all([getBackend(), loadServerProperties()]);
+    const ip = await fetchClientIp(properties, '[Auth]');
+    if (!ip) return null;
+    const ban = await backend.getBan(`ip:${ip}`);
+    return ban && isBanActive(ban) ? ban : null;
+}
+
+/**
+ * Lists the bans in force on an account's characters.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<Map<string, BanRecord>>} The bans by character ID.
+ */
+export async function getCharacterBans(uid) {
+    const backend = await getBackend();
+    const bans = await backend.listBans({ ownerUid: uid });
+    return new Map(bans.filter(ban => ban.scope === BAN_SCOPES.CHARACTER && isBanActive(ban)).map(ban => [ban.target, ban]));
+}
+
+/**
+ * Finds the ban that keeps an account from logging in: an account ban, or a ban on this browser's IP.
+ * Rejects if the bans can't be read; callers should then refuse the login rather than let it through.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<BanRecord|null>} The ban, or null if the account may log in.
+ */
+export async function findLoginBan(uid) {
+    const backend = await getBackend();
+    const bans = await backend.listBans({ ownerUid: uid });
+    const accountBan = bans
+        .filter(ban => ban.scope === BAN_SCOPES.ACCOUNT && isBanActive(ban))
+        .sort((a, b) => (a.expiresAt === null ? -1 : b.expiresAt === null ? 1 : b.expiresAt - a.expiresAt))[0];
+    return accountBan || getActiveIpBan();
+}
+
+/**
+ * Appeals a ban. Each ban can be appealed once.
+ * @param {BanRecord} ban The ban.
+ * @param {string} message The player's explanation.
+ * @returns {Promise<BanAppeal>} The stored appeal.
+ */
+export async function submitAppeal(ban, message) {
+    const text = message.trim();
+    if (!text) throw new BackendError('invalid-argument', 'Please explain why the ban should be lifted.');
+    if (text.length > MAX_APPEAL_LENGTH) throw new BackendError('invalid-argument', `Please keep your appeal under ${MAX_APPEAL_LENGTH} characters.`);
+    if (ban.appeal) throw new BackendError('failed-precondition', 'This ban has already been appealed.');
+
+    const backend = await getBackend();
+    const user = backend.getCurrentUser();
+    /** @type {BanAppeal} */
+    const appeal = { uid: user.uid, email: user.email, message: text, submittedAt: Date.now(), status: 'pending', reviewedBy: null, reviewedAt: null };
+    await backend.updateBan(ban.id, { appeal });
+    console.log(`[Auth] Appealed the ban on ${ban.scope} ${ban.targetLabel}.`);
+    return appeal;
+}
+
+/**
+ * Sends a banned account to the login page, which shows the ban and the appeal form.
+ * If the bans can't be read, the user is signed out instead of being let through.
+ * @param {{uid: string}} [user] The signed-in user; looked up if omitted.
+ * @returns {Promise<boolean>} True if the account is banned and the page is being left; the caller should stop.
+ */
+export async function guardBans(user) {
+    user = user || await waitForAuthUser();
+    if (!user) return false;
+    let ban;
+    try {
+        ban = await findLoginBan(user.uid);
+    } catch (error) {
+        console.error('[Auth] Could not check for bans; signing out:', error);
+        await endSession().catch(signOutError => console.error('[Auth] Sign Out Error:', signOutError));
+        window.location.href = '/login?bans=unavailable';
+        return true;
+    }
+    if (!ban) return false;
+    console.warn('[Auth] This account is banned; returning to the login page.');
+    window.location.href = '/login?step=banned';
+    return true;
+}
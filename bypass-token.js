@@ -0,0 +1,93 @@
+// ========================================================================
+//  SIGNED MAINTENANCE BYPASS TOKENS
+// ========================================================================
+
+/**
+ * A bypass token lets a staff member use the site while maintenance is active
+ * without signing in. It is `<payload>.<signature>`, both base64url encoded,
+ * where the payload is `{"sub": "<who it was issued to>", "exp": <unix seconds>}`
+ * and the signature is ECDSA P-256 / SHA-256 over the encoded payload.
+ *
+ * Only the public key is published (MAINTENANCE_BYPASS_PUBLIC_KEY); tokens are
+ * issued offline with `node maintenance-token.mjs`. Works in the browser and in Node.
+ */
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * @typedef {object} BypassTokenPayload
+ * @property {string} sub Who the token was issued to.
+ * @property {number} exp When the token expires, in seconds since the epoch.
+ */
+
+/**
+ * Encodes bytes as base64url without padding.
+ * @param {ArrayBuffer|Uint8Array} bytes The bytes to encode.
+ * @returns {string} The encoded text.
+ */
+export function base64UrlEncode(bytes) {
+    const binary = String.fromCharCode(...new Uint8Array(bytes));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url (or plain base64) text.
+ * @param {string} text The encoded text.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Creates a signed token.
+ * @param {BypassTokenPayload} payload The token contents.
+ * @param {string} privateKey The base64 PKCS#8 private key.
+ * @returns {Promise<string>} The token.
+ */
+export async function signBypassToken(payload, privateKey) {
+    const key = await crypto.subtle.importKey('pkcs8', base64UrlDecode(privateKey), ALGORITHM, false, ['sign']);
+    const encodedPayload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, key, new TextEncoder().encode(encodedPayload));
+    return `${encodedPayload}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Checks a token's signature and expiry.
+ * @param {string} token The token.
+ * @param {string} publicKey The base64 SPKI public key.
+ * @returns {Promise<BypassTokenPayload|null>} The payload if the token is valid and unexpired, otherwise null.
+ */
+export async function verifyBypassToken(token, publicKey) {
+    if (!token || !publicKey) return null;
+    try {
+        const [encodedPayload, encodedSignature] = token.split('.');
+        if (!encodedPayload || !encodedSignature) return null;
+
+        const key = await crypto.subtle.importKey('spki', base64UrlDecode(publicKey), ALGORITHM, false, ['verify']);
+        const isValid = await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, base64UrlDecode(encodedSignature), new TextEncoder().encode(encodedPayload));
+        if (!isValid) return null;
+
+        const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(encodedPayload)));
+        if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch (error) {
+        // A malformed token or key is simply not a valid token.
+        return null;
+    }
+}
+
+/**
+ * Generates a new key pair for signing bypass tokens.
+ * @returns {Promise<{publicKey: string, privateKey: string}>} The base64 SPKI public key and PKCS#8 private key.
+ */
+export async function generateBypassKeyPair() {
+    const keyPair = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+    return {
+        publicKey: base64UrlEncode(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+        privateKey: base64UrlEncode(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey))
+    };
+}
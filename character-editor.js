@@ -0,0 +1,191 @@
+// ========================================================================
+//  GM CHARACTER EDITOR
+// ========================================================================
+
+/**
+ * Lets staff open any character and fix its inventory, e.g. after a player
+ * reports a lost item: add items from the item catalog, remove items, and
+ * change quantities and enchant levels. Every edit needs a reason and is
+ * written to the audit log with the item as it was and as it is now.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+import { formatItemName } from './character-view.js';
+
+export const MAX_STACK_QUANTITY = 2000000000; // The game's own limit on a stack.
+export const MAX_UNIQUE_ITEM_GRANT = 100; // Unstackable items are added one entry each.
+export const MAX_ENCHANT_LEVEL = 30;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Checks a whole number against a range.
+ * @param {*} value The value.
+ * @param {number} min The lowest allowed.
+ * @param {number} max The highest allowed.
+ * @param {string} label What the value is, for the error.
+ * @returns {number} The value.
+ */
+function requireWholeNumber(value, min, max, label) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new BackendError('invalid-argument', `${label} must be a whole number from ${min.toLocaleString()} to ${max.toLocaleString()}.`);
+    }
+    return value;
+}
+
+/**
+ * Looks up a character for the inspector. Staff only.
+ * @param {string} name The character's name, in any case.
+ * @returns {Promise<{character: object, ownerEmail: string|null}>}
+ */
+export async function inspectCharacter(name) {
+    await requirePermission(PERMISSIONS.EDIT_CHARACTERS);
+    const backend = await getBackend();
+    const character = await backend.findCharacterByName(name.trim().toLowerCase());
+    if (!character) throw new BackendError('not-found', `There is no character called "${name.trim()}".`);
+    const owner = await backend.getUserProfile(character.owner);
+    return { character, ownerEmail: owner ? owner.email : null };
+}
+
+/**
+ * Runs one inventory edit: reads the character, applies the edit, saves the
+ * inventory and writes the audit log entry.
+ * @param {string} characterId The character's ID.
+ * @param {string} reason Why; stored in the audit log.
+ * @param {function(object[], object): {action: string, before: object|null, after: object|null, summary: string}} edit
+ *   Changes the inventory array in place and describes the change.
+ * @returns {Promise<object>} The character as saved.
+ */
+async function editInventory(characterId, reason, edit) {
+    await requirePermission(PERMISSIONS.EDIT_CHARACTERS);
+    const trimmedReason = reason.trim();
+    if (!trimmedReason) throw new BackendError('invalid-argument', 'Please give a reason for the change.');
+    if (trimmedReason.length > MAX_REASON_LENGTH) throw new BackendError('invalid-argument', `Please keep the reason under ${MAX_REASON_LENGTH} characters.`);
+
+    const backend = await getBackend();
+    const character = await backend.getCharacter(characterId);
+    if (!character) throw new BackendError('not-found', 'That character no longer exists.');
+    const inventory = character.inventory || [];
+    const { action, before, after, summary } = edit(inventory, character);
+
+    await backend.updateCharacter(characterId, { inventory });
+    console.log(`[Admin] ${summary} Reason: ${trimmedReason}`);
+    await recordAuditEntry({
+        action,
+        targetType: 'character',
+        targetId: characterId,
+        targetLabel: character.charname,
+        before,
+        after,
+        reason: trimmedReason,
+        summary
+    });
+    return { ...character, inventory };
+}
+
+/**
+ * Finds an inventory entry by its ID.
+ * @param {object[]} inventory The inventory.
+ * @param {string} inventoryItemId The entry's ID.
+ * @returns {object} The entry.
+ */
+function findInventoryItem(inventory, inventoryItemId) {
+    const item = inventory.find(entry => entry.id === inventoryItemId);
+    if (!item) throw new BackendError('not-found', 'That item is no longer in the inventory. Reload the character and try again.');
+    return item;
+}
+
+/**
+ * Adds items from the catalog to a character. Stackable items join an
+ * existing stack of the same item; others are added one entry each.
+ * @param {string} characterId The character's ID.
+ * @param {import('./item-catalog.js').CatalogItem} catalogItem The item.
+ * @param {{quantity: number, enchantment?: number}} options How many, and the enchant level of enchantable items.
+ * @param {string} reason Why.
+ * @returns {Promise<object>} The character as saved.
+ */
+export async function grantItem(characterId, catalogItem, { quantity, enchantment = 0 }, reason) {
+    requireWholeNumber(quantity, 1, catalogItem.stackable ? MAX_STACK_QUANTITY : MAX_UNIQUE_ITEM_GRANT, 'The quantity');
+    if (catalogItem.enchantable) requireWholeNumber(enchantment, 0, MAX_ENCHANT_LEVEL, 'The enchant level');
+
+    return editInventory(characterId, reason, (inventory, character) => {
+        const newItem = () => ({
+            id: crypto.randomUUID(),
+            itemId: catalogItem.itemId,
+            name: catalogItem.name,
+            quantity: 1,
+            stackable: catalogItem.stackable,
+            ...(catalogItem.enchantable ? { enchantment } : {})
+        });
+        const label = `${quantity.toLocaleString()} x ${catalogItem.enchantable ? `+${enchantment} ` : ''}${catalogItem.name}`;
+
+        if (catalogItem.stackable) {
+            const stack = inventory.find(entry => entry.stackable && (entry.itemId === catalogItem.itemId || entry.name === catalogItem.name));
+            if (stack) {
+                const before = { ...stack };
+                requireWholeNumber(stack.quantity + quantity, 1, MAX_STACK_QUANTITY, 'The stack size');
+                stack.quantity += quantity;
+                return { action: AUDIT_ACTIONS.ITEM_GRANTED, before, after: { ...stack }, summary: `Gave ${label} to ${character.charname}.` };
+            }
+            const stackItem = { ...newItem(), quantity };
+            inventory.push(stackItem);
+            return { action: AUDIT_ACTIONS.ITEM_GRANTED, before: null, after: stackItem, summary: `Gave ${label} to ${character.charname}.` };
+        }
+
+        const added = Array.from({ length: quantity }, newItem);
+        inventory.push(...added);
+        return {
+            action: AUDIT_ACTIONS.ITEM_GRANTED,
+            before: null,
+            after: { itemId: catalogItem.itemId, name: catalogItem.name, enchantment: catalogItem.enchantable ? enchantment : null, entries: added.map(entry => entry.id) },
+            summary: `Gave ${label} to ${character.charname}.`
+        };
+    });
+}
+
+/**
+ * Changes the quantity or enchant level of an item in a character's inventory.
+ * @param {string} characterId The character's ID.
+ * @param {string} inventoryItemId The inventory entry's ID.
+ * @param {{quantity: number, enchantment?: number}} changes The new values.
+ * @param {string} reason Why.
+ * @returns {Promise<object>} The character as saved.
+ */
+export async function updateInventoryItem(characterId, inventoryItemId, { quantity, enchantment }, reason) {
+    return editInventory(characterId, reason, (inventory, character) => {
+        const item = findInventoryItem(inventory, inventoryItemId);
+        const before = { ...item };
+        // Unstackable entries can only shrink; new copies are granted as entries of their own.
+        item.quantity = requireWholeNumber(quantity, 1, item.stackable ? MAX_STACK_QUANTITY : Math.max(1, before.quantity), 'The quantity');
+        if (item.enchantment !== undefined) item.enchantment = requireWholeNumber(enchantment, 0, MAX_ENCHANT_LEVEL, 'The enchant level');
+        if (item.quantity === before.quantity && item.enchantment === before.enchantment) {
+            throw new BackendError('invalid-argument', 'Nothing was changed.');
+        }
+        return {
+            action: AUDIT_ACTIONS.ITEM_EDITED,
+            before,
+            after: { ...item },
+            summary: `Changed ${before.quantity.toLocaleString()} x ${formatItemName(before)} to ${item.quantity.toLocaleString()} x ${formatItemName(item)} on ${character.charname}.`
+        };
+    });
+}
+
+/**
+ * Removes an item from a character's inventory.
+ * @param {string} characterId The character's ID.
+ * @param {string} inventoryItemId The inventory entry's ID.
+ * @param {string} reason Why.
+ * @returns {Promise<object>} The character as saved.
+ */
+export async function removeInventoryItem(characterId, inventoryItemId, reason) {
+    return editInventory(characterId, reason, (inventory, character) => {
+        const item = findInventoryItem(inventory, inventoryItemId);
+        inventory.splice(inventory.indexOf(item), 1);
+        return {
+            action: AUDIT_ACTIONS.ITEM_REMOVED,
+            before: { ...item },
+            after: null,
+            summary: `Removed ${item.quantity.toLocaleString()} x ${formatItemName(item)} from ${character.charname}.`
+        };
+    });
+}
@@ -0,0 +1,229 @@
+// ========================================================================
+//  CHARACTER STATS
+// ========================================================================
+
+/**
+ * Works out a character's HP, MP, AC, MR, hit and damage bonuses and weight
+ * capacity from its class, level, base stats and equipped items, with a
+ * breakdown of where each number comes from for the status panel's tooltips.
+ *
+ * The formulas follow the game server's closely but not exactly: level-up HP
+ * and MP rolls are counted at their average, and buffs, skills and set
+ * bonuses are left out. A character's `equipment` maps each slot to the `id`
+ * of an inventory item; the items' bonuses come from the armor and weapon
+ * tables through the item catalog.
+ */
+import { findCatalogItem } from './item-catalog.js';
+
+/**
+ * What each class starts with and gains per level. `hp`/`mp` are the level 1
+ * values, `hpPerLevel`/`mpPerLevel` the average gain before CON/WIS bonuses,
+ * and `mr` the base magic resistance in percent.
+ */
+export const CLASS_PROFILES = Object.freeze({
+    Monarch: { hp: 14, mp: 2, hpPerLevel: 11, mpPerLevel: 2, mr: 10 },
+    Knight: { hp: 16, mp: 1, hpPerLevel: 17, mpPerLevel: 1, mr: 0 },
+    Elf: { hp: 15, mp: 4, hpPerLevel: 10, mpPerLevel: 3, mr: 25 },
+    Mage: { hp: 12, mp: 6, hpPerLevel: 8, mpPerLevel: 4, mr: 15 },
+    'Dark Elf': { hp: 12, mp: 3, hpPerLevel: 12, mpPerLevel: 2, mr: 10 },
+    'Dragon Knight': { hp: 16, mp: 2, hpPerLevel: 15, mpPerLevel: 2, mr: 18 },
+    Warrior: { hp: 16, mp: 1, hpPerLevel: 17, mpPerLevel: 1, mr: 0 }
+});
+
+export const BASE_STATS = Object.freeze(['str', 'con', 'dex', 'int', 'wis', 'cha']);
+
+const BASE_AC = 10;
+const LAWFUL_THRESHOLD = 500; // Alignment at or above this is Lawful, at or below its negative Chaotic.
+const RANGED_WEAPON_TYPES = Object.freeze(['bow', 'singlebow', 'gauntlet']);
+const ACCESSORY_TYPES = Object.freeze(['ring', 'amulet', 'earring', 'belt']); // Enchanting these doesn't lower AC.
+
+/**
+ * @typedef {object} ComputedStat
+ * @property {number} value The total.
+ * @property {Array<{label: string, amount: number}>} breakdown Where it comes from, one line per source.
+ */
+
+/**
+ * @typedef {object} CharacterStats
+ * @property {number} level The character's level (1 until levels are stored).
+ * @property {Object<string, ComputedStat>} stats STR, CON, DEX, INT, WIS and CHA with item bonuses, by lower-case name.
+ * @property {ComputedStat} maxHp
+ * @property {ComputedStat} maxMp
+ * @property {ComputedStat} ac Lower is better.
+ * @property {ComputedStat} mr Magic resistance in percent.
+ * @property {ComputedStat} hit The hit bonus of the equipped weapon's kind (melee or ranged).
+ * @property {ComputedStat} damage The damage bonus, likewise.
+ * @property {boolean} ranged Whether the bonuses are for a ranged weapon.
+ * @property {ComputedStat} weightCapacity How much the character can carry.
+ * @property {'Lawful'|'Neutral'|'Chaotic'} alignment
+ * @property {number} lawful The alignment value.
+ * @property {number} pkCount Player kills.
+ */
+
+/**
+ * Starts a stat with its first source.
+ * @param {string} label What the first source is.
+ * @param {number} amount Its amount.
+ * @returns {ComputedStat}
+ */
+function createStat(label, amount) {
+    return { value: amount, breakdown: [{ label, amount }] };
+}
+
+/**
+ * Adds a source to a stat. Sources worth nothing are left out of the breakdown.
+ * @param {ComputedStat} stat The stat.
+ * @param {string} label What the source is.
+ * @param {number} amount Its amount.
+ */
+function addToStat(stat, label, amount) {
+    if (!amount) return;
+    stat.value += amount;
+    stat.breakdown.push({ label, amount });
+}
+
+/**
+ * Finds the inventory items a character has equipped, with their catalog entries.
+ * Slots whose item is gone from the inventory or the catalog are skipped.
+ * @param {object} character The character document.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>|null} catalog The item catalog, if loaded.
+ * @returns {Array<{slot: string, item: object, catalogItem: import('./item-catalog.js').CatalogItem}>}
+ */
+export function getEquippedItems(character, catalog) {
+    if (!catalog) return [];
+    const inventory = character.inventory || [];
+    return Object.entries(character.equipment || {})
+        .map(([slot, itemId]) => {
+            const item = inventory.find(entry => entry.id === itemId);
+            const catalogItem = item ? findCatalogItem(catalog, item) : null;
+            return catalogItem ? { slot, item, catalogItem } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Names the alignment of a lawful value.
+ * @param {number} lawful The value.
+ * @returns {'Lawful'|'Neutral'|'Chaotic'}
+ */
+export function getAlignment(lawful) {
+    if (lawful >= LAWFUL_THRESHOLD) return 'Lawful';
+    if (lawful <= -LAWFUL_THRESHOLD) return 'Chaotic';
+    return 'Neutral';
+}
+
+/**
+ * How many levels it takes to gain 1 AC at a DEX.
+ * @param {number} dex The DEX.
+ * @returns {number}
+ */
+function levelsPerAcPoint(dex) {
+    if (dex >= 18) return 4;
+    if (dex >= 16) return 5;
+    if (dex >= 13) return 6;
+    if (dex >= 10) return 7;
+    return 8;
+}
+
+/**
+ * Reads a character's level.
+ * @param {object} character The character document.
+ * @returns {number} Its `level`, or 1 while levels aren't stored.
+ */
+export function getCharacterLevel(character) {
+    return Math.max(1, Number(character.level) || 1);
+}
+
+/**
+ * Works out a character's stats.
+ * @param {object} character The character document.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>|null} [catalog] The item catalog; without it equipment is left out.
+ * @returns {CharacterStats}
+ */
+export function computeCharacterStats(character, catalog = null) {
+    const className = character.class === 'Princess' ? 'Monarch' : character.class;
+    const profile = CLASS_PROFILES[className] || CLASS_PROFILES.Knight;
+    const level = getCharacterLevel(character);
+    const levelsGained = level - 1;
+    const equipped = getEquippedItems(character, catalog);
+
+    // --- Base stats, with item bonuses ---
+    const stats = Object.fromEntries(BASE_STATS.map(name => [name, createStat('Base', Number(character.stats?.[name]) || 0)]));
+    equipped.forEach(({ catalogItem }) => {
+        BASE_STATS.forEach(name => addToStat(stats[name], catalogItem.name, catalogItem.columns[`add_${name}`] || 0));
+    });
+    const { str, con, dex, wis } = Object.fromEntries(BASE_STATS.map(name => [name, stats[name].value]));
+
+    // --- HP and MP ---
+    const maxHp = createStat(`${className} at level 1`, profile.hp);
+    addToStat(maxHp, `Levels 2-${level} (${profile.hpPerLevel} each)`, levelsGained * profile.hpPerLevel);
+    addToStat(maxHp, `CON ${con} (+${Math.max(0, con - 12)} per level)`, levelsGained * Math.max(0, con - 12));
+    const maxMp = createStat(`${className} at level 1`, profile.mp);
+    const wisMpBonus = Math.max(0, Math.floor((wis - 12) / 3));
+    addToStat(maxMp, `Levels 2-${level} (${profile.mpPerLevel} each)`, levelsGained * profile.mpPerLevel);
+    addToStat(maxMp, `WIS ${wis} (+${wisMpBonus} per level)`, levelsGained * wisMpBonus);
+
+    // --- Defence ---
+    const ac = createStat('Base', BASE_AC);
+    addToStat(ac, `Level ${level}, DEX ${dex} (1 per ${levelsPerAcPoint(dex)} levels)`, -Math.floor(level / levelsPerAcPoint(dex)));
+    const mr = createStat(className, profile.mr);
+    addToStat(mr, `WIS ${wis} (3 per point above 14)`, Math.max(0, wis - 14) * 3);
+
+    // --- Attack ---
+    const weapon = equipped.find(({ slot, catalogItem }) => slot === 'weapon' && catalogItem.category === 'weapon');
+    const ranged = Boolean(weapon && RANGED_WEAPON_TYPES.includes(weapon.catalogItem.type));
+    const hit = ranged ? createStat(`DEX ${dex}`, Math.floor((dex - 10) / 2)) : createStat(`STR ${str}`, Math.floor((str - 10) / 2));
+    const damage = ranged ? createStat(`DEX ${dex}`, Math.floor((dex - 12) / 2)) : createStat(`STR ${str}`, Math.floor((str - 12) / 2));
+
+    // --- Carrying ---
+    const weightCapacity = createStat(`STR ${str}, CON ${con}`, 150 * Math.floor(0.6 * str + 0.4 * con + 1));
+
+    // --- Equipment ---
+    equipped.forEach(({ item, catalogItem }) => {
+        const { columns, name } = catalogItem;
+        const enchantment = Number(item.enchantment) || 0;
+        addToStat(maxHp, name, columns.add_hp || 0);
+        addToStat(maxMp, name, columns.add_mp || 0);
+        addToStat(mr, name, columns.m_def || 0);
+        addToStat(weightCapacity, name, columns.weight_reduction || 0);
+        if (catalogItem.category === 'weapon') {
+            addToStat(hit, name, columns.hitmodifier || 0);
+            addToStat(damage, name, columns.dmgmodifier || 0);
+            addToStat(damage, `${name} enchantment`, enchantment);
+            return;
+        }
+        addToStat(ac, name, columns.ac || 0);
+        if (!ACCESSORY_TYPES.includes(catalogItem.type)) addToStat(ac, `${name} enchantment`, -enchantment);
+        addToStat(hit, name, (ranged ? columns.bow_hit_rate : columns.hit_rate) || 0);
+        addToStat(damage, name, (ranged ? columns.bow_dmg_rate : columns.dmg_rate) || 0);
+    });
+
+    const lawful = Number(character.lawful) || 0;
+    return {
+        level,
+        stats,
+        maxHp,
+        maxMp,
+        ac,
+        mr,
+        hit,
+        damage,
+        ranged,
+        weightCapacity,
+        alignment: getAlignment(lawful),
+        lawful,
+        pkCount: Number(character.pkCount) || 0
+    };
+}
+
+/**
+ * Writes a stat's breakdown as tooltip text.
+ * @param {ComputedStat} stat The stat.
+ * @param {string} [unit] Appended to each amount, e.g. "%".
+ * @returns {string} One line per source, e.g. "Knight at level 1: 16".
+ */
+export function describeStatBreakdown(stat, unit = '') {
+    return stat.breakdown
+        .map(({ label, amount }, index) => `${label}: ${index > 0 && amount > 0 ? '+' : ''}${amount.toLocaleString()}${unit}`)
+        .join('\n');
+}
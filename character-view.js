@@ -0,0 +1,129 @@
+// ========================================================================
+//  CHARACTER VIEW
+// ========================================================================
+
+/**
+ * Renders a character's status, equipment and storage items the same way on
+ * the dashboard and in the admin character inspector.
+ */
+import { computeCharacterStats, describeStatBreakdown } from './character-stats.js';
+import { SLOT_LABELS, getCharacterSlots, getRingSlotLevels } from './equipment.js';
+import { escapeHTML } from './html.js';
+
+const ALIGNMENT_CLASSES = Object.freeze({
+    Lawful: 'text-blue-400',
+    Neutral: 'text-cyan-300',
+    Chaotic: 'text-red-400'
+});
+
+/**
+ * Names an inventory item, with its enchant level if it has one.
+ * @param {object} item The inventory item.
+ * @returns {string} E.g. "+3 Long Sword".
+ */
+export function formatItemName(item) {
+    return item.enchantment !== undefined ? `+${item.enchantment} ${item.name}` : item.name;
+}
+
+/**
+ * Sorts an inventory in place: unique items first, then stacks, each by name.
+ * @param {object[]} inventory The character's inventory.
+ * @returns {object[]} The same array.
+ */
+export function sortInventory(inventory) {
+    return inventory.sort((a, b) => (a.stackable === b.stackable) ? a.name.localeCompare(b.name) : a.stackable ? 1 : -1);
+}
+
+/**
+ * Builds one line of the status list, with a tooltip that breaks the value down.
+ * @param {string} label The stat's name.
+ * @param {import('./character-stats.js').ComputedStat} stat The stat.
+ * @param {string} [text] The value as shown; defaults to the stat's value.
+ * @param {string} [unit] Appended to each amount in the tooltip, e.g. "%".
+ * @returns {string} The line's HTML.
+ */
+function renderComputedStat(label, stat, text = stat.value.toLocaleString(), unit = '') {
+    return `<li class="stat-item flex justify-between"><span>${label}:</span> <span class="font-bold text-white cursor-help underline decoration-dotted" title="${escapeHTML(describeStatBreakdown(stat, unit))}">${text}</span></li>`;
+}
+
+/**
+ * Builds one line of the equipment list.
+ * @param {object} character The character document.
+ * @param {string} slot The slot.
+ * @param {number} unlockLevel The level the slot opens at.
+ * @param {number} level The character's level.
+ * @param {boolean} canUnequip Whether to offer an Unequip button.
+ * @returns {string} The line's HTML.
+ */
+function renderEquipmentSlot(character, slot, unlockLevel, level, canUnequip) {
+    const label = `<span>${SLOT_LABELS[slot]}:</span>`;
+    if (level < unlockLevel) return `<li class="equip-slot">${label} <span class="font-bold text-red-500/70">Locked (Lv. ${unlockLevel})</span></li>`;
+    const itemId = (character.equipment || {})[slot];
+    const item = itemId && (character.inventory || []).find(entry => entry.id === itemId);
+    if (!item) return `<li class="equip-slot">${label} <span class="font-bold text-gray-400">None</span></li>`;
+    return `
+        <li class="equip-slot">${label}
+            <span class="flex items-center gap-2">
+                <span class="font-bold text-white">${escapeHTML(formatItemName(item))}</span>
+                ${canUnequip ? `<button data-slot="${slot}" class="unequip-item-btn text-red-400/70 hover:text-red-300 text-xs font-bold transition" title="Unequip">[U]</button>` : ''}
+            </span>
+        </li>
+    `;
+}
+
+/**
+ * Builds the "Character Status" and "Equipped Items" columns.
+ * @param {object} character The character document.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>|null} [catalog] The item catalog, for the equipment's bonuses.
+ * @param {object} [options]
+ * @param {object|null} [options.properties] The server properties, for the ring slot levels.
+ * @param {boolean} [options.canUnequip] Whether each equipped item gets an Unequip button.
+ * @returns {string} The two columns' HTML.
+ */
+export function renderCharacterStatus(character, catalog = null, { properties = null, canUnequip = false } = {}) {
+    const computed = computeCharacterStats(character, catalog);
+    const characterLevel = computed.level;
+    const ringLevels = getRingSlotLevels(properties);
+    const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+    // Get Adena count from inventory for display in the status panel
+    const adenaItem = (character.inventory || []).find(item => item.name === 'Adena');
+    const adenaCount = adenaItem ? adenaItem.quantity : 0;
+
+    return `
+        <!-- Character Status Column -->
+        <div>
+            <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Character Status</h2>
+            <ul class="space-y-2 text-shadow">
+                <li class="stat-item flex justify-between"><span>Name:</span> <span class="font-bold text-white">${escapeHTML(character.charname)}</span></li>
+                <li class="stat-item flex justify-between"><span>Level:</span> <span class="font-bold text-white">${characterLevel}</span></li>
+                <li class="stat-item flex justify-between"><span>Class:</span> <span class="font-bold text-white">${escapeHTML(character.class)}</span></li>
+                <li class="stat-item flex justify-between"><span>Gender:</span> <span class="font-bold text-white">${escapeHTML(character.gender)}</span></li>
+                ${renderComputedStat('STR', computed.stats.str)}
+                ${renderComputedStat('CON', computed.stats.con)}
+                ${renderComputedStat('INT', computed.stats.int)}
+                ${renderComputedStat('WIS', computed.stats.wis)}
+                ${renderComputedStat('DEX', computed.stats.dex)}
+                ${renderComputedStat('HP', computed.maxHp, `${computed.maxHp.value} / ${computed.maxHp.value}`)}
+                ${renderComputedStat('MP', computed.maxMp, `${computed.maxMp.value} / ${computed.maxMp.value}`)}
+                <li class="stat-item flex justify-between"><span>EXP:</span> <span class="font-bold text-white">0.00%</span></li>
+                ${renderComputedStat('AC', computed.ac)}
+                ${renderComputedStat('MR', computed.mr, `${computed.mr.value}%`, '%')}
+                ${renderComputedStat(computed.ranged ? 'Ranged Hit' : 'Hit', computed.hit, signed(computed.hit.value))}
+                ${renderComputedStat(computed.ranged ? 'Ranged Damage' : 'Damage', computed.damage, signed(computed.damage.value))}
+                ${renderComputedStat('Weight Capacity', computed.weightCapacity)}
+                <li class="stat-item flex justify-between"><span>Alignment:</span> <span class="font-bold ${ALIGNMENT_CLASSES[computed.alignment]}" title="${computed.lawful.toLocaleString()}">${computed.alignment}</span></li>
+                <li class="stat-item flex justify-between"><span>Adena:</span> <span class="font-bold text-yellow-400">${adenaCount.toLocaleString()}</span></li>
+                <li class="stat-item flex justify-between"><span>PK Count:</span> <span class="font-bold text-red-400">${computed.pkCount.toLocaleString()}</span></li>
+                <li class="stat-item flex justify-between"><span>Guild:</span> <span class="font-bold text-gray-400">None</span></li>
+            </ul>
+        </div>
+        <!-- Character Equipment Column -->
+        <div>
+            <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Equipped Items</h2>
+            <ul class="space-y-3 text-shadow">
+                ${getCharacterSlots(character).map(slot => renderEquipmentSlot(character, slot, ringLevels[slot] || 1, characterLevel, canUnequip)).join('')}
+            </ul>
+        </div>
+    `;
+}
@@ -0,0 +1,39 @@
+// ========================================================================
+//  CLIENT IP
+// ========================================================================
+
+/**
+ * Looks up the visitor's IP address with the same-origin IP_API_URL endpoint.
+ * Only same-origin endpoints are used, so the address is never sent to a third party.
+ */
+
+let ipPromise = null;
+
+/**
+ * Fetches the visitor's IP address. The result is shared by every caller on the page.
+ * @param {object} properties The server properties.
+ * @param {string} [logPrefix='[ClientIP]'] Prefix for console messages, e.g. '[Maintenance]'.
+ * @returns {Promise<string|null>} The IP, or null if IP_API_URL is blank or the lookup failed.
+ */
+export function fetchClientIp(properties, logPrefix = '[ClientIP]') {
+    if (!properties.IP_API_URL) return Promise.resolve(null); // Not configured.
+    const endpoint = new URL(properties.IP_API_URL, window.location.href);
+    if (endpoint.origin !== window.location.origin) {
+        console.warn(`${logPrefix} IP_API_URL must be on this site (${window.location.origin}); the client IP is not available.`);
+        return Promise.resolve(null);
+    }
+    if (!ipPromise) {
+        ipPromise = fetch(endpoint, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                return response.text();
+            })
+            .then(text => text.trim() || null)
+            .catch(error => {
+                console.error(`${logPrefix} Could not look up the client IP:`, error);
+                ipPromise = null; // Try again next time.
+                return null;
+            });
+    }
+    return ipPromise;
+}
@@ -0,0 +1,139 @@
+// ========================================================================
+//  COMMUNITY STATISTICS
+// ========================================================================
+
+/**
+ * Numbers for the Stats tab of the admin page, worked out in the browser from
+ * every account profile and every character document. The date range picks
+ * the accounts registered in it; the other figures are about those accounts
+ * and their characters as they are now.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+
+export const ACTIVE_ACCOUNT_DAYS = 30; // Accounts that logged in this recently count as active.
+const ADENA_ITEM_ID = 40308;
+const ADENA_NAMES = ['Adena', 'アデナ']; // Starter inventories name it in English; the item files in Japanese.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} CommunityStats
+ * @property {Array<{day: string, count: number}>} registrationsPerDay One entry per day of the range, "YYYY-MM-DD" in local time.
+ * @property {number} accounts The accounts registered in the range.
+ * @property {{active: number, dormant: number, neverLoggedIn: number}} activity Those accounts by when they last logged in.
+ * @property {number} characters Their characters.
+ * @property {Array<{className: string, male: number, female: number}>} charactersByClass Most common class first.
+ * @property {number} adena The Adena in all of those characters' inventories.
+ * @property {Array<{name: string, itemId: number|null, holders: number, quantity: number}>} topItems
+ *   The items held by the most characters, Adena left out.
+ */
+
+/**
+ * Formats a date as a day key.
+ * @param {Date} date The date.
+ * @returns {string} "YYYY-MM-DD" in local time.
+ */
+function toDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether an inventory entry is Adena.
+ * @param {object} item The inventory entry.
+ * @returns {boolean}
+ */
+function isAdena(item) {
+    return item.itemId === ADENA_ITEM_ID || ADENA_NAMES.includes(item.name);
+}
+
+/**
+ * Works out the statistics from already loaded data.
+ * @param {object[]} users Every account profile, with `uid`, `createdAt` and `lastLoginAt` as dates.
+ * @param {object[]} characters Every character.
+ * @param {number|null} since The start of the range (ms timestamp), or null for all time.
+ * @param {number} until The end of the range (ms timestamp).
+ * @param {number} [now] The current time.
+ * @returns {CommunityStats}
+ */
+export function computeCommunityStats(users, characters, since, until, now = Date.now()) {
+    // Accounts without a registration date are older than the field; they only count for all time.
+    const cohort = users.filter(user => (user.createdAt
+        ? (since === null || user.createdAt.getTime() >= since) && user.createdAt.getTime() <= until
+        : since === null));
+
+    const perDay = new Map();
+    const registered = cohort.filter(user => user.createdAt).map(user => user.createdAt.getTime());
+    const firstDay = since ?? registered.reduce((earliest, time) => Math.min(earliest, time), until);
+    for (let day = new Date(firstDay); day.getTime() <= until; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        perDay.set(toDayKey(day), 0);
+    }
+    registered.forEach(time => {
+        const key = toDayKey(new Date(time));
+        if (perDay.has(key)) perDay.set(key, perDay.get(key) + 1);
+    });
+
+    const activity = { active: 0, dormant: 0, neverLoggedIn: 0 };
+    cohort.forEach(user => {
+        if (!user.lastLoginAt) activity.neverLoggedIn++;
+        else if (now - user.lastLoginAt.getTime() <= ACTIVE_ACCOUNT_DAYS * DAY_MS) activity.active++;
+        else activity.dormant++;
+    });
+
+    const owners = new Set(cohort.map(user => user.uid));
+    const cohortCharacters = characters.filter(character => owners.has(character.owner));
+
+    const byClass = new Map();
+    cohortCharacters.forEach(character => {
+        // A female Monarch is called a Princess.
+        const className = character.class === 'Princess' ? 'Monarch' : (character.class || 'Unknown');
+        const counts = byClass.get(className) || { className, male: 0, female: 0 };
+        if (character.gender === 'Female') counts.female++;
+        else counts.male++;
+        byClass.set(className, counts);
+    });
+
+    let adena = 0;
+    const items = new Map();
+    cohortCharacters.forEach(character => {
+        const held = new Set();
+        (character.inventory || []).forEach(item => {
+            if (isAdena(item)) {
+                adena += item.quantity || 0;
+                return;
+            }
+            const key = item.itemId ?? item.name;
+            const entry = items.get(key) || { name: item.name, itemId: item.itemId ?? null, holders: 0, quantity: 0 };
+            entry.quantity += item.quantity || 0;
+            if (!held.has(key)) {
+                held.add(key);
+                entry.holders++;
+            }
+            items.set(key, entry);
+        });
+    });
+
+    return {
+        registrationsPerDay: [...perDay.entries()].map(([day, count]) => ({ day, count })),
+        accounts: cohort.length,
+        activity,
+        characters: cohortCharacters.length,
+        charactersByClass: [...byClass.values()].sort((a, b) => (b.male + b.female) - (a.male + a.female)),
+        adena,
+        topItems: [...items.values()].sort((a, b) => b.holders - a.holders || b.quantity - a.quantity)
+    };
+}
+
+/**
+ * Loads every account and character and works out the statistics. Admins only.
+ * @param {number|null} since The start of the range (ms timestamp), or null for all time.
+ * @param {number} until The end of the range (ms timestamp).
+ * @returns {Promise<CommunityStats>}
+ */
+export async function loadCommunityStats(since, until) {
+    await requirePermission(PERMISSIONS.VIEW_STATS);
+    if (since !== null && since > until) throw new BackendError('invalid-argument', 'The start of the range must be before its end.');
+    const backend = await getBackend();
+    const [users, characters] = await Promise.all([backend.listAllUsers(), backend.listAllCharacters()]);
+    console.log(`[Admin] Loaded ${users.length} accounts and ${characters.length} characters for the statistics.`);
+    return computeCommunityStats(users, characters, since, until);
+}
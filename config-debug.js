@@ -0,0 +1,50 @@
+import { PROPERTY_SCHEMA, fetchServerProperties } from './server-properties.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Renders the effective server configuration: every key with its current value,
+ * the file it was set in (default, server.properties or the profile overlay)
+ * and any problems found while loading.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const summaryEl = document.getElementById('config-profile-summary');
+    const issuesList = document.getElementById('config-issues');
+    const tbody = document.querySelector('#config-table tbody');
+    if (!summaryEl || !issuesList || !tbody) return;
+
+    /**
+     * Formats a typed value for display.
+     * @param {*} value The property value.
+     * @returns {string} The value as text.
+     */
+    const formatValue = (value) => {
+        if (Array.isArray(value) && value.every(entry => typeof entry === 'string')) return value.join(', ');
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return value === '' ? '(blank)' : String(value);
+    };
+
+    const { properties, sources, issues, profile, profileReason } = await fetchServerProperties({ quiet: true, report: false });
+
+    summaryEl.innerHTML = profile
+        ? `Active profile: <span class="font-bold text-green-400">${escapeHTML(profile)}</span> <span class="text-gray-400">(chosen by ${escapeHTML(profileReason)})</span>`
+        : 'No profile active. Showing <span class="font-bold">server.properties</span> with defaults.';
+
+    issuesList.innerHTML = issues.map(issue => {
+        const location = `${issue.file || 'server.properties'}${issue.line ? `:${issue.line}` : ''}`;
+        const colorClass = issue.severity === 'error' ? 'text-red-400' : 'text-yellow-400';
+        return `<li class="${colorClass}">${escapeHTML(location)} &mdash; ${escapeHTML(issue.message)}</li>`;
+    }).join('');
+
+    tbody.innerHTML = Object.entries(PROPERTY_SCHEMA).map(([key, definition]) => {
+        const source = sources[key];
+        const sourceClass = source === 'default' ? 'source-default' : (source === 'server.properties' ? 'source-base' : 'source-profile');
+        return `
+            <tr>
+                <td class="font-semibold text-white">${key}</td>
+                <td class="config-value">${escapeHTML(formatValue(properties[key]))}</td>
+                <td class="${sourceClass}">${escapeHTML(source)}</td>
+                <td class="text-sm text-gray-400">${escapeHTML(definition.description)}</td>
+            </tr>
+        `;
+    }).join('');
+});
@@ -1,64 +1,10 @@
-import { auth, db } from './firebase-config.js';
-import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js";
-import { collection, getDocs, query, where, addDoc } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js";
-
-/**
- * Fetches and parses the server.properties file.
- * This function is copied here to make this script self-contained.
- * @returns {Promise<object>} A promise that resolves to an object with the server properties.
- */
-async function loadServerProperties() {
-    console.log('[Debug] [create-character] Loading server.properties...');
-    const defaultProps = {
-        MAX_CHARACTER_SLOTS: 6,
-        STARTER_INVENTORY_JSON: '[{"name":"Adena","quantity":5000,"stackable":true,"price":1},{"name":"Red Potion","quantity":30,"stackable":true,"price":30}]',
-    };
-    try {
-        const response = await fetch(`server.properties?v=${Date.now()}`);
-        if (!response.ok) {
-            console.warn('server.properties not found. Using default settings for character creation.');
-            return defaultProps;
-        }
-        const text = await response.text();
-        const properties = {};
-        const numericKeys = ['MAX_CHARACTER_SLOTS'];
-
-        text.split('\n').forEach(line => {
-            line = line.trim();
-            if (line && !line.startsWith('#')) {
-                const separatorIndex = line.indexOf('=');
-                if (separatorIndex === -1) return;
-
-                const key = line.substring(0, separatorIndex).trim();
-                let value = line.substring(separatorIndex + 1).trim();
-
-                if (key) {
-                    if (value.toLowerCase() === 'true') {
-                        properties[key] = true;
-                    } else if (value.toLowerCase() === 'false') {
-                        properties[key] = false;
-                    } else if (key.endsWith('_JSON')) {
-                        try {
-                            properties[key] = JSON.parse(value);
-                        } catch (e) {
-                            console.error(`Error parsing JSON for key ${key}:`, e);
-                            properties[key] = defaultProps[key] ? JSON.parse(defaultProps[key]) : null;
-                        }
-                    } else if (numericKeys.includes(key) && !isNaN(Number(value))) {
-                        properties[key] = Number(value);
-                    } else {
-                        properties[key] = value;
-                    }
-                }
-            }
-        });
-        console.log('[Debug] [create-character] server.properties loaded.');
-        return { ...defaultProps, ...properties };
-    } catch (error) {
-        console.error('Failed to load server.properties in create-character.js:', error);
-        return defaultProps;
-    }
-}
+import { getBackend } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+import { guardFeaturePage } from './feature-maintenance.js';
+import { guardVerifiedEmail } from './email-verification.js';
+import { guardTwoFactorSession } from './two-factor.js';
+import { guardSession } from './sessions.js';
+import { guardBans } from './bans.js';
 
 /**
  * Creates a debounced function that delays invoking func until after wait milliseconds have elapsed.
@@ -84,11 +30,12 @@ function generateUUID() {
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
+    const backend = await getBackend();
     // This page requires a logged-in user.
-    onAuthStateChanged(auth, async (user) => {
+    backend.onAuthStateChanged(async (user) => {
         if (user) {
             // User is signed in, proceed with initialization.
-            await initializeCharacterCreation(user);
+            await initializeCharacterCreation(backend, user);
         } else {
             // No user is signed in. Redirect to login.
             showInfoModal('Login Required', 'You must be logged in to create a character.', {
@@ -98,13 +45,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 });
 
-async function initializeCharacterCreation(user) {
+async function initializeCharacterCreation(backend, user) {
     const serverProps = await loadServerProperties();
+    if (await guardFeaturePage('create-character', document.getElementById('page-content'))) return;
+    if (await guardTwoFactorSession()) return;
+    if (await guardSession()) return;
+    if (await guardBans()) return;
+    if (await guardVerifiedEmail('Character Creation', document.getElementById('page-content'))) return;
 
     // --- Check if user has available character slots ---
-    const q = query(collection(db, "characters"), where("owner", "==", user.uid));
-    const querySnapshot = await getDocs(q);
-    const userCharacterCount = querySnapshot.size;
+    const userCharacterCount = (await backend.listCharacters(user.uid)).length;
     const maxSlots = serverProps.MAX_CHARACTER_SLOTS || 6;
 
     if (userCharacterCount >= maxSlots) {
@@ -118,11 +68,11 @@ async function initializeCharacterCreation(user) {
 
     // Populate classes and set up listeners
     populateAndHandleClassSelection();
-    setupFormListeners(user, serverProps);
+    setupFormListeners(backend, user, serverProps);
     console.log('[Debug] Character Creation page initialized.');
 }
 
-function setupFormListeners(user, serverProps) {
+function setupFormListeners(backend, user, serverProps) {
     // --- Character Creation Form ---
     const creationForm = document.getElementById('character-creation-form');
     const charNameInput = document.getElementById('charname');
@@ -135,9 +85,14 @@ function setupFormListeners(user, serverProps) {
                 charNameStatus.textContent = '';
                 return;
             }
-            const q = query(collection(db, "characters"), where("charname_lowercase", "==", name.toLowerCase()));
-            const querySnapshot = await getDocs(q);
-            const isTaken = !querySnapshot.empty;
+            let isTaken;
+            try {
+                isTaken = await backend.isCharacterNameTaken(name.toLowerCase());
+            } catch (error) {
+                console.error("Error checking character name: ", error);
+                charNameStatus.innerHTML = `<span class="text-yellow-400">⚠️ Could not check the name right now.</span>`;
+                return;
+            }
 
             if (isTaken) {
                 charNameStatus.innerHTML = `<span class="text-red-500">❌ Name is already taken.</span>`;
@@ -157,9 +112,15 @@ function setupFormListeners(user, serverProps) {
             const charClass = document.getElementById('class-select').value;
 
             // Final check for name availability on submit
-            const nameQuery = query(collection(db, "characters"), where("charname_lowercase", "==", charName.toLowerCase()));
-            const nameSnapshot = await getDocs(nameQuery);
-            if (!nameSnapshot.empty) {
+            let isTaken;
+            try {
+                isTaken = await backend.isCharacterNameTaken(charName.toLowerCase());
+            } catch (error) {
+                console.error("Error checking character name: ", error);
+                messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ Could not check the character name. Please try again.</p>`;
+                return;
+            }
+            if (isTaken) {
                 messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ Character name is already taken.</p>`;
                 charNameInput.focus();
                 return;
@@ -177,7 +138,7 @@ function setupFormListeners(user, serverProps) {
             };
 
             const newCharacter = {
-                owner: currentUser.uid,
+                owner: user.uid,
                 charname: charName,
                 charname_lowercase: charName.toLowerCase(), // For case-insensitive queries
                 gender: charGender,
@@ -190,13 +151,17 @@ function setupFormListeners(user, serverProps) {
             newCharacter.inventory = starterInventory.map(item => ({ ...item, id: generateUUID() }));
 
             try {
-                await addDoc(collection(db, "characters"), newCharacter);
+                await backend.createCharacter(newCharacter);
                 showInfoModal('Character Created!', 'Your new hero is ready for adventure. You will now be redirected to the dashboard.', {
                     onOk: () => { window.location.href = '/dashboard'; }
                 });
             } catch (error) {
-                console.error("Error adding character to Firestore: ", error);
-                showInfoModal('Error', 'Could not create character. Please try again.', { type: 'error' });
+                console.error("Error creating character: ", error);
+                // Another player may have taken the name since it was checked.
+                const message = error.code === 'already-exists'
+                    ? 'This character name was just taken. Please choose another.'
+                    : 'Could not create character. Please try again.';
+                showInfoModal('Error', message, { type: 'error' });
             }
         });
     }
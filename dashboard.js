@@ -1,16 +1,32 @@
-import { auth, db } from './firebase-config.js';
-import { onAuthStateChanged, deleteUser } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js";
-import { collection, getDocs, query, where, doc, getDoc, updateDoc, deleteDoc } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js";
+import { getBackend } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+import { clearMaintenanceBypassCache } from './maintenance-bypass.js';
+import { isFeatureInMaintenance, renderFeatureMaintenancePanel, onFeatureMaintenanceChange } from './feature-maintenance.js';
+import { getVerifiedUser, resendVerificationEmail } from './email-verification.js';
+import { isGameAccountSyncEnabled, getLinkedGameAccount, provisionGameAccount } from './game-accounts.js';
+import { guardTwoFactorSession, confirmWithTwoFactor } from './two-factor.js';
+import { renderTwoFactorPanel } from './two-factor-settings.js';
+import { renderGiftInbox } from './gift-inbox.js';
+import { guardSession, endSession, forgetAllSessions } from './sessions.js';
+import { guardBans, getCharacterBans, describeBanExpiry } from './bans.js';
+import { formatItemName, sortInventory, renderCharacterStatus } from './character-view.js';
+import { loadItemCatalog, findCatalogItem } from './item-catalog.js';
+import { isEquippable, equipItem, unequipSlot } from './equipment.js';
+import { escapeHTML } from './html.js';
 
 // ========================================================================
 //  DOM CONTENT LOADED - All the code inside this function runs after the page has finished loading.
 // ========================================================================
 document.addEventListener('DOMContentLoaded', async () => {
 
+    const backend = await getBackend();
     let isDashboardInitialized = false;
     let currentUser = null;
+    let shownCharacter = null; // The character in the detail view, so it can be re-rendered.
+    let itemCatalog = null; // The armor and weapon data for the equipment's bonuses, once loaded.
+    let isItemCatalogRequested = false;
 
-    const initializeDashboard = (user) => {
+    const initializeDashboard = async (user) => {
         if (isDashboardInitialized) {
             // If already initialized, just ensure the character select view is visible
             document.getElementById('character-select-view').classList.remove('hidden');
@@ -24,16 +40,32 @@ document.addEventListener('DOMContentLoaded', async () => {
             window.location.href = '/login';
             return;
         }
+        // A login that stopped after the password step goes back for the code.
+        if (await guardTwoFactorSession(user)) return;
+        // A login that was signed out elsewhere or has expired goes back to the login page.
+        if (await guardSession(user)) return;
+        if (await guardBans(user)) return;
 
         currentUser = user;
+        updateVerificationBanner();
+        renderGameAccountPanel();
+        renderTwoFactorPanel(document.getElementById('two-factor-panel'), user).catch(error => {
+            console.error("Error loading two-factor settings:", error);
+        });
+        renderGiftInbox(document.getElementById('gift-inbox-panel'), user, async (gift) => {
+            // Show the new items if the character's storage is open.
+            const isDetailViewOpen = !document.getElementById('character-detail-view').classList.contains('hidden');
+            if (isDetailViewOpen && shownCharacter && shownCharacter.id === gift.characterId) {
+                const character = await backend.getCharacter(gift.characterId);
+                if (character) showCharacterDetails(character);
+            }
+        }).catch(error => {
+            console.error("Error loading gifts:", error);
+        });
 
+        // Slot count and storage handling rely on `server.properties`, so load them first.
+        await loadServerProperties();
         renderCharacterSlots(user);
-        // The `handleStorageClick` function relies on `server.properties`, so we ensure they are loaded.
-        if (!window.serverProperties) {
-            window.loadServerProperties().then(props => {
-                window.serverProperties = props;
-            });
-        }
         setupEventListeners();
         isDashboardInitialized = true;
         console.log('[Debug] Dashboard initialized.');
@@ -47,6 +79,82 @@ document.addEventListener('DOMContentLoaded', async () => {
         return Date.now().toString(36) + Math.random().toString(36).substring(2);
     }
 
+    /**
+     * Shows the verification banner while the signed-in user's address is unconfirmed.
+     */
+    function updateVerificationBanner() {
+        const banner = document.getElementById('email-verification-banner');
+        if (!banner || !currentUser) return;
+        document.getElementById('verification-email').textContent = currentUser.email;
+        banner.classList.toggle('hidden', currentUser.emailVerified);
+    }
+
+    /**
+     * Re-reads the verification state, e.g. after the link was opened in another tab.
+     * @returns {Promise<boolean>} True if the address is now verified.
+     */
+    async function refreshVerificationState() {
+        const wasVerified = currentUser.emailVerified;
+        currentUser = await getVerifiedUser() || currentUser;
+        if (currentUser.emailVerified !== wasVerified) {
+            updateVerificationBanner();
+            renderCharacterSlots(currentUser); // Unlocks the "Create Character" buttons
+        }
+        return currentUser.emailVerified;
+    }
+
+    /**
+     * Shows the linked game login, or a form to create or link one if registration
+     * couldn't (e.g. the sync service was down).
+     */
+    async function renderGameAccountPanel() {
+        const panel = document.getElementById('game-account-panel');
+        if (!panel || !(await isGameAccountSyncEnabled())) return;
+        panel.classList.remove('hidden');
+
+        let account;
+        try {
+            account = await getLinkedGameAccount();
+        } catch (error) {
+            console.error("Error loading game account:", error);
+            panel.innerHTML = `<p class="text-yellow-400">⚠️ ${escapeHTML(error.message)}</p>`;
+            return;
+        }
+
+        if (account) {
+            panel.innerHTML = `
+                <p class="text-gray-300">🎮 Game login: <span class="font-bold text-white">${escapeHTML(account.login)}</span>
+                ${account.banned ? '<span class="ml-2 font-bold text-red-500">(banned in-game)</span>' : ''}</p>
+            `;
+            return;
+        }
+
+        panel.innerHTML = `
+            <p class="text-yellow-300 mb-3">🎮 No game account is linked yet. Create a new game login or link one you already have.</p>
+            <form id="game-account-form" class="flex flex-col md:flex-row gap-2">
+                <select name="mode" class="bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                    <option value="create">New login</option>
+                    <option value="link">Existing login</option>
+                </select>
+                <input type="text" name="login" required placeholder="Game login" autocomplete="username" class="flex-1 bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                <input type="password" name="password" required placeholder="Game password" autocomplete="new-password" class="flex-1 bg-gray-900/50 border border-gray-600 rounded-md p-2 text-white">
+                <button type="submit" class="action-btn btn-green text-sm">Set Up</button>
+            </form>
+        `;
+        panel.querySelector('#game-account-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            try {
+                const login = await provisionGameAccount(form.elements.login.value, form.elements.password.value, form.elements.mode.value);
+                showInfoModal('Game Account Ready', `Your website account is now linked to the game login ${login}.`);
+                renderGameAccountPanel();
+            } catch (error) {
+                console.error("Error setting up game account:", error);
+                showInfoModal('Error', error.message, { type: 'error' });
+            }
+        });
+    }
+
     async function renderCharacterSlots(user) {
         if (!user) return;
 
@@ -54,9 +162,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const username = user.email.split('@')[0];
         document.getElementById('dashboard-username').textContent = username;
 
-        const q = query(collection(db, "characters"), where("owner", "==", user.uid));
-        const querySnapshot = await getDocs(q);
-        const userCharacters = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const [userCharacters, characterBans] = await Promise.all([backend.listCharacters(user.uid), getCharacterBans(user.uid)]);
         const slotsContainer = document.getElementById('character-slots-container');
         const maxSlots = window.serverProperties?.MAX_CHARACTER_SLOTS || 6;
 
@@ -66,7 +172,15 @@ document.addEventListener('DOMContentLoaded', async () => {
             const slotDiv = document.createElement('div');
             slotDiv.className = 'character-slot rounded-lg p-6 flex flex-col justify-center items-center';
 
-            if (userCharacters[i]) {
+            if (userCharacters[i] && characterBans.has(userCharacters[i].id)) {
+                const char = userCharacters[i];
+                const ban = characterBans.get(char.id);
+                slotDiv.innerHTML = `
+                    <h3 class="text-2xl font-bold text-gray-400 text-shadow">${escapeHTML(char.charname)}</h3>
+                    <p class="text-red-400 font-bold mt-1">Banned ${describeBanExpiry(ban)}</p>
+                    <p class="text-gray-300 text-sm mt-2">${escapeHTML(ban.reason)}</p>
+                `;
+            } else if (userCharacters[i]) {
                 const char = userCharacters[i];
                 slotDiv.innerHTML = `
                     <h3 class="text-2xl font-bold text-white text-shadow">${char.charname}</h3>
@@ -77,10 +191,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                     </div>
                 `;
             } else {
+                // Character creation is locked until the email address is verified.
+                const createButton = user.emailVerified
+                    ? '<a href="/create-character" class="create-char-btn mt-4 action-btn btn-green">Create Character</a>'
+                    : '<button class="create-char-locked-btn mt-4 action-btn btn-gray" title="Verify your email address first">Create Character</button>';
                 slotDiv.innerHTML = `
                     <h3 class="text-2xl font-bold text-gray-500">Empty Slot</h3>
                     <p class="text-gray-400 mt-1">Available</p>
-                    <a href="/create-character" class="create-char-btn mt-4 action-btn btn-green">Create Character</a>
+                    ${createButton}
                 `;
             }
             slotsContainer.appendChild(slotDiv);
@@ -96,6 +214,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const detailView = document.getElementById('character-detail-view');
         const displayContainer = document.getElementById('character-display');
         displayContainer.dataset.characterId = character.id; // Store character ID for later use
+        shownCharacter = character;
 
         // --- Populate Storage ---
         const storagePanel = document.getElementById('character-storage-panel'); 
@@ -109,14 +228,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         storageHTML += `<div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 text-shadow">`;
         
         // Sort inventory to group unique items first, then by name
-        inventory.sort((a, b) => (a.stackable === b.stackable) ? a.name.localeCompare(b.name) : a.stackable ? 1 : -1);
+        sortInventory(inventory);
 
+        // Worn items stay in the storage; armor and weapons can be equipped once the item data has loaded.
+        const equippedIds = new Set(Object.values(character.equipment || {}));
         inventory.forEach(item => {
-            const displayName = item.enchantment !== undefined ? `+${item.enchantment} ${item.name}` : item.name;
+            const displayName = formatItemName(item);
+            const isEquipped = equippedIds.has(item.id);
+            const canEquip = !isEquipped && itemCatalog && isEquippable(character, findCatalogItem(itemCatalog, item));
             storageHTML += `
                 <div class="storage-item">
-                    <span>${displayName}</span>
+                    <span>${displayName}${isEquipped ? ' <span class="text-green-400 text-xs">(equipped)</span>' : ''}</span>
                     <div class="flex items-center gap-3">
+                        ${ canEquip
+                            ? `<button data-item-id="${item.id}" class="equip-item-btn text-green-400/70 hover:text-green-300 text-xs font-bold transition" title="Equip">[E]</button>`
+                            : `<span class="w-6"></span>` /* Placeholder for alignment */
+                        }
                         <span class="font-bold text-gray-300">${item.quantity.toLocaleString()}</span>
                         ${ (item.splittable !== false && item.stackable === true && item.quantity > 1)
                             ? `<button data-item-id="${item.id}" class="split-item-btn text-blue-400/70 hover:text-blue-300 text-xs font-bold transition" title="Split Stack">[S]</button>`
@@ -131,67 +258,24 @@ document.addEventListener('DOMContentLoaded', async () => {
             `;
         });
         storageHTML += `</div>`;
-        storagePanel.innerHTML = storageHTML;
-
-        // For now, level is hardcoded. This can be replaced with character.level later.
-        const characterLevel = 1; 
-
-        // Get Adena count from inventory for display in the status panel
-        const adenaItem = inventory.find(item => item.name === 'Adena');
-        const adenaCount = adenaItem ? adenaItem.quantity : 0;
-
-        // Populate the details
-        displayContainer.innerHTML = `
-            <!-- Character Status Column -->
-            <div>
-                <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Character Status</h2>
-                <ul class="space-y-2 text-shadow">
-                    <li class="stat-item flex justify-between"><span>Name:</span> <span class="font-bold text-white">${character.charname}</span></li>
-                    <li class="stat-item flex justify-between"><span>Level:</span> <span class="font-bold text-white">${characterLevel}</span></li>
-                    <li class="stat-item flex justify-between"><span>Class:</span> <span class="font-bold text-white">${character.class}</span></li>
-                    <li class="stat-item flex justify-between"><span>Gender:</span> <span class="font-bold text-white">${character.gender}</span></li>
-                    <li class="stat-item flex justify-between"><span>STR:</span> <span class="font-bold text-white">${character.stats.str}</span></li>
-                    <li class="stat-item flex justify-between"><span>CON:</span> <span class="font-bold text-white">${character.stats.con}</span></li>
-                    <li class="stat-item flex justify-between"><span>INT:</span> <span class="font-bold text-white">${character.stats.int}</span></li>
-                    <li class="stat-item flex justify-between"><span>WIS:</span> <span class="font-bold text-white">${character.stats.wis}</span></li>
-                    <li class="stat-item flex justify-between"><span>DEX:</span> <span class="font-bold text-white">${character.stats.dex}</span></li>
-                    <li class="stat-item flex justify-between"><span>HP:</span> <span class="font-bold text-white">50 / 50</span></li>
-                    <li class="stat-item flex justify-between"><span>MP:</span> <span class="font-bold text-white">20 / 20</span></li>
-                    <li class="stat-item flex justify-between"><span>EXP:</span> <span class="font-bold text-white">0.00%</span></li>
-                    <li class="stat-item flex justify-between"><span>AC:</span> <span class="font-bold text-white">-10</span></li>
-                    <li class="stat-item flex justify-between"><span>MR:</span> <span class="font-bold text-white">15%</span></li>
-                    <li class="stat-item flex justify-between"><span>Alignment:</span> <span class="font-bold text-cyan-300">Neutral</span></li>
-                    <li class="stat-item flex justify-between"><span>Adena:</span> <span class="font-bold text-yellow-400">${adenaCount.toLocaleString()}</span></li>
-                    <li class="stat-item flex justify-between"><span>PK Count:</span> <span class="font-bold text-red-400">0</span></li>
-                    <li class="stat-item flex justify-between"><span>Guild:</span> <span class="font-bold text-gray-400">None</span></li>
-                </ul>
-            </div>
-            <!-- Character Equipment Column -->
-            <div>
-                <h2 class="text-2xl font-semibold mb-4 text-center text-yellow-500 text-shadow">Equipped Items</h2>
-                <ul class="space-y-3 text-shadow">
-                    <li class="equip-slot"><span>Weapon:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Helmet:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Armor:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Cloak:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Gloves:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Boots:</span> <span class="font-bold text-gray-400">None</span></li>
-                    ${ character.class === 'Warrior'
-                        ? `<li class="equip-slot"><span>Weapon 2:</span> <span class="font-bold text-gray-400">None</span></li>`
-                        : `<li class="equip-slot"><span>Shield:</span> <span class="font-bold text-gray-400">None</span></li>`
-                    }
-                    <li class="equip-slot"><span>Amulet:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Ring 1:</span> <span class="font-bold text-gray-400">None</span></li>
-                    <li class="equip-slot"><span>Ring 2:</span> <span class="font-bold text-gray-400">None</span></li>
-                    ${ characterLevel >= 76 
-                        ? `<li class="equip-slot"><span>Ring 3:</span> <span class="font-bold text-gray-400">None</span></li>`
-                        : `<li class="equip-slot"><span>Ring 3:</span> <span class="font-bold text-red-500/70">Locked (Lv. 76)</span></li>` }
-                    ${ characterLevel >= 81 
-                        ? `<li class="equip-slot"><span>Ring 4:</span> <span class="font-bold text-gray-400">None</span></li>`
-                        : `<li class="equip-slot"><span>Ring 4:</span> <span class="font-bold text-red-500/70">Locked (Lv. 81)</span></li>` }
-                </ul>
-            </div>
-        `;
+        // Storage can be taken down on its own (MAINTENANCE_FEATURES) while the rest of the dashboard works.
+        storagePanel.innerHTML = isFeatureInMaintenance('dashboard-storage', window.serverProperties)
+            ? renderFeatureMaintenancePanel('dashboard-storage', window.serverProperties, { showReturnLink: false })
+            : storageHTML;
+
+        // Populate the details; the equipment counts toward the stats once the item data has loaded.
+        displayContainer.innerHTML = renderCharacterStatus(character, itemCatalog, { properties: window.serverProperties, canUnequip: true });
+        if (!isItemCatalogRequested) {
+            isItemCatalogRequested = true;
+            loadItemCatalog().then(catalog => {
+                itemCatalog = catalog;
+                const isDetailViewOpen = !document.getElementById('character-detail-view').classList.contains('hidden');
+                if (isDetailViewOpen && shownCharacter) showCharacterDetails(shownCharacter);
+            }).catch(error => {
+                console.error("Error loading the item data:", error);
+                isItemCatalogRequested = false;
+            });
+        }
 
         // Switch views
         selectView.classList.add('hidden');
@@ -206,22 +290,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         const button = event.target;
         const charId = document.getElementById('character-display').dataset.characterId;
 
+        if (isFeatureInMaintenance('dashboard-storage', window.serverProperties)) return;
+
         // Ensure user is still logged in before any write operation
-        if (!auth.currentUser || !charId) {
+        if (!backend.getCurrentUser() || !charId) {
             showInfoModal('Error', 'Character or user session not found. Please try again.', { type: 'error' });
             return;
         }
 
-        const charDocRef = doc(db, "characters", charId);
-
         // --- Handle Split Item ---
         if (button.classList.contains('split-item-btn')) {
             const itemId = button.dataset.itemId;
             try {
-                const charDoc = await getDoc(charDocRef);
-                if (!charDoc.exists()) throw new Error("Character not found.");
+                const character = await backend.getCharacter(charId);
+                if (!character) throw new Error("Character not found.");
 
-                let character = { id: charDoc.id, ...charDoc.data() };
                 const itemToSplit = character.inventory.find(i => i.id === itemId);
 
                 if (!itemToSplit || itemToSplit.quantity <= 1) return;
@@ -244,8 +327,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 };
                 character.inventory.push(newItem);
 
-                // Update the document in Firestore
-                await updateDoc(charDocRef, { inventory: character.inventory });
+                // Save the updated inventory
+                await backend.updateCharacter(charId, { inventory: character.inventory });
 
                 // Re-render the details view with the updated character data
                 showCharacterDetails(character);
@@ -256,13 +339,25 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        // --- Handle Equip Item ---
+        if (button.classList.contains('equip-item-btn')) {
+            try {
+                const character = await backend.getCharacter(charId);
+                if (!character) throw new Error("Character not found.");
+                await equipItem(character, button.dataset.itemId, itemCatalog, window.serverProperties);
+                showCharacterDetails(character);
+            } catch (error) {
+                console.error("Error equipping item:", error);
+                showInfoModal('Cannot Equip', escapeHTML(error.message), { type: 'error' });
+            }
+        }
+
         // --- Handle Combine Stacks ---
         if (button.id === 'combine-stacks-btn') {
             try {
-                const charDoc = await getDoc(charDocRef);
-                if (!charDoc.exists()) throw new Error("Character not found.");
+                const character = await backend.getCharacter(charId);
+                if (!character) throw new Error("Character not found.");
 
-                let character = { id: charDoc.id, ...charDoc.data() };
                 const inventory = character.inventory || [];
                 
                 const combinedInventory = [];
@@ -286,7 +381,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // Add the combined stacks back to the inventory
                 combinedInventory.push(...stackableItems.values());
 
-                await updateDoc(charDocRef, { inventory: combinedInventory });
+                await backend.updateCharacter(charId, { inventory: combinedInventory });
                 character.inventory = combinedInventory; // Update local character object
                 showCharacterDetails(character); // Re-render
                 showInfoModal('Success', 'All stackable items have been combined.');
@@ -312,11 +407,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             // --- Enter Game Button ---
             if (target.matches('.enter-game-btn')) {
                 const charId = target.dataset.charId;
-                const charDoc = await getDoc(doc(db, "characters", charId));
-                if (charDoc.exists()) {
-                    const characterData = { id: charDoc.id, ...charDoc.data() };
-                    showCharacterDetails(characterData);
-                }
+                const characterData = await backend.getCharacter(charId);
+                if (characterData) showCharacterDetails(characterData);
                 return;
             }
 
@@ -329,7 +421,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                     message: `Are you sure you want to permanently delete <span class="font-bold text-white">${charName}</span>? This action cannot be undone.`,
                     typeToConfirm: charName,
                     onConfirm: async () => {
-                        await deleteDoc(doc(db, "characters", charId));
+                        if (!(await confirmWithTwoFactor(`delete ${charName}`))) return;
+                        await backend.deleteCharacter(charId);
                         showInfoModal('Success', `Character ${charName} has been deleted.`);
                         renderCharacterSlots(currentUser); // Re-render the slots view
                     }
@@ -337,10 +430,44 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
 
+            // --- Locked Create Character Button ---
+            if (target.matches('.create-char-locked-btn')) {
+                showInfoModal('Email Verification Required', 'Please verify your email address before creating a character. Use "Resend Verification" above if you did not receive the email.');
+                return;
+            }
+
+            // --- Resend Verification Email Button ---
+            if (target.matches('#resend-verification-btn')) {
+                target.disabled = true;
+                try {
+                    await resendVerificationEmail();
+                    showInfoModal('Email Sent', `A new verification email has been sent to ${currentUser.email}.`);
+                } catch (error) {
+                    console.error("Error sending verification email:", error);
+                    const message = error.code === 'auth/too-many-requests'
+                        ? 'Too many emails have been sent. Please wait a few minutes and try again.'
+                        : `Could not send the verification email. ${error.message}`;
+                    showInfoModal('Error', message, { type: 'error' });
+                } finally {
+                    target.disabled = false;
+                }
+                return;
+            }
+
+            // --- "I've Verified" Button ---
+            if (target.matches('#check-verification-btn')) {
+                if (await refreshVerificationState()) {
+                    showInfoModal('Email Verified', 'Thank you! Character creation and the marketplace are now unlocked.');
+                } else {
+                    showInfoModal('Not Verified Yet', 'Your email address has not been verified yet. Please follow the link in the verification email.');
+                }
+                return;
+            }
+
             // --- Logout Button ---
             if (target.matches('#logout-btn')) {
                 event.preventDefault();
-                showConfirmModal({ title: 'Confirm Logout', message: 'Are you sure you want to end your session?', onConfirm: () => auth.signOut() });
+                showConfirmModal({ title: 'Confirm Logout', message: 'Are you sure you want to end your session?', onConfirm: () => { clearMaintenanceBypassCache(); endSession(); } });
                 return;
             }
 
@@ -353,28 +480,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
 
             // --- Delete Account Button ---
-            // This logic needs to be updated to use Firebase Auth functions
             if (target.matches('#delete-account-btn')) {
                 showConfirmModal({
                     title: 'DELETE ACCOUNT',
                     message: 'This is a <span class="font-bold text-white">PERMANENT</span> action. You will lose your account and all characters. This cannot be undone.',
                     typeToConfirm: 'DELETE',
                     onConfirm: async () => {
-                        const user = auth.currentUser;
-                        if (!user) {
+                        if (!backend.getCurrentUser()) {
                             showInfoModal('Error', 'You must be logged in to delete an account.', { type: 'error' });
                             return;
                         }
+                        if (!(await confirmWithTwoFactor('delete your account'))) return;
                         try {
-                            // 1. Find and delete all characters owned by the user.
-                            const q = query(collection(db, "characters"), where("owner", "==", user.uid));
-                            const querySnapshot = await getDocs(q);
-                            const deletePromises = querySnapshot.docs.map(charDoc => deleteDoc(charDoc.ref));
-                            await Promise.all(deletePromises);
-                            console.log(`[Auth] Deleted ${deletePromises.length} characters for user ${user.uid}.`);
-
-                            // 2. Delete the user from Firebase Authentication.
-                            await deleteUser(user);
+                            // Deletes the characters, the profile and the login itself.
+                            await forgetAllSessions();
+                            await backend.deleteAccount();
                             showInfoModal('Success', 'Your account has been permanently deleted.');
                             // onAuthStateChanged will automatically redirect to the login page.
                         } catch (error) {
@@ -387,15 +507,41 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         });
 
+        // --- Equipment Click Handler (Event Delegation) ---
+        document.getElementById('character-display').addEventListener('click', async (event) => {
+            const button = event.target.closest('.unequip-item-btn');
+            if (!button || !shownCharacter) return;
+            try {
+                const character = await backend.getCharacter(shownCharacter.id);
+                if (!character) throw new Error("Character not found.");
+                await unequipSlot(character, button.dataset.slot);
+                showCharacterDetails(character);
+            } catch (error) {
+                console.error("Error unequipping item:", error);
+                showInfoModal('Error', `Could not unequip the item. ${error.message}`, { type: 'error' });
+            }
+        });
+
         // --- Storage Panel Click Handler (Event Delegation) ---
         const storagePanel = document.getElementById('character-storage-panel');
         storagePanel.addEventListener('click', (event) => {
             handleStorageClick(event);
         });
+
+        // The verification link is usually opened in another tab, so check again on return.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && currentUser && !currentUser.emailVerified) refreshVerificationState();
+        });
+
+        // Swap the storage panel in or out as soon as it enters or leaves maintenance.
+        onFeatureMaintenanceChange('dashboard-storage', () => {
+            const isDetailViewOpen = !document.getElementById('character-detail-view').classList.contains('hidden');
+            if (isDetailViewOpen && shownCharacter) showCharacterDetails(shownCharacter);
+        });
     }
 
-    // Listen for Firebase Auth state changes to initialize the dashboard
-    onAuthStateChanged(auth, (user) => {
+    // Listen for auth state changes to initialize the dashboard
+    backend.onAuthStateChanged((user) => {
         const dashboardContent = document.getElementById('dashboard-content');
         if (user) {
             // User is signed in, initialize the dashboard
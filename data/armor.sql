@@ -198,7 +198,6 @@ INSERT INTO `armor` VALUES (20185, 'Cerenis''s Gloves', '$2201', 'glove', 0, -1,
 INSERT INTO `armor` VALUES (20186, 'Gloves of Corruption', '$3344', 'glove', 0, -1, 'leather', 18000, 1665, 4268, 1380, -2, 4, 1, 1, 0, 0, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, NULL, 0);
 INSERT INTO `armor` VALUES (20187, 'Power Gloves', '$795', 'glove', 0, -1, 'leather', 18000, 328, 182, 280, 0, 4, 1, 1, 1, 1, 1, 1, 1, 1, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, NULL, 0);
 INSERT INTO `armor` VALUES (20188, 'Pirate Gloves', '$3496', 'glove', 0, -1, 'leather', 15000, 1765, 4343, 1487, -1, 4, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 20155, 0, 0, 41, NULL, 0);
-INSERT INTO `armor` VALUES (20189, 'Wind Gloves', '$3255', 'glove', 0, 1, 'leather', 18000, 1634, 4117, 1290, 0, 4, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 
 INSERT INTO `armor` VALUES (20190, 'Gloves of Chaos', '$3739 ', 'glove', 0, -1, 'bone', 5000, 1990, 5041, 1708, -3, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 45, 0, 0, 0, 0, 0, 0, 0, 5, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, NULL, 0);
 INSERT INTO `armor` VALUES (20191, 'Bracer', '$775 ', 'glove', 0, -1, 'leather', 10000, 327, 3964, 0, 0, 4, 0, 1, 0, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, NULL, 0);
 INSERT INTO `armor` VALUES (20192, 'Leather Boots', '$1027 ', 'boots', 0, -1, 'leather', 10000, 461, 25, 0, -2, 4, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, NULL, 0);
@@ -0,0 +1,72 @@
+// ========================================================================
+//  EMAIL VERIFICATION
+// ========================================================================
+
+/**
+ * New accounts start with an unconfirmed email address. Until the link in the
+ * verification email has been followed, character creation and the marketplace
+ * are locked; the dashboard offers to resend the email. The verification state
+ * comes from the auth backend, so this works the same with the local backend.
+ */
+import { getBackend, waitForAuthUser } from './auth-backend.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Returns the signed-in user with a freshly read verification state, so an
+ * address confirmed in another tab is picked up.
+ * @returns {Promise<import('./auth-backend.js').BackendUser|null>} The user, or null if nobody is signed in.
+ */
+export async function getVerifiedUser() {
+    const user = await waitForAuthUser();
+    if (!user || user.emailVerified) return user;
+    const backend = await getBackend();
+    return backend.reloadUser();
+}
+
+/**
+ * Sends the signed-in user a new verification email.
+ * @returns {Promise<void>}
+ */
+export async function resendVerificationEmail() {
+    const backend = await getBackend();
+    await backend.sendEmailVerification();
+    console.log('[Auth] Verification email sent.');
+}
+
+/**
+ * Builds the panel shown in place of a feature that needs a verified address.
+ * @param {string} featureLabel The feature's name, e.g. "Marketplace".
+ * @param {import('./auth-backend.js').BackendUser|null} user The signed-in user.
+ * @returns {string} The panel's HTML.
+ */
+export function renderVerificationRequiredPanel(featureLabel, user) {
+    const message = user
+        ? `Please confirm your email address <span class="font-bold text-white">${escapeHTML(user.email)}</span> to use the ${escapeHTML(featureLabel)}. You can resend the verification email from your dashboard.`
+        : `Please log in to use the ${escapeHTML(featureLabel)}.`;
+    const link = user
+        ? '<a href="/dashboard" class="action-btn btn-blue mt-6 inline-block">Go to Dashboard</a>'
+        : '<a href="/login" class="action-btn btn-blue mt-6 inline-block">Log In</a>';
+    return `
+        <div class="email-verification-panel ui-panel max-w-2xl mx-auto my-10 p-8 text-center">
+            <h2 class="text-3xl font-bold text-yellow-400 mb-4 text-shadow">Email Verification Required</h2>
+            <p class="text-lg text-gray-300">${message}</p>
+            ${link}
+        </div>
+    `;
+}
+
+/**
+ * Guards a feature that needs a verified address, replacing its content with
+ * an explanation if the user is signed out or unverified.
+ * @param {string} featureLabel The feature's name, e.g. "Marketplace".
+ * @param {HTMLElement} container The element holding the feature's content.
+ * @returns {Promise<boolean>} True if the feature is locked and the page should not initialize.
+ */
+export async function guardVerifiedEmail(featureLabel, container) {
+    const user = await getVerifiedUser();
+    if (user && user.emailVerified) return false;
+
+    container.innerHTML = renderVerificationRequiredPanel(featureLabel, user);
+    console.log(`[Auth] ${featureLabel} is locked until the email address is verified.`);
+    return true;
+}
@@ -0,0 +1,258 @@
+// ========================================================================
+//  EQUIPMENT
+// ========================================================================
+
+/**
+ * Which armor and weapons a character can wear, and where. A character's
+ * `equipment` maps each slot below to the `id` of an item in its inventory;
+ * the item stays in the inventory while it is worn. The rules come from the
+ * armor and weapon tables: the item's `type` picks the slot, the `use_*`
+ * columns the classes that can use it, and `min_lvl`/`max_lvl` the levels.
+ * Two-handed weapons can't be used with a shield (arm guards are fine), and
+ * Warriors hold a second one-handed weapon where other classes hold a shield.
+ * The third and fourth ring slots open at RING3_LEVEL_REQUIREMENT and
+ * RING4_LEVEL_REQUIREMENT.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PROPERTY_SCHEMA } from './server-properties.js';
+import { ITEM_CATEGORIES, findCatalogItem } from './item-catalog.js';
+import { getCharacterLevel } from './character-stats.js';
+
+export const EQUIPMENT_SLOTS = Object.freeze({
+    WEAPON: 'weapon',
+    WEAPON2: 'weapon2',
+    HELMET: 'helmet',
+    ARMOR: 'armor',
+    TSHIRT: 'tshirt',
+    CLOAK: 'cloak',
+    GLOVES: 'gloves',
+    BOOTS: 'boots',
+    SHIELD: 'shield',
+    AMULET: 'amulet',
+    EARRING: 'earring',
+    BELT: 'belt',
+    RING1: 'ring1',
+    RING2: 'ring2',
+    RING3: 'ring3',
+    RING4: 'ring4'
+});
+
+/** The slots' names, in the order the status panel lists them. */
+export const SLOT_LABELS = Object.freeze({
+    [EQUIPMENT_SLOTS.WEAPON]: 'Weapon',
+    [EQUIPMENT_SLOTS.HELMET]: 'Helmet',
+    [EQUIPMENT_SLOTS.ARMOR]: 'Armor',
+    [EQUIPMENT_SLOTS.TSHIRT]: 'T-Shirt',
+    [EQUIPMENT_SLOTS.CLOAK]: 'Cloak',
+    [EQUIPMENT_SLOTS.GLOVES]: 'Gloves',
+    [EQUIPMENT_SLOTS.BOOTS]: 'Boots',
+    [EQUIPMENT_SLOTS.WEAPON2]: 'Weapon 2',
+    [EQUIPMENT_SLOTS.SHIELD]: 'Shield',
+    [EQUIPMENT_SLOTS.AMULET]: 'Amulet',
+    [EQUIPMENT_SLOTS.EARRING]: 'Earring',
+    [EQUIPMENT_SLOTS.BELT]: 'Belt',
+    [EQUIPMENT_SLOTS.RING1]: 'Ring 1',
+    [EQUIPMENT_SLOTS.RING2]: 'Ring 2',
+    [EQUIPMENT_SLOTS.RING3]: 'Ring 3',
+    [EQUIPMENT_SLOTS.RING4]: 'Ring 4'
+});
+
+const RING_SLOTS = [EQUIPMENT_SLOTS.RING1, EQUIPMENT_SLOTS.RING2, EQUIPMENT_SLOTS.RING3, EQUIPMENT_SLOTS.RING4];
+
+/** The slots each armor `type` goes in. Types missing here (relics, badges...) can't be worn from the dashboard. */
+const ARMOR_TYPE_SLOTS = Object.freeze({
+    helm: [EQUIPMENT_SLOTS.HELMET],
+    armor: [EQUIPMENT_SLOTS.ARMOR],
+    T: [EQUIPMENT_SLOTS.TSHIRT],
+    cloak: [EQUIPMENT_SLOTS.CLOAK],
+    glove: [EQUIPMENT_SLOTS.GLOVES],
+    boots: [EQUIPMENT_SLOTS.BOOTS],
+    shield: [EQUIPMENT_SLOTS.SHIELD],
+    garder: [EQUIPMENT_SLOTS.SHIELD],
+    amulet: [EQUIPMENT_SLOTS.AMULET],
+    earring: [EQUIPMENT_SLOTS.EARRING],
+    belt: [EQUIPMENT_SLOTS.BELT],
+    ring: RING_SLOTS
+});
+
+/** Weapon types that take both hands. */
+const TWO_HANDED_WEAPON_TYPES = Object.freeze(['tohandsword', 'tohandblunt', 'tohandstaff', 'bow', 'spear', 'edoryu', 'claw', 'gauntlet']);
+
+/** Arm guards sit in the shield slot but leave the hands free. */
+const ARM_GUARD_TYPE = 'garder';
+
+/** The `use_*` column of each class. */
+const CLASS_USE_COLUMNS = Object.freeze({
+    Monarch: 'use_royal',
+    Princess: 'use_royal',
+    Knight: 'use_knight',
+    Elf: 'use_elf',
+    Mage: 'use_mage',
+    'Dark Elf': 'use_darkelf',
+    'Dragon Knight': 'use_dragonknight',
+    Warrior: 'use_warrior'
+});
+
+/**
+ * Checks whether a weapon takes both hands.
+ * @param {import('./item-catalog.js').CatalogItem} catalogItem The item.
+ * @returns {boolean}
+ */
+function isTwoHanded(catalogItem) {
+    return catalogItem.category === ITEM_CATEGORIES.WEAPON && TWO_HANDED_WEAPON_TYPES.includes(catalogItem.type);
+}
+
+/**
+ * The level each ring slot opens at.
+ * @param {object|null} properties The server properties; the defaults are used without them.
+ * @returns {Object<string, number>} By slot.
+ */
+export function getRingSlotLevels(properties) {
+    const setting = (key) => properties?.[key] ?? PROPERTY_SCHEMA[key].default;
+    return {
+        [EQUIPMENT_SLOTS.RING1]: 1,
+        [EQUIPMENT_SLOTS.RING2]: 1,
+        [EQUIPMENT_SLOTS.RING3]: setting('RING3_LEVEL_REQUIREMENT'),
+        [EQUIPMENT_SLOTS.RING4]: setting('RING4_LEVEL_REQUIREMENT')
+    };
+}
+
+/**
+ * Lists a character's slots in display order: Warriors have a second weapon
+ * slot instead of a shield.
+ * @param {object} character The character document.
+ * @returns {string[]} EQUIPMENT_SLOTS values.
+ */
+export function getCharacterSlots(character) {
+    const skipped = character.class === 'Warrior' ? EQUIPMENT_SLOTS.SHIELD : EQUIPMENT_SLOTS.WEAPON2;
+    return Object.keys(SLOT_LABELS).filter(slot => slot !== skipped);
+}
+
+/**
+ * The slots an item can go in, before any of the character's rules.
+ * @param {object} character The character document.
+ * @param {import('./item-catalog.js').CatalogItem|null} catalogItem The item's catalog entry.
+ * @returns {string[]} EQUIPMENT_SLOTS values; empty if it can't be worn.
+ */
+function getItemSlots(character, catalogItem) {
+    if (!catalogItem) return [];
+    if (catalogItem.category === ITEM_CATEGORIES.WEAPON) {
+        return character.class === 'Warrior' && !isTwoHanded(catalogItem)
+            ? [EQUIPMENT_SLOTS.WEAPON, EQUIPMENT_SLOTS.WEAPON2]
+            : [EQUIPMENT_SLOTS.WEAPON];
+    }
+    if (catalogItem.category === ITEM_CATEGORIES.ARMOR) {
+        return (ARMOR_TYPE_SLOTS[catalogItem.type] || []).filter(slot => getCharacterSlots(character).includes(slot));
+    }
+    return [];
+}
+
+/**
+ * Checks whether an item is armor or a weapon the dashboard can put in a slot.
+ * @param {object} character The character document.
+ * @param {import('./item-catalog.js').CatalogItem|null} catalogItem The item's catalog entry.
+ * @returns {boolean}
+ */
+export function isEquippable(character, catalogItem) {
+    return getItemSlots(character, catalogItem).length > 0;
+}
+
+/**
+ * Finds the inventory item in a slot, with its catalog entry.
+ * @param {object} character The character document.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>} catalog The item catalog.
+ * @param {string} slot The slot.
+ * @returns {{item: object, catalogItem: import('./item-catalog.js').CatalogItem|null}|null}
+ */
+function getSlotItem(character, catalog, slot) {
+    const id = (character.equipment || {})[slot];
+    const item = id && (character.inventory || []).find(entry => entry.id === id);
+    return item ? { item, catalogItem: findCatalogItem(catalog, item) } : null;
+}
+
+/**
+ * Works out where an item would go, or why it can't be worn.
+ * @param {object} character The character document.
+ * @param {object} item The inventory item.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>} catalog The item catalog.
+ * @param {object|null} properties The server properties.
+ * @returns {string} The slot to put it in.
+ * @throws {BackendError} "failed-precondition" with the reason it can't be worn.
+ */
+export function chooseEquipmentSlot(character, item, catalog, properties) {
+    const catalogItem = findCatalogItem(catalog, item);
+    const slots = getItemSlots(character, catalogItem);
+    const fail = (message) => { throw new BackendError('failed-precondition', message); };
+    if (slots.length === 0) fail(`${item.name} can't be equipped.`);
+
+    // --- Class and level ---
+    const useColumn = CLASS_USE_COLUMNS[character.class];
+    if (!useColumn || !catalogItem.columns[useColumn]) fail(`A ${character.class} can't use ${item.name}.`);
+    const level = getCharacterLevel(character);
+    const { min_lvl: minLevel, max_lvl: maxLevel } = catalogItem.columns;
+    if (minLevel && level < minLevel) fail(`${item.name} needs level ${minLevel} or higher.`);
+    if (maxLevel && level > maxLevel) fail(`${item.name} can only be used up to level ${maxLevel}.`);
+
+    // --- Hands ---
+    const weapon = getSlotItem(character, catalog, EQUIPMENT_SLOTS.WEAPON);
+    const shield = getSlotItem(character, catalog, EQUIPMENT_SLOTS.SHIELD);
+    const secondWeapon = getSlotItem(character, catalog, EQUIPMENT_SLOTS.WEAPON2);
+    if (isTwoHanded(catalogItem)) {
+        if (shield && shield.catalogItem?.type !== ARM_GUARD_TYPE) fail(`${item.name} takes both hands; take off your shield first.`);
+        if (secondWeapon) fail(`${item.name} takes both hands; take off your second weapon first.`);
+    }
+    if (catalogItem.type === 'shield' && weapon?.catalogItem && isTwoHanded(weapon.catalogItem)) {
+        fail(`You can't use a shield with a two-handed weapon.`);
+    }
+
+    // --- Slot ---
+    const ringLevels = getRingSlotLevels(properties);
+    const equipment = character.equipment || {};
+    const open = slots.filter(slot => !RING_SLOTS.includes(slot) || level >= ringLevels[slot]);
+    // A Warrior's second weapon needs a one-handed weapon in the first hand.
+    const usable = open.filter(slot => slot !== EQUIPMENT_SLOTS.WEAPON2 || (weapon?.catalogItem && !isTwoHanded(weapon.catalogItem)));
+    const empty = usable.find(slot => !equipment[slot]);
+    if (empty) return empty;
+    if (catalogItem.type === 'ring') fail('All your open ring slots are in use; take a ring off first.');
+    return usable[0]; // Swap out the item in the first slot.
+}
+
+/**
+ * Equips an inventory item, saving the character.
+ * @param {object} character The character document, with its `id`.
+ * @param {string} itemId The inventory item's `id`.
+ * @param {Map<number, import('./item-catalog.js').CatalogItem>} catalog The item catalog.
+ * @param {object|null} properties The server properties.
+ * @returns {Promise<string>} The slot it went in.
+ */
+export async function equipItem(character, itemId, catalog, properties) {
+    const item = (character.inventory || []).find(entry => entry.id === itemId);
+    if (!item) throw new BackendError('not-found', 'That item is no longer in your storage.');
+    if (Object.values(character.equipment || {}).includes(itemId)) throw new BackendError('failed-precondition', `${item.name} is already equipped.`);
+    const slot = chooseEquipmentSlot(character, item, catalog, properties);
+
+    const backend = await getBackend();
+    const equipment = { ...(character.equipment || {}), [slot]: itemId };
+    await backend.updateCharacter(character.id, { equipment });
+    character.equipment = equipment;
+    console.log(`[Account] ${character.charname} equipped ${item.name} (${SLOT_LABELS[slot]}).`);
+    return slot;
+}
+
+/**
+ * Takes off whatever is in a slot, saving the character. A Warrior's second
+ * weapon comes off with the first, since it can't be held alone.
+ * @param {object} character The character document, with its `id`.
+ * @param {string} slot The slot.
+ * @returns {Promise<void>}
+ */
+export async function unequipSlot(character, slot) {
+    const equipment = { ...(character.equipment || {}) };
+    delete equipment[slot];
+    if (slot === EQUIPMENT_SLOTS.WEAPON) delete equipment[EQUIPMENT_SLOTS.WEAPON2];
+
+    const backend = await getBackend();
+    await backend.updateCharacter(character.id, { equipment });
+    character.equipment = equipment;
+    console.log(`[Account] ${character.charname} unequipped the ${SLOT_LABELS[slot]} slot.`);
+}
@@ -0,0 +1,113 @@
+// ========================================================================
+//  PER-FEATURE MAINTENANCE
+// ========================================================================
+
+/**
+ * Lets one part of the site be taken down (e.g. the marketplace during an
+ * economy patch) while everything else keeps working. Features listed in
+ * MAINTENANCE_FEATURES show a maintenance panel with their own message in
+ * place of their content, and come back as soon as they are removed from the list.
+ */
+import { loadServerProperties } from './server-properties.js';
+import { startPropertiesWatcher, onPropertiesChange } from './server-properties-watcher.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * The features that can be put into maintenance, with the property holding each one's message.
+ */
+export const MAINTENANCE_FEATURES = Object.freeze({
+    'marketplace': { label: 'Marketplace', messageKey: 'MAINTENANCE_MESSAGE_MARKETPLACE' },
+    'droplist': { label: 'Drop List', messageKey: 'MAINTENANCE_MESSAGE_DROPLIST' },
+    'item-viewer': { label: 'Item Viewer', messageKey: 'MAINTENANCE_MESSAGE_ITEM_VIEWER' },
+    'create-character': { label: 'Character Creation', messageKey: 'MAINTENANCE_MESSAGE_CREATE_CHARACTER' },
+    'dashboard-storage': { label: 'Character Storage', messageKey: 'MAINTENANCE_MESSAGE_DASHBOARD_STORAGE' }
+});
+
+/**
+ * Checks whether a feature is currently in maintenance.
+ * @param {string} feature A key of MAINTENANCE_FEATURES.
+ * @param {object} properties The server properties.
+ * @returns {boolean} True if the feature is listed in MAINTENANCE_FEATURES.
+ */
+export function isFeatureInMaintenance(feature, properties) {
+    return properties.MAINTENANCE_FEATURES.includes(feature);
+}
+
+/**
+ * Returns the message shown for a feature, falling back to a generic one.
+ * @param {string} feature A key of MAINTENANCE_FEATURES.
+ * @param {object} properties The server properties.
+ * @returns {string} The message (HTML allowed, like MAINTENANCE_MESSAGE).
+ */
+function getFeatureMessage(feature, properties) {
+    const { label, messageKey } = MAINTENANCE_FEATURES[feature];
+    return properties[messageKey] || `The ${escapeHTML(label)} is currently undergoing maintenance. The rest of the site is still available.`;
+}
+
+/**
+ * Builds the maintenance panel for a feature.
+ * @param {string} feature A key of MAINTENANCE_FEATURES.
+ * @param {object} properties The server properties.
+ * @param {object} [options]
+ * @param {boolean} [options.showReturnLink=true] If true, a "Return to Main" button is added.
+ * @returns {string} The panel's HTML.
+ */
+export function renderFeatureMaintenancePanel(feature, properties, { showReturnLink = true } = {}) {
+    const { label } = MAINTENANCE_FEATURES[feature];
+    return `
+        <div class="feature-maintenance-panel ui-panel max-w-2xl mx-auto my-10 p-8 text-center" data-feature="${feature}">
+            <h2 class="text-3xl font-bold text-yellow-400 mb-4 text-shadow">${escapeHTML(label)} Under Maintenance</h2>
+            <p class="feature-maintenance-message text-lg text-gray-300">${getFeatureMessage(feature, properties).replace(/\n/g, '<br>')}</p>
+            ${showReturnLink ? '<a href="/" class="action-btn btn-gray mt-6 inline-block">Return to Main</a>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * Calls a listener whenever a feature goes into or comes out of maintenance,
+ * or its message changes while it is in maintenance.
+ * @param {string} feature A key of MAINTENANCE_FEATURES.
+ * @param {function(boolean, object): void} listener Called with the new state and the properties.
+ * @returns {Function} A function that removes the listener again.
+ */
+export function onFeatureMaintenanceChange(feature, listener) {
+    const { messageKey } = MAINTENANCE_FEATURES[feature];
+    const unsubscribe = onPropertiesChange((changes, properties) => {
+        const wasInMaintenance = 'MAINTENANCE_FEATURES' in changes && changes.MAINTENANCE_FEATURES.previous.includes(feature);
+        const isInMaintenance = isFeatureInMaintenance(feature, properties);
+        const stateChanged = 'MAINTENANCE_FEATURES' in changes && wasInMaintenance !== isInMaintenance;
+        if (stateChanged || (messageKey in changes && isInMaintenance)) listener(isInMaintenance, properties);
+    });
+    startPropertiesWatcher();
+    return unsubscribe;
+}
+
+/**
+ * Guards a page that is dedicated to one feature. While the feature is in
+ * maintenance its content is replaced by the maintenance panel; the page is
+ * reloaded when the feature comes back, and switching a feature into
+ * maintenance while the page is open replaces the content straight away.
+ * @param {string} feature A key of MAINTENANCE_FEATURES.
+ * @param {HTMLElement} container The element holding the feature's content.
+ * @param {object} [panelOptions] Passed on to renderFeatureMaintenancePanel().
+ * @returns {Promise<boolean>} True if the feature is in maintenance and the page should not initialize.
+ */
+export async function guardFeaturePage(feature, container, panelOptions = {}) {
+    const properties = await loadServerProperties();
+    const isInMaintenance = isFeatureInMaintenance(feature, properties);
+    if (isInMaintenance) {
+        container.innerHTML = renderFeatureMaintenancePanel(feature, properties, panelOptions);
+        console.log(`[Maintenance] ${MAINTENANCE_FEATURES[feature].label} is in maintenance.`);
+    }
+
+    onFeatureMaintenanceChange(feature, (nowInMaintenance, latest) => {
+        if (!nowInMaintenance) {
+            // The original content was replaced, so reload it to bring the feature back.
+            window.location.reload();
+            return;
+        }
+        container.innerHTML = renderFeatureMaintenancePanel(feature, latest, panelOptions);
+    });
+
+    return isInMaintenance;
+}
@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+// ========================================================================
+//  GAME ACCOUNT SYNC SERVICE
+// ========================================================================
+
+/**
+ * Keeps the game server's `accounts` table in step with website accounts, so
+ * one registration gives a player both web and in-game access. The website
+ * reaches it through GAME_ACCOUNT_API_URL (proxy that path to this service).
+ *
+ * Each website account can be linked to one game login. Links are kept in the
+ * `web_account_links` table, which is created on start-up if it is missing.
+ *
+ * Usage: node game-account-sync.mjs [options]
+ *   --port <n>             Port to listen on (default 8787; 0 picks a free port).
+ *   --host <address>       Address to listen on (default 127.0.0.1).
+ *   --base-path <path>     Path the API is served under (default /api/game-accounts).
+ *   --db mysql|sqlite      Where the `accounts` table lives (default mysql). The mysql
+ *                          client reads MYSQL_HOST, MYSQL_PORT, MYSQL_USER,
+ *                          MYSQL_PASSWORD and MYSQL_DATABASE from the environment.
+ *   --sqlite-file <file>   The SQLite stand-in for local testing (default game-accounts.sqlite).
+ *                          Its `accounts` table is created from DB/create_tables.sql.
+ *   --auth firebase|local  How callers are identified (default firebase). "local" trusts
+ *                          the tokens of the local auth backend and is for testing only.
+ *   --password-format sha1|plain
+ *                          How the game server stores passwords (default sha1).
+ *
+ * The database is accessed through the `mysql` or `sqlite3` command-line client,
+ * which must be on the PATH.
+ *
+ * API (all bodies are JSON; "auth" routes need an `Authorization: Bearer <token>` header):
+ *   GET  <base>/availability?login=<name>   Whether a name can be registered.
+ *   POST <base>           (auth)            Create ({login, password, mode: "create"}) or link
+ *                                            ({login, password, mode: "link"}) a game account.
+ *   GET  <base>/me        (auth)            The caller's linked game account.
+ *   PUT  <base>/me/password (auth)          Change the linked account's game password ({password}).
+ */
+import http from 'node:http';
+import { execFile } from 'node:child_process';
+import { createPublicKey, createVerify } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { parseArgs, promisify } from 'node:util';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parsePropertyLayers } from './server-properties.js';
+import { normalizeGameLogin, validateGameLogin, encodeGamePassword } from './game-login.js';
+
+const execFileAsync = promisify(execFile);
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MAX_BODY_BYTES = 16 * 1024;
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+const { values: options } = parseArgs({
+    options: {
+        'port': { type: 'string', default: '8787' },
+        'host': { type: 'string', default: '127.0.0.1' },
+        'base-path': { type: 'string', default: '/api/game-accounts' },
+        'db': { type: 'string', default: 'mysql' },
+        'sqlite-file': { type: 'string', default: 'game-accounts.sqlite' },
+        'auth': { type: 'string', default: 'firebase' },
+        'password-format': { type: 'string', default: 'sha1' }
+    }
+});
+
+/**
+ * An error that is sent to the caller as a JSON response.
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status The HTTP status.
+     * @param {string} code A short machine-readable code, e.g. "login-taken".
+     * @param {string} message A readable description.
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// ========================================================================
+//  DATABASE
+// ========================================================================
+
+/**
+ * Quotes a value for use in SQL. MySQL also treats backslashes as escapes; SQLite doesn't.
+ * @param {string|number|null} value The value.
+ * @returns {string} The SQL literal.
+ */
+function sqlValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') return String(value);
+    const text = options.db === 'mysql' ? String(value).replace(/\\/g, '\\\\') : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Formats a date as a DATETIME literal, so no database-specific function is needed.
+ * @param {Date} date The date.
+ * @returns {string} "YYYY-MM-DD HH:MM:SS" in UTC.
+ */
+function sqlDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses the tab-separated output of `mysql --batch`.
+ * @param {string} output The client's output.
+ * @returns {object[]} One object per row, keyed by column name.
+ */
+function parseMysqlBatch(output) {
+    const lines = output.split('\n').filter(Boolean);
+    if (lines.length === 0) return [];
+    const unescape = field => field === 'NULL' ? null : field.replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t', '0': '\0' })[char] ?? char);
+    const columns = lines[0].split('\t');
+    return lines.slice(1).map(line => {
+        const fields = line.split('\t');
+        return Object.fromEntries(columns.map((column, i) => [column, unescape(fields[i])]));
+    });
+}
+
+/**
+ * The database drivers. Each runs one SQL script and returns the rows of its last statement.
+ * @type {Object<string, function(string): Promise<object[]>>}
+ */
+const DB_DRIVERS = {
+    async mysql(sql) {
+        const args = ['--batch', '--default-character-set=utf8'];
+        if (process.env.MYSQL_HOST) args.push('--host', process.env.MYSQL_HOST);
+        if (process.env.MYSQL_PORT) args.push('--port', process.env.MYSQL_PORT);
+        if (process.env.MYSQL_USER) args.push('--user', process.env.MYSQL_USER);
+        args.push('--execute', sql, process.env.MYSQL_DATABASE || 'l1jdb');
+        // MYSQL_PWD keeps the password off the command line.
+        const env = { ...process.env, MYSQL_PWD: process.env.MYSQL_PASSWORD || '' };
+        const { stdout } = await execFileAsync('mysql', args, { env, maxBuffer: 1024 * 1024 });
+        return parseMysqlBatch(stdout);
+    },
+
+    async sqlite(sql) {
+        const { stdout } = await execFileAsync('sqlite3', ['-json', options['sqlite-file'], sql], { maxBuffer: 1024 * 1024 });
+        return stdout.trim() ? JSON.parse(stdout) : [];
+    }
+};
+
+const runSql = DB_DRIVERS[options.db];
+
+/**
+ * Checks whether a failed statement broke a primary key or unique constraint.
+ * @param {Error} error The error from the database client.
+ * @returns {boolean}
+ */
+function isDuplicateKeyError(error) {
+    return /Duplicate entry|UNIQUE constraint failed/i.test(`${error.stderr || ''} ${error.message}`);
+}
+
+/**
+ * Builds an SQLite version of the `accounts` table from the MySQL dump, for the stand-in.
+ * @returns {Promise<string>} The CREATE TABLE statement.
+ */
+async function readSqliteAccountsTable() {
+    const schema = await readFile(path.join(ROOT_DIR, 'DB/create_tables.sql'), 'utf8');
+    const match = schema.match(/CREATE TABLE `accounts` \([\s\S]*?\n\)[^;]*;/);
+    if (!match) throw new Error('DB/create_tables.sql has no `accounts` table.');
+    return match[0]
+        .replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS')
+        .replace(/\s+unsigned/gi, '')
+        .replace(/\n\)[^;]*;/, '\n);');
+}
+
+/**
+ * Creates the tables the service needs if they don't exist yet.
+ */
+async function prepareDatabase() {
+    if (options.db === 'sqlite') await runSql(await readSqliteAccountsTable());
+    await runSql(`CREATE TABLE IF NOT EXISTS web_account_links (
+        uid varchar(128) NOT NULL,
+        login varchar(50) NOT NULL,
+        linked_at datetime NOT NULL,
+        PRIMARY KEY (uid),
+        UNIQUE (login)
+    )`);
+}
+
+/**
+ * Reads the number of character slots new accounts get from server.properties.
+ * @returns {Promise<number>} MAX_CHARACTER_SLOTS.
+ */
+async function readCharacterSlots() {
+    const text = await readFile(path.join(ROOT_DIR, 'server.properties'), 'utf8').catch(() => '');
+    return parsePropertyLayers([{ file: 'server.properties', text }]).properties.MAX_CHARACTER_SLOTS;
+}
+
+function findAccount(login) {
+    return runSql(`SELECT login, password, access_level, banned, charslot, lastactive FROM accounts WHERE login = ${sqlValue(login)}`)
+        .then(rows => rows[0] || null);
+}
+
+function findLinkByUid(uid) {
+    return runSql(`SELECT uid, login FROM web_account_links WHERE uid = ${sqlValue(uid)}`).then(rows => rows[0] || null);
+}
+
+function findLinkByLogin(login) {
+    return runSql(`SELECT uid, login FROM web_account_links WHERE login = ${sqlValue(login)}`).then(rows => rows[0] || null);
+}
+
+function encodePassword(password) {
+    return options['password-format'] === 'plain' ? Promise.resolve(password) : encodeGamePassword(password);
+}
+
+// ========================================================================
+//  CALLER IDENTITY
+// ========================================================================
+
+let firebaseProjectId = null;
+let jwksCache = { keys: null, expiresAt: 0 };
+
+/**
+ * Reads the Firebase project ID from firebase-config.js, so it is configured in one place.
+ * @returns {Promise<string>} The project ID.
+ */
+async function readFirebaseProjectId() {
+    const config = await readFile(path.join(ROOT_DIR, 'firebase-config.js'), 'utf8');
+    const match = config.match(/projectId:\s*["']([^"']+)["']/);
+    if (!match) throw new Error('Could not find projectId in firebase-config.js.');
+    return match[1];
+}
+
+/**
+ * Fetches Google's public keys for Firebase ID tokens, honouring their cache lifetime.
+ * @returns {Promise<object[]>} The JSON Web Keys.
+ */
+async function getFirebaseKeys() {
+    if (jwksCache.keys && Date.now() < jwksCache.expiresAt) return jwksCache.keys;
+    const response = await fetch(FIREBASE_JWKS_URL);
+    if (!response.ok) throw new Error(`Could not fetch Firebase keys (HTTP ${response.status}).`);
+    const maxAge = Number((response.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1] || 3600);
+    jwksCache = { keys: (await response.json()).keys, expiresAt: Date.now() + maxAge * 1000 };
+    return jwksCache.keys;
+}
+
+/**
+ * Verifies a Firebase ID token.
+ * @param {string} token The token from getIdToken().
+ * @returns {Promise<string|null>} The user's ID, or null if the token is not valid.
+ */
+async function verifyFirebaseToken(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    if (!encodedHeader || !encodedPayload || !encodedSignature) return null;
+    try {
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        const jwk = (await getFirebaseKeys()).find(key => key.kid === header.kid);
+        if (header.alg !== 'RS256' || !jwk) return null;
+
+        const verifier = createVerify('RSA-SHA256');
+        verifier.update(`${encodedHeader}.${encodedPayload}`);
+        if (!verifier.verify(createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(encodedSignature, 'base64url'))) return null;
+
+        const now = Date.now() / 1000;
+        const isValid = payload.aud === firebaseProjectId
+            && payload.iss === `https://securetoken.google.com/${firebaseProjectId}`
+            && payload.exp > now && payload.iat <= now + 60
+            && typeof payload.sub === 'string' && payload.sub !== '';
+        return isValid ? payload.sub : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Identifies the caller from the Authorization header.
+ * @param {http.IncomingMessage} request The request.
+ * @returns {Promise<string>} The caller's website user ID.
+ */
+async function authenticate(request) {
+    const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    let uid = null;
+    if (options.auth === 'local') {
+        uid = token.startsWith('local:') ? token.slice('local:'.length) || null : null;
+    } else if (token) {
+        uid = await verifyFirebaseToken(token);
+    }
+    if (!uid) throw new ApiError(401, 'unauthenticated', 'Please log in again.');
+    return uid;
+}
+
+// ========================================================================
+//  ROUTES
+// ========================================================================
+
+let characterSlots = 6;
+
+async function handleAvailability(url) {
+    const login = normalizeGameLogin(url.searchParams.get('login') || '');
+    const error = validateGameLogin(login);
+    if (error) return { status: 200, body: { login, available: false, error } };
+    const account = await findAccount(login);
+    return { status: 200, body: { login, available: !account, linked: Boolean(account && await findLinkByLogin(login)) } };
+}
+
+async function handleProvision(uid, body) {
+    const login = normalizeGameLogin(body.login || '');
+    const mode = body.mode === 'link' ? 'link' : 'create';
+    const nameError = validateGameLogin(login);
+    if (nameError) throw new ApiError(400, 'invalid-login', nameError);
+    if (typeof body.password !== 'string' || body.password === '') throw new ApiError(400, 'invalid-password', 'A password is required.');
+
+    const existingLink = await findLinkByUid(uid);
+    if (existingLink) throw new ApiError(409, 'already-linked', `This account is already linked to the game login "${existingLink.login}".`);
+
+    const password = await encodePassword(body.password);
+    const account = await findAccount(login);
+
+    if (mode === 'link') {
+        if (!account || account.password !== password) throw new ApiError(403, 'wrong-password', 'The game login or its password is incorrect.');
+        if (await findLinkByLogin(login)) throw new ApiError(409, 'login-linked', 'This game login is already linked to another website account.');
+    } else if (account) {
+        throw new ApiError(409, 'login-taken', 'This game login is already taken.');
+    }
+
+    const now = sqlDateTime(new Date());
+    try {
+        if (mode === 'create') {
+            await runSql(`INSERT INTO accounts (login, password, lastactive, access_level, ip, host, banned, charslot, gamepassword)
+                VALUES (${sqlValue(login)}, ${sqlValue(password)}, ${sqlValue(now)}, 0, '', '', 0, ${characterSlots}, 0)`);
+        }
+        await runSql(`INSERT INTO web_account_links (uid, login, linked_at) VALUES (${sqlValue(uid)}, ${sqlValue(login)}, ${sqlValue(now)})`);
+    } catch (error) {
+        if (isDuplicateKeyError(error)) throw new ApiError(409, 'login-taken', 'This game login was just taken. Please choose another.');
+        throw error;
+    }
+
+    console.log(`[GameAccounts] ${mode === 'create' ? 'Created' : 'Linked'} game login "${login}" for user ${uid}.`);
+    return { status: 201, body: { login } };
+}
+
+async function handleGetOwnAccount(uid) {
+    const link = await findLinkByUid(uid);
+    const account = link ? await findAccount(link.login) : null;
+    if (!account) throw new ApiError(404, 'not-linked', 'No game account is linked to this website account.');
+    return {
+        status: 200,
+        body: {
+            login: account.login,
+            accessLevel: Number(account.access_level) || 0,
+            banned: Number(account.banned) !== 0,
+            charslot: Number(account.charslot),
+            lastActive: account.lastactive
+        }
+    };
+}
+
+async function handleChangePassword(uid, body) {
+    if (typeof body.password !== 'string' || body.password === '') throw new ApiError(400, 'invalid-password', 'A password is required.');
+    const link = await findLinkByUid(uid);
+    if (!link) throw new ApiError(404, 'not-linked', 'No game account is linked to this website account.');
+
+    await runSql(`UPDATE accounts SET password = ${sqlValue(await encodePassword(body.password))} WHERE login = ${sqlValue(link.login)}`);
+    console.log(`[GameAccounts] Updated the password of game login "${link.login}".`);
+    return { status: 204 };
+}
+
+/**
+ * Reads a JSON request body.
+ * @param {http.IncomingMessage} request The request.
+ * @returns {Promise<object>} The parsed body.
+ */
+async function readJsonBody(request) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new ApiError(413, 'too-large', 'Request body is too large.');
+        chunks.push(chunk);
+    }
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        if (body === null || typeof body !== 'object') throw new Error('not an object');
+        return body;
+    } catch {
+        throw new ApiError(400, 'invalid-json', 'Request body must be a JSON object.');
+    }
+}
+
+/**
+ * Dispatches a request to its route.
+ * @param {http.IncomingMessage} request The request.
+ * @returns {Promise<{status: number, body?: object}>} The response.
+ */
+async function route(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const basePath = options['base-path'].replace(/\/$/, '');
+    if (url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) throw new ApiError(404, 'not-found', 'Not found.');
+    const subPath = url.pathname.slice(basePath.length) || '/';
+
+    if (request.method === 'GET' && subPath === '/availability') return handleAvailability(url);
+    if (request.method === 'POST' && subPath === '/') return handleProvision(await authenticate(request), await readJsonBody(request));
+    if (request.method === 'GET' && subPath === '/me') return handleGetOwnAccount(await authenticate(request));
+    if (request.method === 'PUT' && subPath === '/me/password') return handleChangePassword(await authenticate(request), await readJsonBody(request));
+    throw new ApiError(404, 'not-found', 'Not found.');
+}
+
+// ========================================================================
+//  START-UP
+// ========================================================================
+
+if (!runSql) {
+    console.error(`Unknown --db "${options.db}" (expected mysql or sqlite).`);
+    process.exit(1);
+}
+if (!['firebase', 'local'].includes(options.auth)) {
+    console.error(`Unknown --auth "${options.auth}" (expected firebase or local).`);
+    process.exit(1);
+}
+if (!['sha1', 'plain'].includes(options['password-format'])) {
+    console.error(`Unknown --password-format "${options['password-format']}" (expected sha1 or plain).`);
+    process.exit(1);
+}
+
+await prepareDatabase();
+characterSlots = await readCharacterSlots();
+if (options.auth === 'firebase') {
+    firebaseProjectId = await readFirebaseProjectId();
+} else {
+    console.warn('[GameAccounts] --auth local trusts every caller. Use it for testing only.');
+}
+
+const server = http.createServer(async (request, response) => {
+    let result;
+    try {
+        result = await route(request);
+    } catch (error) {
+        if (!(error instanceof ApiError)) console.error('[GameAccounts] Request failed:', error);
+        result = error instanceof ApiError
+            ? { status: error.status, body: { code: error.code, message: error.message } }
+            : { status: 500, body: { code: 'internal', message: 'The game account service failed. Please try again later.' } };
+    }
+    response.writeHead(result.status, result.body ? { 'Content-Type': 'application/json' } : {});
+    response.end(result.body ? JSON.stringify(result.body) : undefined);
+});
+
+server.listen(Number(options.port), options.host, () => {
+    const { port } = server.address();
+    console.log(`[GameAccounts] Listening on http://${options.host}:${port}${options['base-path']} (${options.db}, ${options.auth} auth).`);
+});
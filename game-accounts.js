@@ -0,0 +1,124 @@
+// ========================================================================
+//  GAME ACCOUNTS
+// ========================================================================
+
+/**
+ * Talks to the game account sync service (game-account-sync.mjs) at
+ * GAME_ACCOUNT_API_URL, which creates or links the player's row in the game
+ * server's `accounts` table. Errors are thrown as BackendErrors with codes
+ * prefixed "game/", e.g. "game/login-taken".
+ */
+import { loadServerProperties } from './server-properties.js';
+import { getBackend, BackendError } from './auth-backend.js';
+
+/**
+ * @typedef {object} GameAccount
+ * @property {string} login The game login name.
+ * @property {number} accessLevel The game server's access level.
+ * @property {boolean} banned Whether the game server has banned the account.
+ * @property {number} charslot The number of character slots.
+ * @property {string|null} lastActive When the account was last used in-game.
+ */
+
+/**
+ * Checks whether game accounts are provisioned alongside website accounts.
+ * @returns {Promise<boolean>} True if GAME_ACCOUNT_API_URL is set.
+ */
+export async function isGameAccountSyncEnabled() {
+    const properties = await loadServerProperties();
+    return Boolean(properties.GAME_ACCOUNT_API_URL);
+}
+
+/**
+ * Calls the sync service.
+ * @param {string} method The HTTP method.
+ * @param {string} path The path below GAME_ACCOUNT_API_URL, e.g. "/me".
+ * @param {object} [options]
+ * @param {object} [options.body] Sent as JSON.
+ * @param {boolean} [options.authenticated=true] If true, the signed-in user's token is sent.
+ * @returns {Promise<object|null>} The parsed response, or null for an empty one.
+ */
+async function callService(method, path, { body, authenticated = true } = {}) {
+    const properties = await loadServerProperties();
+    if (!properties.GAME_ACCOUNT_API_URL) throw new BackendError('game/disabled', 'Game accounts are not enabled on this server.');
+
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (authenticated) {
+        const backend = await getBackend();
+        headers['Authorization'] = `Bearer ${await backend.getIdToken()}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${properties.GAME_ACCOUNT_API_URL.replace(/\/$/, '')}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        throw new BackendError('game/unavailable', 'The game account service is not reachable. Please try again later.');
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch {
+        // Not JSON, e.g. a proxy error page; handled below.
+    }
+    if (!response.ok) {
+        if (data && data.code) throw new BackendError(`game/${data.code}`, data.message);
+        throw new BackendError('game/unavailable', `The game account service failed (HTTP ${response.status}).`);
+    }
+    return data;
+}
+
+/**
+ * Checks whether a game login can be registered.
+ * @param {string} login The name as entered.
+ * @returns {Promise<{login: string, available: boolean, linked?: boolean, error?: string}>}
+ *   `error` explains why a name breaks the naming rules; `linked` is true if an existing
+ *   login already belongs to a website account.
+ */
+export function checkGameLoginAvailability(login) {
+    return callService('GET', `/availability?login=${encodeURIComponent(login)}`, { authenticated: false });
+}
+
+/**
+ * Creates a new game account for the signed-in user, or links an existing one,
+ * and records the login on their `users` profile.
+ * @param {string} login The game login name.
+ * @param {string} password For a new account its password; for linking, the existing account's password.
+ * @param {'create'|'link'} mode Whether to create or link the account.
+ * @returns {Promise<string>} The (normalized) login name.
+ */
+export async function provisionGameAccount(login, password, mode) {
+    const result = await callService('POST', '', { body: { login, password, mode } });
+    const backend = await getBackend();
+    await backend.updateUserProfile(backend.getCurrentUser().uid, { gameLogin: result.login });
+    console.log(`[GameAccounts] ${mode === 'link' ? 'Linked' : 'Created'} game login "${result.login}".`);
+    return result.login;
+}
+
+/**
+ * Reads the game account linked to the signed-in user.
+ * @returns {Promise<GameAccount|null>} The account, or null if none is linked.
+ */
+export async function getLinkedGameAccount() {
+    try {
+        return await callService('GET', '/me');
+    } catch (error) {
+        if (error.code === 'game/not-linked') return null;
+        throw error;
+    }
+}
+
+/**
+ * Changes the password of the signed-in user's game account.
+ * @param {string} password The new password.
+ * @returns {Promise<void>}
+ */
+export async function changeGamePassword(password) {
+    await callService('PUT', '/me/password', { body: { password } });
+}
@@ -0,0 +1,56 @@
+// ========================================================================
+//  GAME LOGIN NAMES
+// ========================================================================
+
+/**
+ * The rules for game login names (the `login` column of the `accounts` table)
+ * and the password format the game server expects. Shared by the registration
+ * page and the game account sync service (game-account-sync.mjs), so both
+ * accept exactly the same names.
+ */
+
+export const GAME_LOGIN_MIN_LENGTH = 4;
+export const GAME_LOGIN_MAX_LENGTH = 16;
+
+/** Names that could be mistaken for staff or system accounts. */
+const RESERVED_GAME_LOGINS = ['admin', 'administrator', 'gm', 'gamemaster', 'root', 'system', 'server', 'support', 'moderator'];
+
+/**
+ * Normalizes a login name for storage and comparison. The `accounts` table
+ * compares names case-insensitively, so they are always stored in lower case.
+ * @param {string} login The name as entered.
+ * @returns {string} The normalized name.
+ */
+export function normalizeGameLogin(login) {
+    return String(login).trim().toLowerCase();
+}
+
+/**
+ * Checks a login name against the naming rules.
+ * @param {string} login The name as entered.
+ * @returns {string|null} A description of the problem, or null if the name is allowed.
+ */
+export function validateGameLogin(login) {
+    const name = normalizeGameLogin(login);
+    if (name.length < GAME_LOGIN_MIN_LENGTH || name.length > GAME_LOGIN_MAX_LENGTH) {
+        return `Game login must be ${GAME_LOGIN_MIN_LENGTH} to ${GAME_LOGIN_MAX_LENGTH} characters long.`;
+    }
+    if (!/^[a-z][a-z0-9]*$/.test(name)) {
+        return 'Game login may only contain letters and digits, and must start with a letter.';
+    }
+    if (RESERVED_GAME_LOGINS.some(reserved => name.startsWith(reserved))) {
+        return 'This game login is reserved.';
+    }
+    return null;
+}
+
+/**
+ * Encodes a password the way the game server stores it in `accounts.password`:
+ * the Base64 of its SHA-1 digest.
+ * @param {string} password The plain password.
+ * @returns {Promise<string>} The encoded password.
+ */
+export async function encodeGamePassword(password) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(password));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
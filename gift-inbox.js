@@ -0,0 +1,59 @@
+// ========================================================================
+//  GIFT INBOX (DASHBOARD)
+// ========================================================================
+
+/**
+ * Lists the player's unclaimed gifts from the staff (see gifts.js) and claims
+ * them into the storage of the character each one was sent to. The panel is
+ * hidden while there is nothing to claim.
+ */
+import { listUnclaimedGifts, claimGift, describeGiftItems } from './gifts.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Shows the gift inbox.
+ * @param {HTMLElement} panel The panel element.
+ * @param {{uid: string}} user The signed-in user.
+ * @param {function(import('./gifts.js').GiftRecord): void} [onClaimed] Called after a gift has been claimed.
+ * @returns {Promise<void>}
+ */
+export async function renderGiftInbox(panel, user, onClaimed = () => {}) {
+    const gifts = await listUnclaimedGifts(user.uid);
+    panel.classList.toggle('hidden', gifts.length === 0);
+    if (gifts.length === 0) {
+        panel.innerHTML = '';
+        return;
+    }
+
+    panel.innerHTML = `
+        <p class="text-yellow-300 font-bold mb-3">🎁 You have ${gifts.length} gift${gifts.length === 1 ? '' : 's'} to claim</p>
+        <ul class="space-y-3">
+            ${gifts.map(gift => `
+                <li class="bg-black/30 rounded-md p-3 flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <div>
+                        <p class="text-white font-semibold">${escapeHTML(describeGiftItems(gift.items))}</p>
+                        <p class="text-sm text-gray-400">For <span class="text-white">${escapeHTML(gift.characterName)}</span>, sent ${new Date(gift.sentAt).toLocaleString()}</p>
+                        <p class="text-sm text-gray-300 mt-1 whitespace-pre-line">${escapeHTML(gift.message)}</p>
+                    </div>
+                    <button data-gift-id="${escapeHTML(gift.id)}" class="claim-gift-btn action-btn btn-green text-sm flex-shrink-0">Claim</button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    panel.querySelectorAll('.claim-gift-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            const gift = gifts.find(entry => entry.id === button.dataset.giftId);
+            button.disabled = true;
+            try {
+                const claimed = await claimGift(gift);
+                showSuccessModal('Gift Claimed', `The items have been added to ${escapeHTML(gift.characterName)}'s storage.`);
+                onClaimed(claimed);
+            } catch (error) {
+                console.error('[Account] Failed to claim the gift:', error);
+                showInfoModal('Error', `The gift could not be claimed: ${escapeHTML(error.message)}`, { type: 'error' });
+            }
+            renderGiftInbox(panel, user, onClaimed).catch(error => console.error('[Account] Failed to load gifts:', error));
+        });
+    });
+}
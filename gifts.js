@@ -0,0 +1,256 @@
+// ========================================================================
+//  GIFTS
+// ========================================================================
+
+/**
+ * Admins send items with a message to one character, to every character of an
+ * account or to every character on the server, like the game's
+ * `character_present_warehouse`. Each recipient character gets its own record
+ * in the `gifts` collection; all the records of one sending share a `batchId`.
+ * Players claim their gifts from the inbox on the dashboard, which moves the
+ * items into the character's storage. A gift can be claimed once; the claim
+ * is recorded on the gift.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+import { formatItemName } from './character-view.js';
+import { MAX_STACK_QUANTITY, MAX_UNIQUE_ITEM_GRANT, MAX_ENCHANT_LEVEL } from './character-editor.js';
+
+export const GIFT_RECIPIENTS = Object.freeze({
+    CHARACTER: 'character',
+    ACCOUNT: 'account',
+    SERVER: 'server'
+});
+
+export const MAX_GIFT_MESSAGE_LENGTH = 1000;
+const MAX_GIFT_ITEMS = 20;
+
+/**
+ * @typedef {object} GiftItem
+ * @property {number} itemId The item's ID in the item files.
+ * @property {string} name The item's name.
+ * @property {number} quantity How many.
+ * @property {boolean} stackable Whether it joins a stack in the storage.
+ * @property {number} [enchantment] The enchant level of enchantable items.
+ */
+
+/**
+ * @typedef {object} GiftRecord
+ * @property {string} id A random ID.
+ * @property {string} batchId Shared by every gift of one sending.
+ * @property {string} characterId The character the items go to.
+ * @property {string} characterName Its name.
+ * @property {string} ownerUid The account that owns it.
+ * @property {GiftItem[]} items The items.
+ * @property {string} message The admin's message to the player.
+ * @property {'character'|'account'|'server'} recipients Who the sending was for.
+ * @property {string} recipientsLabel A readable name for them: the character, the email or "Everyone".
+ * @property {number} sentAt When (ms timestamp).
+ * @property {string} sentBy The user ID of the admin.
+ * @property {string} sentByEmail Their email address.
+ * @property {number|null} claimedAt When the player claimed it (ms timestamp).
+ * @property {string|null} claimedBy The user ID that claimed it.
+ */
+
+/**
+ * Checks a whole number against a range.
+ * @param {*} value The value.
+ * @param {number} min The lowest allowed.
+ * @param {number} max The highest allowed.
+ * @param {string} label What the value is, for the error.
+ */
+function requireWholeNumber(value, min, max, label) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new BackendError('invalid-argument', `${label} must be a whole number from ${min.toLocaleString()} to ${max.toLocaleString()}.`);
+    }
+}
+
+/**
+ * Describes a gift's items in one line.
+ * @param {GiftItem[]} items The items.
+ * @returns {string} E.g. "10 x Red Potion, 1 x +4 Long Sword".
+ */
+export function describeGiftItems(items) {
+    return items.map(item => `${item.quantity.toLocaleString()} x ${formatItemName(item)}`).join(', ');
+}
+
+/**
+ * Builds the gift items from catalog picks.
+ * @param {Array<{catalogItem: import('./item-catalog.js').CatalogItem, quantity: number, enchantment?: number}>} picks The chosen items.
+ * @returns {GiftItem[]} The items.
+ */
+export function toGiftItems(picks) {
+    if (picks.length === 0) throw new BackendError('invalid-argument', 'Please add at least one item.');
+    if (picks.length > MAX_GIFT_ITEMS) throw new BackendError('invalid-argument', `A gift can hold at most ${MAX_GIFT_ITEMS} items.`);
+    return picks.map(({ catalogItem, quantity, enchantment = 0 }) => {
+        requireWholeNumber(quantity, 1, catalogItem.stackable ? MAX_STACK_QUANTITY : MAX_UNIQUE_ITEM_GRANT, `The quantity of ${catalogItem.name}`);
+        if (catalogItem.enchantable) requireWholeNumber(enchantment, 0, MAX_ENCHANT_LEVEL, `The enchant level of ${catalogItem.name}`);
+        return {
+            itemId: catalogItem.itemId,
+            name: catalogItem.name,
+            quantity,
+            stackable: catalogItem.stackable,
+            ...(catalogItem.enchantable ? { enchantment } : {})
+        };
+    });
+}
+
+// ========================================================================
+//  ADMINS
+// ========================================================================
+
+/**
+ * Finds the characters a sending goes to.
+ * @param {'character'|'account'|'server'} recipients Who to send to.
+ * @param {string} target The character name or account email; ignored for the whole server.
+ * @returns {Promise<{characters: object[], label: string, targetId: string}>}
+ */
+async function findRecipients(recipients, target) {
+    const backend = await getBackend();
+    const term = target.trim();
+
+    if (recipients === GIFT_RECIPIENTS.CHARACTER) {
+        const character = await backend.findCharacterByName(term.toLowerCase());
+        if (!character) throw new BackendError('not-found', `There is no character called "${term}".`);
+        return { characters: [character], label: character.charname, targetId: character.id };
+    }
+    if (recipients === GIFT_RECIPIENTS.ACCOUNT) {
+        const { users } = await backend.listUsers({ search: term, searchField: 'email', pageSize: 10 });
+        const account = users.find(user => user.emailLowercase === term.toLowerCase());
+        if (!account) throw new BackendError('not-found', `There is no account with the email "${term}".`);
+        const characters = await backend.listCharacters(account.uid);
+        if (characters.length === 0) throw new BackendError('not-found', `${account.email} has no characters.`);
+        return { characters, label: account.email, targetId: account.uid };
+    }
+    if (recipients === GIFT_RECIPIENTS.SERVER) {
+        return { characters: await backend.listAllCharacters(), label: 'Everyone', targetId: 'server' };
+    }
+    throw new BackendError('invalid-argument', `Unknown recipients "${recipients}".`);
+}
+
+/**
+ * Sends a gift to one character, to every character of an account or to every character. Admins only.
+ * @param {object} options
+ * @param {'character'|'account'|'server'} options.recipients Who to send to.
+ * @param {string} [options.target] The character name or account email.
+ * @param {GiftItem[]} options.items The items, from toGiftItems().
+ * @param {string} options.message The message shown with the gift.
+ * @returns {Promise<GiftRecord[]>} One gift per character.
+ */
+export async function sendGift({ recipients, target = '', items, message }) {
+    await requirePermission(PERMISSIONS.SEND_GIFTS);
+    const text = message.trim();
+    if (!text) throw new BackendError('invalid-argument', 'Please write a message for the players.');
+    if (text.length > MAX_GIFT_MESSAGE_LENGTH) throw new BackendError('invalid-argument', `Please keep the message under ${MAX_GIFT_MESSAGE_LENGTH} characters.`);
+
+    const { characters, label, targetId } = await findRecipients(recipients, target);
+    if (characters.length === 0) throw new BackendError('not-found', 'There are no characters to send the gift to.');
+    const backend = await getBackend();
+    const admin = backend.getCurrentUser();
+    const batchId = crypto.randomUUID();
+    const sentAt = Date.now();
+
+    /** @type {GiftRecord[]} */
+    const gifts = characters.map(character => ({
+        id: crypto.randomUUID(),
+        batchId,
+        characterId: character.id,
+        characterName: character.charname,
+        ownerUid: character.owner,
+        items,
+        message: text,
+        recipients,
+        recipientsLabel: label,
+        sentAt,
+        sentBy: admin.uid,
+        sentByEmail: admin.email,
+        claimedAt: null,
+        claimedBy: null
+    }));
+    await backend.saveGifts(gifts);
+
+    const summary = `Sent ${describeGiftItems(items)} to ${label} (${gifts.length} character${gifts.length === 1 ? '' : 's'}).`;
+    console.log(`[Admin] ${summary}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.GIFT_SENT,
+        targetType: recipients,
+        targetId,
+        targetLabel: label,
+        before: null,
+        after: { batchId, characters: gifts.length, items, message: text },
+        summary
+    });
+    return gifts;
+}
+
+/**
+ * Lists every gift sent, grouped by sending, newest first. Admins only.
+ * @returns {Promise<Array<{batchId: string, gifts: GiftRecord[]}>>}
+ */
+export async function listGiftBatches() {
+    await requirePermission(PERMISSIONS.SEND_GIFTS);
+    const backend = await getBackend();
+    const batches = new Map();
+    (await backend.listGifts()).forEach(gift => {
+        if (!batches.has(gift.batchId)) batches.set(gift.batchId, []);
+        batches.get(gift.batchId).push(gift);
+    });
+    return [...batches.entries()]
+        .map(([batchId, gifts]) => ({ batchId, gifts: gifts.sort((a, b) => a.characterName.localeCompare(b.characterName)) }))
+        .sort((a, b) => b.gifts[0].sentAt - a.gifts[0].sentAt);
+}
+
+// ========================================================================
+//  PLAYERS
+// ========================================================================
+
+/**
+ * Lists an account's gifts that haven't been claimed yet, newest first.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<GiftRecord[]>}
+ */
+export async function listUnclaimedGifts(uid) {
+    const backend = await getBackend();
+    const gifts = await backend.listGifts({ ownerUid: uid });
+    return gifts.filter(gift => !gift.claimedAt).sort((a, b) => b.sentAt - a.sentAt);
+}
+
+/**
+ * Adds a gift's items to an inventory. Stackable items join an existing stack
+ * of the same item; others are added one entry each.
+ * @param {object[]} inventory The character's inventory.
+ * @param {GiftRecord} gift The gift.
+ * @returns {object[]} The new inventory.
+ */
+function addGiftItems(inventory, gift) {
+    const result = inventory.map(item => ({ ...item }));
+    gift.items.forEach(giftItem => {
+        if (giftItem.stackable) {
+            const stack = result.find(entry => entry.stackable && (entry.itemId === giftItem.itemId || entry.name === giftItem.name));
+            if (stack) {
+                if (stack.quantity + giftItem.quantity > MAX_STACK_QUANTITY) {
+                    throw new BackendError('failed-precondition', `${gift.characterName}'s stack of ${giftItem.name} can't hold that many more.`);
+                }
+                stack.quantity += giftItem.quantity;
+                return;
+            }
+            result.push({ ...giftItem, id: crypto.randomUUID() });
+            return;
+        }
+        for (let i = 0; i < giftItem.quantity; i++) result.push({ ...giftItem, id: crypto.randomUUID(), quantity: 1 });
+    });
+    return result;
+}
+
+/**
+ * Claims a gift into its character's storage. Each gift can be claimed once.
+ * @param {GiftRecord} gift The gift.
+ * @returns {Promise<GiftRecord>} The gift with its claim.
+ */
+export async function claimGift(gift) {
+    const backend = await getBackend();
+    const claimed = await backend.claimGift(gift.id, addGiftItems);
+    console.log(`[Account] Claimed ${describeGiftItems(gift.items)} for ${gift.characterName}.`);
+    return claimed;
+}
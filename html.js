@@ -0,0 +1,14 @@
+// ========================================================================
+//  HTML HELPERS
+// ========================================================================
+
+/**
+ * Escapes text for building HTML strings, e.g. user input shown with innerHTML.
+ * @param {string} str The text.
+ * @returns {string} The escaped HTML.
+ */
+export const escapeHTML = (str) => {
+    const p = document.createElement('p');
+    p.appendChild(document.createTextNode(str));
+    return p.innerHTML;
+};
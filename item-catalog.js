@@ -0,0 +1,177 @@
+// ========================================================================
+//  ITEM CATALOG
+// ========================================================================
+
+/**
+ * Reads the game's item tables (`data/armor.sql`, `data/weapon.sql` and
+ * `data/etcitem.sql`) so pages can look items up by ID or name. The column
+ * names come from `DB/create_tables.sql`, like the linter's column checks, so
+ * each item keeps every column of its row under the table's own names.
+ *
+ * The dumps have one INSERT per line. Lines that don't parse, or don't have
+ * one value per column, are skipped with a warning; `node lint.mjs` reports
+ * them with their line numbers.
+ */
+
+const CREATE_TABLES_FILE = 'DB/create_tables.sql';
+
+export const ITEM_CATEGORIES = Object.freeze({
+    ARMOR: 'armor',
+    WEAPON: 'weapon',
+    ETCITEM: 'etcitem'
+});
+
+/**
+ * @typedef {object} CatalogItem
+ * @property {number} itemId The `item_id` column.
+ * @property {string} name The `name` column.
+ * @property {'armor'|'weapon'|'etcitem'} category The table the item is in.
+ * @property {string} type The `type` column (`item_type` for etcitems).
+ * @property {boolean} stackable Whether copies share one inventory entry (etcitems with `stackable` set).
+ * @property {boolean} enchantable Whether the item has an enchant level (armor and weapons with `safenchant` >= 0).
+ * @property {object} columns Every column of the item's row, by column name.
+ */
+
+let catalogPromise = null;
+
+/**
+ * Reads the column names of every table defined in the schema file.
+ * @param {string} text The schema file's contents.
+ * @returns {Map<string, string[]>} Table name to column names, in order.
+ */
+function parseTableColumns(text) {
+    const tables = new Map();
+    const tablePattern = /CREATE TABLE `(\w+)` \(([\s\S]*?)\n\)/g;
+    let match;
+    while ((match = tablePattern.exec(text)) !== null) {
+        const columns = match[2].split('\n')
+            .map(line => /^\s*`(\w+)`/.exec(line))
+            .filter(Boolean)
+            .map(column => column[1]);
+        tables.set(match[1].toLowerCase(), columns);
+    }
+    return tables;
+}
+
+/**
+ * Reads the values of a single-row INSERT line: numbers, NULL and quoted strings.
+ * @param {string} line The line.
+ * @returns {Array<string|number|null>} The values.
+ */
+function parseInsertValues(line) {
+    const valuesString = line.substring(line.indexOf('(') + 1, line.lastIndexOf(')'));
+    const pattern = /'((?:[^'\\]|''|\\.)*)'|(-?\d+(?:\.\d+)?)|(NULL)/gi;
+    const values = [];
+    let match;
+    while ((match = pattern.exec(valuesString)) !== null) {
+        if (match[1] !== undefined) values.push(match[1].replace(/''/g, "'").replace(/\\(.)/g, '$1'));
+        else if (match[2] !== undefined) values.push(Number(match[2]));
+        else values.push(null);
+    }
+    return values;
+}
+
+/**
+ * Turns a row into a catalog item.
+ * @param {string} category One of ITEM_CATEGORIES.
+ * @param {object} columns The row, by column name.
+ * @returns {CatalogItem}
+ */
+function toCatalogItem(category, columns) {
+    const isEquipment = category !== ITEM_CATEGORIES.ETCITEM;
+    return {
+        itemId: columns.item_id,
+        name: String(columns.name).trim(),
+        category,
+        type: isEquipment ? columns.type : columns.item_type,
+        stackable: !isEquipment && columns.stackable === 1,
+        enchantable: isEquipment && columns.safenchant >= 0,
+        columns
+    };
+}
+
+/**
+ * Loads one item table.
+ * @param {string} category One of ITEM_CATEGORIES; also the table and file name.
+ * @param {string[]} columnNames The table's columns.
+ * @returns {Promise<CatalogItem[]>}
+ */
+async function loadItemTable(category, columnNames) {
+    const response = await fetch(`data/${category}.sql`);
+    if (!response.ok) throw new Error(`Could not load data/${category}.sql (HTTP ${response.status}).`);
+    const prefix = `INSERT INTO \`${category.toUpperCase()}\` VALUES`;
+    const items = [];
+    let skipped = 0;
+
+    for (const line of (await response.text()).split('\n')) {
+        if (!line.toUpperCase().startsWith(prefix)) continue;
+        const values = parseInsertValues(line);
+        if (values.length !== columnNames.length) {
+            skipped++;
+            continue;
+        }
+        items.push(toCatalogItem(category, Object.fromEntries(columnNames.map((name, index) => [name, values[index]]))));
+    }
+    if (skipped > 0) console.warn(`[Items] Skipped ${skipped} unreadable row(s) in data/${category}.sql; run "node lint.mjs" for details.`);
+    return items;
+}
+
+/**
+ * Loads every item, once per page.
+ * @returns {Promise<Map<number, CatalogItem>>} The items by ID.
+ */
+export function loadItemCatalog() {
+    if (!catalogPromise) {
+        catalogPromise = (async () => {
+            const response = await fetch(CREATE_TABLES_FILE);
+            if (!response.ok) throw new Error(`Could not load ${CREATE_TABLES_FILE} (HTTP ${response.status}).`);
+            const tables = parseTableColumns(await response.text());
+            const lists = await Promise.all(Object.values(ITEM_CATEGORIES).map(category => loadItemTable(category, tables.get(category) || [])));
+            const catalog = new Map(lists.flat().map(item => [item.itemId, item]));
+            console.log(`[Items] Loaded ${catalog.size} items.`);
+            return catalog;
+        })();
+        catalogPromise.catch(() => { catalogPromise = null; }); // Let the next call try again.
+    }
+    return catalogPromise;
+}
+
+/**
+ * Finds items whose name contains a search term, or whose ID is the term.
+ * @param {Map<number, CatalogItem>} catalog The loaded catalog.
+ * @param {string} term What to look for.
+ * @param {number} [maxResults] The most items to return.
+ * @returns {CatalogItem[]} The matches, exact ID first, then by name.
+ */
+export function searchItemCatalog(catalog, term, maxResults = 20) {
+    const needle = term.trim().toLowerCase();
+    if (!needle) return [];
+    const byId = catalog.get(Number(needle));
+    const byName = [...catalog.values()]
+        .filter(item => item !== byId && item.name.toLowerCase().includes(needle))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return (byId ? [byId, ...byName] : byName).slice(0, maxResults);
+}
+
+const nameIndexes = new WeakMap(); // Catalog to its armor and weapons by lower-cased name, built on first use.
+
+/**
+ * Finds the catalog entry of an inventory item: by its `itemId`, or for items
+ * stored without one (e.g. the starter inventory) by its name among the armor
+ * and weapons.
+ * @param {Map<number, CatalogItem>} catalog The loaded catalog.
+ * @param {{itemId?: number, name: string}} item The inventory item.
+ * @returns {CatalogItem|null} The entry, if there is one.
+ */
+export function findCatalogItem(catalog, item) {
+    if (item.itemId !== undefined) return catalog.get(item.itemId) || null;
+    if (!nameIndexes.has(catalog)) {
+        const index = new Map();
+        catalog.forEach(entry => {
+            const key = entry.name.toLowerCase();
+            if (entry.category !== ITEM_CATEGORIES.ETCITEM && !index.has(key)) index.set(key, entry);
+        });
+        nameIndexes.set(catalog, index);
+    }
+    return nameIndexes.get(catalog).get(String(item.name).trim().toLowerCase()) || null;
+}
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// ========================================================================
+//  OFFLINE CONFIG AND DATA LINTER
+// ========================================================================
+
+/**
+ * Checks the files the site reads at runtime, so typos are caught before they
+ * are deployed instead of being skipped silently by the browser parsers:
+ *
+ *  - `server.properties` and every `server.<profile>.properties` overlay are
+ *    validated against PROPERTY_SCHEMA, the same schema the site uses.
+ *  - Every SQL dump in `data/` must parse completely. Each INSERT that can't be
+ *    parsed, or has the wrong number of columns, is reported with its line number.
+ *  - Every `droplist_txt/*.txt` file must have the same number of lines.
+ *
+ * Usage: node lint.mjs [dir]
+ *   dir  The site to check (default: the directory lint.mjs is in).
+ * Exits with code 1 if any errors were found.
+ */
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parsePropertyLayers } from './server-properties.js';
+
+const ROOT_DIR = path.resolve(process.argv[2] || path.dirname(fileURLToPath(import.meta.url)));
+const DATA_DIR = 'data';
+const DROPLIST_TXT_DIR = 'droplist_txt';
+const CREATE_TABLES_FILE = 'DB/create_tables.sql';
+
+/**
+ * @typedef {object} LintIssue
+ * @property {'error' | 'warning'} severity Errors make the command fail.
+ * @property {string} file The file, relative to the repository root.
+ * @property {number|null} line The 1-based line number, if known.
+ * @property {string} message A description of the problem.
+ */
+
+/** @type {LintIssue[]} */
+const issues = [];
+
+const report = (severity, file, line, message) => issues.push({ severity, file, line, message });
+
+/**
+ * Reads a file relative to the repository root.
+ * @param {string} file The relative path.
+ * @returns {Promise<string|null>} The contents, or null if the file does not exist.
+ */
+async function readText(file) {
+    try {
+        return await readFile(path.join(ROOT_DIR, file), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Lists the files in a directory whose names match a pattern.
+ * @param {string} dir The directory, relative to the repository root.
+ * @param {RegExp} pattern The file name pattern.
+ * @returns {Promise<string[]>} Relative paths, sorted by name.
+ */
+async function listFiles(dir, pattern) {
+    try {
+        const names = await readdir(path.join(ROOT_DIR, dir));
+        return names.filter(name => pattern.test(name)).sort().map(name => (dir ? `${dir}/${name}` : name));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// ========================================================================
+//  SERVER.PROPERTIES
+// ========================================================================
+
+/**
+ * Validates `server.properties` on its own and with each profile overlay on top.
+ */
+async function lintServerProperties() {
+    const baseText = await readText('server.properties');
+    if (baseText === null) {
+        report('error', 'server.properties', null, 'File not found.');
+        return;
+    }
+
+    const base = { file: 'server.properties', text: baseText };
+    parsePropertyLayers([base]).issues.forEach(issue => {
+        report(issue.severity, issue.file || base.file, issue.line, issue.message);
+    });
+
+    for (const overlayFile of await listFiles('', /^server\.[a-z0-9_-]+\.properties$/i)) {
+        const overlay = { file: overlayFile, text: await readText(overlayFile) };
+        // Issues in the base file were already reported above.
+        parsePropertyLayers([base, overlay]).issues
+            .filter(issue => issue.file !== base.file)
+            .forEach(issue => report(issue.severity, issue.file || overlayFile, issue.line, issue.message));
+    }
+}
+
+// ========================================================================
+//  SQL DUMPS
+// ========================================================================
+
+/**
+ * Splits SQL text into statements, skipping comments. Quotes are tracked so a
+ * `;` inside a string does not end the statement.
+ * @param {string} text The SQL file contents.
+ * @returns {{sql: string, line: number, terminated: boolean}[]} Each statement and the line it starts on.
+ */
+function splitSqlStatements(text) {
+    const statements = [];
+    let current = '';
+    let startLine = 1;
+    let line = 1;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const next = text[i + 1];
+
+        if (quote) {
+            current += char;
+            if (char === '\\') {
+                current += next ?? '';
+                if (next === '\n') line++;
+                i++;
+            } else if (char === quote) {
+                if (next === quote) { current += next; i++; } // '' is an escaped quote
+                else quote = null;
+            } else if (char === '\n') {
+                line++;
+            }
+            continue;
+        }
+
+        if (char === '-' && next === '-') {
+            while (i < text.length && text[i] !== '\n') i++;
+            i--; // Let the newline be counted below.
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            const end = text.indexOf('*/', i + 2);
+            const comment = text.substring(i, end === -1 ? text.length : end + 2);
+            line += comment.split('\n').length - 1;
+            i += comment.length - 1;
+            continue;
+        }
+
+        if (char === '\n') line++;
+        if (!current.trim()) {
+            if (/\s/.test(char)) continue;
+            current = '';
+            startLine = line;
+        }
+
+        if (char === ';') {
+            statements.push({ sql: current.trim(), line: startLine, terminated: true });
+            current = '';
+            continue;
+        }
+        if (char === "'" || char === '"' || char === '`') quote = char;
+        current += char;
+    }
+
+    if (current.trim()) statements.push({ sql: current.trim(), line: startLine, terminated: false });
+    return statements;
+}
+
+/**
+ * Parses a complete `INSERT INTO ... VALUES (...), (...)` statement.
+ * @param {string} sql The statement, without the trailing semicolon.
+ * @returns {{table: string, rows: Array<Array<string|number|null>>}} The table name and every row.
+ * @throws {Error} If any part of the statement can't be parsed.
+ */
+function parseInsertStatement(sql) {
+    const header = /^INSERT\s+(?:IGNORE\s+)?INTO\s+`?(\w+)`?\s*(?:\([^)]*\)\s*)?VALUES\s*/i.exec(sql);
+    if (!header) throw new Error('expected "INSERT INTO `table` VALUES"');
+
+    let pos = header[0].length;
+    const rows = [];
+    const near = () => `near "${sql.substring(pos, pos + 20)}"`;
+    const skipSpace = () => { while (/\s/.test(sql[pos] ?? '')) pos++; };
+
+    const parseValue = () => {
+        skipSpace();
+        if (sql[pos] === "'") {
+            let value = '';
+            pos++;
+            while (pos < sql.length) {
+                if (sql[pos] === '\\') { value += sql[pos + 1] ?? ''; pos += 2; continue; }
+                if (sql[pos] === "'") {
+                    if (sql[pos + 1] === "'") { value += "'"; pos += 2; continue; }
+                    pos++;
+                    return value;
+                }
+                value += sql[pos++];
+            }
+            throw new Error('unterminated string');
+        }
+        const match = /^(?:NULL\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/i.exec(sql.substring(pos));
+        if (!match) throw new Error(`expected a value ${near()}`);
+        pos += match[0].length;
+        return match[0].toUpperCase() === 'NULL' ? null : Number(match[0]);
+    };
+
+    while (true) {
+        skipSpace();
+        if (sql[pos] !== '(') throw new Error(`expected "(" ${near()}`);
+        pos++;
+
+        const row = [parseValue()];
+        skipSpace();
+        while (sql[pos] === ',') {
+            pos++;
+            row.push(parseValue());
+            skipSpace();
+        }
+        if (sql[pos] !== ')') throw new Error(`expected "," or ")" after value ${row.length} ${near()}`);
+        pos++;
+        rows.push(row);
+
+        skipSpace();
+        if (pos >= sql.length) break;
+        if (sql[pos] !== ',') throw new Error(`unexpected text after row ${rows.length} ${near()}`);
+        pos++;
+    }
+
+    return { table: header[1], rows };
+}
+
+/**
+ * Reads the column count of every table defined in the schema file.
+ * @returns {Promise<Map<string, number>>} Table name to number of columns.
+ */
+async function loadTableColumnCounts() {
+    const counts = new Map();
+    const text = await readText(CREATE_TABLES_FILE);
+    if (text === null) return counts;
+
+    const tablePattern = /CREATE TABLE `(\w+)` \(([\s\S]*?)\n\)/g;
+    let match;
+    while ((match = tablePattern.exec(text)) !== null) {
+        const columns = match[2].split('\n').filter(line => /^\s*`/.test(line));
+        counts.set(match[1].toLowerCase(), columns.length);
+    }
+    return counts;
+}
+
+/**
+ * Checks that every statement in every `data/*.sql` dump parses, and that each
+ * row has as many values as its table has columns.
+ */
+async function lintSqlDumps() {
+    const columnCounts = await loadTableColumnCounts();
+
+    for (const file of await listFiles(DATA_DIR, /\.sql$/i)) {
+        const text = await readText(file);
+        let insertCount = 0;
+
+        for (const statement of splitSqlStatements(text)) {
+            if (!/^INSERT\b/i.test(statement.sql)) continue;
+            insertCount++;
+
+            if (!statement.terminated) {
+                report('error', file, statement.line, 'INSERT is missing its closing ";".');
+            }
+
+            let parsed;
+            try {
+                parsed = parseInsertStatement(statement.sql);
+            } catch (error) {
+                // Dumps have one INSERT per line, so a statement running on is usually a cut-off line.
+                const endLine = statement.line + (statement.sql.match(/\n/g) || []).length;
+                const hint = endLine > statement.line ? ` The statement runs on to line ${endLine}; is line ${statement.line} cut short?` : '';
+                report('error', file, statement.line, `Could not parse INSERT: ${error.message}.${hint}`);
+                continue;
+            }
+
+            const table = parsed.table.toLowerCase();
+            if (!columnCounts.has(table)) columnCounts.set(table, parsed.rows[0].length);
+            const expected = columnCounts.get(table);
+            parsed.rows.forEach((row, index) => {
+                if (row.length !== expected) {
+                    const rowLabel = parsed.rows.length > 1 ? `Row ${index + 1} has` : 'Has';
+                    report('error', file, statement.line, `${rowLabel} ${row.length} values but \`${parsed.table}\` has ${expected} columns.`);
+                }
+            });
+        }
+
+        if (text.trim() && insertCount === 0) report('warning', file, null, 'No INSERT statements found.');
+    }
+}
+
+// ========================================================================
+//  DROPLIST TEXT FILES
+// ========================================================================
+
+/**
+ * Checks that the droplist text files line up (line N of each file describes the same drop).
+ */
+async function lintDroplistText() {
+    const counts = [];
+    for (const file of await listFiles(DROPLIST_TXT_DIR, /\.txt$/i)) {
+        const text = await readText(file);
+        // A trailing newline does not start another line.
+        const lineCount = text === '' ? 0 : text.replace(/\r?\n$/, '').split(/\r?\n/).length;
+        counts.push({ file, lineCount });
+    }
+    if (counts.length === 0) return;
+
+    // Compare against the most common count, so the odd file out is the one reported.
+    const frequency = new Map();
+    counts.forEach(({ lineCount }) => frequency.set(lineCount, (frequency.get(lineCount) || 0) + 1));
+    const expected = [...frequency.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    counts.filter(({ lineCount }) => lineCount !== expected).forEach(({ file, lineCount }) => {
+        report('error', file, null, `Has ${lineCount} lines but the other ${DROPLIST_TXT_DIR} files have ${expected}.`);
+    });
+}
+
+// ========================================================================
+//  MAIN
+// ========================================================================
+
+await lintServerProperties();
+await lintSqlDumps();
+await lintDroplistText();
+
+issues.forEach(({ severity, file, line, message }) => {
+    const log = severity === 'error' ? console.error : console.warn;
+    log(`${file}${line ? `:${line}` : ''}: ${severity}: ${message}`);
+});
+
+const errorCount = issues.filter(issue => issue.severity === 'error').length;
+const warningCount = issues.length - errorCount;
+console.log(`[Lint] ${errorCount} error(s), ${warningCount} warning(s).`);
+process.exitCode = errorCount > 0 ? 1 : 0;
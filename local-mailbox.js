@@ -0,0 +1,49 @@
+import { loadServerProperties } from './server-properties.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Shows the mail "sent" by the local auth backend (verification and password
+ * reset links), which never leaves the browser. Links open in this tab.
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const summaryEl = document.getElementById('mailbox-summary');
+    const listEl = document.getElementById('mailbox-list');
+    const refreshBtn = document.getElementById('mailbox-refresh-btn');
+    if (!summaryEl || !listEl) return;
+
+    /**
+     * Escapes a plain-text mail body and turns its links into anchors.
+     * @param {string} body The mail body.
+     * @returns {string} The body as HTML.
+     */
+    const formatBody = (body) => escapeHTML(body)
+        .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}" class="text-blue-400 underline break-all">${url}</a>`)
+        .replace(/\n/g, '<br>');
+
+    const properties = await loadServerProperties();
+    if (properties.AUTH_BACKEND !== 'local') {
+        summaryEl.textContent = `AUTH_BACKEND is "${properties.AUTH_BACKEND}", so mail is sent by that service and does not appear here.`;
+        refreshBtn?.classList.add('hidden');
+        return;
+    }
+
+    const { listLocalMail } = await import('./backend-local.js');
+
+    const render = async () => {
+        const mail = await listLocalMail();
+        summaryEl.textContent = mail.length === 0 ? 'No mail has been sent yet.' : `${mail.length} message(s), newest first.`;
+        listEl.innerHTML = mail.map(message => `
+            <article class="ui-panel p-6 text-left">
+                <div class="flex justify-between text-sm text-gray-400 mb-2">
+                    <span>To: <span class="text-white">${escapeHTML(message.to)}</span></span>
+                    <span>${escapeHTML(new Date(message.sentAt).toLocaleString())}</span>
+                </div>
+                <h2 class="text-xl font-bold text-yellow-400 mb-2">${escapeHTML(message.subject)}</h2>
+                <p class="text-gray-300">${formatBody(message.body)}</p>
+            </article>
+        `).join('');
+    };
+
+    refreshBtn?.addEventListener('click', render);
+    await render();
+});
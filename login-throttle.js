@@ -0,0 +1,225 @@
+// ========================================================================
+//  LOGIN THROTTLING
+// ========================================================================
+
+/**
+ * Counts failed logins per account (email address) and per client (IP address,
+ * or the browser if the IP is unknown). The counts are stored through the auth
+ * backend, so admins can see and lift locks in the admin panel.
+ *
+ *  - From the second failure on, the next attempt has to wait
+ *    LOGIN_THROTTLE_BASE_SECONDS, doubling with every further failure.
+ *  - After LOGIN_MAX_ATTEMPTS failures an account is locked, and after
+ *    LOGIN_CLIENT_MAX_ATTEMPTS a client is, for LOGIN_LOCKOUT_MINUTES.
+ *  - Failures older than LOGIN_LOCKOUT_MINUTES are forgotten, and a
+ *    successful login clears the account's count.
+ *
+ * This runs in the browser, so it slows down guessing through the site but
+ * not a script that signs in without it; Firebase also throttles on its side
+ * ("auth/too-many-requests"). See "Login throttling" in the README for the
+ * Firestore rules that stop a record being cleared by anyone but staff.
+ */
+import { loadServerProperties } from './server-properties.js';
+import { getBackend } from './auth-backend.js';
+import { fetchClientIp } from './client-ip.js';
+import { PERMISSIONS, requirePermission } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+
+const MAX_THROTTLE_MS = 60 * 1000;
+const BROWSER_ID_KEY = 'loginClientId';
+
+/**
+ * @typedef {object} LoginAttemptsRecord
+ * @property {string} key "account:<email>" or "client:<ip or browser>".
+ * @property {'account'|'client'} kind What is being counted.
+ * @property {string} label The email address or client, for the admin panel.
+ * @property {number} failures Failed logins since the last success or lock.
+ * @property {number} lastFailureAt When the latest failure happened (ms timestamp).
+ * @property {number|null} lockedUntil When the lock ends (ms timestamp), or null if not locked.
+ */
+
+/**
+ * @typedef {object} LoginThrottleState
+ * @property {number|null} lockedUntil When the account's or client's lock ends, or null.
+ * @property {number|null} waitUntil When the next attempt may be made, or null if it may be made now.
+ * @property {number} remainingAttempts Failures left before a lock.
+ */
+
+/**
+ * Returns this browser's random ID, used when the IP address can't be looked up.
+ * @returns {string} The ID.
+ */
+function getBrowserId() {
+    let id = localStorage.getItem(BROWSER_ID_KEY);
+    if (!id) {
+        id = crypto.randomUUID();
+        localStorage.setItem(BROWSER_ID_KEY, id);
+    }
+    return id;
+}
+
+/**
+ * Identifies the client making the login attempt.
+ * @param {object} properties The server properties.
+ * @returns {Promise<{key: string, label: string}>}
+ */
+async function getClientIdentity(properties) {
+    const ip = await fetchClientIp(properties, '[Login]');
+    if (ip) return { key: `client:${ip}`, label: ip };
+    const browserId = getBrowserId();
+    return { key: `client:browser-${browserId}`, label: `browser ${browserId.slice(0, 8)}` };
+}
+
+function accountKey(email) {
+    return `account:${email.trim().toLowerCase()}`;
+}
+
+/**
+ * Drops a record whose lock has ended or whose failures have been forgotten.
+ * @param {LoginAttemptsRecord|null} record The stored record.
+ * @param {object} properties The server properties.
+ * @param {number} now The current time.
+ * @returns {LoginAttemptsRecord|null} The record if it still applies.
+ */
+function currentRecord(record, properties, now) {
+    if (!record) return null;
+    if (record.lockedUntil) return record.lockedUntil > now ? record : null;
+    return now - record.lastFailureAt < properties.LOGIN_LOCKOUT_MINUTES * 60 * 1000 ? record : null;
+}
+
+/**
+ * How long to wait after a number of failures.
+ * @param {number} failures The failure count.
+ * @param {object} properties The server properties.
+ * @returns {number} The wait in milliseconds.
+ */
+function throttleDelay(failures, properties) {
+    if (failures < 2) return 0;
+    return Math.min(properties.LOGIN_THROTTLE_BASE_SECONDS * 1000 * 2 ** (failures - 2), MAX_THROTTLE_MS);
+}
+
+/**
+ * Combines the account's and the client's records into one state.
+ * @param {LoginAttemptsRecord|null} accountRecord
+ * @param {LoginAttemptsRecord|null} clientRecord
+ * @param {object} properties The server properties.
+ * @param {number} now The current time.
+ * @returns {LoginThrottleState}
+ */
+function combineState(accountRecord, clientRecord, properties, now) {
+    const records = [accountRecord, clientRecord].filter(Boolean);
+    const lockedUntil = Math.max(0, ...records.map(record => record.lockedUntil || 0));
+    const waitUntil = Math.max(0, ...records.map(record => record.lastFailureAt + throttleDelay(record.failures, properties)));
+    const remainingAttempts = Math.min(
+        properties.LOGIN_MAX_ATTEMPTS - (accountRecord ? accountRecord.failures : 0),
+        properties.LOGIN_CLIENT_MAX_ATTEMPTS - (clientRecord ? clientRecord.failures : 0)
+    );
+    return {
+        lockedUntil: lockedUntil > now ? lockedUntil : null,
+        waitUntil: waitUntil > now ? waitUntil : null,
+        remainingAttempts: Math.max(0, remainingAttempts)
+    };
+}
+
+/**
+ * Reads the account's and client's records.
+ * @param {string} email The email address being signed in with.
+ * @returns {Promise<{backend: object, properties: object, client: {key: string, label: string}, accountRecord: LoginAttemptsRecord|null, clientRecord: LoginAttemptsRecord|null, now: number}>}
+ */
+async function loadRecords(email) {
+    const [backend, properties] = await Promise.all([getBackend(), loadServerProperties()]);
+    const client = await getClientIdentity(properties);
+    const [accountRecord, clientRecord] = await Promise.all([
+        backend.getLoginAttempts(accountKey(email)),
+        backend.getLoginAttempts(client.key)
+    ]);
+    const now = Date.now();
+    return {
+        backend, properties, client, now,
+        accountRecord: currentRecord(accountRecord, properties, now),
+        clientRecord: currentRecord(clientRecord, properties, now)
+    };
+}
+
+/**
+ * Checks whether a login may be attempted now.
+ * @param {string} email The email address being signed in with.
+ * @returns {Promise<LoginThrottleState>}
+ */
+export async function getLoginThrottleState(email) {
+    const { properties, accountRecord, clientRecord, now } = await loadRecords(email);
+    return combineState(accountRecord, clientRecord, properties, now);
+}
+
+/**
+ * Counts a failed login against the account and the client, locking them when
+ * they reach their limit.
+ * @param {string} email The email address that was used.
+ * @returns {Promise<LoginThrottleState>} The state after this failure.
+ */
+export async function recordLoginFailure(email) {
+    const { backend, properties, client, accountRecord, clientRecord, now } = await loadRecords(email);
+
+    const countFailure = (record, key, kind, label, maxAttempts) => {
+        const failures = (record ? record.failures : 0) + 1;
+        const isLocked = failures >= maxAttempts;
+        if (isLocked) console.warn(`[Login] Locking ${kind} ${label} after ${failures} failed logins.`);
+        return {
+            key, kind, label,
+            failures,
+            lastFailureAt: now,
+            lockedUntil: isLocked ? now + properties.LOGIN_LOCKOUT_MINUTES * 60 * 1000 : null
+        };
+    };
+
+    const newAccountRecord = countFailure(accountRecord, accountKey(email), 'account', email.trim().toLowerCase(), properties.LOGIN_MAX_ATTEMPTS);
+    const newClientRecord = countFailure(clientRecord, client.key, 'client', client.label, properties.LOGIN_CLIENT_MAX_ATTEMPTS);
+    await Promise.all([backend.saveLoginAttempts(newAccountRecord), backend.saveLoginAttempts(newClientRecord)]);
+
+    return combineState(newAccountRecord, newClientRecord, properties, now);
+}
+
+/**
+ * Forgets the account's failed logins after a successful login.
+ * @param {string} email The email address that was used.
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(email) {
+    const backend = await getBackend();
+    await backend.deleteLoginAttempts(accountKey(email));
+}
+
+/**
+ * Lists the accounts and clients that are locked or have recent failures,
+ * locked ones first. Staff only.
+ * @returns {Promise<LoginAttemptsRecord[]>}
+ */
+export async function listLoginLocks() {
+    await requirePermission(PERMISSIONS.UNLOCK_LOGINS);
+    const [backend, properties] = await Promise.all([getBackend(), loadServerProperties()]);
+    const now = Date.now();
+    const records = (await backend.listLoginAttempts()).filter(record => currentRecord(record, properties, now));
+    return records.sort((a, b) => (b.lockedUntil || 0) - (a.lockedUntil || 0) || b.lastFailureAt - a.lastFailureAt);
+}
+
+/**
+ * Lifts a lock and forgets the failures behind it. Staff only.
+ * @param {string} key The record's key.
+ * @returns {Promise<void>}
+ */
+export async function unlockLogin(key) {
+    await requirePermission(PERMISSIONS.UNLOCK_LOGINS);
+    const backend = await getBackend();
+    const record = await backend.getLoginAttempts(key);
+    await backend.deleteLoginAttempts(key);
+    console.log(`[Login] Unlocked ${key}.`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.LOGIN_UNLOCKED,
+        targetType: 'login',
+        targetId: key,
+        targetLabel: record ? record.label : key,
+        before: record ? { failures: record.failures, lockedUntil: record.lockedUntil } : null,
+        after: null,
+        summary: `Cleared the failed logins of ${record ? record.label : key}.`
+    });
+}
@@ -1,12 +1,13 @@
-import { auth, db } from './firebase-config.js';
-import { 
-    signInWithEmailAndPassword, 
-    setPersistence, 
-    browserSessionPersistence, 
-    browserLocalPersistence,
-    sendPasswordResetEmail
-} from "https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js";
-import { doc, getDoc } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js";
+import { getBackend, ACTION_MODES, waitForAuthUser } from './auth-backend.js';
+import { clearMaintenanceBypassCache } from './maintenance-bypass.js';
+import { getLoginThrottleState, recordLoginFailure, clearLoginFailures } from './login-throttle.js';
+import { getTwoFactorSettings, verifyTwoFactorCode, markTwoFactorSession, clearTwoFactorSession, isTwoFactorPending } from './two-factor.js';
+import { startSession, endSession } from './sessions.js';
+import { findLoginBan, submitAppeal, describeBanExpiry, BAN_SCOPES } from './bans.js';
+import { escapeHTML } from './html.js';
+
+// Sign-in errors that mean a wrong email or password, and count towards a lockout.
+const FAILED_LOGIN_CODES = ['auth/invalid-credential', 'auth/wrong-password', 'auth/user-not-found', 'auth/invalid-login-credentials'];
 
 document.addEventListener('DOMContentLoaded', () => {
     const loginFormSection = document.getElementById('loginForm');
@@ -16,59 +17,430 @@ document.addEventListener('DOMContentLoaded', () => {
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('reg') === 'success') {
         const loginMessage = document.getElementById('login-message');
-        if (loginMessage) loginMessage.innerHTML = `<p class="font-bold text-green-400">✅ Registration Successful! Please log in.</p>`;
+        if (loginMessage) loginMessage.innerHTML = `<p class="font-bold text-green-400">✅ Registration Successful! We've sent you an email to verify your address. Please log in.</p>`;
+        if (loginMessage && urlParams.get('game') === 'failed') {
+            loginMessage.innerHTML += `<p class="font-bold text-yellow-400 mt-2">⚠️ Your game account could not be set up. You can try again from your dashboard.</p>`;
+        }
+    }
+
+    // --- Email verification link ---
+    if (urlParams.get('mode') === ACTION_MODES.VERIFY_EMAIL && urlParams.get('oobCode')) {
+        const loginMessage = document.getElementById('login-message');
+        getBackend()
+            .then(backend => backend.applyEmailVerification(urlParams.get('oobCode')))
+            .then(() => {
+                console.log('[Auth] Email address verified.');
+                loginMessage.innerHTML = `<p class="font-bold text-green-400">✅ Your email address has been verified. You can now create characters and use the marketplace.</p>`;
+            })
+            .catch((error) => {
+                console.error(`[Auth] Email Verification Error: ${error.code}`, error.message);
+                loginMessage.innerHTML = `<p class="font-bold text-red-500">❌ This verification link is invalid or has expired. You can request a new one from your dashboard.</p>`;
+            });
+    }
+
+    // --- Email change link ---
+    if (urlParams.get('mode') === ACTION_MODES.VERIFY_AND_CHANGE_EMAIL && urlParams.get('oobCode')) {
+        const loginMessage = document.getElementById('login-message');
+        getBackend()
+            .then(backend => backend.applyEmailChange(urlParams.get('oobCode')))
+            .then(() => {
+                console.log('[Auth] Email address changed.');
+                loginMessage.innerHTML = `<p class="font-bold text-green-400">✅ Your email address has been changed. Please log in with the new address.</p>`;
+            })
+            .catch((error) => {
+                console.error(`[Auth] Email Change Error: ${error.code}`, error.message);
+                const reason = error.code === 'auth/email-already-in-use'
+                    ? 'That address is already used by another account.'
+                    : 'This link is invalid or has expired. You can request a new one from the Account Security page.';
+                loginMessage.innerHTML = `<p class="font-bold text-red-500">❌ ${reason}</p>`;
+            });
+    }
+
+    // --- Ended sessions ---
+    if (urlParams.get('session') === 'expired' || urlParams.get('session') === 'revoked') {
+        const loginMessage = document.getElementById('login-message');
+        loginMessage.innerHTML = urlParams.get('session') === 'expired'
+            ? `<p class="font-bold text-yellow-400">⚠️ Your login has expired. Please log in again.</p>`
+            : `<p class="font-bold text-yellow-400">⚠️ You were signed out on this device from another session. Please log in again.</p>`;
+    }
+
+    // --- Bans that could not be checked ---
+    if (urlParams.get('bans') === 'unavailable') {
+        const loginMessage = document.getElementById('login-message');
+        loginMessage.innerHTML = `<p class="font-bold text-yellow-400">⚠️ We couldn't check whether your account is banned, so you were signed out. Please try again later.</p>`;
     }
 
     // --- Login Form ---
     const loginForm = document.getElementById('login-form');
+    const loginButton = document.getElementById('login-submit-btn');
+    const loginButtonLabel = loginButton ? loginButton.textContent : '';
+    let waitTimer = null;
+
+    /**
+     * Disables the login button until a throttle wait is over, counting down the seconds.
+     * @param {number} until When the next attempt may be made (ms timestamp).
+     */
+    const disableLoginUntil = (until) => {
+        clearInterval(waitTimer);
+        const tick = () => {
+            const seconds = Math.ceil((until - Date.now()) / 1000);
+            if (seconds <= 0) {
+                clearInterval(waitTimer);
+                loginButton.disabled = false;
+                loginButton.textContent = loginButtonLabel;
+                return;
+            }
+            loginButton.disabled = true;
+            loginButton.textContent = `Please wait ${seconds}s`;
+        };
+        tick();
+        waitTimer = setInterval(tick, 1000);
+    };
+
+    /**
+     * Tells the user that logins are locked and when the lock ends.
+     * @param {number} lockedUntil When the lock ends (ms timestamp).
+     */
+    const showLockedMessage = (lockedUntil) => {
+        const endsAt = new Date(lockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        showInfoModal('Login Locked', `Too many failed logins. Please try again after ${endsAt}, or use "Forgot Password?" to reset your password.`, { type: 'error' });
+    };
+
+    /**
+     * Counts a wrong password or code towards the lockout and tells the user how it stands.
+     * @param {string} email The email address being signed in with.
+     * @param {string} message What was wrong, e.g. "Invalid email or password."
+     * @returns {Promise<boolean>} True if logins are now locked.
+     */
+    const handleFailedAttempt = async (email, message) => {
+        let throttle = null;
+        try {
+            throttle = await recordLoginFailure(email);
+        } catch (error) {
+            console.error('[Auth] Could not record failed login:', error);
+        }
+        if (throttle && throttle.lockedUntil) {
+            showLockedMessage(throttle.lockedUntil);
+            return true;
+        }
+        const remaining = throttle && throttle.remainingAttempts <= 3
+            ? ` ${throttle.remainingAttempts} attempt${throttle.remainingAttempts === 1 ? '' : 's'} left before logins are locked.`
+            : '';
+        showInfoModal('Login Failed', `${message}${remaining}`, { type: 'error' });
+        if (throttle && throttle.waitUntil) disableLoginUntil(throttle.waitUntil);
+        return false;
+    };
+
+    /**
+     * Completes a login once every step has passed and moves on to the dashboard.
+     * @param {{uid: string, email: string}} user The signed-in user.
+     * @param {string} email The email address that was used.
+     * @param {boolean} remember Whether "remember me" was ticked.
+     */
+    const finishLogin = async (user, email, remember) => {
+        await clearLoginFailures(email).catch(error => console.error('[Auth] Could not clear failed logins:', error));
+        await startSession(user, remember).catch(error => console.error('[Session] Could not record the login:', error));
+        // A staff account may now bypass maintenance, so check again on the next page.
+        clearMaintenanceBypassCache();
+        window.location.href = '/dashboard';
+    };
+
+    // --- Two-Factor Step ---
+    const twoFactorSection = document.getElementById('twoFactorStep');
+    const twoFactorForm = document.getElementById('two-factor-form');
+    let pendingLogin = null; // { uid, email, remember } while the code is asked for.
+
+    /**
+     * Asks for the authenticator code after the password was accepted.
+     * @param {{uid: string, email: string, remember: boolean}} login The half-finished login.
+     */
+    const showTwoFactorStep = (login) => {
+        pendingLogin = login;
+        loginFormSection.classList.add('hidden');
+        passwordResetSection.classList.add('hidden');
+        twoFactorSection.classList.remove('hidden');
+        twoFactorForm.elements.code.value = '';
+        twoFactorForm.elements.code.focus();
+    };
+
+    /**
+     * Abandons a half-finished login and returns to the password step.
+     */
+    const cancelTwoFactorStep = async () => {
+        pendingLogin = null;
+        const backend = await getBackend();
+        await backend.signOut();
+        twoFactorSection.classList.add('hidden');
+        loginFormSection.classList.remove('hidden');
+    };
+
+    twoFactorForm?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!pendingLogin) return;
+        const { uid, email, remember } = pendingLogin;
+
+        // Wrong codes count towards the same lockout as wrong passwords.
+        try {
+            const throttle = await getLoginThrottleState(email);
+            if (throttle.lockedUntil) {
+                showLockedMessage(throttle.lockedUntil);
+                await cancelTwoFactorStep();
+                return;
+            }
+            if (throttle.waitUntil) {
+                const seconds = Math.ceil((throttle.waitUntil - Date.now()) / 1000);
+                showInfoModal('Please Wait', `Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying another code.`);
+                return;
+            }
+        } catch (error) {
+            console.error('[Auth] Could not check failed logins:', error);
+        }
+
+        try {
+            const result = await verifyTwoFactorCode(uid, twoFactorForm.elements.code.value);
+            if (!result) {
+                if (await handleFailedAttempt(email, 'The code is not correct.')) await cancelTwoFactorStep();
+                twoFactorForm.elements.code.value = '';
+                return;
+            }
+            console.log(`[Auth] Two-factor code accepted (${result}).`);
+            markTwoFactorSession(uid, remember);
+            const backend = await getBackend();
+            await finishLogin(backend.getCurrentUser(), email, remember);
+        } catch (error) {
+            console.error('[Auth] Two-Factor Error:', error);
+            showInfoModal('Login Failed', `Could not check the code. ${error.message}`, { type: 'error' });
+        }
+    });
+
+    document.getElementById('two-factor-cancel-btn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        cancelTwoFactorStep().catch(error => console.error('[Auth] Sign Out Error:', error));
+    });
+
+    // Pages send a login that stopped after the password step back here for the code.
+    if (urlParams.get('step') === '2fa' && twoFactorSection) {
+        waitForAuthUser().then(async (user) => {
+            if (user && await isTwoFactorPending(user)) {
+                // Whether the login was remembered isn't known any more, so the code lasts for this browser session.
+                showTwoFactorStep({ uid: user.uid, email: user.email, remember: false });
+            }
+        }).catch(error => console.error('[Auth] Could not restore the login:', error));
+    }
+
+    // --- Banned Step ---
+    const bannedSection = document.getElementById('bannedStep');
+    const appealForm = document.getElementById('ban-appeal-form');
+    let shownBan = null;
+
+    /**
+     * Shows the appeal's state, or the appeal form if there is none yet.
+     * @param {import('./bans.js').BanRecord} ban The ban.
+     */
+    const renderAppealState = (ban) => {
+        const statusDiv = document.getElementById('ban-appeal-status');
+        appealForm.classList.toggle('hidden', Boolean(ban.appeal));
+        if (!ban.appeal) {
+            statusDiv.innerHTML = '';
+            return;
+        }
+        const { status, submittedAt, response } = ban.appeal;
+        const headline = {
+            pending: `<p class="font-bold text-yellow-400">⏳ Your appeal from ${new Date(submittedAt).toLocaleDateString()} is waiting for review.</p>`,
+            accepted: '<p class="font-bold text-green-400">✅ Your appeal was accepted.</p>',
+            rejected: '<p class="font-bold text-red-500">❌ Your appeal was rejected.</p>'
+        }[status];
+        statusDiv.innerHTML = headline + (response ? `<p class="text-gray-300 mt-2">${escapeHTML(response)}</p>` : '');
+    };
+
+    /**
+     * Tells a banned player why and for how long, and offers the appeal form.
+     * The player stays signed in until they leave, so the appeal can be stored.
+     * @param {import('./bans.js').BanRecord} ban The ban in force.
+     */
+    const showBannedStep = (ban) => {
+        shownBan = ban;
+        const what = ban.scope === BAN_SCOPES.IP ? 'Logins from your network are' : 'This account is';
+        document.getElementById('ban-details').innerHTML = `
+            <p>${what} banned <span class="font-bold text-white">${describeBanExpiry(ban)}</span>.</p>
+            <p><span class="text-gray-400">Reason:</span> ${escapeHTML(ban.reason)}</p>
+            <p class="text-sm text-gray-400">Since ${new Date(ban.startsAt).toLocaleString()}</p>
+        `;
+        renderAppealState(ban);
+        loginFormSection.classList.add('hidden');
+        passwordResetSection.classList.add('hidden');
+        twoFactorSection.classList.add('hidden');
+        bannedSection.classList.remove('hidden');
+    };
+
+    appealForm?.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!shownBan) return;
+        try {
+            shownBan = { ...shownBan, appeal: await submitAppeal(shownBan, appealForm.elements.message.value) };
+            renderAppealState(shownBan);
+        } catch (error) {
+            console.error('[Auth] Appeal Error:', error);
+            showInfoModal('Appeal Failed', escapeHTML(error.message), { type: 'error' });
+        }
+    });
+
+    document.getElementById('banned-back-btn')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        shownBan = null;
+        await endSession().catch(error => console.error('[Auth] Sign Out Error:', error));
+        bannedSection.classList.add('hidden');
+        loginFormSection.classList.remove('hidden');
+    });
+
+    // Pages send banned accounts here to see the ban.
+    if (urlParams.get('step') === 'banned' && bannedSection) {
+        waitForAuthUser().then(async (user) => {
+            const ban = user ? await findLoginBan(user.uid) : null;
+            if (ban) showBannedStep(ban);
+        }).catch(error => console.error('[Auth] Could not look up the ban:', error));
+    }
+
     if (loginForm) {
-        loginForm.addEventListener('submit', function(event) {
+        loginForm.addEventListener('submit', async function(event) {
             event.preventDefault();
 
             const email = this.elements.email.value;
             const password = this.elements.password.value;
             const emailInput = this.elements.email;
             const rememberMe = this.elements['remember-me'].checked;
-            
-            console.log(`[Firebase] Attempting login for email: ${email}`);
-
-            // Set persistence (remember me)
-            const persistence = rememberMe ? browserLocalPersistence : browserSessionPersistence;
-            setPersistence(auth, persistence)
-              .then(() => {
-                // Sign in with the provided email and password.
-                return signInWithEmailAndPassword(auth, email, password);
-              })
-              .then(userCredential => {
+
+            // Refuse the attempt while the account or this client is locked or has to wait.
+            // If the attempt counts can't be read, the login goes ahead rather than locking everyone out.
+            try {
+                const throttle = await getLoginThrottleState(email);
+                if (throttle.lockedUntil) {
+                    showLockedMessage(throttle.lockedUntil);
+                    return;
+                }
+                if (throttle.waitUntil) {
+                    disableLoginUntil(throttle.waitUntil);
+                    return;
+                }
+            } catch (error) {
+                console.error('[Auth] Could not check failed logins:', error);
+            }
+
+            console.log(`[Auth] Attempting login for email: ${email}`);
+            // A new login always has to pass the code step again.
+            clearTwoFactorSession();
+
+            try {
+                // Sign in; "remember me" keeps the session after the browser is closed.
+                const backend = await getBackend();
+                const user = await backend.signIn(email, password, { remember: rememberMe });
+                console.log(`[Auth] Password accepted for user: ${user.email}`);
+
+                // If the bans can't be read, the login is refused rather than let through.
+                let ban;
+                try {
+                    ban = await findLoginBan(user.uid);
+                } catch (banError) {
+                    console.error('[Auth] Could not check for bans:', banError);
+                    await endSession().catch(error => console.error('[Auth] Sign Out Error:', error));
+                    showInfoModal('Login Failed', "We couldn't check whether this account is banned. Please try again later.", { type: 'error' });
+                    return;
+                }
+                if (ban) {
+                    console.warn(`[Auth] Refused login for banned account: ${user.email}`);
+                    showBannedStep(ban);
+                    return;
+                }
+
+                if (await getTwoFactorSettings(user.uid)) {
+                    showTwoFactorStep({ uid: user.uid, email, remember: rememberMe });
+                    return;
+                }
+
                 // Success! Redirect to the main page.
-                console.log(`[Firebase] Login successful for user: ${userCredential.user.email}`);
-                window.location.href = '/dashboard';
-              })
-              .catch(error => {
-                // Handle any errors from the chain.
-                console.error(`[Firebase] Login Error:`, error.message);
-                showInfoModal('Login Failed', 'Invalid email or password.', { type: 'error' });
+                console.log(`[Auth] Login successful for user: ${user.email}`);
+                await finishLogin(user, email, rememberMe);
+            } catch (error) {
+                console.error(`[Auth] Login Error:`, error.message);
+                if (error.code === 'auth/too-many-requests') {
+                    showInfoModal('Login Failed', 'Too many failed logins. Please wait a while before trying again.', { type: 'error' });
+                } else if (FAILED_LOGIN_CODES.includes(error.code)) {
+                    await handleFailedAttempt(email, 'Invalid email or password.');
+                } else {
+                    showInfoModal('Login Failed', `Error: ${error.message}`, { type: 'error' });
+                }
                 emailInput.focus();
-              });
+            }
         });
     }
 
     // --- Password Reset Flow ---
     const passwordResetForm = document.getElementById('password-reset-form');
+    const resetStep1 = document.getElementById('reset-step-1');
+    const resetStep2 = document.getElementById('reset-step-2');
+
+    /**
+     * Switches the reset form between asking for the email (step 1) and for the
+     * code and new password (step 2). Only the visible step's fields are required.
+     * @param {number} step 1 or 2.
+     */
+    const showResetStep = (step) => {
+        resetStep1.classList.toggle('hidden', step !== 1);
+        resetStep2.classList.toggle('hidden', step !== 2);
+        resetStep1.querySelectorAll('input').forEach(input => input.required = step === 1);
+        resetStep2.querySelectorAll('input').forEach(input => input.required = step === 2);
+    };
+
     if (passwordResetForm) {
+        showResetStep(1);
+
+        // The reset email links back here with the code, which opens step 2 directly.
+        if (urlParams.get('mode') === ACTION_MODES.RESET_PASSWORD && urlParams.get('oobCode')) {
+            loginFormSection.classList.add('hidden');
+            passwordResetSection.classList.remove('hidden');
+            passwordResetForm.elements.code.value = urlParams.get('oobCode');
+            showResetStep(2);
+        }
+
         passwordResetForm.addEventListener('submit', function(event) {
             event.preventDefault();
             const messageDiv = document.getElementById('password-reset-message');
+
+            if (!resetStep2.classList.contains('hidden')) {
+                const code = this.elements.code.value.trim();
+                const newPassword = this.elements.new_password.value;
+                getBackend()
+                    .then(backend => backend.confirmPasswordReset(code, newPassword))
+                    .then(() => {
+                        console.log('[Auth] Password has been reset.');
+                        passwordResetSection.classList.add('hidden');
+                        loginFormSection.classList.remove('hidden');
+                        document.getElementById('login-message').innerHTML = `<p class="font-bold text-green-400">✅ Your password has been changed. Please log in.</p>`;
+                    })
+                    .catch((error) => {
+                        console.error(`[Auth] Password Reset Error: ${error.code}`, error.message);
+                        if (error.code === 'auth/weak-password') {
+                            messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ Password should be at least 6 characters.</p>`;
+                        } else if (error.code === 'auth/invalid-action-code' || error.code === 'auth/expired-action-code') {
+                            messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ This reset code is invalid or has expired. Please request a new one.</p>`;
+                        } else {
+                            messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ Error: ${error.message}</p>`;
+                        }
+                    });
+                return;
+            }
+
             const email = this.elements.email.value;
 
-            console.log(`[Firebase] Sending password reset email to: ${email}`);
-            sendPasswordResetEmail(auth, email)
+            console.log(`[Auth] Sending password reset email to: ${email}`);
+            getBackend()
+                .then(backend => backend.sendPasswordReset(email))
                 .then(() => {
-                    console.log('[Firebase] Password reset email sent.');
+                    console.log('[Auth] Password reset email sent.');
                     messageDiv.innerHTML = `<p class="font-bold text-green-400">✅ Password reset email sent! Please check your inbox.</p>`;
                 })
                 .catch((error) => {
-                    console.error(`[Firebase] Password Reset Error: ${error.code}`, error.message);
+                    console.error(`[Auth] Password Reset Error: ${error.code}`, error.message);
                     if (error.code === 'auth/user-not-found') {
                         messageDiv.innerHTML = `<p class="font-bold text-red-500">❌ No account found with that email address.</p>`;
                     } else {
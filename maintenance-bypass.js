@@ -0,0 +1,132 @@
+// ========================================================================
+//  MAINTENANCE BYPASS
+// ========================================================================
+
+/**
+ * Decides whether the visitor may use the site while maintenance is active.
+ * A visitor gets through if any of these pass, checked in order:
+ *
+ *  1. A signed bypass token in the `maintenance_bypass` cookie
+ *     (see bypass-token.js). Opening any page with `?bypass=<token>` stores it.
+ *  2. Being signed in with one of the MAINTENANCE_BYPASS_ROLES.
+ *  3. Optionally, an IP on MAINTENANCE_WHITELIST_IP, as reported by the
+ *     same-origin IP_API_URL endpoint.
+ *
+ * The result is cached for the browser session so the checks don't run again
+ * on every page.
+ */
+import { verifyBypassToken } from './bypass-token.js';
+import { fetchClientIp } from './client-ip.js';
+
+export const BYPASS_COOKIE_NAME = 'maintenance_bypass';
+const CACHE_KEY = 'maintenanceBypass';
+const CACHE_MINUTES = 10;
+
+/**
+ * @typedef {object} BypassResult
+ * @property {boolean} allowed Whether the visitor may use the site.
+ * @property {string|null} reason Why access was allowed, for logging.
+ */
+
+/**
+ * Forgets the cached result, e.g. after signing in or out.
+ */
+export function clearMaintenanceBypassCache() {
+    sessionStorage.removeItem(CACHE_KEY);
+}
+
+/**
+ * Reads a cookie by name.
+ * @param {string} name The cookie name.
+ * @returns {string|null} The cookie value, or null if it is not set.
+ */
+function readCookie(name) {
+    const entry = document.cookie.split('; ').find(cookie => cookie.startsWith(`${name}=`));
+    return entry ? decodeURIComponent(entry.substring(name.length + 1)) : null;
+}
+
+/**
+ * Moves a `?bypass=<token>` URL parameter into the bypass cookie and removes
+ * it from the address bar, so the token isn't bookmarked or shared by accident.
+ */
+function storeBypassTokenFromUrl() {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get('bypass');
+    if (!token) return;
+
+    let expires = '';
+    try {
+        const { exp } = JSON.parse(atob(token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')));
+        if (typeof exp === 'number') expires = `; expires=${new Date(exp * 1000).toUTCString()}`;
+    } catch (error) {
+        // An unreadable token is stored as-is and rejected when it is verified.
+    }
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${BYPASS_COOKIE_NAME}=${encodeURIComponent(token)}; path=/${expires}; SameSite=Strict${secure}`;
+
+    url.searchParams.delete('bypass');
+    window.history.replaceState(null, '', url);
+    clearMaintenanceBypassCache();
+}
+
+/**
+ * Checks the signed-in user's role. Firebase is only loaded when this check runs.
+ * @param {string[]} bypassRoles The roles allowed through.
+ * @returns {Promise<string|null>} The user's role if it may bypass maintenance, otherwise null.
+ */
+async function checkRole(bypassRoles) {
+    if (bypassRoles.length === 0) return null;
+    try {
+        const { getCurrentUserRole } = await import('./roles.js');
+        const role = await getCurrentUserRole();
+        return role && bypassRoles.includes(role) ? role : null;
+    } catch (error) {
+        console.error('[Maintenance] Could not check the signed-in role:', error);
+        return null;
+    }
+}
+
+/**
+ * Checks the visitor's IP against the whitelist using the same-origin IP endpoint.
+ * @param {object} properties The server properties.
+ * @returns {Promise<string|null>} The IP if it is whitelisted, otherwise null.
+ */
+async function checkIpWhitelist(properties) {
+    const whitelist = properties.MAINTENANCE_WHITELIST_IP;
+    if (whitelist.length === 0) return null;
+
+    const userIp = await fetchClientIp(properties, '[Maintenance]');
+    return userIp && whitelist.includes(userIp) ? userIp : null;
+}
+
+/**
+ * Works out whether the visitor may bypass maintenance, using the cached
+ * result when there is a recent one.
+ * @param {object} properties The server properties.
+ * @returns {Promise<BypassResult>} The result.
+ */
+export async function checkMaintenanceBypass(properties) {
+    storeBypassTokenFromUrl();
+
+    const cached = JSON.parse(sessionStorage.getItem(CACHE_KEY) || 'null');
+    if (cached && Date.now() - cached.checkedAt < CACHE_MINUTES * 60 * 1000) {
+        return { allowed: cached.allowed, reason: cached.reason };
+    }
+
+    let reason = null;
+    const token = await verifyBypassToken(readCookie(BYPASS_COOKIE_NAME), properties.MAINTENANCE_BYPASS_PUBLIC_KEY);
+    if (token) reason = `bypass token issued to ${token.sub}`;
+
+    if (!reason) {
+        const role = await checkRole(properties.MAINTENANCE_BYPASS_ROLES);
+        if (role) reason = `signed in as ${role}`;
+    }
+    if (!reason) {
+        const ip = await checkIpWhitelist(properties);
+        if (ip) reason = `whitelisted IP ${ip}`;
+    }
+
+    const result = { allowed: reason !== null, reason };
+    sessionStorage.setItem(CACHE_KEY, JSON.stringify({ ...result, checkedAt: Date.now() }));
+    return result;
+}
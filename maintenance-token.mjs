@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// ========================================================================
+//  MAINTENANCE BYPASS TOKEN TOOL
+// ========================================================================
+
+/**
+ * Creates the key pair and the signed tokens that let staff use the site
+ * during maintenance without signing in (see maintenance-bypass.js).
+ *
+ * Usage:
+ *   node maintenance-token.mjs keygen
+ *       Prints a new key pair. Put the public key in MAINTENANCE_BYPASS_PUBLIC_KEY
+ *       and keep the private key somewhere safe, outside the website.
+ *   node maintenance-token.mjs sign <private-key-file> <name> [days=7]
+ *       Prints a token for <name> that expires after the given number of days.
+ *       Staff open any page with ?bypass=<token> once to store it.
+ */
+import { readFile } from 'node:fs/promises';
+import { generateBypassKeyPair, signBypassToken } from './bypass-token.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'keygen') {
+    const { publicKey, privateKey } = await generateBypassKeyPair();
+    console.log(`MAINTENANCE_BYPASS_PUBLIC_KEY=${publicKey}`);
+    console.log('');
+    console.log('Private key (keep this secret, e.g. in a file only you can read):');
+    console.log(privateKey);
+} else if (command === 'sign' && args.length >= 2) {
+    const [keyFile, name, daysArg = '7'] = args;
+    const days = Number(daysArg);
+    if (!Number.isFinite(days) || days <= 0) {
+        console.error(`Invalid number of days: "${daysArg}".`);
+        process.exit(1);
+    }
+
+    const privateKey = (await readFile(keyFile, 'utf8')).trim();
+    const exp = Math.floor(Date.now() / 1000 + days * 24 * 60 * 60);
+    const token = await signBypassToken({ sub: name, exp }, privateKey);
+    console.log(`Token for ${name}, valid until ${new Date(exp * 1000).toISOString()}:`);
+    console.log(token);
+    console.log('');
+    console.log(`Open any page with ?bypass=${token} to store it.`);
+} else {
+    console.error('Usage:');
+    console.error('  node maintenance-token.mjs keygen');
+    console.error('  node maintenance-token.mjs sign <private-key-file> <name> [days=7]');
+    process.exit(1);
+}
@@ -3,55 +3,95 @@
  * If maintenance mode is active, it replaces the entire page content
  * with a maintenance message. This script should be placed in the <head>
  * of every HTML document to execute before the body is rendered.
+ *
+ * Maintenance can also be scheduled with MAINTENANCE_STARTS_AT and
+ * MAINTENANCE_ENDS_AT: a warning banner counts down to the start, the
+ * maintenance page counts down to the end, and the site comes back by itself
+ * once the end time has passed.
+ *
+ * Staff can still use the site during maintenance; see maintenance-bypass.js.
+ *
+ * It also keeps watching the file, so the maintenance page appears on pages
+ * that are already open when MAINTENANCE_MODE is switched on, and the site
+ * comes back when it is switched off again.
  */
 (async function() {
     try {
-        // Use a cache-busting query parameter to ensure we always get the latest file
-        const response = await fetch('server.properties?v=' + Date.now());
-
-        // If the file can't be fetched, assume the site is not in maintenance
-        if (!response.ok) return;
-
-        const text = await response.text();
-
-        // Parse the properties file into a key-value object
-        const properties = {};
-        text.split('\n').forEach(line => {
-            line = line.trim();
-            if (line && !line.startsWith('#')) {
-                const separatorIndex = line.indexOf('=');
-                if (separatorIndex > -1) {
-                    const key = line.substring(0, separatorIndex).trim();
-                    const value = line.substring(separatorIndex + 1).trim();
-                    properties[key] = value;
-                }
-            }
-        });
+        // This is a classic script (it must run before the body renders), so the
+        // shared config modules are loaded with a dynamic import.
+        const { loadServerProperties } = await import('./server-properties.js');
+        const { startPropertiesWatcher, onPropertiesChange } = await import('./server-properties-watcher.js');
+        const { checkMaintenanceBypass } = await import('./maintenance-bypass.js');
+        const properties = await loadServerProperties();
 
-        const isMaintenance = properties['MAINTENANCE_MODE'] === 'true';
+        const WINDOW_KEYS = ['MAINTENANCE_MODE', 'MAINTENANCE_STARTS_AT', 'MAINTENANCE_ENDS_AT', 'MAINTENANCE_NOTICE_HOURS'];
+        const STAFF_LOGIN_URL = 'login.html?staff=1';
+        const isStaffLoginPage = /\/login(\.html)?$/.test(window.location.pathname) && new URLSearchParams(window.location.search).has('staff');
 
-        if (isMaintenance) {            
-            const whitelist = (properties['MAINTENANCE_WHITELIST_IP'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+        let isMaintenancePageShown = false;
+        let bypassCheck = null;
+        let currentState = null;
+        let tickTimer = null;
 
-            // If there's a whitelist, try to check the user's IP.
-            if (whitelist.length > 0) {
-                try {
-                    const ipResponse = await fetch(properties['IP_API_URL'] || 'https://api.ipify.org');
-                    const userIp = await ipResponse.text();
-                    if (whitelist.includes(userIp)) {
-                        console.log(`Maintenance mode bypassed for whitelisted IP: ${userIp}`);
-                        return; // IP is on the list, so we stop and let the site load.
-                    }
-                } catch (ipError) {
-                    console.error("Could not verify user IP for maintenance bypass. Proceeding with maintenance mode.", ipError);
-                }
+        /**
+         * Converts an optional date property to a timestamp.
+         * @param {string} value The property value.
+         * @returns {number|null} Milliseconds since the epoch, or null if blank.
+         */
+        const toTimestamp = (value) => (value ? new Date(value).getTime() : null);
+
+        /**
+         * Works out where the current time falls relative to the maintenance window.
+         * @returns {{state: 'active' | 'upcoming' | 'none', startsAt: number|null, endsAt: number|null}}
+         */
+        const getMaintenanceWindow = () => {
+            const now = Date.now();
+            const startsAt = toTimestamp(properties.MAINTENANCE_STARTS_AT);
+            const endsAt = toTimestamp(properties.MAINTENANCE_ENDS_AT);
+
+            let state = 'none';
+            if (endsAt !== null && now >= endsAt) {
+                state = 'none'; // The window is over, even if MAINTENANCE_MODE was left on.
+            } else if (properties.MAINTENANCE_MODE || (startsAt !== null && now >= startsAt)) {
+                state = 'active';
+            } else if (startsAt !== null && startsAt - now <= properties.MAINTENANCE_NOTICE_HOURS * 60 * 60 * 1000) {
+                state = 'upcoming';
             }
+            return { state, startsAt, endsAt };
+        };
 
-             // Stop the browser from trying to load/render more of the page
-            window.stop();
+        /**
+         * Formats a duration as e.g. "1d 02h 03m 04s".
+         * @param {number} ms The duration in milliseconds.
+         * @returns {string} The formatted duration.
+         */
+        const formatCountdown = (ms) => {
+            const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+            const days = Math.floor(totalSeconds / 86400);
+            const pad = (value) => String(value).padStart(2, '0');
+            const time = `${pad(Math.floor(totalSeconds / 3600) % 24)}h ${pad(Math.floor(totalSeconds / 60) % 60)}m ${pad(totalSeconds % 60)}s`;
+            return days > 0 ? `${days}d ${time}` : time;
+        };
+
+        /**
+         * Checks whether the visitor may use the site during maintenance (staff
+         * role, signed bypass token or whitelisted IP). Runs at most once per page.
+         * @returns {Promise<boolean>} True if the visitor may bypass maintenance mode.
+         */
+        const canBypass = () => {
+            if (!bypassCheck) {
+                bypassCheck = checkMaintenanceBypass(properties).then(({ allowed, reason }) => {
+                    if (allowed) console.log(`[Maintenance] Maintenance mode bypassed (${reason}).`);
+                    return allowed;
+                });
+            }
+            return bypassCheck;
+        };
 
-            const defaultMessage = 'The server is currently undergoing scheduled maintenance. We will be back online shortly. Thank you for your patience.';
-            const maintenanceMessage = properties['MAINTENANCE_MESSAGE'] || defaultMessage;
+        /** Replaces the entire document with the maintenance page. */
+        const showMaintenancePage = () => {
+            // Stop the browser from trying to load/render more of the page
+            window.stop();
 
             // Replace the entire document's HTML with the maintenance page
             document.documentElement.innerHTML = `
@@ -71,11 +111,99 @@
                     </div>
                     <div class="maintenance-panel ui-panel max-w-2xl">
                         <h1 class="text-4xl font-bold text-yellow-400 mb-4 text-shadow">Under Maintenance</h1>
-                        <p class="text-lg text-gray-300">${maintenanceMessage.replace(/\n/g, '<br>')}</p>
+                        <p id="maintenance-message" class="text-lg text-gray-300">${properties.MAINTENANCE_MESSAGE.replace(/\n/g, '<br>')}</p>
+                        <p id="maintenance-countdown-container" class="mt-6 text-gray-400 hidden">
+                            Expected back in <span id="maintenance-countdown" class="text-2xl font-bold text-yellow-400 block mt-2"></span>
+                        </p>
+                        <a href="${STAFF_LOGIN_URL}" class="inline-block mt-6 text-sm text-gray-500 hover:text-gray-300">Staff sign in</a>
                     </div>
                 </body>
             `;
-        }
+            isMaintenancePageShown = true;
+        };
+
+        /**
+         * Adds or removes the "maintenance starts in..." banner at the top of the page.
+         * @param {boolean} isVisible Whether the banner should be shown.
+         */
+        const setBannerVisible = (isVisible) => {
+            const existing = document.getElementById('maintenance-banner');
+            if (!isVisible) {
+                existing?.remove();
+                return;
+            }
+            if (existing) return;
+            if (!document.body) {
+                // The script runs in <head>, so wait for the body before adding the banner.
+                document.addEventListener('DOMContentLoaded', () => setBannerVisible(currentState === 'upcoming'), { once: true });
+                return;
+            }
+
+            const banner = document.createElement('div');
+            banner.id = 'maintenance-banner';
+            banner.className = 'fixed top-0 inset-x-0 z-50 bg-yellow-500/90 text-black text-center font-semibold py-2 px-4 shadow-lg';
+            banner.innerHTML = `Scheduled maintenance starts in <span id="maintenance-banner-countdown"></span>.`;
+            document.body.prepend(banner);
+            updateCountdowns();
+        };
+
+        /** Refreshes the banner and maintenance page countdowns. */
+        const updateCountdowns = () => {
+            const { startsAt, endsAt } = getMaintenanceWindow();
+            const now = Date.now();
+
+            const bannerCountdown = document.getElementById('maintenance-banner-countdown');
+            if (bannerCountdown && startsAt !== null) bannerCountdown.textContent = formatCountdown(startsAt - now);
+
+            const pageCountdown = document.getElementById('maintenance-countdown');
+            if (pageCountdown) {
+                document.getElementById('maintenance-countdown-container').classList.toggle('hidden', endsAt === null);
+                if (endsAt !== null) pageCountdown.textContent = formatCountdown(endsAt - now);
+            }
+        };
+
+        /** Shows or lifts the maintenance page and banner to match the current window. */
+        const applyMaintenanceMode = async () => {
+            const { state, startsAt, endsAt } = getMaintenanceWindow();
+            currentState = state;
+
+            if (state === 'active' && !isMaintenancePageShown) {
+                // Staff see the site as normal. The staff sign-in page stays reachable so they can sign in.
+                if (!isStaffLoginPage && !(await canBypass())) showMaintenancePage();
+            } else if (state !== 'active' && isMaintenancePageShown) {
+                // The original page was replaced, so reload it to bring the site back.
+                window.location.reload();
+                return;
+            }
+
+            setBannerVisible(state === 'upcoming');
+            updateCountdowns();
+
+            // Tick every second while there is a start or end time to count down to.
+            clearInterval(tickTimer);
+            tickTimer = null;
+            if (startsAt !== null || endsAt !== null) {
+                tickTimer = setInterval(() => {
+                    if (getMaintenanceWindow().state !== currentState) {
+                        applyMaintenanceMode();
+                    } else {
+                        updateCountdowns();
+                    }
+                }, 1000);
+            }
+        };
+
+        await applyMaintenanceMode();
+
+        onPropertiesChange(changes => {
+            if (WINDOW_KEYS.some(key => key in changes)) {
+                applyMaintenanceMode();
+            } else if ('MAINTENANCE_MESSAGE' in changes && isMaintenancePageShown) {
+                const messageEl = document.getElementById('maintenance-message');
+                if (messageEl) messageEl.innerHTML = properties.MAINTENANCE_MESSAGE.replace(/\n/g, '<br>');
+            }
+        });
+        startPropertiesWatcher();
     } catch (error) {
         console.error("Maintenance check failed:", error);
         // If an error occurs, proceed as normal.
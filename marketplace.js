@@ -1,116 +1,30 @@
-/**
- * Manages user session and active character initialization.
- * @returns {object|null} The active character object or null if session is invalid.
- */
+import { getBackend, waitForAuthUser } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+import { startPropertiesWatcher, onPropertiesChange } from './server-properties-watcher.js';
+import { guardFeaturePage } from './feature-maintenance.js';
+import { guardVerifiedEmail } from './email-verification.js';
+import { guardTwoFactorSession, confirmWithTwoFactor } from './two-factor.js';
+import { guardSession } from './sessions.js';
+import { guardBans } from './bans.js';
+
+const ACTIVE_CHARACTER_KEY = 'marketplaceCharacterId'; // The character last picked in the dropdown.
 
 /**
- * Fetches and parses the server.properties file.
- * @returns {Promise<object>} A promise that resolves to an object with the server properties.
+ * Loads the signed-in user's characters and picks the one to trade with.
+ * @param {import('./auth-backend.js').AuthBackend} backend The backend.
+ * @returns {Promise<{activeCharacter: object|null, userCharacters: object[]}|null>}
+ *   The characters, or null if nobody is signed in (a modal sends them to the login page).
  */
-async function loadServerProperties() {
-    console.log('[Debug] Loading server.properties...');
-    // Default values in case the file is missing or fails to load
-    const defaultProps = {
-        DOWNLOAD_ENABLED: true, DISCORD_ENABLED: true, NEWS_ENABLED: true,
-        COUNTDOWN_ENABLED: true, GALLERY_ENABLED: true, LORE_ENABLED: true,
-        DROPLIST_ENABLED: true, MARKETPLACE_ENABLED: true, SERVER_STATUS_ENABLED: true,
-        VIDEO_BACKGROUND_ENABLED: true,
-        RIGHT_CLICK_PROTECTION_ENABLED: true,
-        REMEMBER_ME_DURATION_DAYS: 30,
-        DOWNLOAD_AVAILABLE_DATE: '2027-08-10T00:00:00',
-        SERVER_STATUS_INTERVAL_SECONDS: 30,
-        MAX_CHARACTER_SLOTS: 6,
-        NEWS_FILE_PATH: 'news.json',
-        SERVER_STATUS_API_URL: '/api/server-status',
-        STARTER_INVENTORY_JSON: '[{"name":"Adena","quantity":5000,"stackable":true,"price":1},{"name":"Red Potion","quantity":30,"stackable":true,"price":30},{"name":"Haste Potion","quantity":5,"stackable":true,"price":180},{"name":"Trainee\'s T-shirt","quantity":1,"stackable":false,"droppable":false,"price":100}]',
-        SITE_TITLE: 'Lineage',
-        LOGO_IMAGE_PATH: 'images/logo-lineage.png',
-        FOOTER_TEXT: '&copy; 2025 Lineage 1 Server. All rights reserved.',
-        SOCIAL_FACEBOOK_URL: '',
-        SOCIAL_YOUTUBE_URL: '',
-        MAIN_BACKGROUND_VIDEO_PATH: 'media/lineage2.mp4',
-        FAVICON_PATH: 'icon/cs.ico',
-        SITE_FONT_URL: 'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700&display=swap',
-        SITE_FONT_FAMILY: "'Cinzel', serif"
-    };
-    try {
-        // Add a cache-busting query parameter to ensure the latest version is fetched.
-        const response = await fetch(`server.properties?v=${Date.now()}`);
-        if (!response.ok) {
-            console.warn('server.properties not found. Using default feature settings.');
-            return defaultProps;
-        }
-        const text = await response.text();
-        const properties = {};
-        const numericKeys = ['REMEMBER_ME_DURATION_DAYS', 'SERVER_STATUS_INTERVAL_SECONDS', 'MAX_CHARACTER_SLOTS', 'DROPLIST_ITEMS_PER_PAGE', 'RING3_LEVEL_REQUIREMENT', 'RING4_LEVEL_REQUIREMENT', 'STACKABLE_PRICE_MIN', 'STACKABLE_PRICE_MAX', 'NONSTACKABLE_PRICE_MIN', 'NONSTACKABLE_PRICE_MAX'];
-
-        text.split('\n').forEach(line => {
-            line = line.trim();
-            if (line && !line.startsWith('#')) {
-                const separatorIndex = line.indexOf('=');
-                if (separatorIndex === -1) return;
-
-                const key = line.substring(0, separatorIndex).trim();
-                let value = line.substring(separatorIndex + 1).trim();
-
-                if (key) {
-                    // 1. Handle Booleans
-                    if (value.toLowerCase() === 'true') {
-                        properties[key] = true;
-                    } else if (value.toLowerCase() === 'false') {
-                        properties[key] = false;
-                    // 2. Handle JSON strings
-                    } else if (key.endsWith('_JSON')) {
-                        try {
-                            properties[key] = JSON.parse(value);
-                        } catch (e) {
-                            console.error(`Error parsing JSON for key ${key}:`, e);
-                            properties[key] = defaultProps[key] ? JSON.parse(defaultProps[key]) : null; // Fallback
-                        }
-                    // 3. Handle specific numeric keys
-                    } else if (numericKeys.includes(key) && !isNaN(Number(value))) {
-                        properties[key] = Number(value);
-                    // 4. Handle all other cases as strings
-                    } else {
-                        properties[key] = value;
-                    }
-                }
-            }
-        });
-        console.log('[Debug] server.properties loaded successfully.');
-        return { ...defaultProps, ...properties };
-    } catch (error) {
-        console.error('Failed to load server.properties:', error);
-        return defaultProps;
-    }
-}
-
-function initializeUserSession() {
-    const session = JSON.parse(localStorage.getItem('session')); // This function is now also used by marketplace.html
-    if (!session) {
+async function loadUserCharacters(backend) {
+    const user = await waitForAuthUser();
+    if (!user) {
         showInfoModal('Login Required', 'You need to log in to access the marketplace.', { onOk: () => { window.location.href = 'login.html'; } });
         return null;
     }
 
-    if (Date.now() > session.expiry) {
-        localStorage.removeItem('session');
-        showInfoModal('Session Expired', 'Your session has expired. Please log in again.', { onOk: () => { window.location.href = 'login.html'; } });
-        return null;
-    }
-
-    const allCharacters = JSON.parse(localStorage.getItem('characters')) || [];
-    const userCharacters = allCharacters.filter(char => char.owner.toLowerCase() === session.username.toLowerCase());
-
-    let activeCharacter = null;
-    const storedActiveCharacter = JSON.parse(localStorage.getItem('activeCharacter'));
-    if (storedActiveCharacter && storedActiveCharacter.owner.toLowerCase() === session.username.toLowerCase()) {
-        activeCharacter = userCharacters.find(c => c.name === storedActiveCharacter.name);
-    }
-
-    if (!activeCharacter && userCharacters.length > 0) {
-        activeCharacter = userCharacters[0];
-        localStorage.setItem('activeCharacter', JSON.stringify(activeCharacter));
-    }
+    const userCharacters = await backend.listCharacters(user.uid);
+    const storedId = localStorage.getItem(ACTIVE_CHARACTER_KEY);
+    const activeCharacter = userCharacters.find(c => c.id === storedId) || userCharacters[0] || null;
 
     // Return both active character and the list of user's characters for the dropdown
     return { activeCharacter, userCharacters };
@@ -119,15 +33,14 @@ function initializeUserSession() {
 document.addEventListener('DOMContentLoaded', async () => {
 
     // Load server properties first, as they are needed for feature flags.
-    // This requires the loadServerProperties function to be available.
-    // We will load script.js in marketplace.html to make it available.
-    window.serverProperties = window.serverProperties || await loadServerProperties();
+    window.serverProperties = await loadServerProperties();
+    const backend = await getBackend();
     let isMarketplaceInitialized = false; // Flag to prevent re-initialization
     let activeCharacter = null;
     let userCharacters = [];
-    const serverProps = window.serverProperties; // Use globally loaded properties
-    const BUY_ENABLED = serverProps?.BUY_ENABLED;
-    const SELL_ENABLED = serverProps?.SELL_ENABLED;
+    // Use globally loaded properties. The watcher keeps this object up to date,
+    // so BUY_ENABLED and SELL_ENABLED are always read at the moment they are needed.
+    const serverProps = window.serverProperties;
 
     // If both buying and selling are disabled, show a general unavailable message and stop everything.
     // This check now runs before the session check.
@@ -175,7 +88,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             const itemsText = await response.text();
             const allItemNames = itemsText.split('\n').map(i => i.trim()).filter(Boolean).filter(name => name.toLowerCase() !== 'adena');
 
-            const stackableKeywords = serverProps.STACKABLE_ITEM_KEYWORDS.split(',');
+            const stackableKeywords = serverProps.STACKABLE_ITEM_KEYWORDS;
             const stackableRegex = new RegExp(stackableKeywords.join('|'), 'i');
 
             marketGoods = allItemNames.map(name => {
@@ -193,15 +106,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    function saveCharacterState() {
+    /**
+     * Reads the active character again, so a trade starts from what is stored
+     * rather than from the page's copy (which another tab may have changed).
+     * @returns {Promise<object>} The character.
+     */
+    async function reloadActiveCharacter() {
+        const character = await backend.getCharacter(activeCharacter.id);
+        if (!character) throw new Error('The character no longer exists.');
+        activeCharacter = character;
+        userCharacters = userCharacters.map(c => (c.id === character.id ? character : c));
+        return character;
+    }
+
+    async function saveCharacterState() {
         if (!activeCharacter) return;
-        localStorage.setItem('activeCharacter', JSON.stringify(activeCharacter));
-        const allChars = JSON.parse(localStorage.getItem('characters')) || [];
-        const charIndex = allChars.findIndex(c => c.name === activeCharacter.name);
-        if (charIndex !== -1) {
-            allChars[charIndex] = activeCharacter;
-            localStorage.setItem('characters', JSON.stringify(allChars));
-        }
+        await backend.updateCharacter(activeCharacter.id, { inventory: activeCharacter.inventory });
     }
 
     function renderBuyPanel() {
@@ -233,6 +153,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         let sellPanelHTML = `<p class="text-center mb-4 font-bold text-yellow-400 text-shadow">Your Adena: ${adena.toLocaleString()}</p>`;
 
         const sellableItems = activeCharacter.inventory.filter(item => item.name !== 'Adena');
+        const equippedIds = new Set(Object.values(activeCharacter.equipment || {})); // Worn items must be unequipped on the dashboard first.
 
         if (sellableItems.length === 0) {
             sellPanelHTML += `<p class="text-center text-gray-400 p-4">Your inventory is empty.</p>`;
@@ -247,7 +168,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         <span>${escapeHTML(displayName)} (${item.quantity.toLocaleString()})</span>
                         <div class="flex items-center gap-4">
                             <span class="font-bold text-yellow-400">${totalSellValue.toLocaleString()} Adena</span>
-                            ${item.droppable !== false ?
+                            ${equippedIds.has(item.id) ? `<span class="text-xs text-gray-500">Equipped</span>` : item.droppable !== false ?
                                 `<button data-item-id="${item.id}" class="sell-btn bg-red-700 px-3 py-1 rounded-lg hover:bg-red-800 transition text-xs">Sell</button>` :
                                 `<span class="text-xs text-gray-500">Untradable</span>`}
                         </div>
@@ -267,7 +188,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             showConfirmModal({
                 title: 'Confirm Purchase',
                 message: `Are you sure you want to buy ${quantity}x ${escapeHTML(itemToBuy.name)} for ${totalPrice} Adena?`,
-                onConfirm: () => buyItems(itemToBuy, quantity)
+                onConfirm: () => buyItems(itemToBuy, quantity).catch(error => {
+                    console.error('[Marketplace] Purchase failed:', error);
+                    showInfoModal('Error', `The purchase failed. ${escapeHTML(error.message)}`, { type: 'error' });
+                })
             });
         };
 
@@ -285,7 +209,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
-    function buyItems(itemToBuy, quantity) {
+    async function buyItems(itemToBuy, quantity) {
+        // Buying may have been switched off while the confirmation modal was open.
+        if (!serverProps.BUY_ENABLED) {
+            showInfoModal('Unavailable', 'Buying items is temporarily unavailable.', { type: 'warning' });
+            return;
+        }
+        await reloadActiveCharacter();
         const adenaStack = activeCharacter.inventory.find(i => i.name === 'Adena');
         const playerAdena = adenaStack ? adenaStack.quantity : 0;
         const totalPrice = itemToBuy.price * quantity;
@@ -309,7 +239,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 price: itemToBuy.price, stackable: itemToBuy.stackable, droppable: true
             });
         }
-        saveCharacterState();
+        await saveCharacterState();
         renderSellPanel();
         showSuccessModal('Purchase Successful', `You bought ${totalQuantityToAdd.toLocaleString()}x ${itemToBuy.name} for ${totalPrice.toLocaleString()} Adena.`);
     }
@@ -318,7 +248,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const itemId = event.target.getAttribute('data-item-id');
         if (!activeCharacter) return;
         const itemToSell = activeCharacter.inventory.find(i => i.id === itemId);
-        if (!itemToSell) return;
+        if (!itemToSell || Object.values(activeCharacter.equipment || {}).includes(itemId)) return;
 
         const confirmAndSell = (quantity) => {
             const sellPrice = itemToSell.price || 0;
@@ -328,7 +258,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             showConfirmModal({
                 title: 'Confirm Sale',
                 message: `Are you sure you want to sell ${quantity}x ${escapeHTML(displayName)} for ${totalValue} Adena?`,
-                onConfirm: () => sellItems(itemToSell, quantity)
+                onConfirm: async () => {
+                    // Large sales ask players with 2FA for a code first.
+                    if (sellPrice * quantity >= serverProps.TWO_FACTOR_SALE_THRESHOLD && !(await confirmWithTwoFactor('confirm this sale'))) return;
+                    try {
+                        await sellItems(itemToSell.id, quantity);
+                    } catch (error) {
+                        console.error('[Marketplace] Sale failed:', error);
+                        showInfoModal('Error', `The sale failed. ${escapeHTML(error.message)}`, { type: 'error' });
+                    }
+                }
             });
         };
 
@@ -350,7 +289,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    function sellItems(itemToSell, quantityToSell) {
+    async function sellItems(itemId, quantityToSell) {
+        // Selling may have been switched off while the confirmation modal was open.
+        if (!serverProps.SELL_ENABLED) {
+            showInfoModal('Unavailable', 'Selling items is temporarily unavailable.', { type: 'warning' });
+            return;
+        }
+        // The item may have been equipped or moved on the dashboard since the panel was drawn.
+        const character = await reloadActiveCharacter();
+        const itemToSell = character.inventory.find(i => i.id === itemId);
+        if (!itemToSell || quantityToSell > itemToSell.quantity) {
+            renderSellPanel();
+            showInfoModal('Item Not Found', 'You no longer have that many of this item.', { type: 'error' });
+            return;
+        }
+        if (Object.values(character.equipment || {}).includes(itemId)) {
+            renderSellPanel();
+            showInfoModal('Item Equipped', 'Unequip the item on the dashboard before selling it.', { type: 'error' });
+            return;
+        }
         const sellPrice = itemToSell.price || 0;
         const totalSaleValue = sellPrice * quantityToSell;
 
@@ -369,13 +326,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                 stackable: true, droppable: true, price: 1
             });
         }
-        saveCharacterState();
+        await saveCharacterState();
         renderSellPanel();
         showSuccessModal('Sale Successful', `You sold ${quantityToSell.toLocaleString()}x ${itemToSell.name} for ${totalSaleValue.toLocaleString()} Adena.`);
     }
 
-    function handleCombineItems() {
-        if (!activeCharacter) return;
+    async function handleCombineItems() {
+        if (!activeCharacter || !serverProps.SELL_ENABLED) return;
+        await reloadActiveCharacter();
     
         const combined = new Map();
         const nonStackableItems = activeCharacter.inventory.filter(item => item.stackable !== true);
@@ -393,7 +351,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
     
         activeCharacter.inventory = [...nonStackableItems, ...Array.from(combined.values())];
-        saveCharacterState();
+        await saveCharacterState();
         renderSellPanel();
         showSuccessModal('Items Combined', 'Your stackable items have been combined.');
     }
@@ -402,22 +360,45 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (!characterSelectDropdown) return;
 
         characterSelectDropdown.innerHTML = userCharacters.map(char =>
-            `<option value="${escapeHTML(char.name)}" ${char.name === activeCharacter?.name ? 'selected' : ''}>
-                ${escapeHTML(char.name)}
+            `<option value="${escapeHTML(char.id)}" ${char.id === activeCharacter?.id ? 'selected' : ''}>
+                ${escapeHTML(char.charname)}
             </option>`
         ).join('');
 
         characterSelectDropdown.addEventListener('change', (event) => {
-            const selectedCharName = event.target.value;
-            const newActiveCharacter = userCharacters.find(c => c.name === selectedCharName);
+            const newActiveCharacter = userCharacters.find(c => c.id === event.target.value);
             if (newActiveCharacter) {
                 activeCharacter = newActiveCharacter;
-                saveCharacterState();
+                localStorage.setItem(ACTIVE_CHARACTER_KEY, newActiveCharacter.id);
                 renderSellPanel();
             }
         });
     }
 
+    /**
+     * Enables or disables the buy and sell panels based on the current flags.
+     * Runs on load and again whenever BUY_ENABLED or SELL_ENABLED changes.
+     */
+    function applyTradeFlags() {
+        if (serverProps.BUY_ENABLED) {
+            if (marketSearchInput) marketSearchInput.disabled = false;
+            renderBuyPanel();
+        } else {
+            if (buyPanel) buyPanel.innerHTML = `<p class="text-center text-yellow-400 p-4">Buying items is temporarily unavailable.</p>`;
+            if (marketSearchInput) marketSearchInput.disabled = true;
+        }
+
+        if (serverProps.SELL_ENABLED) {
+            if (combineBtn) combineBtn.disabled = false;
+            if (characterSelectDropdown) characterSelectDropdown.disabled = false;
+            renderSellPanel();
+        } else {
+            if (sellPanel) sellPanel.innerHTML = `<p class="text-center text-yellow-400 p-4">Selling items is temporarily unavailable.</p>`;
+            if (combineBtn) combineBtn.disabled = true;
+            if (characterSelectDropdown) characterSelectDropdown.disabled = true;
+        }
+    }
+
     // ========================================================================
     //  INITIALIZATION & EVENT LISTENERS
     // ========================================================================
@@ -425,47 +406,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function initializeMarketplace() { // Renamed from DOMContentLoaded handler
         if (isMarketplaceInitialized) return;
         console.log('[Debug] Initializing Marketplace...');
-        // The rest of the initialization logic remains the same
-
-        const sessionData = initializeUserSession();
+        // The page header stays, so the panel doesn't need its own "Return to Main" button.
+        if (await guardFeaturePage('marketplace', marketplaceSection, { showReturnLink: false })) return;
+        if (await guardTwoFactorSession()) return;
+        if (await guardSession()) return;
+        if (await guardBans()) return;
+        if (await guardVerifiedEmail('Marketplace', marketplaceSection)) return;
+
+        const sessionData = await loadUserCharacters(backend);
         if (!sessionData) {
-            // The initializeUserSession function already shows a modal and redirects.
+            // loadUserCharacters() already shows a modal and redirects.
             return;
         }
         ({ activeCharacter, userCharacters } = sessionData);
         await loadMarketGoods();
         renderCharacterSelector();
 
-        // Conditionally render the buy panel
-        if (BUY_ENABLED) {
-            renderBuyPanel();
-            marketSearchInput?.addEventListener('input', debounce(renderBuyPanel, 300));
-        } else {
-            if (buyPanel) buyPanel.innerHTML = `<p class="text-center text-yellow-400 p-4">Buying items is temporarily unavailable.</p>`;
-            if (marketSearchInput) marketSearchInput.disabled = true;
-        }
-
-        // Conditionally render the sell panel
-        if (SELL_ENABLED) {
-            renderSellPanel();
-            combineBtn?.addEventListener('click', handleCombineItems);
-        } else {
-            if (sellPanel) sellPanel.innerHTML = `<p class="text-center text-yellow-400 p-4">Selling items is temporarily unavailable.</p>`;
-            if (combineBtn) combineBtn.disabled = true;
-            if (characterSelectDropdown) characterSelectDropdown.disabled = true;
-        }
+        applyTradeFlags();
+        marketSearchInput?.addEventListener('input', debounce(() => {
+            if (serverProps.BUY_ENABLED) renderBuyPanel();
+        }, 300));
+        combineBtn?.addEventListener('click', () => handleCombineItems().catch(error => {
+            console.error('[Marketplace] Combining items failed:', error);
+            showInfoModal('Error', `Could not combine items. ${escapeHTML(error.message)}`, { type: 'error' });
+        }));
 
         // Event Delegation for buy/sell buttons
         document.body.addEventListener('click', (event) => {
             // Only handle clicks if the respective feature is enabled
-            if (BUY_ENABLED && event.target.classList.contains('buy-btn')) {
+            if (serverProps.BUY_ENABLED && event.target.classList.contains('buy-btn')) {
                 handleBuyItem(event);
             }
-            if (SELL_ENABLED && event.target.classList.contains('sell-btn')) {
+            if (serverProps.SELL_ENABLED && event.target.classList.contains('sell-btn')) {
                 handleSellItem(event);
             }
         });
 
+        // Re-apply the panels as soon as buying or selling is switched on or off.
+        onPropertiesChange(changes => {
+            if ('BUY_ENABLED' in changes || 'SELL_ENABLED' in changes) applyTradeFlags();
+        });
+        startPropertiesWatcher();
+
         isMarketplaceInitialized = true;
         console.log('[Debug] Marketplace initialized.');
     }
@@ -174,6 +174,7 @@ let infoModal;
 let notificationModal;
 let confirmModal;
 let quantityModal;
+let codeModal;
 
 document.addEventListener('DOMContentLoaded', () => {
     // Instantiate each modal in its own try-catch block.
@@ -189,6 +190,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try { notificationModal = new Modal('notification-modal'); }
     catch (e) { console.warn('Could not initialize notification-modal:', e.message); }
+
+    try { codeModal = new Modal('code-modal'); }
+    catch (e) { console.warn('Could not initialize code-modal:', e.message); }
 });
 
 /**
@@ -373,4 +377,35 @@ window.showQuantityModal = function({ title, item, maxQuantity, onConfirm, onCan
     });
 
     onReady?.(quantityModal.modal);
+}
+
+/**
+ * Shows a modal that asks for a short code, e.g. a two-factor authentication code.
+ * @param {object} options
+ * @param {string} options.title - The title of the modal.
+ * @param {string} options.message - The message content (can be HTML).
+ * @param {string} [options.confirmText='Verify'] - Text for the confirm button.
+ * @param {Function} [options.onConfirm] - Callback function with the entered code.
+ * @param {Function} [options.onCancel] - Callback function when canceled.
+ */
+window.showCodeModal = function({ title, message, confirmText = 'Verify', onConfirm, onCancel }) {
+    if (!codeModal?.modal) {
+        const code = prompt(message.replace(/<[^>]*>?/gm, '')); // Basic fallback
+        code ? onConfirm?.(code.trim()) : onCancel?.();
+        return;
+    }
+
+    const inputEl = codeModal.modal.querySelector('#code-modal-input');
+    inputEl.value = '';
+    inputEl.onkeydown = (e) => { if (e.key === 'Enter') codeModal.confirmBtn.click(); };
+
+    codeModal.show({
+        title: title,
+        message: message,
+        confirmText: confirmText,
+        confirmClass: 'bg-blue-800/80',
+        onConfirm: () => onConfirm?.(inputEl.value.trim()),
+        onCancel: onCancel
+    });
+    setTimeout(() => inputEl.focus(), 50);
 }
\ No newline at end of file
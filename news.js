@@ -0,0 +1,112 @@
+// ========================================================================
+//  NEWS POSTS
+// ========================================================================
+
+/**
+ * The homepage news is the JSON array in NEWS_FILE_PATH (news.json). Each post
+ * has a `title`, a display `date`, a `summary` of trusted HTML and a plain
+ * `fullText`. The admin news tab adds an `id`, a draft or published `status`,
+ * a `publishAt` time, `pinned` and a `category`. Posts without them (like the
+ * hand-written ones) count as published.
+ *
+ * loadNews() in script.js shows the published posts whose publishAt has
+ * passed, pinned posts first, and the news tab's preview renders posts with
+ * the same markup.
+ */
+import { escapeHTML } from './html.js';
+
+export const NEWS_CATEGORIES = Object.freeze({
+    PATCH_NOTES: 'patch-notes',
+    EVENTS: 'events',
+    MAINTENANCE: 'maintenance'
+});
+
+export const NEWS_CATEGORY_LABELS = Object.freeze({
+    [NEWS_CATEGORIES.PATCH_NOTES]: 'Patch Notes',
+    [NEWS_CATEGORIES.EVENTS]: 'Events',
+    [NEWS_CATEGORIES.MAINTENANCE]: 'Maintenance'
+});
+
+export const NEWS_STATUSES = Object.freeze({
+    DRAFT: 'draft',
+    PUBLISHED: 'published'
+});
+
+/**
+ * @typedef {object} NewsPost
+ * @property {string} [id] A random ID, added by the news tab.
+ * @property {string} title The headline.
+ * @property {string} date The date shown on the post, e.g. "August 30, 2027".
+ * @property {string} summary Trusted HTML, always shown.
+ * @property {string} fullText Plain text shown by "Read More".
+ * @property {'draft'|'published'} [status] Drafts are never shown; defaults to published.
+ * @property {string|null} [publishAt] ISO time from which a published post is shown; null for straight away.
+ * @property {boolean} [pinned] Pinned posts are shown first.
+ * @property {string|null} [category] One of NEWS_CATEGORIES.
+ */
+
+/**
+ * Formats a time the way the news dates are written.
+ * @param {number|string|Date} time The time.
+ * @returns {string} E.g. "August 30, 2027".
+ */
+export function formatNewsDate(time) {
+    return new Date(time).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Checks whether a post should be on the homepage.
+ * @param {NewsPost} post The post.
+ * @param {number} [now] The current time.
+ * @returns {boolean} True if it is published and its publish time has passed.
+ */
+export function isNewsPostVisible(post, now = Date.now()) {
+    if ((post.status || NEWS_STATUSES.PUBLISHED) !== NEWS_STATUSES.PUBLISHED) return false;
+    return !post.publishAt || Date.parse(post.publishAt) <= now;
+}
+
+/**
+ * The time a post is sorted by: its publish time, or else its display date.
+ * @param {NewsPost} post The post.
+ * @returns {number} A ms timestamp, or 0 if neither can be read.
+ */
+function newsPostTime(post) {
+    return Date.parse(post.publishAt || post.date) || 0;
+}
+
+/**
+ * Picks the posts for the homepage: visible ones, pinned first, then newest first.
+ * @param {NewsPost[]} posts Every post in the file.
+ * @param {number} [now] The current time.
+ * @returns {NewsPost[]} The posts to show, in order.
+ */
+export function selectVisibleNews(posts, now = Date.now()) {
+    return posts
+        .filter(post => isNewsPostVisible(post, now))
+        .sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || newsPostTime(b) - newsPostTime(a));
+}
+
+/**
+ * Builds the inside of a post's <article class="news-item">.
+ * @param {NewsPost} post The post.
+ * @returns {string} The article's HTML.
+ */
+export function renderNewsArticle(post) {
+    const category = NEWS_CATEGORY_LABELS[post.category];
+    return `
+        <header class="flex justify-between items-baseline mb-2">
+            <h3 class="text-xl font-bold text-yellow-300">${post.pinned ? '<span title="Pinned">📌</span> ' : ''}${escapeHTML(post.title)}</h3>
+            <span class="text-sm text-gray-400">
+                ${category ? `<span class="text-purple-300 mr-2">${escapeHTML(category)}</span>` : ''}
+                <time>${escapeHTML(post.date)}</time>
+            </span>
+        </header>
+        <div class="news-content text-gray-300">
+            <p>
+                ${post.summary} <!-- Note: The summary is trusted HTML written by staff. For user-generated content, this should be escaped. -->
+                <span class="news-more-text">${escapeHTML(post.fullText)}</span>
+            </p>
+            <a href="#" class="news-toggle-link">Read More...</a>
+        </div>
+    `;
+}
@@ -0,0 +1,389 @@
+// ========================================================================
+//  QR CODE
+// ========================================================================
+
+/**
+ * A small QR code encoder for short texts such as otpauth:// links. It only
+ * supports byte mode at error correction level M and versions 1-10 (up to 213
+ * bytes), which is all the site needs, and renders the code as inline SVG so
+ * no image or third-party script has to be loaded.
+ *
+ * Follows ISO/IEC 18004; the structure mirrors Project Nayuki's reference
+ * implementation.
+ */
+
+const MAX_VERSION = 10;
+// Error correction codewords per block and number of blocks at level M, indexed by version.
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+
+// ========================================================================
+//  REED-SOLOMON
+// ========================================================================
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+ * @param {number} x A byte.
+ * @param {number} y A byte.
+ * @returns {number} The product.
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Builds the generator polynomial for a number of error correction codewords.
+ * @param {number} degree The number of error correction codewords.
+ * @returns {number[]} The coefficients, highest power first, without the leading 1.
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Computes the error correction codewords for a block of data.
+ * @param {number[]} data The data codewords.
+ * @param {number[]} divisor From reedSolomonDivisor().
+ * @returns {number[]} The error correction codewords.
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+    }
+    return result;
+}
+
+// ========================================================================
+//  CODEWORDS
+// ========================================================================
+
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version) {
+    return Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Encodes the text as a byte-mode segment padded to the version's capacity.
+ * @param {Uint8Array} bytes The UTF-8 text.
+ * @param {number} version The QR version.
+ * @returns {number[]} The data codewords.
+ */
+function buildDataCodewords(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4); // Byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length)); // Terminator
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Splits the data into blocks, adds error correction and interleaves the blocks.
+ * @param {number[]} data The data codewords.
+ * @param {number} version The QR version.
+ * @returns {number[]} All codewords in placement order.
+ */
+function addErrorCorrection(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+        if (i < numShortBlocks) blockData.push(0); // Placeholder, skipped below
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ========================================================================
+//  MODULE MATRIX
+// ========================================================================
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+            if (!overlapsFinder) this.drawAlignmentPattern(x, y);
+        }));
+
+        this.drawFormatBits(0); // Reserves the area; redrawn once the mask is chosen.
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < numAlign; position -= step) result.splice(1, 0, position);
+        return result;
+    }
+
+    drawFormatBits(mask) {
+        const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Scores how hard the symbol is to read; the mask with the lowest score is used.
+     * @returns {number} The penalty.
+     */
+    getPenaltyScore() {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        // Runs of five or more same-coloured modules in a row or column.
+        for (const line of lines) {
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+        }
+
+        // 2x2 blocks of one colour.
+        for (let y = 0; y < this.size - 1; y++) {
+            for (let x = 0; x < this.size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) penalty += 3;
+            }
+        }
+
+        // Patterns that look like a finder pattern (1:1:3:1:1 with four light modules on one side).
+        const finderLike = [true, false, true, true, true, false, true];
+        for (const line of lines) {
+            for (let i = 0; i + 7 <= line.length; i++) {
+                if (!finderLike.every((isDark, k) => line[i + k] === isDark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= line.length && [7, 8, 9, 10].every(k => !line[i + k]);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        }
+
+        // Imbalance between dark and light modules.
+        const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = this.size * this.size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+/**
+ * Encodes a text as a QR code.
+ * @param {string} text The text, e.g. an otpauth:// link.
+ * @returns {boolean[][]} The modules, row by row; true is dark.
+ * @throws {RangeError} If the text is too long for version 10.
+ */
+export function encodeQrCode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8) version++;
+    if (version > MAX_VERSION) throw new RangeError(`Text is too long for a QR code (${bytes.length} bytes).`);
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(buildDataCodewords(bytes, version), version));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+        const penalty = matrix.getPenaltyScore();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        matrix.applyMask(mask); // Undo; masking is its own inverse.
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+    return matrix.modules;
+}
+
+/**
+ * Renders a text as a QR code in an SVG element.
+ * @param {string} text The text to encode.
+ * @param {object} [options]
+ * @param {number} [options.size=200] The width and height in pixels.
+ * @param {number} [options.margin=4] The light border, in modules.
+ * @returns {string} The SVG markup.
+ */
+export function renderQrCodeSvg(text, { size = 200, margin = 4 } = {}) {
+    const modules = encodeQrCode(text);
+    const dimension = modules.length + margin * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img" aria-label="QR code">`
+        + `<rect width="100%" height="100%" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+}
@@ -1,13 +1,112 @@
-import { auth, db } from './firebase-config.js';
-import { createUserWithEmailAndPassword } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-auth.js";
-import { doc, setDoc, getDoc } from "https://www.gstatic.com/firebasejs/10.5.2/firebase-firestore.js";
+import { getBackend } from './auth-backend.js';
+import { validateGameLogin } from './game-login.js';
+import { isGameAccountSyncEnabled, checkGameLoginAvailability, provisionGameAccount } from './game-accounts.js';
+import { getActiveIpBan, describeBanExpiry } from './bans.js';
 
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Creates a debounced function that delays invoking func until after wait milliseconds have elapsed.
+ * @param {Function} func The function to debounce.
+ * @param {number} wait The number of milliseconds to delay.
+ * @returns {Function} The new debounced function.
+ */
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => { clearTimeout(timeout); func(...args); };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Shows the game account fields and keeps the login status and the
+ * create/link options up to date while the user types.
+ * @param {HTMLFormElement} form The registration form.
+ */
+function setupGameAccountFields(form) {
+    const fields = document.getElementById('game-account-fields');
+    const loginInput = form.elements['game_login'];
+    const passwordGroup = document.getElementById('game-password-group');
+    const passwordInput = form.elements['game_password'];
+    const modeHint = document.getElementById('game-mode-hint');
+    const status = document.getElementById('game-login-status');
+
+    fields.disabled = false;
+    fields.classList.remove('hidden');
+
+    const isLinking = () => form.elements['game_mode'].value === 'link';
+
+    const updateStatus = debounce(async () => {
+        const login = loginInput.value.trim();
+        if (login === '') {
+            status.textContent = '';
+            return;
+        }
+        const nameError = validateGameLogin(login);
+        if (nameError) {
+            status.innerHTML = `<span class="text-red-500">❌ ${nameError}</span>`;
+            return;
+        }
+        try {
+            const { available, linked } = await checkGameLoginAvailability(login);
+            if (isLinking()) {
+                status.innerHTML = available || linked
+                    ? `<span class="text-red-500">❌ ${available ? 'No game account with this login exists.' : 'This login is already linked to a website account.'}</span>`
+                    : `<span class="text-green-400">✅ Game account found.</span>`;
+            } else {
+                status.innerHTML = available
+                    ? `<span class="text-green-400">✅ Login is available!</span>`
+                    : `<span class="text-red-500">❌ Login is already taken.</span>`;
+            }
+        } catch (error) {
+            status.innerHTML = `<span class="text-yellow-400">⚠️ ${error.message}</span>`;
+        }
+    }, 500);
+
+    loginInput.addEventListener('input', updateStatus);
+    form.querySelectorAll('input[name="game_mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            passwordGroup.classList.toggle('hidden', !isLinking());
+            passwordInput.required = isLinking();
+            modeHint.textContent = isLinking()
+                ? 'Enter the password of your existing game account to link it to this website account.'
+                : 'Your game account will use the same password as your website account.';
+            updateStatus();
+        });
+    });
+}
+
+/**
+ * Checks the game account fields before the website account is created, so a
+ * taken or invalid login doesn't leave a website account without a game account.
+ * @param {HTMLFormElement} form The registration form.
+ * @returns {Promise<string|null>} A description of the problem, or null if the fields are fine.
+ */
+async function checkGameAccountFields(form) {
+    const login = form.elements['game_login'].value.trim();
+    const nameError = validateGameLogin(login);
+    if (nameError) return nameError;
+
+    const { available, linked } = await checkGameLoginAvailability(login);
+    if (form.elements['game_mode'].value === 'link') {
+        if (available) return 'No game account with this login exists.';
+        if (linked) return 'This game login is already linked to another website account.';
+    } else if (!available) {
+        return 'This game login is already taken.';
+    }
+    return null;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
     const registrationForm = document.getElementById('registration-form');
     const errorMessageDiv = document.getElementById('error-message');
     if (!registrationForm) return;
 
-    registrationForm.addEventListener('submit', (e) => {
+    // One registration can also create or link the player's game account.
+    const gameSyncEnabled = await isGameAccountSyncEnabled();
+    if (gameSyncEnabled) setupGameAccountFields(registrationForm);
+
+    registrationForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         errorMessageDiv.textContent = ''; // Clear previous errors
 
@@ -17,26 +116,40 @@ document.addEventListener('DOMContentLoaded', () => {
         const email = emailInput.value;
         const password = passwordInput.value;
 
-        createUserWithEmailAndPassword(auth, email, password).then((userCredential) => {
-            const user = userCredential.user;
-            // Ensure we have a valid user object before writing to Firestore.
-            if (!user || !user.uid) {
-                throw new Error("User creation failed, cannot save user data.");
+        // A banned network can't make new accounts either. If the bans can't be read, registration waits.
+        let ipBan;
+        try {
+            ipBan = await getActiveIpBan();
+        } catch (error) {
+            console.error("Could not check for an IP ban:", error);
+            errorMessageDiv.textContent = 'Error: Could not check whether your network is banned. Please try again later.';
+            return;
+        }
+        if (ipBan) {
+            errorMessageDiv.textContent = `Error: Registration from your network is banned ${describeBanExpiry(ipBan)}. Reason: ${ipBan.reason}`;
+            return;
+        }
+
+        if (gameSyncEnabled) {
+            try {
+                const gameError = await checkGameAccountFields(registrationForm);
+                if (gameError) {
+                    errorMessageDiv.textContent = `Error: ${gameError}`;
+                    return;
+                }
+            } catch (error) {
+                console.error("Error checking game login:", error);
+                errorMessageDiv.textContent = `Error: ${error.message}`;
+                return;
             }
+        }
 
+        let backend;
+        try {
+            backend = await getBackend();
+            const user = await backend.register(email, password);
             console.log("Registered user:", user.uid, user.email);
-
-            // Create a document in the 'users' collection to store user-specific data if needed in the future.
-            const userDocRef = doc(db, "users", user.uid);
-            return setDoc(userDocRef, {
-                email: user.email,
-                createdAt: new Date()
-            }).then(() => user);
-        }).then((user) => {
-            // Success! Redirect to login page with a success message.
-            console.log(`Successfully created account for ${user.email}`);
-            window.location.href = '/login?reg=success';
-        }).catch((error) => {
+        } catch (error) {
             console.error("Error creating account:", error);
             let friendlyMessage = error.message;
             if (error.code === 'auth/email-already-in-use') {
@@ -45,6 +158,29 @@ document.addEventListener('DOMContentLoaded', () => {
                 friendlyMessage = 'Password should be at least 6 characters.';
             }
             errorMessageDiv.textContent = `Error: ${friendlyMessage}`;
-        });
+            return;
+        }
+
+        // New accounts start unverified; character creation and the marketplace stay locked until the link is followed.
+        // If sending fails the account still exists, and the dashboard offers to resend the email.
+        await backend.sendEmailVerification().catch(error => console.error("Could not send verification email:", error));
+
+        // The website account exists now, so a failure here is reported on the login page
+        // and can be retried from the dashboard instead of blocking the registration.
+        let gameResult = '';
+        if (gameSyncEnabled) {
+            const linking = registrationForm.elements['game_mode'].value === 'link';
+            const gamePassword = linking ? registrationForm.elements['game_password'].value : password;
+            try {
+                await provisionGameAccount(registrationForm.elements['game_login'].value, gamePassword, linking ? 'link' : 'create');
+            } catch (error) {
+                console.error("Error setting up game account:", error);
+                gameResult = '&game=failed';
+            }
+        }
+
+        // Success! Redirect to login page with a success message.
+        console.log(`Successfully created account for ${email}`);
+        window.location.href = `/login?reg=success${gameResult}`;
     });
 });
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { getBackend, waitForAuthUser, BackendError } from './auth-backend.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+
+// ========================================================================
+//  USER ROLES
+// ========================================================================
+
+/**
+ * Every account has a role, stored as `role` on its `users/{uid}` profile.
+ * Accounts without one are treated as players. Only admins can change roles,
+ * through the backend's setUserRole(); the backend rejects everyone else.
+ */
+export const ROLES = Object.freeze({
+    PLAYER: 'player',
+    GM: 'gm',
+    ADMIN: 'admin'
+});
+
+/**
+ * Looks up an account's role.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<string>} One of ROLES.
+ */
+export async function getUserRole(uid) {
+    const backend = await getBackend();
+    const profile = await backend.getUserProfile(uid);
+    const role = profile ? profile.role : null;
+    return Object.values(ROLES).includes(role) ? role : ROLES.PLAYER;
+}
+
+/**
+ * Looks up the role of the signed-in user.
+ * @returns {Promise<string|null>} One of ROLES, or null if nobody is signed in.
+ */
+export async function getCurrentUserRole() {
+    const user = await waitForAuthUser();
+    return user ? getUserRole(user.uid) : null;
+}
+
+// ========================================================================
+//  PERMISSIONS
+// ========================================================================
+
+/**
+ * The things staff can do on the admin pages. Each admin page and action checks
+ * one of these through guardStaffPage() or requirePermission().
+ */
+export const PERMISSIONS = Object.freeze({
+    VIEW_ADMIN: 'viewAdmin',
+    BAN_ACCOUNTS: 'banAccounts',
+    UNLOCK_LOGINS: 'unlockLogins',
+    EDIT_CONFIG: 'editConfig',
+    MANAGE_ROLES: 'manageRoles',
+    REVIEW_APPEALS: 'reviewAppeals',
+    VIEW_AUDIT_LOG: 'viewAuditLog',
+    EDIT_CHARACTERS: 'editCharacters',
+    EDIT_NEWS: 'editNews',
+    VIEW_STATS: 'viewStats',
+    SEND_GIFTS: 'sendGifts',
+    MANAGE_SNAPSHOTS: 'manageSnapshots'
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+    [ROLES.PLAYER]: [],
+    [ROLES.GM]: [PERMISSIONS.VIEW_ADMIN, PERMISSIONS.BAN_ACCOUNTS, PERMISSIONS.UNLOCK_LOGINS, PERMISSIONS.EDIT_CHARACTERS],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS)
+});
+
+/**
+ * Checks whether a role grants a permission.
+ * @param {string|null} role One of ROLES, or null for nobody signed in.
+ * @param {string} permission One of PERMISSIONS.
+ * @returns {boolean} True if it does.
+ */
+export function hasPermission(role, permission) {
+    return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Makes sure the signed-in user may do something, before an admin action runs.
+ * @param {string} permission One of PERMISSIONS.
+ * @returns {Promise<string>} The user's role.
+ * @throws {BackendError} "permission-denied" if they may not.
+ */
+export async function requirePermission(permission) {
+    const role = await getCurrentUserRole();
+    if (!hasPermission(role, permission)) {
+        console.warn(`[Auth] Refused "${permission}" for role ${role || '(signed out)'}.`);
+        throw new BackendError('permission-denied', 'You do not have permission to do this.');
+    }
+    return role;
+}
+
+/**
+ * Shows "Access Denied" in place of a staff page unless the signed-in user has the permission.
+ * @param {HTMLElement} container The page's main element, replaced when access is refused.
+ * @param {string} [permission] One of PERMISSIONS; defaults to VIEW_ADMIN.
+ * @returns {Promise<boolean>} True if access was refused; the caller should stop.
+ */
+export async function guardStaffPage(container, permission = PERMISSIONS.VIEW_ADMIN) {
+    let role = null;
+    try {
+        role = await getCurrentUserRole();
+    } catch (error) {
+        console.error('[Auth] Could not check the signed-in role:', error);
+    }
+    if (hasPermission(role, permission)) return false;
+
+    container.innerHTML = `
+        <div class="text-center py-20">
+            <h1 class="text-4xl font-bold text-red-500">Access Denied</h1>
+            <p class="text-gray-400 mt-4">${role ? 'You do not have permission to view this page.' : 'Please log in with a staff account to view this page.'}</p>
+            <a href="${role ? 'index.html' : '/login'}" class="mt-8 inline-block action-btn btn-blue">${role ? 'Return to Main Page' : 'Log In'}</a>
+        </div>
+    `;
+    return true;
+}
+
+/**
+ * Changes another account's role. Only admins may.
+ * @param {string} uid The user's ID.
+ * @param {string} role One of ROLES.
+ * @returns {Promise<void>}
+ */
+export async function setUserRole(uid, role) {
+    if (!Object.values(ROLES).includes(role)) throw new BackendError('invalid-argument', `Unknown role "${role}".`);
+    await requirePermission(PERMISSIONS.MANAGE_ROLES);
+    const backend = await getBackend();
+    const profile = await backend.getUserProfile(uid) || {};
+    const previousRole = Object.values(ROLES).includes(profile.role) ? profile.role : ROLES.PLAYER;
+    await backend.setUserRole(uid, role);
+    console.log(`[Auth] Set the role of ${uid} to ${role}.`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.ROLE_CHANGED,
+        targetType: 'account',
+        targetId: uid,
+        targetLabel: profile.email || uid,
+        before: { role: previousRole },
+        after: { role },
+        summary: `Changed the role of ${profile.email || uid} from ${previousRole} to ${role}.`
+    });
+}
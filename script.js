@@ -1,4 +1,7 @@
-import { auth } from './firebase-config.js';
+import { getBackend } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+import { startPropertiesWatcher, onPropertiesChange } from './server-properties-watcher.js';
+import { selectVisibleNews, renderNewsArticle } from './news.js';
 
 /**
  * Toggles the visibility of different sections on the page.
@@ -67,92 +70,6 @@ function toggleForm(id) {
 // ========================================================================
 //  DOM CONTENT LOADED - All the code inside this function runs after the page has finished loading.
 // ========================================================================
-
-/**
- * Fetches and parses the server.properties file.
- * @returns {Promise<object>} A promise that resolves to an object with the server properties.
- */
-async function loadServerProperties() {
-    console.log('[Debug] Loading server.properties...');
-    // Default values in case the file is missing or fails to load
-    const defaultProps = {
-        DOWNLOAD_ENABLED: true, DISCORD_ENABLED: true, NEWS_ENABLED: true,
-        COUNTDOWN_ENABLED: true, GALLERY_ENABLED: true, LORE_ENABLED: true,
-        DROPLIST_ENABLED: true, MARKETPLACE_ENABLED: true, SERVER_STATUS_ENABLED: true,
-        VIDEO_BACKGROUND_ENABLED: true,
-        RIGHT_CLICK_PROTECTION_ENABLED: true,
-        REMEMBER_ME_DURATION_DAYS: 30,
-        DOWNLOAD_AVAILABLE_DATE: '2027-08-10T00:00:00',
-        SERVER_STATUS_INTERVAL_SECONDS: 30,
-        MAX_CHARACTER_SLOTS: 6,
-        NEWS_FILE_PATH: 'news.json',
-        SERVER_STATUS_API_URL: '/api/server-status',
-        STARTER_INVENTORY_JSON: '[{"name":"Adena","quantity":5000,"stackable":true,"price":1},{"name":"Red Potion","quantity":30,"stackable":true,"price":30},{"name":"Haste Potion","quantity":5,"stackable":true,"price":180},{"name":"Trainee\'s T-shirt","quantity":1,"stackable":false,"droppable":false,"price":100}]',
-        SITE_TITLE: 'Lineage',
-        LOGO_IMAGE_PATH: 'images/logo-lineage.png',
-        FOOTER_TEXT: '&copy; 2025 Lineage 1 Server. All rights reserved.',
-        SOCIAL_FACEBOOK_URL: '',
-        SOCIAL_YOUTUBE_URL: '',
-        MAIN_BACKGROUND_VIDEO_PATH: 'media/lineage2.mp4',
-        FAVICON_PATH: 'icon/cs.ico',
-        SITE_FONT_URL: 'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700&display=swap',
-        SITE_FONT_FAMILY: "'Cinzel', serif"
-    };
-    try {
-        // Add a cache-busting query parameter to ensure the latest version is fetched.
-        const response = await fetch(`server.properties?v=${Date.now()}`);
-        if (!response.ok) {
-            console.warn('server.properties not found. Using default feature settings.');
-            return defaultProps;
-        }
-        const text = await response.text();
-        const properties = {};
-        const numericKeys = ['REMEMBER_ME_DURATION_DAYS', 'SERVER_STATUS_INTERVAL_SECONDS', 'MAX_CHARACTER_SLOTS', 'DROPLIST_ITEMS_PER_PAGE', 'RING3_LEVEL_REQUIREMENT', 'RING4_LEVEL_REQUIREMENT', 'STACKABLE_PRICE_MIN', 'STACKABLE_PRICE_MAX', 'NONSTACKABLE_PRICE_MIN', 'NONSTACKABLE_PRICE_MAX'];
-
-        text.split('\n').forEach(line => {
-            line = line.trim();
-            if (line && !line.startsWith('#')) {
-                const separatorIndex = line.indexOf('=');
-                if (separatorIndex === -1) return;
-
-                const key = line.substring(0, separatorIndex).trim();
-                let value = line.substring(separatorIndex + 1).trim();
-
-                if (key) {
-                    // 1. Handle Booleans
-                    if (value.toLowerCase() === 'true') {
-                        properties[key] = true;
-                    } else if (value.toLowerCase() === 'false') {
-                        properties[key] = false;
-                    // 2. Handle JSON strings
-                    } else if (key.endsWith('_JSON')) {
-                        try {
-                            properties[key] = JSON.parse(value);
-                        } catch (e) {
-                            console.error(`Error parsing JSON for key ${key}:`, e);
-                            properties[key] = defaultProps[key] ? JSON.parse(defaultProps[key]) : null; // Fallback
-                        }
-                    // 3. Handle specific numeric keys
-                    } else if (numericKeys.includes(key) && !isNaN(Number(value))) {
-                        properties[key] = Number(value);
-                    // 4. Handle all other cases as strings
-                    } else {
-                        properties[key] = value;
-                    }
-                }
-            }
-        });
-        console.log('[Debug] server.properties loaded successfully.');
-        return { ...defaultProps, ...properties };
-    } catch (error) {
-        console.error('Failed to load server.properties:', error);
-        return defaultProps;
-    }
-}
-
-// Expose the function to the global window object so other scripts can call it.
-window.loadServerProperties = loadServerProperties;
-
 document.addEventListener('DOMContentLoaded', async () => {
 
   // ========================================================================
@@ -161,7 +78,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.serverProperties = await loadServerProperties(); // Store globally for toggleForm
   //  SESSION-BASED UI UPDATES
   // ========================================================================
-  auth.onAuthStateChanged(user => {
+  const backend = await getBackend();
+  backend.onAuthStateChanged(user => {
     const loginButton = document.getElementById('login-button');
     const registerButton = document.getElementById('register-button');
     const logoutButton = document.getElementById('logout-button');
@@ -220,12 +138,50 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (!window.serverProperties.SERVER_STATUS_ENABLED) {
     serverStatusIndicator?.classList.add('hidden');
   }
+  let isNewsLoaded = false;
   if (!window.serverProperties.NEWS_ENABLED) {
     newsSection?.classList.add('hidden');
   } else {
     // Load news, and if countdown is also enabled, pass the flag to it.
     loadNews(window.serverProperties.COUNTDOWN_ENABLED);
-  }
+    isNewsLoaded = true;
+  }
+
+  // --- Live Config Changes ---
+  // Flags flipped in server.properties are applied to the open page without a reload.
+  const liveToggleElements = {
+    DOWNLOAD_ENABLED: downloadButton,
+    DISCORD_ENABLED: discordButton,
+    DROPLIST_ENABLED: droplistButton,
+    MARKETPLACE_ENABLED: marketplaceButton,
+    SERVER_STATUS_ENABLED: serverStatusIndicator,
+    COUNTDOWN_ENABLED: countdownSection,
+    NEWS_ENABLED: newsSection,
+    GALLERY_ENABLED: gallerySection,
+    LORE_ENABLED: loreSection
+  };
+  // These sections are also hidden while the download/discord forms are open.
+  const mainContentKeys = ['NEWS_ENABLED', 'GALLERY_ENABLED', 'LORE_ENABLED'];
+
+  onPropertiesChange(changes => {
+    const isFormOpen = ['download', 'discord'].some(id => !document.getElementById(id)?.classList.contains('hidden'));
+
+    for (const [key, { value }] of Object.entries(changes)) {
+      const element = liveToggleElements[key];
+      if (!element) continue;
+      if (value && mainContentKeys.includes(key) && isFormOpen) continue; // toggleForm re-shows it on close
+      element.classList.toggle('hidden', !value);
+    }
+
+    if (changes.NEWS_ENABLED?.value && !isNewsLoaded) {
+      loadNews(window.serverProperties.COUNTDOWN_ENABLED);
+      isNewsLoaded = true;
+    }
+    if ('SERVER_STATUS_ENABLED' in changes || 'SERVER_STATUS_INTERVAL_SECONDS' in changes) {
+      startServerStatusChecks();
+    }
+  });
+  startPropertiesWatcher();
 
   // --- Start Countdown Timer (if enabled) ---
   // This is moved out of loadNews to be independent.
@@ -288,11 +244,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   // Conditionally start the server status check
-  if (window.serverProperties.SERVER_STATUS_ENABLED) {
-    const intervalSeconds = window.serverProperties.SERVER_STATUS_INTERVAL_SECONDS || 30;
-    checkServerStatus();
-    setInterval(checkServerStatus, intervalSeconds * 1000);
-  }
+  startServerStatusChecks();
 
   // --- Clear form fields on page load/refresh ---
   // This prevents browsers from auto-filling fields after a refresh.
@@ -422,7 +374,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     try {
       const response = await fetch(window.serverProperties.NEWS_FILE_PATH || 'news.json');
-      const newsItems = await response.json();
+      // Drafts and posts scheduled for later stay hidden; pinned posts come first.
+      const newsItems = selectVisibleNews(await response.json());
 
       newsContainer.innerHTML = ''; // Clear the "Loading..." message
 
@@ -431,20 +384,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         article.className = 'news-item';
         // Assign a custom property for the CSS animation-delay
         article.style.setProperty('--item-index', index);
-
-        article.innerHTML = `
-          <header class="flex justify-between items-baseline mb-2">
-            <h3 class="text-xl font-bold text-yellow-300">${escapeHTML(item.title)}</h3>
-            <time class="text-sm text-gray-400">${escapeHTML(item.date)}</time>
-          </header>
-          <div class="news-content text-gray-300">
-            <p>
-              ${item.summary} <!-- Note: The summary in news.json is trusted and contains a link. For user-generated content, this should be escaped. -->
-              <span class="news-more-text">${escapeHTML(item.fullText)}</span>
-            </p>
-            <a href="#" class="news-toggle-link">Read More...</a>
-          </div>
-        `;
+        article.innerHTML = renderNewsArticle(item);
         newsContainer.appendChild(article);
       });
 
@@ -498,12 +438,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     formElement.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
   }
 
-  function escapeHTML(str) {
-    const p = document.createElement('p');
-    p.appendChild(document.createTextNode(str));
-    return p.innerHTML;
-  }
-
   /**
    * Creates a debounced function that delays invoking func until after wait milliseconds have elapsed.
    * @param {Function} func The function to debounce.
@@ -873,6 +807,22 @@ function updateStatusUI(status) {
   }
 }
 
+let serverStatusTimer = null;
+
+/**
+ * Starts (or restarts) the periodic server status check if it is enabled.
+ * Called again whenever the related server properties change.
+ */
+function startServerStatusChecks() {
+  clearInterval(serverStatusTimer);
+  serverStatusTimer = null;
+  if (!window.serverProperties.SERVER_STATUS_ENABLED) return;
+
+  const intervalSeconds = window.serverProperties.SERVER_STATUS_INTERVAL_SECONDS || 30;
+  checkServerStatus();
+  serverStatusTimer = setInterval(checkServerStatus, intervalSeconds * 1000);
+}
+
 /**
  * Fetches the server status from the backend API.
  */
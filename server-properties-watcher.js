@@ -0,0 +1,151 @@
+// ========================================================================
+//  SERVER PROPERTIES HOT-RELOAD
+// ========================================================================
+
+/**
+ * Re-polls `server.properties` while a page is open and tells the page which
+ * keys changed, so flags like BUY_ENABLED or MAINTENANCE_MODE take effect
+ * without a reload. Changes found by one tab are shared with every other open
+ * tab of the site over a BroadcastChannel.
+ *
+ * The shared properties object from `loadServerProperties()` is updated in
+ * place, so code reading `window.serverProperties` always sees current values.
+ */
+import { fetchServerProperties, loadServerProperties, reportPropertyIssues } from './server-properties.js';
+
+export const PROPERTIES_CHANNEL_NAME = 'lineage-server-properties';
+
+/**
+ * @typedef {Object<string, {previous: *, value: *}>} PropertyChanges
+ */
+
+const listeners = new Set();
+let watchedProperties = null;
+let startPromise = null;
+let channel = null;
+let timerId = null;
+let lastIssuesSignature = '';
+
+/**
+ * Compares two property values, including lists and JSON values.
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {boolean} True if both values are equal.
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Works out which keys differ between two properties objects.
+ * @param {object} previous The properties currently in use.
+ * @param {object} next The freshly loaded properties.
+ * @returns {PropertyChanges} The changed keys with their old and new values.
+ */
+export function diffProperties(previous, next) {
+    const changes = {};
+    for (const key of Object.keys(next)) {
+        if (!isSameValue(previous[key], next[key])) {
+            changes[key] = { previous: previous[key], value: next[key] };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Applies changes to the shared properties object and notifies listeners.
+ * Keys that already hold the new value (e.g. a change this tab found itself) are skipped.
+ * @param {PropertyChanges} changes The changes to apply.
+ * @param {string} source Where the changes came from, for logging.
+ * @returns {PropertyChanges} The changes that were actually applied.
+ */
+function applyChanges(changes, source) {
+    const applied = {};
+    for (const [key, { value }] of Object.entries(changes)) {
+        if (isSameValue(watchedProperties[key], value)) continue;
+        applied[key] = { previous: watchedProperties[key], value };
+        watchedProperties[key] = value;
+    }
+
+    const changedKeys = Object.keys(applied);
+    if (changedKeys.length === 0) return applied;
+
+    console.log(`[Config] ${changedKeys.join(', ')} changed (${source}).`);
+    listeners.forEach(listener => {
+        try {
+            listener(applied, watchedProperties);
+        } catch (error) {
+            console.error('[Config] A property change listener failed:', error);
+        }
+    });
+
+    if ('CONFIG_RELOAD_INTERVAL_SECONDS' in applied) scheduleNextPoll();
+    return applied;
+}
+
+/**
+ * Fetches the file once and applies any changes. Hidden tabs skip the request
+ * and rely on visible tabs (or the next visibility change) instead.
+ */
+async function poll() {
+    if (document.hidden) return;
+
+    const { properties, issues } = await fetchServerProperties({ quiet: true, report: false });
+
+    // Only report problems when they change, not on every poll.
+    const issuesSignature = JSON.stringify(issues);
+    if (issuesSignature !== lastIssuesSignature) {
+        reportPropertyIssues(issues);
+        lastIssuesSignature = issuesSignature;
+    }
+
+    const applied = applyChanges(diffProperties(watchedProperties, properties), 'server.properties');
+    if (channel && Object.keys(applied).length > 0) {
+        channel.postMessage({ type: 'changes', changes: applied });
+    }
+}
+
+/** (Re)starts the polling timer using the current CONFIG_RELOAD_INTERVAL_SECONDS. */
+function scheduleNextPoll() {
+    clearInterval(timerId);
+    const intervalSeconds = watchedProperties.CONFIG_RELOAD_INTERVAL_SECONDS || 30;
+    timerId = setInterval(poll, intervalSeconds * 1000);
+}
+
+/**
+ * Starts watching `server.properties` for changes. Safe to call from several
+ * scripts on the same page; the watcher only starts once.
+ * @returns {Promise<object>} The shared properties object being kept up to date.
+ */
+export function startPropertiesWatcher() {
+    if (!startPromise) {
+        startPromise = (async () => {
+            watchedProperties = await loadServerProperties();
+
+            if ('BroadcastChannel' in window) {
+                channel = new BroadcastChannel(PROPERTIES_CHANNEL_NAME);
+                channel.addEventListener('message', ({ data }) => {
+                    if (data?.type === 'changes') applyChanges(data.changes, 'another tab');
+                });
+            }
+
+            // A tab coming back into view may have missed changes while it was hidden.
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) poll();
+            });
+
+            scheduleNextPoll();
+            console.log('[Config] Watching server.properties for changes.');
+            return watchedProperties;
+        })();
+    }
+    return startPromise;
+}
+
+/**
+ * Registers a callback for property changes.
+ * @param {function(PropertyChanges, object): void} listener Called with the changed keys and the full properties object.
+ * @returns {Function} A function that removes the listener again.
+ */
+export function onPropertiesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,556 @@
+// ========================================================================
+//  SERVER PROPERTIES (SHARED CONFIG MODULE)
+// ========================================================================
+
+/**
+ * Every page reads its feature flags and settings from `server.properties`
+ * (plus an optional `server.<profile>.properties` overlay) through this
+ * module. Each key is declared once in PROPERTY_SCHEMA with its type, default
+ * value, allowed range and a short description, so all pages see the same
+ * typed values and invalid lines are reported instead of being silently
+ * coerced (or ignored) differently by each script.
+ */
+
+/**
+ * @typedef {'boolean' | 'number' | 'string' | 'date' | 'list' | 'json'} PropertyType
+ */
+
+/**
+ * @typedef {object} PropertyDefinition
+ * @property {PropertyType} type How the raw text value is converted.
+ * @property {*} default The value used when the key is missing or invalid.
+ * @property {string} description A short, human-readable description of the key.
+ * @property {number} [min] The smallest allowed value (numbers only).
+ * @property {number} [max] The largest allowed value (numbers only).
+ * @property {boolean} [optional] If true, an empty value is allowed (dates only).
+ * @property {string[]} [allowed] The only values a string, or entries a list, may contain (strings and lists only).
+ * @property {Function} [validate] Extra check for parsed JSON; returns an error message or null.
+ */
+
+/**
+ * @typedef {object} PropertyIssue
+ * @property {'error' | 'warning'} severity Errors are mistakes in the file (an invalid value falls back to its
+ *   default, an unknown key is ignored); warnings are informational.
+ * @property {string|null} file The file the issue was found in, if any.
+ * @property {string|null} key The property key the issue refers to, if any.
+ * @property {number|null} line The 1-based line number in the file, if known.
+ * @property {string} message A description of the problem.
+ */
+
+/**
+ * Validates the starter inventory given to new characters.
+ * @param {*} value The parsed JSON value.
+ * @returns {string|null} An error message, or null if the value is valid.
+ */
+function validateStarterInventory(value) {
+    if (!Array.isArray(value)) return 'must be a JSON array of items';
+    for (let i = 0; i < value.length; i++) {
+        const item = value[i];
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return `item ${i} must be an object`;
+        if (typeof item.name !== 'string' || !item.name.trim()) return `item ${i} is missing a "name"`;
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) return `item ${i} ("${item.name}") must have a positive integer "quantity"`;
+    }
+    return null;
+}
+
+/**
+ * The complete list of keys understood by the site.
+ * @type {Object<string, PropertyDefinition>}
+ */
+export const PROPERTY_SCHEMA = Object.freeze({
+    // --- Marketplace ---
+    BUY_ENABLED: { type: 'boolean', default: false, description: 'Allow buying items in the marketplace.' },
+    SELL_ENABLED: { type: 'boolean', default: false, description: 'Allow selling items in the marketplace.' },
+
+    // --- Feature toggles ---
+    DOWNLOAD_ENABLED: { type: 'boolean', default: true, description: 'Show the client download button.' },
+    DISCORD_ENABLED: { type: 'boolean', default: true, description: 'Show the Discord button.' },
+    NEWS_ENABLED: { type: 'boolean', default: true, description: 'Show the news section on the homepage.' },
+    COUNTDOWN_ENABLED: { type: 'boolean', default: true, description: 'Show the launch countdown on the homepage.' },
+    GALLERY_ENABLED: { type: 'boolean', default: true, description: 'Show the image gallery on the homepage.' },
+    LORE_ENABLED: { type: 'boolean', default: true, description: 'Show the lore section on the homepage.' },
+    DROPLIST_ENABLED: { type: 'boolean', default: true, description: 'Show the droplist button.' },
+    MARKETPLACE_ENABLED: { type: 'boolean', default: true, description: 'Show the marketplace button.' },
+    SERVER_STATUS_ENABLED: { type: 'boolean', default: true, description: 'Show the server status indicator.' },
+
+    // --- File paths ---
+    NEWS_FILE_PATH: { type: 'string', default: 'news.json', description: 'Path to the news JSON file.' },
+    MOB_NAMES_FILE_PATH: { type: 'string', default: 'droplist_txt/mob.txt', description: 'Path to the monster names list.' },
+    ITEM_NAMES_FILE_PATH: { type: 'string', default: 'droplist_txt/itemname.txt', description: 'Path to the item names list.' },
+    MOB_LEVELS_FILE_PATH: { type: 'string', default: 'droplist_txt/moblevel.txt', description: 'Path to the monster levels list.' },
+
+    // --- API endpoints ---
+    SERVER_STATUS_API_URL: { type: 'string', default: '/api/server-status', description: 'Endpoint returning {"status": "online" | "offline"}.' },
+    IP_API_URL: { type: 'string', default: '', description: 'Same-origin endpoint returning the client IP address as plain text, e.g. /api/client-ip. Used for MAINTENANCE_WHITELIST_IP, to count failed logins per client and for IP bans. Leave blank to disable all three.' },
+
+    // --- Site appearance ---
+    SITE_TITLE: { type: 'string', default: 'Lineage', description: 'The browser tab title.' },
+    LOGO_IMAGE_PATH: { type: 'string', default: 'images/logo-lineage.png', description: 'Path to the homepage logo.' },
+    FAVICON_PATH: { type: 'string', default: 'icon/cs.ico', description: 'Path to the favicon.' },
+    FOOTER_TEXT: { type: 'string', default: '&copy; 2025 Lineage 1 Server. All rights reserved.', description: 'Footer text (HTML allowed).' },
+    SOCIAL_FACEBOOK_URL: { type: 'string', default: '', description: 'Facebook page URL. Leave blank to hide the icon.' },
+    SOCIAL_YOUTUBE_URL: { type: 'string', default: '', description: 'YouTube channel URL. Leave blank to hide the icon.' },
+    DASHBOARD_BACKGROUND_IMAGE_PATH: { type: 'string', default: 'images/bg1.png', description: 'Path to the dashboard background image.' },
+    MAIN_BACKGROUND_VIDEO_PATH: { type: 'string', default: 'media/lineage2.mp4', description: 'Path to the looping homepage background video.' },
+    SITE_FONT_URL: { type: 'string', default: 'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700&display=swap', description: 'Stylesheet URL for the site font.' },
+    SITE_FONT_FAMILY: { type: 'string', default: "'Cinzel', serif", description: 'CSS font-family for the site.' },
+
+    // --- General ---
+    VIDEO_BACKGROUND_ENABLED: { type: 'boolean', default: true, description: 'Play the animated video background.' },
+    RIGHT_CLICK_PROTECTION_ENABLED: { type: 'boolean', default: true, description: 'Block the context menu outside of form fields.' },
+    REMEMBER_ME_DURATION_DAYS: { type: 'number', default: 30, min: 1, max: 365, description: 'How many days a "Remember Me" login lasts.' },
+    DOWNLOAD_AVAILABLE_DATE: { type: 'date', default: '2027-08-10T00:00:00', description: 'When the client download becomes available (YYYY-MM-DDTHH:MM:SS).' },
+
+    // --- Maintenance ---
+    MAINTENANCE_MODE: { type: 'boolean', default: false, description: 'Replace the whole site with the maintenance page.' },
+    MAINTENANCE_MESSAGE: { type: 'string', default: 'The server is currently undergoing scheduled maintenance. We will be back online shortly. Thank you for your patience.', description: 'Message shown on the maintenance page.' },
+    MAINTENANCE_BYPASS_ROLES: { type: 'list', default: ['admin', 'gm'], description: 'Comma-separated account roles that can use the site during maintenance.' },
+    MAINTENANCE_BYPASS_PUBLIC_KEY: { type: 'string', default: '', description: 'Public key that signs maintenance bypass tokens (see maintenance-token.mjs). Leave blank to disable tokens.' },
+    MAINTENANCE_WHITELIST_IP: { type: 'list', default: [], description: 'Optional comma-separated IP addresses that bypass maintenance mode, checked with IP_API_URL.' },
+    MAINTENANCE_STARTS_AT: { type: 'date', default: '', optional: true, description: 'When a scheduled maintenance window starts (ISO 8601). Leave blank to only use MAINTENANCE_MODE.' },
+    MAINTENANCE_ENDS_AT: { type: 'date', default: '', optional: true, description: 'When maintenance ends and the site comes back automatically (ISO 8601). Leave blank to hide the countdown.' },
+    MAINTENANCE_FEATURES: {
+        type: 'list',
+        default: [],
+        allowed: ['marketplace', 'droplist', 'item-viewer', 'create-character', 'dashboard-storage'],
+        description: 'Comma-separated features that show their own maintenance panel while the rest of the site keeps working.'
+    },
+    MAINTENANCE_MESSAGE_MARKETPLACE: { type: 'string', default: '', description: 'Message shown while the marketplace is in maintenance. Leave blank for a generic message.' },
+    MAINTENANCE_MESSAGE_DROPLIST: { type: 'string', default: '', description: 'Message shown while the drop list is in maintenance. Leave blank for a generic message.' },
+    MAINTENANCE_MESSAGE_ITEM_VIEWER: { type: 'string', default: '', description: 'Message shown while the item viewer is in maintenance. Leave blank for a generic message.' },
+    MAINTENANCE_MESSAGE_CREATE_CHARACTER: { type: 'string', default: '', description: 'Message shown while character creation is in maintenance. Leave blank for a generic message.' },
+    MAINTENANCE_MESSAGE_DASHBOARD_STORAGE: { type: 'string', default: '', description: 'Message shown while character storage on the dashboard is in maintenance. Leave blank for a generic message.' },
+    MAINTENANCE_NOTICE_HOURS: { type: 'number', default: 24, min: 0, max: 720, description: 'How many hours before MAINTENANCE_STARTS_AT the warning banner is shown.' },
+
+    // --- Modules ---
+    MAX_CHARACTER_SLOTS: { type: 'number', default: 6, min: 1, max: 20, description: 'Maximum number of characters per account.' },
+    SERVER_STATUS_INTERVAL_SECONDS: { type: 'number', default: 30, min: 5, max: 3600, description: 'How often the server status is checked, in seconds.' },
+    DROPLIST_ITEMS_PER_PAGE: { type: 'number', default: 300, min: 10, max: 5000, description: 'How many drops are shown per droplist page.' },
+    CONFIG_PROFILE_HOSTS: { type: 'list', default: [], description: 'Comma-separated hostname:profile pairs that select a server.<profile>.properties overlay.' },
+    CONFIG_PROFILE_PARAM_ENABLED: { type: 'boolean', default: false, description: 'Whether a ?profile= URL parameter can pick the overlay. Anyone can add the parameter, so only enable this for testing.' },
+    CONFIG_RELOAD_INTERVAL_SECONDS: { type: 'number', default: 30, min: 5, max: 3600, description: 'How often open pages re-check server.properties for changes, in seconds.' },
+    CONFIG_SAVE_URL: { type: 'string', default: '', description: 'Endpoint the admin settings tab PUTs the new server.properties to. Leave blank to only allow downloading.' },
+    NEWS_SAVE_URL: { type: 'string', default: '', description: 'Endpoint the admin news tab PUTs the new news file to. Leave blank to only allow downloading.' },
+
+    // --- Accounts ---
+    AUTH_BACKEND: {
+        type: 'string',
+        default: 'firebase',
+        allowed: ['firebase', 'local'],
+        description: 'Where accounts and characters are stored: "firebase", or "local" for an in-browser store that needs no network access.'
+    },
+    LOGIN_MAX_ATTEMPTS: { type: 'number', default: 5, min: 1, max: 100, description: 'Failed logins to one account before it is locked.' },
+    LOGIN_CLIENT_MAX_ATTEMPTS: { type: 'number', default: 20, min: 1, max: 1000, description: 'Failed logins from one client (IP address or browser), across all accounts, before it is locked.' },
+    LOGIN_LOCKOUT_MINUTES: { type: 'number', default: 15, min: 1, max: 10080, description: 'How long a lock lasts. Failures older than this are forgotten.' },
+    LOGIN_THROTTLE_BASE_SECONDS: { type: 'number', default: 1, min: 0, max: 60, description: 'Wait after the second failed login; it doubles with every further failure (at most one minute). 0 disables the wait.' },
+    TWO_FACTOR_ISSUER: { type: 'string', default: 'Lineage', description: 'Name shown for this site in authenticator apps.' },
+    TWO_FACTOR_SALE_THRESHOLD: { type: 'number', default: 100000, min: 0, max: 2000000000, description: 'Marketplace sales worth at least this much Adena ask players with 2FA for a code. 0 asks for every sale.' },
+    GAME_ACCOUNT_API_URL: { type: 'string', default: '', description: 'Same-origin endpoint of the game account sync service (game-account-sync.mjs). Leave blank to register website accounts only.' },
+    SNAPSHOT_INTERVAL_HOURS: { type: 'number', default: 24, min: 0, max: 720, description: 'How often a snapshot of accounts and characters is taken. Only checked when an admin opens the admin page, so no snapshots are taken while no admin visits. 0 turns scheduled snapshots off.' },
+    SNAPSHOT_KEEP_SCHEDULED: { type: 'number', default: 14, min: 1, max: 365, description: 'How many scheduled snapshots are kept; older ones are deleted. Snapshots taken by hand are kept until deleted.' },
+
+    // --- Gameplay ---
+    STARTER_INVENTORY_JSON: {
+        type: 'json',
+        default: [
+            { name: 'Adena', quantity: 5000, stackable: true, price: 1 },
+            { name: 'Red Potion', quantity: 30, stackable: true, price: 30 },
+            { name: 'Haste Potion', quantity: 5, stackable: true, price: 180 },
+            { name: "Trainee's T-shirt", quantity: 1, stackable: false, droppable: false, price: 100 }
+        ],
+        validate: validateStarterInventory,
+        description: 'Items given to every new character (JSON array).'
+    },
+    RING3_LEVEL_REQUIREMENT: { type: 'number', default: 76, min: 1, max: 99, description: 'Level needed to unlock the third ring slot.' },
+    RING4_LEVEL_REQUIREMENT: { type: 'number', default: 81, min: 1, max: 99, description: 'Level needed to unlock the fourth ring slot.' },
+    STACKABLE_ITEM_KEYWORDS: { type: 'list', default: ['potion', 'scroll', 'arrow'], description: 'Keywords that mark a marketplace item as stackable.' },
+    STACKABLE_PRICE_MIN: { type: 'number', default: 20, min: 0, description: 'Lowest random price for stackable marketplace items.' },
+    STACKABLE_PRICE_MAX: { type: 'number', default: 200, min: 0, description: 'Highest random price for stackable marketplace items.' },
+    NONSTACKABLE_PRICE_MIN: { type: 'number', default: 250, min: 0, description: 'Lowest random price for non-stackable marketplace items.' },
+    NONSTACKABLE_PRICE_MAX: { type: 'number', default: 5000, min: 0, description: 'Highest random price for non-stackable marketplace items.' }
+});
+
+/**
+ * Pairs of keys where the first must not be greater than the second.
+ * Checked after every individual value has been parsed.
+ */
+const RANGE_PAIRS = [
+    ['STACKABLE_PRICE_MIN', 'STACKABLE_PRICE_MAX'],
+    ['NONSTACKABLE_PRICE_MIN', 'NONSTACKABLE_PRICE_MAX'],
+    ['RING3_LEVEL_REQUIREMENT', 'RING4_LEVEL_REQUIREMENT']
+];
+
+/**
+ * Returns a fresh copy of a default value so callers can never mutate the schema.
+ * @param {*} value The default value.
+ * @returns {*} A copy of the value.
+ */
+function cloneDefault(value) {
+    return (value !== null && typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Builds a properties object containing only default values.
+ * @returns {object} Every schema key mapped to its default.
+ */
+export function getDefaultProperties() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(PROPERTY_SCHEMA)) {
+        defaults[key] = cloneDefault(definition.default);
+    }
+    return defaults;
+}
+
+/**
+ * Converts a single raw value according to its schema definition.
+ * @param {string} rawValue The text after the `=` sign.
+ * @param {PropertyDefinition} definition The schema entry for the key.
+ * @returns {{value?: *, error?: string}} The converted value, or an error message.
+ */
+export function coercePropertyValue(rawValue, definition) {
+    switch (definition.type) {
+        case 'boolean': {
+            const lower = rawValue.toLowerCase();
+            if (lower === 'true') return { value: true };
+            if (lower === 'false') return { value: false };
+            return { error: `expected "true" or "false" but got "${rawValue}"` };
+        }
+        case 'number': {
+            const number = Number(rawValue);
+            if (rawValue === '' || !Number.isFinite(number)) return { error: `expected a number but got "${rawValue}"` };
+            if (definition.min !== undefined && number < definition.min) return { error: `${number} is below the minimum of ${definition.min}` };
+            if (definition.max !== undefined && number > definition.max) return { error: `${number} is above the maximum of ${definition.max}` };
+            return { value: number };
+        }
+        case 'date': {
+            if (rawValue === '' && definition.optional) return { value: '' };
+            if (isNaN(new Date(rawValue).getTime())) return { error: `"${rawValue}" is not a valid date (use YYYY-MM-DDTHH:MM:SS)` };
+            return { value: rawValue };
+        }
+        case 'list': {
+            const entries = rawValue.split(',').map(entry => entry.trim()).filter(Boolean);
+            const unknown = definition.allowed ? entries.filter(entry => !definition.allowed.includes(entry)) : [];
+            if (unknown.length > 0) return { error: `unknown value "${unknown[0]}" (expected any of ${definition.allowed.join(', ')})` };
+            return { value: entries };
+        }
+        case 'string': {
+            if (definition.allowed && !definition.allowed.includes(rawValue)) {
+                return { error: `unknown value "${rawValue}" (expected one of ${definition.allowed.join(', ')})` };
+            }
+            return { value: rawValue };
+        }
+        case 'json': {
+            let parsed;
+            try {
+                parsed = JSON.parse(rawValue);
+            } catch (error) {
+                return { error: `invalid JSON (${error.message})` };
+            }
+            const validationError = definition.validate ? definition.validate(parsed) : null;
+            return validationError ? { error: validationError } : { value: parsed };
+        }
+        default:
+            return { value: rawValue };
+    }
+}
+
+/**
+ * Parses one layer (file) on top of the values collected so far.
+ * @param {string} text The raw contents of the file.
+ * @param {string} file The file name, recorded as the source of every value it sets.
+ * @param {object} properties The merged properties, updated in place.
+ * @param {Object<string, string>} sources Which file set each key, updated in place.
+ * @param {PropertyIssue[]} issues Problems found so far, appended to.
+ * @returns {Object<string, number>} The line number of each key set by this file.
+ */
+function applyPropertyLayer(text, file, properties, sources, issues) {
+    const seenOnLine = {};
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (!line || line.startsWith('#')) return;
+
+        const separatorIndex = line.indexOf('=');
+        if (separatorIndex === -1) {
+            issues.push({ severity: 'error', file, key: null, line: lineNumber, message: `Line is not a KEY=VALUE pair: "${line}"` });
+            return;
+        }
+
+        const key = line.substring(0, separatorIndex).trim();
+        const rawValue = line.substring(separatorIndex + 1).trim();
+        const definition = PROPERTY_SCHEMA[key];
+
+        if (!definition) {
+            // Most likely a typo, which would otherwise leave the intended key at its default.
+            issues.push({ severity: 'error', file, key, line: lineNumber, message: `Unknown key "${key}" is ignored.` });
+            return;
+        }
+        if (seenOnLine[key]) {
+            issues.push({ severity: 'warning', file, key, line: lineNumber, message: `"${key}" is already set on line ${seenOnLine[key]}; the later value wins.` });
+        }
+        seenOnLine[key] = lineNumber;
+
+        const { value, error } = coercePropertyValue(rawValue, definition);
+        if (error) {
+            // Keep whatever an earlier layer (or the default) provided.
+            issues.push({ severity: 'error', file, key, line: lineNumber, message: `${key}: ${error}. Keeping the ${sources[key]} value.` });
+        } else {
+            properties[key] = value;
+            sources[key] = file;
+        }
+    });
+
+    return seenOnLine;
+}
+
+/**
+ * Merges several properties files, later files overriding earlier ones, and
+ * records which file each effective value came from ('default' if none set it).
+ * @param {{file: string, text: string}[]} layers The files to merge, base first.
+ * @returns {{properties: object, sources: Object<string, string>, issues: PropertyIssue[]}} The merged result.
+ */
+export function parsePropertyLayers(layers) {
+    const properties = getDefaultProperties();
+    const sources = Object.fromEntries(Object.keys(PROPERTY_SCHEMA).map(key => [key, 'default']));
+    const issues = [];
+    const lines = {};
+
+    for (const { file, text } of layers) {
+        const seenOnLine = applyPropertyLayer(text, file, properties, sources, issues);
+        for (const [key, line] of Object.entries(seenOnLine)) lines[key] = { file, line };
+    }
+
+    for (const [minKey, maxKey] of RANGE_PAIRS) {
+        if (properties[minKey] > properties[maxKey]) {
+            issues.push({
+                severity: 'error', file: lines[minKey]?.file || null, key: minKey, line: lines[minKey]?.line || null,
+                message: `${minKey} (${properties[minKey]}) is greater than ${maxKey} (${properties[maxKey]}). Using defaults for both.`
+            });
+            properties[minKey] = PROPERTY_SCHEMA[minKey].default;
+            properties[maxKey] = PROPERTY_SCHEMA[maxKey].default;
+            sources[minKey] = sources[maxKey] = 'default';
+        }
+    }
+
+    return { properties, sources, issues };
+}
+
+/**
+ * Parses the text of a single properties file against PROPERTY_SCHEMA.
+ * Invalid values fall back to their defaults and are listed in `issues`.
+ * @param {string} text The raw contents of `server.properties`.
+ * @returns {{properties: object, sources: Object<string, string>, issues: PropertyIssue[]}} The typed properties and any problems found.
+ */
+export function parseServerProperties(text) {
+    return parsePropertyLayers([{ file: 'server.properties', text }]);
+}
+
+/**
+ * Writes the issues found while parsing to the console.
+ * @param {PropertyIssue[]} issues The issues to report.
+ */
+export function reportPropertyIssues(issues) {
+    issues.forEach(issue => {
+        const location = issue.line ? ` (line ${issue.line})` : '';
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`[Config] ${issue.file || 'server.properties'}${location}: ${issue.message}`);
+    });
+}
+
+// ========================================================================
+//  WRITING PROPERTIES
+// ========================================================================
+
+/**
+ * Converts a typed value back into the text stored after the `=` sign.
+ * The result always parses back to the same value with coercePropertyValue().
+ * @param {*} value The typed value.
+ * @param {PropertyDefinition} definition The schema entry for the key.
+ * @returns {string} The raw text value.
+ */
+export function formatPropertyValue(value, definition) {
+    switch (definition.type) {
+        case 'list':
+            return value.join(',');
+        case 'json':
+            return JSON.stringify(value);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Writes new values into the text of a properties file. Comments, blank lines
+ * and key order are kept; keys that are not in the file yet are appended at
+ * the end with their description as a comment.
+ * @param {string} text The current contents of the file.
+ * @param {object} values The keys to change, mapped to their new typed values.
+ * @returns {string} The updated file contents.
+ */
+export function updatePropertiesText(text, values) {
+    const newline = text.includes('\r\n') ? '\r\n' : '\n';
+    const written = new Set();
+
+    const lines = text.split(/\r?\n/).map(rawLine => {
+        const line = rawLine.trim();
+        const separatorIndex = line.indexOf('=');
+        if (!line || line.startsWith('#') || separatorIndex === -1) return rawLine;
+
+        const key = line.substring(0, separatorIndex).trim();
+        if (!(key in values) || !PROPERTY_SCHEMA[key]) return rawLine;
+        written.add(key);
+        return `${key}=${formatPropertyValue(values[key], PROPERTY_SCHEMA[key])}`;
+    });
+
+    const missingKeys = Object.keys(values).filter(key => PROPERTY_SCHEMA[key] && !written.has(key));
+    if (missingKeys.length > 0) {
+        // Keep a single trailing newline if the file had one.
+        const hadTrailingNewline = lines[lines.length - 1] === '';
+        if (hadTrailingNewline) lines.pop();
+        missingKeys.forEach(key => {
+            lines.push('', `# ${PROPERTY_SCHEMA[key].description.toUpperCase()}`, `${key}=${formatPropertyValue(values[key], PROPERTY_SCHEMA[key])}`);
+        });
+        if (hadTrailingNewline) lines.push('');
+    }
+
+    return lines.join(newline);
+}
+
+// ========================================================================
+//  CONFIGURATION PROFILES
+// ========================================================================
+
+const PROFILE_STORAGE_KEY = 'configProfile';
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+/**
+ * Works out which profile overlay to load on top of `server.properties`.
+ * If CONFIG_PROFILE_PARAM_ENABLED is on, a `?profile=` URL parameter wins and is
+ * remembered for the rest of the browser session (`?profile=` with no value
+ * clears it); otherwise the current hostname is looked up in CONFIG_PROFILE_HOSTS.
+ * The parameter is off by default, since any visitor could use it to load
+ * another profile's settings, e.g. one without maintenance mode.
+ * @param {object} baseProperties The properties parsed from the base file.
+ * @returns {{profile: string|null, reason: string|null}} The profile name and why it was chosen.
+ */
+export function resolveConfigProfile(baseProperties) {
+    if (typeof window === 'undefined') return { profile: null, reason: null };
+
+    const params = new URLSearchParams(window.location.search);
+    if (!baseProperties.CONFIG_PROFILE_PARAM_ENABLED) {
+        sessionStorage.removeItem(PROFILE_STORAGE_KEY);
+    } else if (params.has('profile')) {
+        const requested = params.get('profile').trim();
+        if (requested && PROFILE_NAME_PATTERN.test(requested)) {
+            sessionStorage.setItem(PROFILE_STORAGE_KEY, requested);
+        } else {
+            sessionStorage.removeItem(PROFILE_STORAGE_KEY);
+        }
+    }
+
+    const remembered = sessionStorage.getItem(PROFILE_STORAGE_KEY);
+    if (remembered) return { profile: remembered, reason: '?profile= parameter' };
+
+    const hostname = window.location.hostname.toLowerCase();
+    for (const entry of baseProperties.CONFIG_PROFILE_HOSTS) {
+        const [host, profile] = entry.split(':').map(part => part.trim());
+        if (host?.toLowerCase() === hostname && profile && PROFILE_NAME_PATTERN.test(profile)) {
+            return { profile, reason: `hostname ${hostname}` };
+        }
+    }
+    return { profile: null, reason: null };
+}
+
+/**
+ * Fetches a text file, bypassing the browser cache.
+ * @param {string} path The URL of the file.
+ * @returns {Promise<string|null>} The file contents, or null if it does not exist.
+ */
+async function fetchText(path) {
+    // Add a cache-busting query parameter to ensure the latest version is fetched.
+    const response = await fetch(`${path}?v=${Date.now()}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return response.text();
+}
+
+/**
+ * @typedef {object} LoadedProperties
+ * @property {object} properties The effective, typed properties.
+ * @property {Object<string, string>} sources The file each value came from, or 'default'.
+ * @property {PropertyIssue[]} issues Problems found while loading.
+ * @property {string|null} profile The profile overlay in use, if any.
+ * @property {string|null} profileReason Why that profile was chosen.
+ */
+
+/**
+ * Fetches `server.properties` plus the active `server.<profile>.properties`
+ * overlay, without touching the page cache. Used for the initial load and by
+ * the hot-reload watcher.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] If true, the "loading" progress messages are not logged.
+ * @param {boolean} [options.report=true] If false, problems are returned but not logged.
+ * @returns {Promise<LoadedProperties>} The merged properties and where each value came from.
+ */
+export async function fetchServerProperties({ quiet = false, report = true } = {}) {
+    const reportIssues = report ? reportPropertyIssues : () => {};
+    if (!quiet) console.log('[Config] Loading server.properties...');
+
+    const layers = [];
+    const loadIssues = [];
+    let profile = null;
+    let profileReason = null;
+
+    try {
+        const baseText = await fetchText('server.properties');
+        if (baseText === null) {
+            loadIssues.push({ severity: 'warning', file: 'server.properties', key: null, line: null, message: 'File not found. Using default settings.' });
+        } else {
+            layers.push({ file: 'server.properties', text: baseText });
+        }
+
+        ({ profile, reason: profileReason } = resolveConfigProfile(parsePropertyLayers(layers).properties));
+        if (profile) {
+            const file = `server.${profile}.properties`;
+            const profileText = await fetchText(file);
+            if (profileText === null) {
+                loadIssues.push({ severity: 'warning', file, key: null, line: null, message: `Profile "${profile}" (from ${profileReason}) has no overlay file. Using the base settings only.` });
+            } else {
+                layers.push({ file, text: profileText });
+            }
+        }
+    } catch (error) {
+        loadIssues.push({ severity: 'error', file: null, key: null, line: null, message: `Failed to load (${error.message}). Using the settings loaded so far.` });
+    }
+
+    const result = parsePropertyLayers(layers);
+    result.issues.unshift(...loadIssues);
+    reportIssues(result.issues);
+    if (!quiet) console.log(`[Config] server.properties loaded${profile ? ` with profile "${profile}" (${profileReason})` : ''}.`);
+    return { ...result, profile, profileReason };
+}
+
+// The file is fetched and parsed at most once per page.
+let loadPromise = null;
+
+/**
+ * Loads the server properties once and caches the result, so every caller on
+ * the page receives the same object.
+ * @returns {Promise<LoadedProperties>} The merged properties and where each value came from.
+ */
+export function loadServerPropertiesWithIssues() {
+    if (!loadPromise) loadPromise = fetchServerProperties();
+    return loadPromise;
+}
+
+/**
+ * Loads the typed server properties. Also stores them on `window.serverProperties`
+ * for scripts that read the flags synchronously.
+ * @returns {Promise<object>} The typed properties object.
+ */
+export async function loadServerProperties() {
+    const { properties } = await loadServerPropertiesWithIssues();
+    if (typeof window !== 'undefined') window.serverProperties = properties;
+    return properties;
+}
@@ -0,0 +1,230 @@
+// ========================================================================
+//  LOGIN SESSIONS
+// ========================================================================
+
+/**
+ * Keeps a record of every login through the auth backend: the device, when it
+ * signed in and when it was last seen. Players can see their sessions on the
+ * account page and sign other devices out.
+ *
+ * Pages call guardSession() when they load. It signs the browser out if its
+ * session was ended elsewhere, or if a "remember me" login is older than
+ * REMEMBER_ME_DURATION_DAYS. Firebase can't end another device's login from the
+ * browser, so an ended session takes effect the next time that device opens a
+ * page.
+ */
+import { getBackend, waitForAuthUser } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+import { clearTwoFactorSession } from './two-factor.js';
+
+const SESSION_ID_KEY = 'loginSessionId';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000; // How often lastSeenAt is written while pages are used.
+const BROWSER_SESSION_IDLE_MS = DAY_MS; // A login without "remember me" unused for this long is treated as closed.
+
+/**
+ * @typedef {object} SessionRecord
+ * @property {string} id A random ID, also kept in this browser's storage.
+ * @property {string} uid The account's ID.
+ * @property {string} device A readable description, e.g. "Firefox on Windows".
+ * @property {string} userAgent The full user agent string.
+ * @property {number} createdAt When the login happened (ms timestamp).
+ * @property {number} lastSeenAt When a page last checked the session (ms timestamp).
+ * @property {boolean} remember Whether "remember me" was ticked.
+ */
+
+/**
+ * Describes a browser from its user agent string.
+ * @param {string} userAgent The user agent string.
+ * @returns {string} E.g. "Chrome on Android".
+ */
+export function describeDevice(userAgent) {
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+    return `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown system'}`;
+}
+
+function readSessionId() {
+    return localStorage.getItem(SESSION_ID_KEY) || sessionStorage.getItem(SESSION_ID_KEY);
+}
+
+function writeSessionId(id, remember) {
+    localStorage.removeItem(SESSION_ID_KEY);
+    sessionStorage.removeItem(SESSION_ID_KEY);
+    if (id) (remember ? localStorage : sessionStorage).setItem(SESSION_ID_KEY, id);
+}
+
+/**
+ * Checks whether a session has run out.
+ * @param {SessionRecord} session The session.
+ * @param {object} properties The server properties.
+ * @param {number} now The current time.
+ * @returns {boolean} True if it has.
+ */
+function isSessionExpired(session, properties, now) {
+    if (session.remember) return now - session.createdAt >= properties.REMEMBER_ME_DURATION_DAYS * DAY_MS;
+    return now - session.lastSeenAt >= BROWSER_SESSION_IDLE_MS;
+}
+
+/**
+ * Records a new login in this browser.
+ * @param {{uid: string}} user The signed-in user.
+ * @param {boolean} remember Whether "remember me" was ticked.
+ * @returns {Promise<void>}
+ */
+export async function startSession(user, remember) {
+    const backend = await getBackend();
+    const now = Date.now();
+    /** @type {SessionRecord} */
+    const session = {
+        id: crypto.randomUUID(),
+        uid: user.uid,
+        device: describeDevice(navigator.userAgent),
+        userAgent: navigator.userAgent,
+        createdAt: now,
+        lastSeenAt: now,
+        remember
+    };
+    await backend.createSession(session);
+    writeSessionId(session.id, remember);
+    console.log(`[Session] Started session on ${session.device}.`);
+}
+
+/**
+ * Signs this browser out, removing its session record.
+ * @returns {Promise<void>}
+ */
+export async function endSession() {
+    const backend = await getBackend();
+    const id = readSessionId();
+    writeSessionId(null);
+    if (id) await backend.deleteSession(id).catch(error => console.error('[Session] Could not remove the session record:', error));
+    clearTwoFactorSession();
+    await backend.signOut();
+}
+
+/**
+ * Signs out a browser whose session is no longer valid and returns to the login page.
+ * @param {'expired'|'revoked'} reason Shown on the login page.
+ */
+async function forceSignOut(reason) {
+    console.warn(`[Session] This session has been ${reason}; signing out.`);
+    await endSession();
+    window.location.href = `/login?session=${reason}`;
+}
+
+/**
+ * Checks this browser's session and keeps its last-seen time up to date.
+ * @param {{uid: string}} [user] The signed-in user; looked up if omitted.
+ * @returns {Promise<boolean>} True if the session had ended and the page is being left; the caller should stop.
+ */
+export async function guardSession(user) {
+    user = user || await waitForAuthUser();
+    if (!user) return false;
+    const [backend, properties] = await Promise.all([getBackend(), loadServerProperties()]);
+
+    const id = readSessionId();
+    if (!id) {
+        // Signed in before sessions were recorded, or by registering. Whether the login
+        // was remembered isn't known, so it gets the remembered login's time limit from now.
+        await startSession(user, true);
+        return false;
+    }
+
+    let session;
+    try {
+        session = await backend.getSession(id);
+    } catch (error) {
+        // A record that can't be read is treated like one that was removed, so a failure never keeps a login alive.
+        console.error('[Session] Could not read the session record:', error);
+        session = null;
+    }
+    const now = Date.now();
+    if (!session || session.uid !== user.uid) {
+        await forceSignOut('revoked');
+        return true;
+    }
+    if (isSessionExpired(session, properties, now)) {
+        await forceSignOut('expired');
+        return true;
+    }
+    if (now - session.lastSeenAt >= LAST_SEEN_INTERVAL_MS) {
+        await backend.updateSession(id, { lastSeenAt: now });
+    }
+    return false;
+}
+
+/**
+ * Lists the signed-in user's active sessions, newest activity first. Records of
+ * sessions that have run out are removed on the way.
+ * @returns {Promise<Array<SessionRecord & {current: boolean, expiresAt: number|null}>>}
+ */
+export async function listSessions() {
+    const [backend, properties] = await Promise.all([getBackend(), loadServerProperties()]);
+    const user = backend.getCurrentUser();
+    const now = Date.now();
+    const currentId = readSessionId();
+    const sessions = await backend.listSessions(user.uid);
+
+    const active = [];
+    for (const session of sessions) {
+        if (isSessionExpired(session, properties, now) && session.id !== currentId) {
+            await backend.deleteSession(session.id);
+            continue;
+        }
+        active.push({
+            ...session,
+            current: session.id === currentId,
+            expiresAt: session.remember ? session.createdAt + properties.REMEMBER_ME_DURATION_DAYS * DAY_MS : null
+        });
+    }
+    return active.sort((a, b) => b.current - a.current || b.lastSeenAt - a.lastSeenAt);
+}
+
+/**
+ * Ends another of the user's sessions.
+ * @param {string} id The session's ID.
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(id) {
+    const backend = await getBackend();
+    await backend.deleteSession(id);
+    console.log(`[Session] Ended session ${id}.`);
+}
+
+/**
+ * Ends every session of the signed-in user except this one, e.g. after a password change.
+ * @returns {Promise<number>} How many sessions were ended.
+ */
+export async function signOutOtherSessions() {
+    const backend = await getBackend();
+    const currentId = readSessionId();
+    const others = (await backend.listSessions(backend.getCurrentUser().uid)).filter(session => session.id !== currentId);
+    await Promise.all(others.map(session => backend.deleteSession(session.id)));
+    console.log(`[Session] Ended ${others.length} other session(s).`);
+    return others.length;
+}
+
+/**
+ * Ends every session of the signed-in user, including this one.
+ * @returns {Promise<void>}
+ */
+export async function signOutEverywhere() {
+    await signOutOtherSessions();
+    await endSession();
+}
+
+/**
+ * Removes all of the signed-in user's session records without signing out,
+ * before the account itself is deleted.
+ * @returns {Promise<void>}
+ */
+export async function forgetAllSessions() {
+    await signOutOtherSessions();
+    const backend = await getBackend();
+    const id = readSessionId();
+    writeSessionId(null);
+    if (id) await backend.deleteSession(id);
+}
@@ -0,0 +1,403 @@
+// ========================================================================
+//  SNAPSHOTS
+// ========================================================================
+
+/**
+ * A snapshot is a copy of every account profile and every character at one
+ * point in time, our safety net against bad patches and duplication exploits.
+ * Admins take them by hand from the Snapshots tab of the admin page, and one is
+ * taken every SNAPSHOT_INTERVAL_HOURS when an admin opens the admin page (a
+ * static site has nothing else to run it). Two snapshots, or a snapshot and
+ * the current data, can be compared, and one character, one account or
+ * everything can be restored from a snapshot.
+ *
+ * Snapshots leave out two-factor secrets, and restoring never changes an
+ * account's email address, role, two-factor settings or last login, which belong to
+ * the sign-in rather than the game data.
+ */
+import { getBackend, BackendError } from './auth-backend.js';
+import { PERMISSIONS, requirePermission, hasPermission, getCurrentUserRole } from './roles.js';
+import { AUDIT_ACTIONS, recordAuditEntry } from './audit-log.js';
+import { loadServerProperties } from './server-properties.js';
+import { formatItemName } from './character-view.js';
+
+export const SNAPSHOT_TRIGGERS = Object.freeze({
+    MANUAL: 'manual',
+    SCHEDULED: 'scheduled'
+});
+
+/** The special "snapshot" ID that compares against the data as it is now. */
+export const CURRENT_DATA = 'current';
+
+// Restoring leaves these as they are. Keeping `role` stops a restore from demoting the admin doing it.
+const KEPT_PROFILE_FIELDS = ['email', 'emailLowercase', 'role', 'lastLoginAt'];
+const MAX_NOTE_LENGTH = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {object} SnapshotRecord
+ * @property {string} id A random ID.
+ * @property {number} takenAt When (ms timestamp).
+ * @property {string} takenBy The user ID of the admin who took it, or whose visit triggered it.
+ * @property {string} takenByEmail Their email address.
+ * @property {'manual'|'scheduled'} trigger How it was taken.
+ * @property {string} note What it is for, e.g. "Before patch 1.2".
+ * @property {number} userCount The accounts in it.
+ * @property {number} characterCount The characters in it.
+ */
+
+/**
+ * @typedef {object} SnapshotDifference
+ * @property {'account'|'character'} type What differs.
+ * @property {string} id Its user ID or character ID.
+ * @property {string} label Its email or character name.
+ * @property {'added'|'removed'|'changed'} change How, going from the first snapshot to the second.
+ * @property {string[]} details One line per changed field or item.
+ */
+
+/**
+ * Takes a snapshot of every account and character. Admins only.
+ * @param {object} [options]
+ * @param {'manual'|'scheduled'} [options.trigger] How it was taken.
+ * @param {string} [options.note] What it is for.
+ * @returns {Promise<SnapshotRecord>} The new snapshot.
+ */
+export async function takeSnapshot({ trigger = SNAPSHOT_TRIGGERS.MANUAL, note = '' } = {}) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const text = note.trim();
+    if (text.length > MAX_NOTE_LENGTH) throw new BackendError('invalid-argument', `Please keep the note under ${MAX_NOTE_LENGTH} characters.`);
+
+    const backend = await getBackend();
+    const admin = backend.getCurrentUser();
+    const [users, characters] = await Promise.all([backend.listAllUsers(), backend.listAllCharacters()]);
+
+    /** @type {SnapshotRecord} */
+    const snapshot = {
+        id: crypto.randomUUID(),
+        takenAt: Date.now(),
+        takenBy: admin.uid,
+        takenByEmail: admin.email,
+        trigger,
+        note: text,
+        userCount: users.length,
+        characterCount: characters.length
+    };
+    await backend.saveSnapshot(snapshot, { users, characters });
+
+    const summary = `Took a ${trigger} snapshot of ${users.length} accounts and ${characters.length} characters.`;
+    console.log(`[Admin] ${summary}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.SNAPSHOT_TAKEN,
+        targetType: 'server',
+        targetId: 'server',
+        targetLabel: 'Everyone',
+        before: null,
+        after: { snapshotId: snapshot.id, trigger, note: text, userCount: snapshot.userCount, characterCount: snapshot.characterCount },
+        summary
+    });
+    return snapshot;
+}
+
+/**
+ * Lists the snapshots, newest first. Admins only.
+ * @returns {Promise<SnapshotRecord[]>}
+ */
+export async function listSnapshots() {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const backend = await getBackend();
+    const snapshots = await backend.listSnapshots();
+    return snapshots.sort((a, b) => b.takenAt - a.takenAt);
+}
+
+/**
+ * Deletes a snapshot. Admins only.
+ * @param {SnapshotRecord} snapshot The snapshot.
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(snapshot) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const backend = await getBackend();
+    await backend.deleteSnapshot(snapshot.id);
+    console.log(`[Admin] Deleted the snapshot from ${new Date(snapshot.takenAt).toLocaleString()}.`);
+}
+
+/**
+ * Takes a scheduled snapshot if the last one is older than SNAPSHOT_INTERVAL_HOURS,
+ * and deletes scheduled snapshots beyond SNAPSHOT_KEEP_SCHEDULED. Does nothing
+ * for staff who can't manage snapshots.
+ * @returns {Promise<SnapshotRecord|null>} The snapshot taken, if one was.
+ */
+export async function runScheduledSnapshot() {
+    const [role, properties] = await Promise.all([getCurrentUserRole(), loadServerProperties()]);
+    if (!hasPermission(role, PERMISSIONS.MANAGE_SNAPSHOTS) || !properties.SNAPSHOT_INTERVAL_HOURS) return null;
+
+    const scheduled = (await listSnapshots()).filter(snapshot => snapshot.trigger === SNAPSHOT_TRIGGERS.SCHEDULED);
+    if (scheduled.length > 0 && Date.now() - scheduled[0].takenAt < properties.SNAPSHOT_INTERVAL_HOURS * HOUR_MS) return null;
+
+    const snapshot = await takeSnapshot({ trigger: SNAPSHOT_TRIGGERS.SCHEDULED });
+    for (const old of [snapshot, ...scheduled].slice(properties.SNAPSHOT_KEEP_SCHEDULED)) {
+        await deleteSnapshot(old);
+    }
+    return snapshot;
+}
+
+/**
+ * Reads the data of a snapshot, or the current data.
+ * @param {string} id A snapshot ID, or CURRENT_DATA.
+ * @returns {Promise<{users: object[], characters: object[]}>}
+ */
+async function readSnapshotData(id) {
+    const backend = await getBackend();
+    if (id !== CURRENT_DATA) return backend.getSnapshotData(id);
+    const [users, characters] = await Promise.all([backend.listAllUsers(), backend.listAllCharacters()]);
+    return { users, characters };
+}
+
+// ========================================================================
+//  COMPARE
+// ========================================================================
+
+/**
+ * Formats a field value for a difference line.
+ * @param {*} value The value.
+ * @returns {string} The value as text.
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return '(none)';
+    if (value instanceof Date) return value.toLocaleString();
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Totals an inventory by item.
+ * @param {object[]} inventory The inventory.
+ * @returns {Map<string, number>} The quantity held of each item, by its name with enchant level.
+ */
+function countItems(inventory = []) {
+    const counts = new Map();
+    inventory.forEach(item => {
+        const name = formatItemName(item);
+        counts.set(name, (counts.get(name) || 0) + (item.quantity || 0));
+    });
+    return counts;
+}
+
+/**
+ * Lists what changed between two versions of a record.
+ * @param {object} before The older version.
+ * @param {object} after The newer version.
+ * @param {string[]} ignored Fields not to compare.
+ * @returns {string[]} One line per changed field.
+ */
+function diffFields(before, after, ignored) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !ignored.includes(field))
+        .filter(field => formatValue(before[field]) !== formatValue(after[field]))
+        .map(field => `${field}: ${formatValue(before[field])} → ${formatValue(after[field])}`);
+}
+
+/**
+ * Lists how an inventory changed, item by item.
+ * @param {object[]} before The older inventory.
+ * @param {object[]} after The newer inventory.
+ * @returns {string[]} One line per item whose total changed, e.g. "Red Potion: 30 → 25 (-5)".
+ */
+function diffInventories(before, after) {
+    const oldCounts = countItems(before);
+    const newCounts = countItems(after);
+    return [...new Set([...oldCounts.keys(), ...newCounts.keys()])]
+        .filter(name => (oldCounts.get(name) || 0) !== (newCounts.get(name) || 0))
+        .sort()
+        .map(name => {
+            const oldCount = oldCounts.get(name) || 0;
+            const newCount = newCounts.get(name) || 0;
+            const change = newCount - oldCount;
+            return `${name}: ${oldCount.toLocaleString()} → ${newCount.toLocaleString()} (${change > 0 ? '+' : ''}${change.toLocaleString()})`;
+        });
+}
+
+/**
+ * Works out the differences between two sets of data.
+ * @param {{users: object[], characters: object[]}} older The first snapshot's data.
+ * @param {{users: object[], characters: object[]}} newer The second snapshot's data.
+ * @returns {SnapshotDifference[]} Accounts first, then characters.
+ */
+export function diffSnapshotData(older, newer) {
+    const differences = [];
+    const compare = (type, oldRecords, newRecords, key, label, describe) => {
+        const oldById = new Map(oldRecords.map(record => [record[key], record]));
+        const newById = new Map(newRecords.map(record => [record[key], record]));
+        new Set([...oldById.keys(), ...newById.keys()]).forEach(id => {
+            const before = oldById.get(id);
+            const after = newById.get(id);
+            if (!before) differences.push({ type, id, label: label(after), change: 'added', details: [] });
+            else if (!after) differences.push({ type, id, label: label(before), change: 'removed', details: [] });
+            else {
+                const details = describe(before, after);
+                if (details.length > 0) differences.push({ type, id, label: label(after), change: 'changed', details });
+            }
+        });
+    };
+    compare('account', older.users, newer.users, 'uid', user => user.email || user.uid,
+        (before, after) => diffFields(before, after, ['lastLoginAt']));
+    compare('character', older.characters, newer.characters, 'id', character => character.charname,
+        (before, after) => [...diffFields(before, after, ['inventory']), ...diffInventories(before.inventory, after.inventory)]);
+    return differences;
+}
+
+/**
+ * Compares two snapshots, or a snapshot and the current data. Admins only.
+ * @param {string} olderId The first snapshot's ID, or CURRENT_DATA.
+ * @param {string} newerId The second snapshot's ID, or CURRENT_DATA.
+ * @returns {Promise<SnapshotDifference[]>}
+ */
+export async function compareSnapshots(olderId, newerId) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const [older, newer] = await Promise.all([readSnapshotData(olderId), readSnapshotData(newerId)]);
+    return diffSnapshotData(older, newer);
+}
+
+// ========================================================================
+//  RESTORE
+// ========================================================================
+
+/**
+ * Builds the profile to write back: the snapshot's, with the fields that
+ * belong to the sign-in taken from the current profile.
+ * @param {object} saved The profile in the snapshot, with its `uid`.
+ * @param {object|null} current The profile as it is now.
+ * @returns {object} The profile to store.
+ */
+function toRestoredProfile(saved, current) {
+    const { uid, ...profile } = saved;
+    KEPT_PROFILE_FIELDS.forEach(field => {
+        delete profile[field];
+        if (current && current[field] !== undefined) profile[field] = current[field];
+    });
+    return profile;
+}
+
+/**
+ * Describes a character for the audit log.
+ * @param {object|null} character The character.
+ * @returns {object|null} Its name, class and inventory totals.
+ */
+function summarizeCharacter(character) {
+    if (!character) return null;
+    return { charname: character.charname, class: character.class, items: Object.fromEntries(countItems(character.inventory)) };
+}
+
+/**
+ * Puts one character back the way it was in a snapshot. Admins only.
+ * @param {SnapshotRecord} snapshot The snapshot.
+ * @param {string} name The character's name, in any case.
+ * @returns {Promise<void>}
+ */
+export async function restoreCharacter(snapshot, name) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const backend = await getBackend();
+    const { characters } = await backend.getSnapshotData(snapshot.id);
+    const saved = characters.find(character => character.charname_lowercase === name.trim().toLowerCase());
+    if (!saved) throw new BackendError('not-found', `There is no character called "${name.trim()}" in that snapshot.`);
+
+    // A deleted character's name may have been taken by a new one since.
+    const holder = await backend.findCharacterByName(saved.charname_lowercase);
+    if (holder && holder.id !== saved.id) throw new BackendError('failed-precondition', `The name ${saved.charname} now belongs to another character.`);
+    const current = await backend.getCharacter(saved.id);
+    await backend.restoreCharacter(saved);
+
+    const summary = `Restored ${saved.charname} from the snapshot of ${new Date(snapshot.takenAt).toLocaleString()}.`;
+    console.log(`[Admin] ${summary}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.SNAPSHOT_RESTORED,
+        targetType: 'character',
+        targetId: saved.id,
+        targetLabel: saved.charname,
+        before: summarizeCharacter(current),
+        after: summarizeCharacter(saved),
+        summary
+    });
+}
+
+/**
+ * Puts one account's profile and characters back the way they were in a
+ * snapshot. Characters it has made since are deleted. Admins only.
+ * @param {SnapshotRecord} snapshot The snapshot.
+ * @param {string} email The account's email address.
+ * @returns {Promise<void>}
+ */
+export async function restoreAccount(snapshot, email) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const backend = await getBackend();
+    const { users, characters } = await backend.getSnapshotData(snapshot.id);
+    const term = email.trim().toLowerCase();
+    const saved = users.find(user => (user.emailLowercase || (user.email || '').toLowerCase()) === term);
+    if (!saved) throw new BackendError('not-found', `There is no account with the email "${email.trim()}" in that snapshot.`);
+
+    const current = await backend.getUserProfile(saved.uid);
+    if (!current) throw new BackendError('not-found', `${saved.email} no longer exists; deleted accounts can't be restored.`);
+    const savedCharacters = characters.filter(character => character.owner === saved.uid);
+    const currentCharacters = await backend.listCharacters(saved.uid);
+
+    const profile = toRestoredProfile(saved, current);
+    await backend.restoreUserProfile(saved.uid, profile);
+    // Newer characters go first, so the names they hold are free for the restored ones.
+    const savedIds = new Set(savedCharacters.map(character => character.id));
+    for (const character of currentCharacters.filter(character => !savedIds.has(character.id))) {
+        await backend.deleteCharacter(character.id);
+    }
+    for (const character of savedCharacters) await backend.restoreCharacter(character);
+
+    const summary = `Restored ${saved.email} and ${savedCharacters.length} character${savedCharacters.length === 1 ? '' : 's'} from the snapshot of ${new Date(snapshot.takenAt).toLocaleString()}.`;
+    console.log(`[Admin] ${summary}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.SNAPSHOT_RESTORED,
+        targetType: 'account',
+        targetId: saved.uid,
+        targetLabel: saved.email,
+        before: { banned: current.banned ?? null, characters: currentCharacters.map(character => character.charname) },
+        after: { banned: profile.banned ?? null, characters: savedCharacters.map(character => character.charname) },
+        summary
+    });
+}
+
+/**
+ * Puts every account profile and character back the way they were in a
+ * snapshot. Characters the snapshot's accounts have made since are deleted;
+ * accounts registered since keep their profile and characters. Admins only.
+ * @param {SnapshotRecord} snapshot The snapshot.
+ * @returns {Promise<{accounts: number, characters: number, deleted: number}>} What was written.
+ */
+export async function restoreEverything(snapshot) {
+    await requirePermission(PERMISSIONS.MANAGE_SNAPSHOTS);
+    const backend = await getBackend();
+    const [saved, currentUsers, currentCharacters] = await Promise.all([
+        backend.getSnapshotData(snapshot.id), backend.listAllUsers(), backend.listAllCharacters()
+    ]);
+
+    // Deleted accounts can't be restored; their sign-in is gone.
+    const currentById = new Map(currentUsers.map(user => [user.uid, user]));
+    const restorableUsers = saved.users.filter(user => currentById.has(user.uid));
+    for (const user of restorableUsers) await backend.restoreUserProfile(user.uid, toRestoredProfile(user, currentById.get(user.uid)));
+    const characters = saved.characters.filter(character => currentById.has(character.owner));
+    const savedIds = new Set(characters.map(character => character.id));
+    const savedOwners = new Set(saved.users.map(user => user.uid));
+    const deleted = currentCharacters.filter(character => savedOwners.has(character.owner) && !savedIds.has(character.id));
+    // Newer characters go first, so the names they hold are free for the restored ones.
+    for (const character of deleted) await backend.deleteCharacter(character.id);
+    for (const character of characters) await backend.restoreCharacter(character);
+
+    const result = { accounts: restorableUsers.length, characters: characters.length, deleted: deleted.length };
+    const summary = `Restored ${result.accounts} accounts and ${result.characters} characters from the snapshot of ${new Date(snapshot.takenAt).toLocaleString()}, deleting ${result.deleted} newer characters.`;
+    console.log(`[Admin] ${summary}`);
+    await recordAuditEntry({
+        action: AUDIT_ACTIONS.SNAPSHOT_RESTORED,
+        targetType: 'server',
+        targetId: 'server',
+        targetLabel: 'Everyone',
+        before: { accounts: currentUsers.length, characters: currentCharacters.length },
+        after: { snapshotId: snapshot.id, ...result },
+        summary
+    });
+    return result;
+}
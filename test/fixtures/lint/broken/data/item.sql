@@ -0,0 +1,5 @@
+INSERT INTO `item` VALUES (1, 'Dagger', NULL);
+INSERT INTO `item` VALUES (2, 'Bow', 
+INSERT INTO `item` VALUES (3, 'Ring', NULL);
+INSERT INTO `item` VALUES (4, 'Helm');
+INSERT INTO `item` VALUES (5, 'Shield', NULL)
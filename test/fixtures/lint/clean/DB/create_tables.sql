@@ -0,0 +1,6 @@
+CREATE TABLE `item` (
+  `item_id` int(10) NOT NULL,
+  `name` varchar(45) NOT NULL,
+  `note` varchar(45) DEFAULT NULL,
+  PRIMARY KEY (`item_id`)
+) ENGINE=MyISAM DEFAULT CHARSET=utf8;
@@ -0,0 +1,6 @@
+-- Comments, quotes, escapes and multi-row INSERTs all parse.
+/* A block comment
+   over two lines; with a semicolon. */
+INSERT INTO `item` VALUES (1, 'Dagger', NULL);
+INSERT INTO `item` VALUES (2, 'Elven ''Bow''', 'semi;colon'), (3, 'Back\\slash \'quoted\'', '-1.5e3');
+INSERT IGNORE INTO item (item_id, name, note) VALUES (-4, 'Ring', 2.5);
@@ -0,0 +1,172 @@
+// ========================================================================
+//  GAME-ACCOUNT-SYNC.MJS
+// ========================================================================
+
+/**
+ * Starts the game account service on a temporary SQLite file with local auth
+ * (`--db sqlite --auth local`) and goes through the API as the registration
+ * and account pages do. Needs the `sqlite3` command-line client, like the
+ * service itself; the tests are skipped without it.
+ */
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, execFileSync } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodeGamePassword } from '../game-login.js';
+import { parsePropertyLayers } from '../server-properties.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SERVICE_SCRIPT = path.join(ROOT_DIR, 'game-account-sync.mjs');
+const START_TIMEOUT_MS = 10000;
+
+let hasSqlite = true;
+try {
+    execFileSync('sqlite3', ['-version'], { stdio: 'ignore' });
+} catch {
+    hasSqlite = false;
+}
+
+describe('game account sync service', { skip: !hasSqlite && 'sqlite3 is not on the PATH' }, () => {
+    let tempDir;
+    let sqliteFile;
+    let service;
+    let baseUrl;
+
+    /**
+     * Runs SQL against the service's database.
+     * @param {string} sql The statement.
+     * @returns {object[]} The rows.
+     */
+    const querySqlite = (sql) => JSON.parse(execFileSync('sqlite3', ['-json', sqliteFile, sql], { encoding: 'utf8' }) || '[]');
+
+    /**
+     * Calls the API as a website user.
+     * @param {string} method The HTTP method.
+     * @param {string} subPath The path below the base path.
+     * @param {{uid?: string, body?: object}} [options] The caller and the JSON body.
+     * @returns {Promise<{status: number, body: object|null}>} The response.
+     */
+    const callApi = async (method, subPath, { uid, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (uid) headers.Authorization = `Bearer local:${uid}`;
+        const response = await fetch(`${baseUrl}${subPath}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    before(async () => {
+        tempDir = await mkdtemp(path.join(tmpdir(), 'game-accounts-'));
+        sqliteFile = path.join(tempDir, 'game-accounts.sqlite');
+        service = spawn(process.execPath, [SERVICE_SCRIPT, '--db', 'sqlite', '--sqlite-file', sqliteFile, '--auth', 'local', '--port', '0'],
+            { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        baseUrl = await new Promise((resolve, reject) => {
+            let output = '';
+            const timer = setTimeout(() => reject(new Error(`The service did not start:\n${output}`)), START_TIMEOUT_MS);
+            const onData = (chunk) => {
+                output += chunk;
+                const match = /Listening on (http:\/\/\S+)/.exec(output);
+                if (match) {
+                    clearTimeout(timer);
+                    resolve(match[1]);
+                }
+            };
+            service.stdout.on('data', onData);
+            service.stderr.on('data', onData);
+            service.on('exit', (code) => {
+                clearTimeout(timer);
+                reject(new Error(`The service exited with code ${code}:\n${output}`));
+            });
+        });
+    });
+
+    after(async () => {
+        if (service && service.exitCode === null) {
+            const exited = new Promise(resolve => service.once('exit', resolve));
+            service.kill();
+            await exited;
+        }
+        if (tempDir) await rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('builds the accounts table from DB/create_tables.sql', async () => {
+        const schema = await readFile(path.join(ROOT_DIR, 'DB/create_tables.sql'), 'utf8');
+        const mysqlTable = schema.match(/CREATE TABLE `accounts` \(([\s\S]*?)\n\)/)[1];
+        const mysqlColumns = mysqlTable.split('\n').map(line => /^\s*`(\w+)`/.exec(line)?.[1]).filter(Boolean);
+
+        const columns = querySqlite('PRAGMA table_info(accounts)');
+        assert.deepEqual(columns.map(column => column.name), mysqlColumns);
+        assert.equal(columns.find(column => column.name === 'login').pk, 1);
+        assert.ok(columns.every(column => !/unsigned/i.test(column.type)));
+        assert.deepEqual(querySqlite('PRAGMA table_info(web_account_links)').map(column => column.name), ['uid', 'login', 'linked_at']);
+    });
+
+    test('creates a game account and links it', async () => {
+        assert.deepEqual((await callApi('GET', '/availability?login=Hero1')).body, { login: 'hero1', available: true, linked: false });
+
+        const created = await callApi('POST', '/', { uid: 'user-a', body: { login: 'Hero1', password: 'first-secret', mode: 'create' } });
+        assert.deepEqual(created, { status: 201, body: { login: 'hero1' } });
+
+        const [account] = querySqlite("SELECT password, charslot FROM accounts WHERE login = 'hero1'");
+        assert.equal(account.password, await encodeGamePassword('first-secret'));
+        const properties = await readFile(path.join(ROOT_DIR, 'server.properties'), 'utf8');
+        assert.equal(account.charslot, parsePropertyLayers([{ file: 'server.properties', text: properties }]).properties.MAX_CHARACTER_SLOTS);
+
+        const own = await callApi('GET', '/me', { uid: 'user-a' });
+        assert.equal(own.status, 200);
+        assert.equal(own.body.login, 'hero1');
+        assert.equal(own.body.banned, false);
+        assert.deepEqual((await callApi('GET', '/availability?login=hero1')).body, { login: 'hero1', available: false, linked: true });
+    });
+
+    test('refuses a login that is taken', async () => {
+        const response = await callApi('POST', '/', { uid: 'user-b', body: { login: 'hero1', password: 'other', mode: 'create' } });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.code, 'login-taken');
+    });
+
+    test('refuses a second game account for a linked website account', async () => {
+        const response = await callApi('POST', '/', { uid: 'user-a', body: { login: 'hero2', password: 'secret', mode: 'create' } });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.code, 'already-linked');
+        assert.deepEqual(querySqlite("SELECT login FROM accounts WHERE login = 'hero2'"), []);
+    });
+
+    test('links an existing game account with its password', async () => {
+        const password = await encodeGamePassword('old-secret');
+        querySqlite(`INSERT INTO accounts (login, password, ip, host, banned, charslot, gamepassword) VALUES ('veteran', '${password}', '', '', 0, 4, 0)`);
+
+        const wrong = await callApi('POST', '/', { uid: 'user-c', body: { login: 'veteran', password: 'guess', mode: 'link' } });
+        assert.equal(wrong.status, 403);
+        assert.equal(wrong.body.code, 'wrong-password');
+
+        const linked = await callApi('POST', '/', { uid: 'user-c', body: { login: 'veteran', password: 'old-secret', mode: 'link' } });
+        assert.deepEqual(linked, { status: 201, body: { login: 'veteran' } });
+        assert.equal((await callApi('GET', '/me', { uid: 'user-c' })).body.charslot, 4);
+    });
+
+    test('refuses to link a game account that is linked to someone else', async () => {
+        const response = await callApi('POST', '/', { uid: 'user-d', body: { login: 'veteran', password: 'old-secret', mode: 'link' } });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.code, 'login-linked');
+    });
+
+    test('changes the linked account\'s game password', async () => {
+        assert.equal((await callApi('PUT', '/me/password', { uid: 'user-a', body: { password: 'second-secret' } })).status, 204);
+        const [account] = querySqlite("SELECT password FROM accounts WHERE login = 'hero1'");
+        assert.equal(account.password, await encodeGamePassword('second-secret'));
+
+        const unlinked = await callApi('PUT', '/me/password', { uid: 'user-d', body: { password: 'anything' } });
+        assert.equal(unlinked.status, 404);
+        assert.equal(unlinked.body.code, 'not-linked');
+    });
+
+    test('needs a signed-in caller', async () => {
+        const response = await callApi('POST', '/', { body: { login: 'hero3', password: 'secret', mode: 'create' } });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.code, 'unauthenticated');
+    });
+});
@@ -0,0 +1,60 @@
+// ========================================================================
+//  LINT.MJS
+// ========================================================================
+
+/**
+ * Runs the linter against the sites in `test/fixtures/lint/`: `clean` holds SQL
+ * and droplist files that must pass, `broken` one example of each error.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const LINT_SCRIPT = path.join(TEST_DIR, '..', 'lint.mjs');
+const FIXTURES_DIR = path.join(TEST_DIR, 'fixtures', 'lint');
+
+/**
+ * Lints a fixture site.
+ * @param {string} name The fixture directory.
+ * @returns {{status: number, lines: string[]}} The exit code and every line printed.
+ */
+function lint(name) {
+    const result = spawnSync(process.execPath, [LINT_SCRIPT, path.join(FIXTURES_DIR, name)], { encoding: 'utf8' });
+    return { status: result.status, lines: `${result.stdout}${result.stderr}`.split('\n').filter(Boolean) };
+}
+
+test('a clean site passes', () => {
+    const { status, lines } = lint('clean');
+    assert.deepEqual(lines, ['[Lint] 0 error(s), 0 warning(s).']);
+    assert.equal(status, 0);
+});
+
+test('the repository itself passes', () => {
+    const result = spawnSync(process.execPath, [LINT_SCRIPT], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+});
+
+test('INSERT problems are reported with their line', () => {
+    const { status, lines } = lint('broken');
+    assert.equal(status, 1);
+    assert.ok(lines.includes('data/item.sql:2: error: Could not parse INSERT: expected a value near "INSERT INTO `item` V". '
+        + 'The statement runs on to line 3; is line 2 cut short?'));
+    assert.ok(lines.includes('data/item.sql:4: error: Has 2 values but `item` has 3 columns.'));
+    assert.ok(lines.includes('data/item.sql:5: error: INSERT is missing its closing ";".'));
+    assert.ok(!lines.some(line => line.startsWith('data/item.sql:1:') || line.startsWith('data/item.sql:3:')));
+});
+
+test('a droplist text file with a different line count is reported', () => {
+    const { lines } = lint('broken');
+    assert.deepEqual(lines.filter(line => line.startsWith('droplist_txt/')),
+        ['droplist_txt/chances.txt: error: Has 2 lines but the other droplist_txt files have 3.']);
+});
+
+test('an unknown server.properties key is an error', () => {
+    const { lines } = lint('broken');
+    assert.ok(lines.includes('server.properties:1: error: Unknown key "MAX_CHARACTER_SLOT" is ignored.'));
+    assert.ok(lines.includes('[Lint] 5 error(s), 0 warning(s).'));
+});
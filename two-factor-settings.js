@@ -0,0 +1,164 @@
+// ========================================================================
+//  TWO-FACTOR SETTINGS PANEL (DASHBOARD)
+// ========================================================================
+
+/**
+ * Lets a player turn TOTP two-factor authentication on (QR code, confirmation
+ * code, recovery codes) or off, and replace their recovery codes.
+ */
+import {
+    getTwoFactorSettings,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    markTwoFactorSession
+} from './two-factor.js';
+import { renderQrCodeSvg } from './qr-code.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Offers the recovery codes as a text file.
+ * @param {string[]} codes The recovery codes.
+ */
+function downloadRecoveryCodes(codes) {
+    const text = `Recovery codes for ${window.location.host}\nEach code can be used once instead of an authenticator code.\n\n${codes.join('\n')}\n`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = 'recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Shows freshly generated recovery codes. They are only stored hashed, so this is the only time they can be seen.
+ * @param {HTMLElement} panel The panel element.
+ * @param {{uid: string, email: string}} user The signed-in user.
+ * @param {string[]} codes The recovery codes.
+ */
+function renderRecoveryCodes(panel, user, codes) {
+    panel.innerHTML = `
+        <p class="text-green-400 font-bold mb-2">✅ Save your recovery codes</p>
+        <p class="text-gray-300 text-sm mb-3">If you lose your device, each of these codes lets you log in once. Keep them somewhere safe; they will not be shown again.</p>
+        <ul class="grid grid-cols-2 gap-2 font-mono text-white bg-black/40 rounded-md p-3 mb-3">
+            ${codes.map(code => `<li>${escapeHTML(code)}</li>`).join('')}
+        </ul>
+        <div class="flex gap-2">
+            <button id="download-recovery-codes-btn" class="action-btn btn-gray text-sm">Download</button>
+            <button id="recovery-codes-done-btn" class="action-btn btn-green text-sm">I've Saved Them</button>
+        </div>
+    `;
+    panel.querySelector('#download-recovery-codes-btn').addEventListener('click', () => downloadRecoveryCodes(codes));
+    panel.querySelector('#recovery-codes-done-btn').addEventListener('click', () => renderTwoFactorPanel(panel, user));
+}
+
+/**
+ * Shows the QR code and asks for the first code to confirm the app is set up.
+ * @param {HTMLElement} panel The panel element.
+ * @param {{uid: string, email: string}} user The signed-in user.
+ */
+async function renderSetup(panel, user) {
+    const { secret, otpauthUri } = await startTwoFactorSetup(user.email);
+    panel.innerHTML = `
+        <p class="text-yellow-300 font-bold mb-2">🔐 Set up two-factor authentication</p>
+        <div class="flex flex-col md:flex-row gap-4 items-center">
+            <div class="bg-white p-2 rounded-md flex-shrink-0">${renderQrCodeSvg(otpauthUri, { size: 180 })}</div>
+            <div class="text-sm text-gray-300 space-y-2">
+                <p>1. Scan the QR code with an authenticator app (e.g. Google Authenticator, Authy or 1Password).</p>
+                <p>2. Can't scan it? Enter this key instead: <span class="font-mono text-white break-all">${secret.match(/.{1,4}/g).join(' ')}</span></p>
+                <p>3. Enter the 6-digit code the app shows:</p>
+                <form id="two-factor-setup-form" class="flex gap-2">
+                    <input type="text" name="code" required inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456" class="w-32 bg-gray-900/50 border border-gray-600 rounded-md p-2 text-center text-white tracking-widest">
+                    <button type="submit" class="action-btn btn-green text-sm">Enable</button>
+                    <button type="button" id="two-factor-cancel-btn" class="action-btn btn-gray text-sm">Cancel</button>
+                </form>
+            </div>
+        </div>
+    `;
+    panel.querySelector('#two-factor-cancel-btn').addEventListener('click', () => renderTwoFactorPanel(panel, user));
+    panel.querySelector('#two-factor-setup-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        try {
+            const codes = await enableTwoFactor(user.uid, secret, event.target.elements.code.value);
+            // This login proved the code already; keep it as long as the login lasts.
+            markTwoFactorSession(user.uid, true);
+            renderRecoveryCodes(panel, user, codes);
+        } catch (error) {
+            console.error('[2FA] Could not enable two-factor authentication:', error);
+            showInfoModal('Error', error.message, { type: 'error' });
+        }
+    });
+}
+
+/**
+ * Renders the panel for the current 2FA state.
+ * @param {HTMLElement} panel The panel element.
+ * @param {{uid: string, email: string}} user The signed-in user.
+ * @returns {Promise<void>}
+ */
+export async function renderTwoFactorPanel(panel, user) {
+    const settings = await getTwoFactorSettings(user.uid);
+
+    if (!settings) {
+        panel.innerHTML = `
+            <div class="flex flex-col md:flex-row items-center justify-between gap-4">
+                <p class="text-gray-300">🔓 Two-factor authentication is <span class="font-bold text-yellow-300">off</span>. Protect your characters and items with a code from an authenticator app.</p>
+                <button id="enable-two-factor-btn" class="action-btn btn-green text-sm flex-shrink-0">Enable 2FA</button>
+            </div>
+        `;
+        panel.querySelector('#enable-two-factor-btn').addEventListener('click', () => {
+            renderSetup(panel, user).catch(error => {
+                console.error('[2FA] Could not start the setup:', error);
+                showInfoModal('Error', `Could not start the setup. ${error.message}`, { type: 'error' });
+            });
+        });
+        return;
+    }
+
+    const remaining = settings.recoveryCodes.length;
+    panel.innerHTML = `
+        <div class="flex flex-col md:flex-row items-center justify-between gap-4">
+            <p class="text-gray-300">🔐 Two-factor authentication is <span class="font-bold text-green-400">on</span>.
+                <span class="${remaining <= 2 ? 'text-red-400' : 'text-gray-400'}">${remaining} recovery code${remaining === 1 ? '' : 's'} left.</span></p>
+            <div class="flex gap-2 flex-shrink-0">
+                <button id="regenerate-recovery-codes-btn" class="action-btn btn-gray text-sm">New Recovery Codes</button>
+                <button id="disable-two-factor-btn" class="action-btn btn-red text-sm">Disable 2FA</button>
+            </div>
+        </div>
+    `;
+
+    panel.querySelector('#regenerate-recovery-codes-btn').addEventListener('click', () => {
+        showCodeModal({
+            title: 'New Recovery Codes',
+            message: 'Enter a code from your authenticator app. Your old recovery codes will stop working.',
+            onConfirm: async (code) => {
+                try {
+                    renderRecoveryCodes(panel, user, await regenerateRecoveryCodes(user.uid, code));
+                } catch (error) {
+                    console.error('[2FA] Could not regenerate recovery codes:', error);
+                    showInfoModal('Error', error.message, { type: 'error' });
+                }
+            }
+        });
+    });
+
+    panel.querySelector('#disable-two-factor-btn').addEventListener('click', () => {
+        showCodeModal({
+            title: 'Disable 2FA',
+            message: 'Enter a code from your authenticator app or a recovery code. Logins will only ask for your password again.',
+            confirmText: 'Disable',
+            onConfirm: async (code) => {
+                try {
+                    await disableTwoFactor(user.uid, code);
+                    showInfoModal('2FA Disabled', 'Two-factor authentication has been turned off.');
+                    renderTwoFactorPanel(panel, user);
+                } catch (error) {
+                    console.error('[2FA] Could not disable two-factor authentication:', error);
+                    showInfoModal('Error', error.message, { type: 'error' });
+                }
+            }
+        });
+    });
+}
@@ -0,0 +1,357 @@
+// ========================================================================
+//  TWO-FACTOR AUTHENTICATION (TOTP)
+// ========================================================================
+
+/**
+ * Optional second login step with a time-based one-time password (RFC 6238,
+ * SHA-1, 6 digits, 30 seconds) from an authenticator app, plus one-time
+ * recovery codes. The settings are kept apart from the profile, which staff
+ * can read, in a record only the account itself can read or change:
+ *
+ *     { enabled, secret, recoveryCodes, lastUsedStep, enabledAt }
+ *
+ * `secret` is Base32; `recoveryCodes` holds SHA-256 hashes of the unused
+ * codes; `lastUsedStep` stops an accepted code from being used again.
+ *
+ * After the password step, login.js asks for a code and records the finished
+ * login with markTwoFactorSession(). Pages call guardTwoFactorSession() to send
+ * a half-finished login back to the code step, and confirmWithTwoFactor()
+ * before high-risk actions. The site has no server, so these checks only
+ * guide the pages: a player could skip them by calling the backend directly.
+ */
+import { getBackend, BackendError, waitForAuthUser } from './auth-backend.js';
+import { loadServerProperties } from './server-properties.js';
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ALLOWED_DRIFT_STEPS = 1; // Accept the previous and next code too, for clock skew.
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const SESSION_KEY = 'twoFactorSession';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @typedef {object} TwoFactorSettings
+ * @property {boolean} enabled Whether logins ask for a code.
+ * @property {string} secret The shared TOTP secret, Base32-encoded.
+ * @property {string[]} recoveryCodes SHA-256 hashes (hex) of the unused recovery codes.
+ * @property {number} lastUsedStep The time step of the last accepted code.
+ * @property {string} enabledAt When 2FA was turned on (ISO 8601).
+ */
+
+// ========================================================================
+//  TOTP
+// ========================================================================
+
+/**
+ * Encodes bytes as Base32 (RFC 4648) without padding, as authenticator apps expect.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {string} The Base32 text.
+ */
+function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+/**
+ * Decodes Base32 text, ignoring case, spaces and padding.
+ * @param {string} text The Base32 text.
+ * @returns {Uint8Array} The bytes.
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid Base32 character "${char}".`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xFF);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Computes the code for one time step (HOTP, RFC 4226).
+ * @param {string} secret The Base32 secret.
+ * @param {number} step The time step (seconds since the epoch / 30).
+ * @returns {Promise<string>} The zero-padded code.
+ */
+async function generateTotpCode(secret, step) {
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const counter = new DataView(new ArrayBuffer(8));
+    counter.setUint32(0, Math.floor(step / 2 ** 32));
+    counter.setUint32(4, step >>> 0);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+
+    const offset = hmac[hmac.length - 1] & 0x0F;
+    const binary = ((hmac[offset] & 0x7F) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Finds the time step a code belongs to, within the allowed clock drift.
+ * @param {string} secret The Base32 secret.
+ * @param {string} code The 6-digit code.
+ * @param {number} [afterStep=-1] Only steps after this one count, so codes can't be replayed.
+ * @returns {Promise<number|null>} The step, or null if the code doesn't match.
+ */
+async function findTotpStep(secret, code, afterStep = -1) {
+    const currentStep = getCurrentStep();
+    for (let drift = -TOTP_ALLOWED_DRIFT_STEPS; drift <= TOTP_ALLOWED_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        if (step > afterStep && await generateTotpCode(secret, step) === code) return step;
+    }
+    return null;
+}
+
+// ========================================================================
+//  RECOVERY CODES
+// ========================================================================
+
+/**
+ * Strips spaces and dashes so codes can be typed any way they were written down.
+ * @param {string} code The code as entered.
+ * @returns {string} The normalized code.
+ */
+function normalizeCode(code) {
+    return code.replace(/[\s-]/g, '').toLowerCase();
+}
+
+async function hashRecoveryCode(code) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeCode(code)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generates a fresh set of recovery codes, e.g. "k7q2m-x9p4d".
+ * @returns {string[]} The codes.
+ */
+function generateRecoveryCodes() {
+    const alphabet = BASE32_ALPHABET.toLowerCase();
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from(crypto.getRandomValues(new Uint8Array(10)), byte => alphabet[byte & 31]).join('');
+        return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+}
+
+// ========================================================================
+//  SETTINGS
+// ========================================================================
+
+/**
+ * Reads a user's 2FA settings.
+ * @param {string} uid The user's ID.
+ * @returns {Promise<TwoFactorSettings|null>} The settings, or null if 2FA is off.
+ */
+export async function getTwoFactorSettings(uid) {
+    const backend = await getBackend();
+    const settings = await backend.getTwoFactorSettings(uid);
+    return settings?.enabled ? settings : null;
+}
+
+/**
+ * Starts setting up 2FA: creates a secret and the link to show as a QR code.
+ * Nothing is stored until enableTwoFactor() confirms that the app works.
+ * @param {string} accountName Shown in the authenticator app, usually the email address.
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export async function startTwoFactorSetup(accountName) {
+    const properties = await loadServerProperties();
+    const issuer = properties.TWO_FACTOR_ISSUER;
+    const secret = base32Encode(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_PERIOD_SECONDS) });
+    return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+}
+
+/**
+ * Turns 2FA on once the user has entered a code from the app.
+ * @param {string} uid The user's ID.
+ * @param {string} secret The secret from startTwoFactorSetup().
+ * @param {string} code The code the app shows.
+ * @returns {Promise<string[]>} The recovery codes, to be shown to the user once.
+ * @throws {BackendError} "auth/invalid-verification-code" if the code is wrong.
+ */
+export async function enableTwoFactor(uid, secret, code) {
+    const step = await findTotpStep(secret, normalizeCode(code));
+    if (step === null) throw new BackendError('auth/invalid-verification-code', 'The code is not correct. Check the time on your device and try again.');
+
+    const recoveryCodes = generateRecoveryCodes();
+    const backend = await getBackend();
+    await backend.saveTwoFactorSettings(uid, {
+        enabled: true,
+        secret,
+        recoveryCodes: await Promise.all(recoveryCodes.map(hashRecoveryCode)),
+        lastUsedStep: step,
+        enabledAt: new Date().toISOString()
+    });
+    console.log('[2FA] Two-factor authentication enabled.');
+    return recoveryCodes;
+}
+
+/**
+ * Checks a code from the authenticator app or a recovery code. An accepted
+ * code is used up: app codes can't be replayed, recovery codes are removed.
+ * @param {string} uid The user's ID.
+ * @param {string} code The code as entered.
+ * @returns {Promise<'totp'|'recovery'|null>} Which kind of code was accepted, or null if none.
+ */
+export async function verifyTwoFactorCode(uid, code) {
+    const settings = await getTwoFactorSettings(uid);
+    if (!settings) return null;
+    const backend = await getBackend();
+    const normalized = normalizeCode(code);
+
+    if (new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        const step = await findTotpStep(settings.secret, normalized, settings.lastUsedStep);
+        if (step === null) return null;
+        await backend.saveTwoFactorSettings(uid, { ...settings, lastUsedStep: step });
+        return 'totp';
+    }
+
+    const hash = await hashRecoveryCode(normalized);
+    if (!settings.recoveryCodes.includes(hash)) return null;
+    const recoveryCodes = settings.recoveryCodes.filter(storedHash => storedHash !== hash);
+    await backend.saveTwoFactorSettings(uid, { ...settings, recoveryCodes });
+    console.log(`[2FA] Recovery code used; ${recoveryCodes.length} left.`);
+    return 'recovery';
+}
+
+/**
+ * Turns 2FA off.
+ * @param {string} uid The user's ID.
+ * @param {string} code A current app code or a recovery code.
+ * @returns {Promise<void>}
+ * @throws {BackendError} "auth/invalid-verification-code" if the code is wrong.
+ */
+export async function disableTwoFactor(uid, code) {
+    if (!(await verifyTwoFactorCode(uid, code))) throw new BackendError('auth/invalid-verification-code', 'The code is not correct.');
+    const backend = await getBackend();
+    await backend.deleteTwoFactorSettings(uid);
+    console.log('[2FA] Two-factor authentication disabled.');
+}
+
+/**
+ * Replaces all recovery codes with new ones.
+ * @param {string} uid The user's ID.
+ * @param {string} code A current app code or a recovery code.
+ * @returns {Promise<string[]>} The new recovery codes.
+ * @throws {BackendError} "auth/invalid-verification-code" if the code is wrong.
+ */
+export async function regenerateRecoveryCodes(uid, code) {
+    if (!(await verifyTwoFactorCode(uid, code))) throw new BackendError('auth/invalid-verification-code', 'The code is not correct.');
+    const settings = await getTwoFactorSettings(uid);
+    const recoveryCodes = generateRecoveryCodes();
+    const backend = await getBackend();
+    await backend.saveTwoFactorSettings(uid, { ...settings, recoveryCodes: await Promise.all(recoveryCodes.map(hashRecoveryCode)) });
+    console.log('[2FA] Recovery codes regenerated.');
+    return recoveryCodes;
+}
+
+// ========================================================================
+//  LOGIN SESSION
+// ========================================================================
+
+/**
+ * Records that the signed-in user has passed the code step. It is kept as long
+ * as the login itself: for the browser session, or across restarts with "remember me".
+ * @param {string} uid The user's ID.
+ * @param {boolean} remember Whether the login was remembered.
+ */
+export function markTwoFactorSession(uid, remember) {
+    clearTwoFactorSession();
+    (remember ? localStorage : sessionStorage).setItem(SESSION_KEY, uid);
+}
+
+/**
+ * Forgets that the code step was passed, e.g. before a new login.
+ */
+export function clearTwoFactorSession() {
+    localStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(SESSION_KEY);
+}
+
+function hasTwoFactorSession(uid) {
+    return localStorage.getItem(SESSION_KEY) === uid || sessionStorage.getItem(SESSION_KEY) === uid;
+}
+
+/**
+ * Checks whether a signed-in user still has to enter their code, e.g. because
+ * the login page was left after the password step.
+ * @param {{uid: string}} user The signed-in user.
+ * @returns {Promise<boolean>} True if the code step is missing.
+ */
+export async function isTwoFactorPending(user) {
+    if (hasTwoFactorSession(user.uid)) return false;
+    return Boolean(await getTwoFactorSettings(user.uid));
+}
+
+/**
+ * Sends a user who hasn't finished the code step back to the login page.
+ * @param {{uid: string}} [user] The signed-in user; looked up if omitted.
+ * @returns {Promise<boolean>} True if the page is being left; the caller should stop.
+ */
+export async function guardTwoFactorSession(user) {
+    user = user || await waitForAuthUser();
+    if (!user || !(await isTwoFactorPending(user))) return false;
+    console.warn('[2FA] The login was not finished with a code; returning to the login page.');
+    window.location.href = '/login?step=2fa';
+    return true;
+}
+
+// ========================================================================
+//  STEP-UP CONFIRMATION
+// ========================================================================
+
+/**
+ * Asks for a code again before a high-risk action. Users without 2FA pass straight through.
+ * @param {string} actionDescription What is being confirmed, e.g. "delete this character".
+ * @returns {Promise<boolean>} True if the action may go ahead.
+ */
+export async function confirmWithTwoFactor(actionDescription) {
+    const backend = await getBackend();
+    const user = backend.getCurrentUser();
+    if (!user || !(await getTwoFactorSettings(user.uid))) return true;
+
+    return new Promise(resolve => {
+        showCodeModal({
+            title: 'Two-Factor Authentication',
+            message: `Enter the code from your authenticator app (or a recovery code) to ${actionDescription}.`,
+            onConfirm: async (code) => {
+                try {
+                    if (await verifyTwoFactorCode(user.uid, code)) {
+                        resolve(true);
+                        return;
+                    }
+                    showInfoModal('Invalid Code', 'The code is not correct. The action was cancelled.', { type: 'error' });
+                } catch (error) {
+                    console.error('[2FA] Could not check the code:', error);
+                    showInfoModal('Error', `Could not check the code. ${error.message}`, { type: 'error' });
+                }
+                resolve(false);
+            },
+            onCancel: () => resolve(false)
+        });
+    });
+}